@@ -0,0 +1,73 @@
+// ══════════════════════════════════════════════════════════════════════════════
+// MIGRATION - Normalise order statuses
+// ══════════════════════════════════════════════════════════════════════════════
+// Older code paths wrote statuses outside the Order.status enum ('Confirmed',
+// 'Placed', 'Pending', 'Shipped', ...). Each one is mapped onto the state
+// machine in services/orderStatusService.js:
+//   'Confirmed' / 'Processing' / 'Placed' → PAID when paid online, else PLACED
+//   any other case variant                → its UPPERCASE status
+// statusHistory entries are normalised the same way. Values that can't be
+// mapped are reported and left untouched.
+//
+// Usage: npm run migrate:order-statuses            (apply)
+//        npm run migrate:order-statuses -- --dry   (report only)
+// ══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Order = require('../src/models/Order');
+const { ORDER_STATUSES, normaliseStatus } = require('../src/services/orderStatusService');
+
+const dryRun = process.argv.includes('--dry');
+
+async function migrateOrderStatuses() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tcs_store');
+        console.log('✅ Connected to MongoDB');
+        if (dryRun) console.log('🔍 Dry run - no changes will be written');
+
+        // Raw documents - invalid enum values would not survive a Mongoose save
+        const orders = await Order.find({
+            $or: [
+                { status: { $nin: ORDER_STATUSES } },
+                { statusHistory: { $elemMatch: { status: { $nin: [...ORDER_STATUSES, /^RETURN_/, /^REFUND_/] } } } }
+            ]
+        }).select('orderNumber status paymentStatus statusHistory').lean();
+        console.log(`📦 ${orders.length} order(s) with legacy statuses`);
+
+        const counts = {};
+        const unmapped = [];
+        for (const order of orders) {
+            const status = normaliseStatus(order.status, order.paymentStatus);
+            if (!status) unmapped.push(`${order.orderNumber}: "${order.status}"`);
+            else if (status !== order.status) counts[`${order.status} → ${status}`] = (counts[`${order.status} → ${status}`] || 0) + 1;
+
+            const statusHistory = (order.statusHistory || []).map(entry => {
+                if (/^(RETURN|REFUND)_/.test(entry.status)) return entry;
+                return { ...entry, status: normaliseStatus(entry.status, order.paymentStatus) || entry.status };
+            });
+
+            if (!dryRun) {
+                await Order.collection.updateOne(
+                    { _id: order._id },
+                    { $set: { status: status || order.status, statusHistory } }
+                );
+            }
+        }
+
+        Object.entries(counts).forEach(([change, n]) => console.log(`   ${change}: ${n}`));
+        if (unmapped.length) {
+            console.log(`⚠️ ${unmapped.length} order(s) with an unknown status (left as is):`);
+            unmapped.forEach(line => console.log(`      ${line}`));
+        }
+
+        await mongoose.connection.close();
+        console.log('✅ Migration complete');
+    } catch (err) {
+        console.error('❌ Error:', err.message);
+        process.exit(1);
+    }
+}
+
+migrateOrderStatuses();
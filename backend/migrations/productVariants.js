@@ -0,0 +1,88 @@
+// ══════════════════════════════════════════════════════════════════════════════
+// MIGRATION - Product variants (size × color SKUs)
+// ══════════════════════════════════════════════════════════════════════════════
+// Creates one variant per size × color for every product that has none yet.
+// The existing product-level stock is split evenly across the new variants
+// (remainder goes to the first ones) so the total stock does not change.
+// Existing cart lines are linked to their new SKU.
+//
+// Usage: npm run migrate:variants            (apply)
+//        npm run migrate:variants -- --dry   (report only)
+// ══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Product = require('../src/models/Product');
+const Cart = require('../src/models/Cart');
+
+const dryRun = process.argv.includes('--dry');
+
+const buildVariants = (product) => {
+    const sizes = product.sizes?.length ? product.sizes : ['Free Size'];
+    const colors = product.colors?.length ? product.colors : [''];
+    const combos = [];
+    sizes.forEach(size => colors.forEach(color => combos.push({ size, color })));
+
+    const total = product.stock || 0;
+    const base = Math.floor(total / combos.length);
+    const remainder = total % combos.length;
+
+    // SKUs are filled in on save (Product pre('validate')), which also settles clashes
+    return combos.map(({ size, color }, i) => ({
+        size,
+        color,
+        stock: base + (i < remainder ? 1 : 0)
+    }));
+};
+
+async function migrateVariants() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tcs_store');
+        console.log('✅ Connected to MongoDB');
+        if (dryRun) console.log('🔍 Dry run - no changes will be written');
+
+        const products = await Product.find({ $or: [{ variants: { $exists: false } }, { variants: { $size: 0 } }] });
+        console.log(`📦 ${products.length} product(s) without variants`);
+
+        for (const product of products) {
+            const variants = buildVariants(product);
+            console.log(`   ${product.name}: ${variants.length} variant(s), ${product.stock} units`);
+
+            if (!dryRun) {
+                product.variants = variants;
+                await product.save();
+            }
+            (dryRun ? variants : product.variants).forEach(v => console.log(
+                `      ${v.sku || Product.buildSku(product._id, v.size, v.color)} → ${v.stock}`
+            ));
+        }
+
+        // Link existing cart lines to their SKU
+        let linked = 0;
+        const carts = await Cart.find({ 'items.0': { $exists: true } });
+        for (const cart of carts) {
+            let changed = false;
+            for (const item of cart.items) {
+                if (item.sku || !item.product) continue;
+                const product = await Product.findById(item.product);
+                const variant = product?.findVariant(item.size, item.color);
+                if (variant) {
+                    item.sku = variant.sku;
+                    changed = true;
+                    linked++;
+                }
+            }
+            if (changed && !dryRun) await cart.save();
+        }
+        console.log(`🛒 ${linked} cart line(s) linked to a SKU`);
+
+        await mongoose.connection.close();
+        console.log('✅ Migration complete');
+    } catch (err) {
+        console.error('❌ Error:', err.message);
+        process.exit(1);
+    }
+}
+
+migrateVariants();
@@ -196,6 +196,19 @@ const getDBHealth = () => {
     };
 };
 
+// Build the indexes of models that rely on them for correctness (unique keys used
+// to dedupe). autoIndex is off in production, so a new collection would otherwise
+// have none; indexes that already exist are left alone
+const ensureIndexes = async (models) => {
+    for (const model of models) {
+        try {
+            await model.createIndexes();
+        } catch (err) {
+            console.error(`❌ Could not build ${model.modelName} indexes:`, err.message);
+        }
+    }
+};
+
 // Check if connected
 const checkConnection = () => {
     if (!isConnected || mongoose.connection.readyState !== 1) {
@@ -209,5 +222,6 @@ module.exports = {
     disconnectDB,
     getDBHealth,
     checkConnection,
+    ensureIndexes,
     mongoOptions
 };
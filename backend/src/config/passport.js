@@ -24,6 +24,7 @@ passport.use(new FacebookStrategy({
             user = await User.create({
                 name: profile.displayName,
                 email: profile.emails?.[0]?.value,
+                emailVerified: !!profile.emails?.[0]?.value,  // Facebook only shares confirmed emails
                 socialId: profile.id,
                 provider: 'facebook',
                 avatar: profile.photos?.[0]?.value,
@@ -0,0 +1,81 @@
+// ══════════════════════════════════════════════════════════════════════════
+// ADMIN ROLES & PERMISSIONS
+// Staff accounts have role 'admin' plus an adminRole below; routes ask for a
+// permission with authorize('orders:update') (middleware/auth.js)
+// ══════════════════════════════════════════════════════════════════════════
+
+const PERMISSIONS = {
+    'products:create': 'Add products',
+    'products:update': 'Edit products and stock',
+    'products:delete': 'Hide / restore products',
+    'products:purge': 'Permanently delete products',
+    'inventory:read': 'Stock alerts and inventory reports',
+    'orders:read': 'View all orders',
+    'orders:update': 'Change order status and shipments',
+    'orders:delete': 'Delete / restore orders',
+    'payments:read': 'View payments',
+    'payments:refund': 'Issue refunds',
+    'payments:reconcile': 'Run payment reconciliation and resolve mismatches',
+    'payments:verify': 'Approve or reject manual UPI payments',
+    'returns:read': 'View return requests',
+    'returns:update': 'Approve and process returns',
+    'reviews:moderate': 'Moderate reviews',
+    'coupons:manage': 'Manage coupons',
+    'settings:manage': 'Store, payment, shipping and tax settings',
+    'reports:read': 'Sales reports',
+    'users:read': 'View customers and staff',
+    'users:manage': 'Manage staff accounts and roles',
+    'audit:read': 'View and export the audit log',
+    'jobs:manage': 'View, retry and discard background jobs',
+    'webhooks:manage': 'Inspect and replay payment webhooks'
+};
+
+const ROLES = {
+    owner: {
+        label: 'Owner',
+        description: 'Full access, including staff management',
+        permissions: Object.keys(PERMISSIONS)
+    },
+    catalog_manager: {
+        label: 'Catalog Manager',
+        description: 'Products, stock, reviews and coupons',
+        permissions: ['products:create', 'products:update', 'products:delete', 'inventory:read', 'reviews:moderate', 'coupons:manage']
+    },
+    order_fulfilment: {
+        label: 'Order Fulfilment',
+        description: 'Packing, shipping and returns',
+        permissions: ['orders:read', 'orders:update', 'returns:read', 'returns:update', 'inventory:read']
+    },
+    finance: {
+        label: 'Finance',
+        description: 'Payments, refunds and reports',
+        permissions: ['orders:read', 'payments:read', 'payments:refund', 'payments:reconcile', 'payments:verify', 'returns:read', 'reports:read', 'users:read', 'webhooks:manage']
+    }
+};
+
+// Admins created before roles existed keep full access
+const DEFAULT_ADMIN_ROLE = 'owner';
+
+const adminRoleOf = (user) => (user?.role === 'admin' ? (user.adminRole || DEFAULT_ADMIN_ROLE) : null);
+
+/**
+ * Permissions a user has - empty for customers
+ */
+const permissionsFor = (user) => ROLES[adminRoleOf(user)]?.permissions || [];
+
+/**
+ * Does the user hold every permission given?
+ */
+const can = (user, ...permissions) => {
+    const granted = permissionsFor(user);
+    return permissions.every(p => granted.includes(p));
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    DEFAULT_ADMIN_ROLE,
+    adminRoleOf,
+    permissionsFor,
+    can
+};
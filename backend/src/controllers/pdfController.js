@@ -1,6 +1,8 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { getSellerProfile, computeOrderTax, issueInvoice } = require('../services/taxService');
+const { amountInWords } = require('../utils/amountInWords');
 
 // Ensure uploads/invoices directory exists
 const invoicesDir = path.join(__dirname, '../../uploads/invoices');
@@ -85,20 +87,46 @@ const createPDFContent = (doc, order) => {
     doc.moveTo(50, y + 10).lineTo(562, y + 10).lineWidth(0.5).strokeColor('#D4A574').stroke();
     y += 20;
 
-    const subtotal = order.totalAmount - (order.shippingCharge || 0);
+    const subtotal = order.totalAmount - (order.shippingCharge || 0) - (order.codCharge || 0) + (order.discountTotal || 0);
     doc.fillColor('#555').fontSize(10).font('Times-Roman')
         .text('Subtotal:', 400, y)
         .text(`₹${subtotal.toFixed(2)}`, 470, y);
     y += 18;
+    for (const discount of order.discounts || []) {
+        doc.fillColor('#2E7D32')
+            .text(`Coupon ${discount.code}:`, 330, y, { width: 130, align: 'right' })
+            .text(discount.type === 'free_shipping' ? 'Free shipping' : `-₹${discount.amount.toFixed(2)}`, 470, y);
+        y += 18;
+    }
+    doc.fillColor('#555');
     doc.text(`Shipping:`, 400, y)
         .text(order.shippingCharge === 0 ? 'FREE' : `₹${order.shippingCharge}`, 470, y);
     y += 18;
+    if (order.codCharge) {
+        doc.text('COD Charge:', 400, y)
+            .text(`₹${order.codCharge}`, 470, y);
+        y += 18;
+    }
 
     doc.rect(390, y, 172, 28).fill('#2C1810');
     doc.fillColor('white').fontSize(12).font('Times-Bold')
         .text('TOTAL:', 400, y + 7)
         .text(`₹${order.totalAmount.toFixed(2)}`, 470, y + 7);
 
+    // ─── Refunds ──────────────────────────────────────
+    if (order.refundedAmount > 0 || ['Pending', 'Failed'].includes(order.refundStatus)) {
+        y += 38;
+        const label = { Pending: 'Refund in progress', Partial: 'Partially refunded', Refunded: 'Refunded', Failed: 'Refund failed' }[order.refundStatus];
+        doc.fillColor(order.refundStatus === 'Failed' ? '#C62828' : '#2E7D32').fontSize(10).font('Times-Roman')
+            .text(`${label}:`, 330, y, { width: 130, align: 'right' })
+            .text(`-₹${(order.refundedAmount || 0).toFixed(2)}`, 470, y);
+        y += 18;
+        doc.fillColor('#555')
+            .text('Net Paid:', 400, y)
+            .text(`₹${(order.totalAmount - (order.refundedAmount || 0)).toFixed(2)}`, 470, y);
+        y -= 10;
+    }
+
     // ─── Footer ───────────────────────────────────────
     y += 60;
     doc.moveTo(50, y).lineTo(562, y).lineWidth(1).strokeColor('#D4A574').stroke();
@@ -109,6 +137,145 @@ const createPDFContent = (doc, order) => {
         .text('This is a computer-generated receipt and does not require a signature.', 50, y + 24, { align: 'center', width: 512 });
 };
 
+// ─── Tax invoice ──────────────────────────────────────
+const money = (n) => (n || 0).toFixed(2);
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+// Item table columns - CGST/SGST for intra-state, a single IGST column otherwise
+const invoiceColumns = (intraState) => [
+    { key: 'index', label: '#', x: 55, width: 12 },
+    { key: 'description', label: 'DESCRIPTION', x: 70, width: 158 },
+    { key: 'hsnCode', label: 'HSN/SAC', x: 232, width: 45 },
+    { key: 'quantity', label: 'QTY', x: 280, width: 25, align: 'right' },
+    { key: 'taxableValue', label: 'TAXABLE', x: 308, width: 56, align: 'right', money: true },
+    { key: 'rate', label: 'GST %', x: 368, width: 28, align: 'right' },
+    ...(intraState
+        ? [
+            { key: 'cgst', label: 'CGST', x: 400, width: 50, align: 'right', money: true },
+            { key: 'sgst', label: 'SGST', x: 454, width: 50, align: 'right', money: true }
+        ]
+        : [{ key: 'igst', label: 'IGST', x: 400, width: 104, align: 'right', money: true }]),
+    { key: 'total', label: 'TOTAL', x: 508, width: 52, align: 'right', money: true }
+];
+
+const drawInvoiceTableHeader = (doc, columns, y) => {
+    doc.rect(50, y, 512, 22).fill('#2C1810');
+    doc.fillColor('white').fontSize(8).font('Times-Bold');
+    columns.forEach(c => doc.text(c.label, c.x, y + 7, { width: c.width, align: c.align || 'left' }));
+    return y + 28;
+};
+
+const createTaxInvoiceContent = (doc, order, seller, tax) => {
+    const intraState = tax.supplyType === 'intra';
+
+    // ─── Header ───────────────────────────────────────
+    doc.rect(0, 0, 612, 110).fill('#2C1810');
+    doc.fillColor('#F5F0E8').fontSize(28).font('Times-Bold')
+        .text('TCS', 50, 30);
+    doc.fontSize(10).font('Times-Roman')
+        .text('The Co-ord Set Studio', 50, 65);
+
+    doc.fontSize(22).font('Times-Bold')
+        .text('TAX INVOICE', 300, 30, { align: 'right', width: 262 });
+    doc.fontSize(10).font('Times-Roman')
+        .text(`Invoice No: ${order.invoice.number}`, 300, 60, { align: 'right', width: 262 })
+        .text(`Invoice Date: ${formatDate(order.invoice.issuedAt)}`, 300, 74, { align: 'right', width: 262 })
+        .text(`Order: #${order.orderNumber}`, 300, 88, { align: 'right', width: 262 });
+
+    // ─── Seller ───────────────────────────────────────
+    let y = 128;
+    doc.fillColor('#2C1810').fontSize(10).font('Times-Bold').text('SOLD BY:', 50, y);
+    doc.fillColor('#444').fontSize(9).font('Times-Roman')
+        .text(seller.name, 50, y + 14, { width: 250 })
+        .text(seller.address || '', 50, y + 26, { width: 250 })
+        .text(`GSTIN: ${order.invoice.sellerGstin || 'Not registered'}`, 50, y + 50)
+        .text(`State: ${order.invoice.sellerState}${seller.stateCode ? ` (${seller.stateCode})` : ''}`, 50, y + 62);
+
+    // ─── Buyer ────────────────────────────────────────
+    const addr = order.shippingAddress || {};
+    doc.fillColor('#2C1810').fontSize(10).font('Times-Bold').text('BILL / SHIP TO:', 320, y);
+    doc.fillColor('#444').fontSize(9).font('Times-Roman')
+        .text(addr.fullName || order.user?.name || 'Customer', 320, y + 14, { width: 242 })
+        .text([addr.houseNo, addr.street, addr.landmark].filter(Boolean).join(', '), 320, y + 26, { width: 242 })
+        .text(`${addr.city || ''}, ${addr.state || ''} - ${addr.pincode || ''}`, 320, y + 38, { width: 242 })
+        .text(`Phone: ${addr.phone || order.user?.phone || ''}`, 320, y + 50)
+        .text(`Place of Supply: ${tax.placeOfSupply || '-'}${tax.placeOfSupplyCode ? ` (${tax.placeOfSupplyCode})` : ''}`, 320, y + 62);
+
+    y += 86;
+    doc.moveTo(50, y).lineTo(562, y).lineWidth(1).strokeColor('#D4A574').stroke();
+    doc.fillColor('#2C1810').fontSize(9).font('Times-Roman')
+        .text(`Payment: ${order.paymentMethod} | ${order.paymentStatus}`, 50, y + 8)
+        .text(intraState ? 'Intra-state supply (CGST + SGST)' : 'Inter-state supply (IGST)', 300, y + 8, { align: 'right', width: 262 });
+
+    // ─── Items ────────────────────────────────────────
+    const columns = invoiceColumns(intraState);
+    y = drawInvoiceTableHeader(doc, columns, y + 28);
+
+    tax.lines.forEach((line, i) => {
+        if (y > 700) {
+            doc.addPage();
+            y = drawInvoiceTableHeader(doc, columns, 50);
+        }
+        if (i % 2) doc.rect(50, y - 4, 512, 22).fill('#FAF7F2');
+        doc.fillColor('#333').fontSize(8).font('Times-Roman');
+        const row = { ...line, index: i + 1 };
+        columns.forEach(c => doc.text(
+            c.money ? money(row[c.key]) : String(row[c.key] ?? ''),
+            c.x, y, { width: c.width, align: c.align || 'left', lineBreak: c.key === 'description', height: 18, ellipsis: true }
+        ));
+        y += 22;
+    });
+
+    // ─── Totals ───────────────────────────────────────
+    if (y > 600) {
+        doc.addPage();
+        y = 50;
+    }
+    doc.moveTo(50, y + 4).lineTo(562, y + 4).lineWidth(0.5).strokeColor('#D4A574').stroke();
+    y += 14;
+
+    const totalRow = (label, value) => {
+        doc.text(label, 340, y, { width: 130, align: 'right' })
+            .text(value, 480, y, { width: 80, align: 'right' });
+        y += 15;
+    };
+    doc.fillColor('#555').fontSize(9).font('Times-Roman');
+    totalRow('Taxable Value:', `₹${money(tax.taxableValue)}`);
+    if (intraState) {
+        totalRow('CGST:', `₹${money(tax.cgst)}`);
+        totalRow('SGST:', `₹${money(tax.sgst)}`);
+    } else {
+        totalRow('IGST:', `₹${money(tax.igst)}`);
+    }
+    for (const discount of order.discounts || []) {
+        if (discount.amount > 0) totalRow(`Includes coupon ${discount.code}:`, `-₹${money(discount.amount)}`);
+    }
+
+    y += 4;
+    doc.rect(340, y, 222, 26).fill('#2C1810');
+    doc.fillColor('white').fontSize(11).font('Times-Bold')
+        .text('INVOICE TOTAL:', 350, y + 8)
+        .text(`₹${money(tax.grandTotal)}`, 480, y + 8, { width: 76, align: 'right' });
+    y += 36;
+
+    doc.fillColor('#2C1810').fontSize(9).font('Times-Bold')
+        .text('Amount in words:', 50, y);
+    doc.font('Times-Roman')
+        .text(amountInWords(tax.grandTotal), 140, y, { width: 422 });
+
+    // ─── Footer ───────────────────────────────────────
+    y += 50;
+    doc.fillColor('#444').fontSize(9).font('Times-Roman')
+        .text(`For ${seller.name}`, 380, y, { width: 182, align: 'right' })
+        .text('Authorised Signatory', 380, y + 36, { width: 182, align: 'right' });
+    y += 60;
+    doc.moveTo(50, y).lineTo(562, y).lineWidth(1).strokeColor('#D4A574').stroke();
+    doc.fillColor('#888').fontSize(8)
+        .text('Prices are inclusive of GST. Tax is not payable on reverse charge basis.', 50, y + 10, { align: 'center', width: 512 })
+        .text(`For support contact: ${seller.email} | ${seller.phone}`, 50, y + 22, { align: 'center', width: 512 })
+        .text('This is a computer-generated invoice.', 50, y + 34, { align: 'center', width: 512 });
+};
+
 // Generate and stream receipt (for direct download via API)
 const generateReceipt = async (order, res) => {
     const doc = new PDFDocument({ margin: 50, size: 'A4' });
@@ -121,18 +288,23 @@ const generateReceipt = async (order, res) => {
     doc.end();
 };
 
-// Generate and save invoice to disk (for auto-creation after payment)
+// Generate and save tax invoice to disk (for auto-creation after payment)
+// Issues the invoice number first - regenerating keeps the same number
 const generateAndSaveInvoice = async (order) => {
+    await issueInvoice(order);
+    const seller = await getSellerProfile();
+    const tax = computeOrderTax(order, seller);
+
     return new Promise((resolve, reject) => {
         try {
-            const fileName = `TCS-${order.orderNumber}-${Date.now()}.pdf`;
+            const fileName = `${order.invoice.number.replace(/\//g, '-')}-${Date.now()}.pdf`;
             const filePath = path.join(invoicesDir, fileName);
             
             const doc = new PDFDocument({ margin: 50, size: 'A4' });
             const writeStream = fs.createWriteStream(filePath);
             
             doc.pipe(writeStream);
-            createPDFContent(doc, order);
+            createTaxInvoiceContent(doc, order, seller, tax);
             doc.end();
 
             writeStream.on('finish', () => {
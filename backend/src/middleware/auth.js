@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getActiveSession } = require('../services/sessionService');
+const { can } = require('../config/permissions');
 
 // Verify JWT token
 const protect = async (req, res, next) => {
@@ -11,8 +13,21 @@ const protect = async (req, res, next) => {
         if (!token) return res.status(401).json({ message: 'Not authorized, no token' });
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'tcs_jwt_secret');
+        // Every access token belongs to a session - signed out / revoked sessions stop working at once
+        const session = await getActiveSession(decoded.sid);
+        if (!session || String(session.user) !== String(decoded.id)) {
+            return res.status(401).json({ message: 'Session expired - please sign in again' });
+        }
         req.user = await User.findById(decoded.id).select('-password');
         if (!req.user) return res.status(401).json({ message: 'User not found' });
+        if (req.user.isDeleted || req.user.isActive === false) {
+            return res.status(401).json({ message: 'Account is disabled' });
+        }
+        req.sessionId = decoded.sid;
+        // Sessions from before a password reset are signed out
+        if (req.user.passwordChangedAt && decoded.iat * 1000 < req.user.passwordChangedAt.getTime() - 1000) {
+            return res.status(401).json({ message: 'Password was changed - please sign in again' });
+        }
         next();
     } catch (error) {
         res.status(401).json({ message: 'Token invalid or expired' });
@@ -28,4 +43,16 @@ const adminOnly = (req, res, next) => {
     }
 };
 
-module.exports = { protect, adminOnly };
+// Staff with every permission listed - authorize('orders:update')
+// With no permissions it lets in any staff account
+const authorize = (...permissions) => (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Admin access required' });
+    }
+    if (!can(req.user, ...permissions)) {
+        return res.status(403).json({ message: 'Your role does not allow this action', required: permissions });
+    }
+    next();
+};
+
+module.exports = { protect, adminOnly, authorize };
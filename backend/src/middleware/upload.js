@@ -2,18 +2,6 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-// Ensure upload directory exists
-const uploadDir = path.join(__dirname, '../../uploads/products');
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, uploadDir),
-    filename: (req, file, cb) => {
-        const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-        cb(null, `product-${uniqueSuffix}${path.extname(file.originalname)}`);
-    }
-});
-
 const fileFilter = (req, file, cb) => {
     const allowedTypes = /jpeg|jpg|png|webp|gif/;
     const ext = allowedTypes.test(path.extname(file.originalname).toLowerCase());
@@ -22,10 +10,47 @@ const fileFilter = (req, file, cb) => {
     else cb(new Error('Only image files allowed'));
 };
 
-const upload = multer({
-    storage,
-    fileFilter,
-    limits: { fileSize: 5 * 1024 * 1024 } // 5MB
-});
+// Served publicly at /uploads (server.js)
+const PUBLIC_DIR = path.join(__dirname, '../../uploads');
+// Never served statically - only through authorised routes
+const PRIVATE_DIR = path.join(__dirname, '../../private');
+
+// Image upload into <root>/<folder>, files named <prefix>-<unique>.<ext>
+const createUpload = (folder, prefix, root = PUBLIC_DIR) => {
+    // Ensure upload directory exists
+    const uploadDir = path.join(root, folder);
+    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+
+    const storage = multer.diskStorage({
+        destination: (req, file, cb) => cb(null, uploadDir),
+        filename: (req, file, cb) => {
+            const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+            cb(null, `${prefix}-${uniqueSuffix}${path.extname(file.originalname)}`);
+        }
+    });
+
+    return multer({
+        storage,
+        fileFilter,
+        limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+    });
+};
+
+const upload = createUpload('products', 'product');
+
+// Customer photos attached to return / exchange requests
+upload.returnPhotos = createUpload('returns', 'return');
+
+// Customer photos attached to product reviews
+upload.reviewPhotos = createUpload('reviews', 'review');
+
+// Screenshots of manual UPI payments - private (GET /api/admin/upi-verifications/:id/screenshot)
+upload.paymentProofs = createUpload('payments', 'payment', PRIVATE_DIR);
+upload.paymentProofsDir = path.join(PRIVATE_DIR, 'payments');
+
+// Delete an upload the request ended up not using (refused before it was saved on a record)
+upload.discard = (file) => {
+    if (file?.path) fs.unlink(file.path, () => {});
+};
 
 module.exports = upload;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// AUDIT LOG - Append-only trail of admin changes (services/auditService.js)
+// Entries are never edited or deleted - updates / deletes through the model
+// are rejected
+// ══════════════════════════════════════════════════════════════════════════
+const auditLogSchema = new mongoose.Schema({
+    // Who
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorName: { type: String },
+    actorEmail: { type: String },
+    actorRole: { type: String },                   // adminRole at the time
+
+    // What
+    action: { type: String, required: true },      // e.g. 'product.update', 'order.status'
+    entity: { type: String, required: true },      // Model name
+    entityId: { type: String },
+    entityLabel: { type: String },                 // Product name / order number - survives deletes
+    changes: [{
+        _id: false,
+        field: { type: String },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed }
+    }],
+    note: { type: String },                        // Reason given, extra context
+
+    // Where from
+    ip: { type: String },
+    userAgent: { type: String },
+    method: { type: String },
+    path: { type: String }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// ═══════════════════════════════════════════════════════════════════
+// APPEND-ONLY
+// ═══════════════════════════════════════════════════════════════════
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return next(new Error('Audit log entries cannot be modified'));
+    next();
+});
+
+const blockWrite = function (next) {
+    next(new Error('Audit log entries cannot be modified or deleted'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+    .forEach(op => auditLogSchema.pre(op, blockWrite));
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });   // History of one record
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
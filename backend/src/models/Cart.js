@@ -10,10 +10,31 @@ const cartSchema = new mongoose.Schema({
         quantity: { type: Number, default: 1, min: 1 },
         size: String,
         color: String,
+        sku: String,
         addedAt: { type: Date, default: Date.now }
     }],
+    couponCode: { type: String, uppercase: true, trim: true },
     totalItems: { type: Number, default: 0 },
     totalPrice: { type: Number, default: 0 },
+
+    // ═══════════════════════════════════════════════════════════════════
+    // ABANDONED CART REMINDERS - written with timestamps off so updatedAt
+    // keeps meaning "last time the customer touched the cart"
+    // ═══════════════════════════════════════════════════════════════════
+    recovery: {
+        cycleStartedAt: Date,       // updatedAt the current reminders are for
+        remindersSent: Number,      // Steps used up in this cycle
+        lastReminderAt: Date
+    },
+
+    // Gateway orders created for this cart (POST /payment/create-order), newest last -
+    // /payment/verify takes the gateway from here, never from the request
+    checkoutOrders: [{
+        _id: false,
+        gatewayOrderId: String,
+        gateway: String,
+        createdAt: Date
+    }],
     
     // ═══════════════════════════════════════════════════════════════════
     // SOFT DELETE - For cart recovery/analytics
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// CART REMINDER - One abandoned-cart SMS (services/cartRecoveryService.js)
+// A cycle is every reminder for one idle stretch of a cart
+// (cart + cycleStartedAt); an order after the last one marks it recovered
+// ══════════════════════════════════════════════════════════════════════════
+const cartReminderSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    cart: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart', required: true },
+    cycleStartedAt: { type: Date, required: true },
+    step: { type: Number, required: true },             // 1-based reminder step
+    idleHours: { type: Number },
+
+    // Restore link - only the hash is stored
+    tokenHash: { type: String, required: true, unique: true },
+
+    // What the cart held when the reminder went out
+    items: [{
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        name: String,
+        price: Number,
+        image: String,
+        quantity: Number,
+        size: String,
+        color: String
+    }],
+    cartValue: { type: Number, default: 0 },
+    couponCode: { type: String },
+
+    status: { type: String, enum: ['sent', 'logged', 'failed'], default: 'sent' },
+    error: { type: String },
+
+    clickedAt: { type: Date },
+    recoveredOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    recoveredAt: { type: Date },
+    recoveredAmount: { type: Number },
+    couponRedeemed: { type: Boolean, default: false }
+}, { timestamps: true });
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+cartReminderSchema.index({ createdAt: -1 });                        // Stats by period
+cartReminderSchema.index({ recoveredOrder: 1, createdAt: -1 });     // Unattributed reminders
+cartReminderSchema.index({ cart: 1, cycleStartedAt: 1 });           // Reminders in a cycle
+
+module.exports = mongoose.model('CartReminder', cartReminderSchema);
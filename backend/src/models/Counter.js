@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// COUNTER MODEL - Named sequences (e.g. invoice numbers per financial year)
+// Incremented atomically; used inside a transaction the series stays gapless
+// ══════════════════════════════════════════════════════════════════════════
+const counterSchema = new mongoose.Schema({
+    _id: { type: String },                  // Sequence name, e.g. 'invoice-2026-27'
+    seq: { type: Number, default: 0 }
+}, { timestamps: true });
+
+/**
+ * Next value of a sequence (starts at 1)
+ *
+ * @param {string} name - Sequence name
+ * @param {Object} options
+ * @param {Object} options.session - Optional MongoDB session
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name, { session } = {}) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// COUPON MODEL - Discount codes applied to the cart / order
+// ══════════════════════════════════════════════════════════════════════════
+const couponSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String },
+    type: {
+        type: String,
+        enum: ['percentage', 'flat', 'free_shipping'],
+        required: true
+    },
+    value: { type: Number, default: 0, min: 0 },       // % for percentage, ₹ for flat
+    maxDiscount: { type: Number, min: 0 },             // Cap for percentage coupons
+    minOrderValue: { type: Number, default: 0, min: 0 },
+
+    // Scope - empty means all products
+    scope: {
+        categories: [{ type: String, enum: ['Co-ord Sets', 'Tops', 'Bottoms', 'Dresses', 'New Arrivals', 'Sale'] }],
+        genders: [{ type: String, enum: ['Men', 'Women', 'Kids', 'Unisex'] }]
+    },
+
+    // Usage limits - 0 / empty means unlimited
+    usageLimit: { type: Number, default: 0, min: 0 },
+    perUserLimit: { type: Number, default: 1, min: 0 },
+    usedCount: { type: Number, default: 0, min: 0 },
+
+    // Validity window
+    validFrom: { type: Date, default: Date.now },
+    validUntil: { type: Date },
+    isActive: { type: Boolean, default: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    // Generated coupons (cart recovery) are tied to one customer
+    source: { type: String, enum: ['manual', 'cart_recovery'], default: 'manual' },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    // ═══════════════════════════════════════════════════════════════════
+    // SOFT DELETE - Keep coupons referenced by past orders
+    // ═══════════════════════════════════════════════════════════════════
+    isDeleted: { type: Boolean, default: false, index: true },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+couponSchema.index({ isActive: 1, validUntil: 1 });     // Active coupon listings
+couponSchema.index({ isDeleted: 1, createdAt: -1 });    // Admin queries
+couponSchema.index({ assignedTo: 1, source: 1 });       // A customer's generated coupons
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// JOB - Background work queued by services/jobQueue.js
+// queued → running → completed, or back to queued with a later runAt after
+// a failure; 'dead' once maxAttempts is used up (kept until an admin
+// retries or discards it)
+// ══════════════════════════════════════════════════════════════════════════
+const jobSchema = new mongoose.Schema({
+    name: { type: String, required: true },               // Handler, e.g. 'order.invoice'
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'dead'],
+        default: 'queued'
+    },
+    dedupeKey: { type: String },                          // One job per key, e.g. 'invoice:<orderId>'
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    runAt: { type: Date, default: Date.now },             // Not picked up before this
+    lockedAt: { type: Date },
+    lockedBy: { type: String },                           // host:pid of the worker running it
+
+    lastError: { type: String },
+    failures: [{
+        attempt: Number,
+        message: String,
+        at: { type: Date, default: Date.now }
+    }],
+    result: { type: mongoose.Schema.Types.Mixed },
+    completedAt: { type: Date },
+    diedAt: { type: Date }
+}, { timestamps: true });
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+jobSchema.index({ status: 1, runAt: 1 });                 // Worker polling
+jobSchema.index({ status: 1, lockedAt: 1 });              // Stale lock recovery
+jobSchema.index({ name: 1, status: 1, createdAt: -1 });   // Admin viewer
+jobSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });  // enqueue dedupe - built at startup by ensureIndexes (server.js)
+// Completed jobs are dropped after a week; dead ones stay
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -10,10 +10,24 @@ const orderSchema = new mongoose.Schema({
         image: String,
         quantity: { type: Number, default: 1 },
         size: String,
-        color: String
+        color: String,
+        sku: String,
+        hsnCode: String,        // Snapshot for the tax invoice
+        taxRate: Number         // GST % (price is tax-inclusive)
     }],
     totalAmount: { type: Number, required: true },
     shippingCharge: { type: Number, default: 0 },
+    shippingZone: { type: String },                 // Zone from the shipping rules
+    codCharge: { type: Number, default: 0 },        // COD surcharge, added when COD is chosen
+    // Coupon / promotion lines - totalAmount is already net of these
+    discounts: [{
+        code: String,
+        type: { type: String, enum: ['percentage', 'flat', 'free_shipping'] },
+        description: String,
+        amount: { type: Number, default: 0 }
+    }],
+    discountTotal: { type: Number, default: 0 },
+    exchangeOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },  // Replacement order created by an exchange
     status: {
         type: String,
         enum: ['CREATED', 'PENDING', 'PAID', 'PLACED', 'SHIPPED', 'DELIVERED', 'CANCELLED'],
@@ -22,12 +36,24 @@ const orderSchema = new mongoose.Schema({
     },
     paymentMethod: { type: String, enum: ['COD', 'Razorpay', 'UPI', 'Card', 'NetBanking', 'Wallet', 'Pending'], default: 'Pending' },
     paymentStatus: { type: String, enum: ['Pending', 'Paid', 'Failed', 'Refunded'], default: 'Pending', index: true },
+    // Refund summary - entries live on Payment.refunds
+    refundedAmount: { type: Number, default: 0 },
+    refundStatus: { type: String, enum: ['None', 'Pending', 'Partial', 'Refunded', 'Failed'], default: 'None' },
     paymentId: { type: String, sparse: true, unique: true, index: true },  // Razorpay payment ID - unique to prevent duplicates
     razorpayOrderId: { type: String, index: true },
     razorpaySignature: { type: String },
+    paymentGateway: { type: String },     // Gateway the payment was started with (razorpay, fake)
     upiId: { type: String },
-    upiTransactionId: { type: String },
-    paymentReceipt: { type: String },
+    upiTransactionId: { type: String },   // UTR of a manual UPI payment, as reported by the customer
+    paymentReceipt: { type: String },     // Screenshot of that payment (file name in private/payments - not public)
+    // Manual UPI payment review (services/upiVerificationService.js)
+    upiVerification: {
+        status: { type: String, enum: ['pending', 'approved', 'rejected'] },
+        submittedAt: Date,
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reviewedAt: Date,
+        rejectionReason: String
+    },
     
     // Shipping address with location
     shippingAddress: {
@@ -53,6 +79,8 @@ const orderSchema = new mongoose.Schema({
     // Stock reduction tracking
     stockReduced: { type: Boolean, default: false },  // Track if stock was reduced for this order
     stockReducedAt: { type: Date },
+    stockReservedUntil: { type: Date },               // Set while stock is only held for an unpaid checkout (services/stockReservationService.js)
+    couponsReleased: { type: Boolean },               // Coupon uses given back with a released hold - counted again if the stock is taken again
     
     invoicePath: { type: String },
     invoiceUrl: { type: String },
@@ -64,13 +92,60 @@ const orderSchema = new mongoose.Schema({
     smsAdminSent: { type: Boolean, default: false },
     smsError: { type: String },
     lastSmsSendAttempt: { type: Date },
+    statusSmsSent: [String],                          // Statuses whose update SMS has gone out (sendOrderStatusSMS)
     
     statusHistory: [{
         status: String,
         timestamp: { type: Date, default: Date.now },
         note: String
     }],
-    
+
+    // ═══════════════════════════════════════════════════════════════════
+    // SHIPMENT - Courier AWBs and tracking events (services/courierService.js)
+    // ═══════════════════════════════════════════════════════════════════
+    shipment: {
+        courier: { type: String },                  // Adapter code - 'fake', 'manual', ...
+        courierName: { type: String },              // Shown to the customer
+        awbNumber: { type: String },                // Master AWB (first package)
+        trackingUrlTemplate: { type: String },      // e.g. https://courier.in/track?awb={awb}
+        expectedDeliveryDate: { type: Date },
+        shippedAt: { type: Date },
+        packages: [{
+            awbNumber: { type: String, required: true },
+            weight: Number,                         // kg
+            description: String,
+            status: { type: String, default: 'SHIPPED' },
+            deliveredAt: Date
+        }],
+        status: { type: String },                   // Latest tracking status across packages
+        events: [{
+            awbNumber: String,
+            status: String,                         // PICKED_UP | IN_TRANSIT | OUT_FOR_DELIVERY | DELIVERED | EXCEPTION ...
+            description: String,
+            location: String,
+            timestamp: Date
+        }],
+        lastSyncedAt: { type: Date },
+        syncError: { type: String }
+    },
+
+    // ═══════════════════════════════════════════════════════════════════
+    // TAX INVOICE - Number from a gapless per-financial-year series
+    // ═══════════════════════════════════════════════════════════════════
+    invoice: {
+        number: { type: String },
+        issuedAt: { type: Date },
+        financialYear: { type: String },
+        sellerGstin: { type: String },
+        sellerState: { type: String },
+        placeOfSupply: { type: String },
+        supplyType: { type: String, enum: ['intra', 'inter'] },
+        taxableValue: { type: Number },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        totalTax: { type: Number, default: 0 }
+    },
     // ═══════════════════════════════════════════════════════════════════
     // SOFT DELETE - Never permanently delete order data
     // ═══════════════════════════════════════════════════════════════════
@@ -88,6 +163,17 @@ orderSchema.index({ status: 1, createdAt: -1 });         // Orders by status
 orderSchema.index({ paymentStatus: 1, status: 1 });      // Payment filtering
 orderSchema.index({ isDeleted: 1, status: 1 });          // Admin queries
 orderSchema.index({ createdAt: -1 });                     // Recent orders
+orderSchema.index({ user: 1, 'discounts.code': 1 });     // Per-user coupon usage
+orderSchema.index({ 'shipment.packages.awbNumber': 1 }, { sparse: true }); // Tracking lookups by AWB
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });  // Tax invoice lookup
+orderSchema.index({ stockReservedUntil: 1 }, { sparse: true });  // Expired checkout holds
+orderSchema.index({ upiTransactionId: 1 }, { sparse: true });    // Duplicate UTR checks
+// One approval per UTR - makes concurrent approvals of the same transfer fail (built at startup by ensureIndexes)
+orderSchema.index(
+    { upiTransactionId: 1, 'upiVerification.status': 1 },
+    { unique: true, name: 'upi_utr_approved_once', partialFilterExpression: { 'upiVerification.status': 'approved' } }
+);
+orderSchema.index({ 'upiVerification.status': 1, 'upiVerification.submittedAt': 1 });  // Verification queue
 
 // Auto-generate order number
 orderSchema.pre('save', async function (next) {
@@ -4,6 +4,10 @@ const mongoose = require('mongoose');
 // PAYMENT MODEL - Tracks all payments separately from orders
 // ══════════════════════════════════════════════════════════════════════════
 const paymentSchema = new mongoose.Schema({
+    // Gateway that took the payment (services/paymentGateway.js) - ids below are its own;
+    // 'manual_upi' for UPI transfers an admin verified by UTR (services/upiVerificationService.js)
+    gateway: { type: String, default: 'razorpay' },
+
     // Razorpay identifiers
     razorpayPaymentId: { type: String, unique: true, sparse: true },
     razorpayOrderId: { type: String },
@@ -58,14 +62,39 @@ const paymentSchema = new mongoose.Schema({
         phone: String
     },
     
-    // Refund tracking
+    // Refund tracking - one entry per Razorpay refund (amount in rupees)
     refunds: [{
         refundId: String,
         amount: Number,
-        status: String,
+        status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+        reason: String,
+        error: String,                                                          // Gateway error when failed
+        returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
+        initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        processedAt: Date,
         createdAt: { type: Date, default: Date.now }
     }],
     
+    // Chargebacks raised by the customer's bank - one entry per Razorpay dispute (amount in rupees)
+    disputes: [{
+        disputeId: String,
+        amount: Number,
+        reasonCode: String,
+        reason: String,
+        phase: String,           // chargeback, pre_arbitration, arbitration, ...
+        status: String,          // open, under_review, won, lost, closed
+        respondBy: Date,
+        updatedAt: { type: Date, default: Date.now }
+    }],
+    
+    // Settlement to our bank account - filled by reconciliation (services/reconciliationService.js)
+    settlement: {
+        settlementId: String,
+        utr: String,
+        settledAt: Date
+    },
+    reconciledAt: Date,
+    
     // Webhook info
     webhookReceived: { type: Boolean, default: false },
     webhookPayload: mongoose.Schema.Types.Mixed,
@@ -90,5 +119,8 @@ paymentSchema.index({ order: 1 });                      // Find payment by order
 paymentSchema.index({ razorpayOrderId: 1 });            // Find by Razorpay order ID
 paymentSchema.index({ createdAt: -1 });                 // Recent payments
 paymentSchema.index({ isDeleted: 1, status: 1 });       // Admin queries
+paymentSchema.index({ 'refunds.refundId': 1 });         // Refund webhooks
+paymentSchema.index({ 'settlement.settlementId': 1 });  // Payments in a settlement
+paymentSchema.index({ 'disputes.disputeId': 1 });       // Dispute webhooks
 
 module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+// ═══════════════════════════════════════════════════════════════════
+// VARIANT - One SKU per size × color with its own stock
+// ═══════════════════════════════════════════════════════════════════
+const variantSchema = new mongoose.Schema({
+    sku: { type: String, required: true, trim: true },
+    size: { type: String, enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size'], required: true },
+    color: { type: String, default: '' },
+    stock: { type: Number, default: 0, min: 0 },
+    price: { type: Number, min: 0 },            // Optional override of product price
+    barcode: { type: String, trim: true },
+    isActive: { type: Boolean, default: true }
+});
+
 const productSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true },
     price: { type: Number, required: true, min: 0 },
@@ -23,7 +36,11 @@ const productSchema = new mongoose.Schema({
     },
     sizes: [{ type: String, enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size'] }],
     colors: [{ type: String }],
-    stock: { type: Number, default: 10, min: 0 },
+    variants: [variantSchema],
+    stock: { type: Number, default: 10, min: 0 },  // Sum of variant stock when variants exist
+    weight: { type: Number, default: 0, min: 0 },  // Grams per unit - used by weight-based shipping rules
+    hsnCode: { type: String, default: '6204', trim: true },  // HSN code for GST invoices
+    taxRate: { type: Number, default: 5, enum: [0, 5, 12, 18, 28] },  // GST % included in the price
     isActive: { type: Boolean, default: true },
     isFeatured: { type: Boolean, default: false },
     isNewArrival: { type: Boolean, default: true },
@@ -52,5 +69,52 @@ productSchema.index({ stock: 1 });                                        // Low
 productSchema.index({ isFeatured: 1, isActive: 1 });                      // Featured products
 productSchema.index({ isNewArrival: 1, createdAt: -1 });                  // New arrivals
 productSchema.index({ isDeleted: 1, isActive: 1 });                       // Admin queries
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true }); // SKU lookups
+productSchema.index({ 'variants.stock': 1 });                             // Variant low stock queries
+
+// Build a readable SKU: TCS-<product id suffix>-<SIZE>-<COLOR>
+// 12 hex chars of the id (its random + counter bytes) and the whole colour, so
+// "Maroon Red" and "Maroon Rose" differ; pre('validate') settles any clash left
+productSchema.statics.buildSku = function (productId, size, color = '') {
+    const clean = (v) => String(v || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const parts = ['TCS', String(productId).slice(-12).toUpperCase(), clean(size) || 'FS'];
+    if (clean(color)) parts.push(clean(color));
+    return parts.join('-');
+};
+
+// Find the variant matching a size/color pair (color is optional)
+productSchema.methods.findVariant = function (size, color) {
+    if (!this.variants?.length) return null;
+    const wantColor = (color || '').toLowerCase();
+    return this.variants.find(v =>
+        v.size === size && (v.color || '').toLowerCase() === wantColor
+    ) || (!color ? this.variants.find(v => v.size === size) : null) || null;
+};
+
+// Keep SKUs filled and product-level stock in sync with variants
+// The unique index only compares products with each other, so a SKU repeated
+// within the product is refused here; generated ones get -2, -3... on a clash
+productSchema.pre('validate', async function (next) {
+    if (!this.variants?.length) return next();
+
+    const given = this.variants.map(v => v.sku).filter(Boolean);
+    const repeated = given.find((sku, i) => given.indexOf(sku) !== i);
+    if (repeated) {
+        this.invalidate('variants', `SKU ${repeated} is used by more than one variant`);
+        return next();
+    }
+
+    const taken = new Set(given);
+    const usedElsewhere = (sku) => this.constructor.exists({ _id: { $ne: this._id }, 'variants.sku': sku });
+    for (const v of this.variants.filter(v => !v.sku)) {
+        const base = this.constructor.buildSku(this._id, v.size, v.color);
+        let sku = base;
+        for (let n = 2; taken.has(sku) || await usedElsewhere(sku); n++) sku = `${base}-${n}`;
+        v.sku = sku;
+        taken.add(sku);
+    }
+    this.stock = this.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+    next();
+});
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// RECONCILIATION RUN - Gateway payments / settlements matched against our
+// Payment and Order records for a date range (services/reconciliationService.js)
+// Amounts are in rupees; gateway fees and tax included.
+// ══════════════════════════════════════════════════════════════════════════
+const mismatchSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: [
+            'missing_order',            // Captured at the gateway, no paid order here
+            'duplicate_payment',        // A second captured payment for an order that is already paid
+            'missing_payment_record',   // Paid order without its Payment document
+            'amount_mismatch',          // Captured amount differs from the order total
+            'refund_mismatch',          // Refunded amount differs from our processed refunds
+            'status_mismatch',          // Paid here, failed at the gateway
+            'not_captured',             // Authorized but never captured - money blocked on the customer's account
+            'missing_at_gateway'        // Paid here, unknown to the gateway
+        ],
+        required: true
+    },
+    paymentId: String,
+    razorpayOrderId: String,
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    gatewayStatus: String,
+    localStatus: String,
+    gatewayAmount: Number,
+    localAmount: Number,
+    message: String,
+    healed: { type: Boolean, default: false },     // Fixed automatically by this run
+    resolved: { type: Boolean, default: false },   // Acknowledged by an admin
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: Date,
+    resolutionNote: String
+});
+
+const reconciliationRunSchema = new mongoose.Schema({
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    gateway: { type: String },                                  // Gateway client code (razorpay, fake)
+    trigger: { type: String, enum: ['schedule', 'manual'], default: 'manual' },
+    startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+    error: String,
+    finishedAt: Date,
+
+    summary: {
+        gatewayPayments: { type: Number, default: 0 },
+        captured: { type: Number, default: 0 },
+        capturedAmount: { type: Number, default: 0 },
+        refundedAmount: { type: Number, default: 0 },
+        fees: { type: Number, default: 0 },
+        tax: { type: Number, default: 0 },             // GST on the fees (included in fees)
+        expectedNet: { type: Number, default: 0 },     // captured - fees - refunds
+        settledAmount: { type: Number, default: 0 },   // Credits - debits settled for these payments so far
+        unsettled: { type: Number, default: 0 },       // Captured payments not in any settlement yet
+        matched: { type: Number, default: 0 },
+        mismatches: { type: Number, default: 0 },
+        healed: { type: Number, default: 0 }
+    },
+
+    settlements: [{
+        settlementId: String,
+        utr: String,
+        status: String,
+        amount: Number,
+        fees: Number,
+        tax: Number,
+        settledAt: Date,
+        payments: Number                               // Payments from this range it covered
+    }],
+
+    mismatches: [mismatchSchema]
+}, { timestamps: true });
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+reconciliationRunSchema.index({ createdAt: -1 });          // Admin list
+reconciliationRunSchema.index({ job: 1 });                 // Job retries reuse their run
+reconciliationRunSchema.index({ 'mismatches.paymentId': 1 });
+
+module.exports = mongoose.model('ReconciliationRun', reconciliationRunSchema);
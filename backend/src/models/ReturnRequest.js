@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// RETURN REQUEST (RMA) MODEL - Customer returns and size exchanges
+// ══════════════════════════════════════════════════════════════════════════
+const RETURN_STATUSES = [
+    'REQUESTED',          // Customer raised the request
+    'APPROVED',           // Admin accepted, pickup to be arranged
+    'REJECTED',           // Admin declined (final)
+    'CANCELLED',          // Customer withdrew before approval (final)
+    'PICKUP_SCHEDULED',   // Courier pickup booked
+    'PICKED_UP',          // Courier collected the parcel
+    'RECEIVED',           // Parcel checked at the warehouse, stock restocked
+    'REFUNDED',           // Return resolved with a refund (final)
+    'EXCHANGED'           // Exchange order created (final)
+];
+
+const RETURN_REASONS = ['Size too small', 'Size too large', 'Damaged / defective', 'Wrong item received', 'Not as described', 'Other'];
+
+const returnRequestSchema = new mongoose.Schema({
+    rmaNumber: { type: String, unique: true, index: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+    type: { type: String, enum: ['return', 'exchange'], required: true },
+    reason: { type: String, enum: RETURN_REASONS, required: true },
+    comment: { type: String, maxlength: 1000 },
+    photos: [{ type: String }],
+
+    // Lines being sent back - copied from the order item
+    items: [{
+        orderItem: { type: mongoose.Schema.Types.ObjectId },   // _id of the line in order.items
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        name: String,
+        price: Number,
+        quantity: { type: Number, min: 1 },
+        size: String,
+        color: String,
+        sku: String,
+        // Exchange only - the variant the customer wants instead
+        exchangeSize: String,
+        exchangeColor: String
+    }],
+
+    status: { type: String, enum: RETURN_STATUSES, default: 'REQUESTED', index: true },
+    statusHistory: [{
+        status: String,
+        timestamp: { type: Date, default: Date.now },
+        note: String,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }],
+    adminNote: { type: String },
+
+    // Reverse pickup
+    pickup: {
+        courier: String,
+        trackingNumber: String,
+        scheduledAt: Date,
+        pickedUpAt: Date
+    },
+
+    // Warehouse receipt
+    receivedAt: { type: Date },
+    restocked: { type: Boolean, default: false },
+
+    // Resolution
+    refundAmount: { type: Number, default: 0 },
+    refundedAt: { type: Date },
+    refundId: { type: String },          // Razorpay refund - empty when refunded offline (COD)
+    exchangeOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+
+    // ═══════════════════════════════════════════════════════════════════
+    // SOFT DELETE - Keep RMA history
+    // ═══════════════════════════════════════════════════════════════════
+    isDeleted: { type: Boolean, default: false, index: true },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+returnRequestSchema.index({ user: 1, createdAt: -1 });      // Customer's requests
+returnRequestSchema.index({ status: 1, createdAt: -1 });    // Admin queue
+returnRequestSchema.index({ order: 1, status: 1 });         // Open requests per order
+
+// Auto-generate RMA number
+returnRequestSchema.pre('save', async function (next) {
+    if (!this.rmaNumber) {
+        const count = await mongoose.model('ReturnRequest').countDocuments();
+        this.rmaNumber = `RMA${String(count + 1).padStart(6, '0')}`;
+    }
+    next();
+});
+
+returnRequestSchema.statics.STATUSES = RETURN_STATUSES;
+returnRequestSchema.statics.REASONS = RETURN_REASONS;
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
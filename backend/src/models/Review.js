@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// REVIEW MODEL - Verified-purchase product reviews
+// ══════════════════════════════════════════════════════════════════════════
+const REVIEW_STATUSES = [
+    'pending',      // Waiting for moderation (new or edited review)
+    'approved',     // Published - counts towards Product.ratings
+    'rejected'      // Hidden by an admin
+];
+
+const reviewSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },   // Delivered order that verifies the purchase
+    size: { type: String },                  // Variant bought, shown as "Size M"
+    color: { type: String },
+
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    title: { type: String, trim: true, maxlength: 120 },
+    comment: { type: String, trim: true, maxlength: 2000 },
+    photos: [{ type: String }],
+
+    // Moderation
+    status: { type: String, enum: REVIEW_STATUSES, default: 'pending', index: true },
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    moderatedAt: { type: Date },
+    moderationNote: { type: String },
+
+    // Helpful votes - one per user
+    helpfulVotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    helpfulCount: { type: Number, default: 0 },
+
+    // ═══════════════════════════════════════════════════════════════════
+    // SOFT DELETE - Keep reviews for moderation history
+    // ═══════════════════════════════════════════════════════════════════
+    isDeleted: { type: Boolean, default: false, index: true },
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });           // One review per product per customer
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });          // Newest first
+reviewSchema.index({ product: 1, status: 1, helpfulCount: -1 });       // Most helpful
+reviewSchema.index({ product: 1, status: 1, rating: -1 });             // Rating sort / filter
+reviewSchema.index({ status: 1, createdAt: -1 });                      // Moderation queue
+
+reviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// SESSION - One per sign-in (device). Holds the rotating refresh token
+// Only a keyed hash of the refresh token is stored; access JWTs carry the
+// session id (sid) so revoking the session signs that device out at once
+// ══════════════════════════════════════════════════════════════════════════
+const sessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true },
+    previousTokenHash: { type: String },          // Last rotated-out token - replaying it revokes the session
+    rotationCount: { type: Number, default: 0 },
+
+    // Device
+    userAgent: { type: String },
+    device: { type: String },                      // e.g. "Chrome on Android"
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    lastIp: { type: String },
+
+    expiresAt: { type: Date, required: true },     // Refresh token lifetime
+    revokedAt: { type: Date },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'revoked', 'password_change', 'token_reuse', 'account_disabled']
+    }
+}, { timestamps: true });
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });  // Purged a week after expiry
+
+module.exports = mongoose.model('Session', sessionSchema);
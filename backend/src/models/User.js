@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true },
@@ -7,6 +8,8 @@ const userSchema = new mongoose.Schema({
     phone: { type: String, unique: true, sparse: true },
     password: { type: String },
     role: { type: String, enum: ['user', 'admin'], default: 'user' },
+    // Staff only - what the admin can do (config/permissions.js); unset = owner
+    adminRole: { type: String, enum: Object.keys(ROLES) },
     // Social login
     socialId: { type: String },
     provider: { type: String, enum: ['local', 'facebook', 'instagram'], default: 'local' },
@@ -27,6 +30,15 @@ const userSchema = new mongoose.Schema({
         isDefault: { type: Boolean, default: false }
     }],
     isActive: { type: Boolean, default: true },
+
+    // ═══════════════════════════════════════════════════════════════════
+    // VERIFICATION - OTP confirmed (services/verificationService.js)
+    // ═══════════════════════════════════════════════════════════════════
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    phoneVerified: { type: Boolean, default: false },
+    phoneVerifiedAt: { type: Date },
+    passwordChangedAt: { type: Date },  // JWTs issued before this are rejected
     
     // ═══════════════════════════════════════════════════════════════════
     // SOFT DELETE - Never permanently delete user data
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// VERIFICATION TOKEN - Password reset links and email / phone OTPs
+// Only a keyed hash of the token is stored; each token is single-use
+// ══════════════════════════════════════════════════════════════════════════
+const verificationTokenSchema = new mongoose.Schema({
+    // Login codes can be for a phone with no account yet (created on verify)
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: function () { return this.purpose !== 'phone_login'; } },
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verify', 'phone_verify', 'phone_login'],
+        required: true
+    },
+    channel: { type: String, enum: ['email', 'sms'], required: true },
+    target: { type: String, required: true },      // Email / phone it was sent to
+    tokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 },        // Wrong OTP guesses
+    usedAt: { type: Date },
+    revokedAt: { type: Date },                     // Superseded by a newer token / too many attempts
+    requestIp: { type: String }
+}, { timestamps: true });
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+verificationTokenSchema.index({ tokenHash: 1 });
+verificationTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+verificationTokenSchema.index({ target: 1, purpose: 1, createdAt: -1 });     // Login codes per phone
+verificationTokenSchema.index({ requestIp: 1, purpose: 1, createdAt: -1 });  // Rate limit per IP
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });  // Purged a week after expiry
+
+module.exports = mongoose.model('VerificationToken', verificationTokenSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// How long bad-signature deliveries are kept
+const REJECTED_TTL_DAYS = 7;
+
+// ══════════════════════════════════════════════════════════════════════════
+// WEBHOOK EVENT - Every Razorpay webhook delivery (services/webhookService.js)
+// One document per event id: redeliveries bump `deliveries` and are only
+// processed again if the first try failed. Deliveries with a bad signature
+// are only noted (no payload) for REJECTED_TTL_DAYS, never processed or used
+// for dedupe.
+// ══════════════════════════════════════════════════════════════════════════
+const webhookEventSchema = new mongoose.Schema({
+    provider: { type: String, default: 'razorpay' },
+    eventId: { type: String },                            // x-razorpay-event-id (hash of the body if missing)
+    claimedEventId: { type: String },                     // Header of a delivery that failed verification
+    event: { type: String },                              // payment.captured, refund.processed, ...
+    signatureValid: { type: Boolean, default: false },
+    status: {
+        type: String,
+        enum: ['received', 'processed', 'ignored', 'failed', 'rejected'],
+        default: 'received'
+    },
+
+    // Entity ids pulled out of the payload for searching
+    paymentId: { type: String },
+    razorpayOrderId: { type: String },
+    refundId: { type: String },
+    disputeId: { type: String },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    ip: { type: String },                                 // Sender of a rejected delivery (rate limit)
+
+    payload: { type: mongoose.Schema.Types.Mixed },
+    result: { type: mongoose.Schema.Types.Mixed },        // What the handler did
+    error: { type: String },
+
+    deliveries: { type: Number, default: 1 },
+    lastDeliveryAt: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0 },               // Processing runs (deliveries + replays)
+    processedAt: { type: Date },
+    replays: [{
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        status: String,
+        error: String
+    }]
+}, { timestamps: true });
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+webhookEventSchema.index({ eventId: 1 }, { unique: true, sparse: true });  // Dedupe - built at startup by ensureIndexes (server.js)
+webhookEventSchema.index({ status: 1, createdAt: -1 });                    // Admin viewer
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+webhookEventSchema.index({ paymentId: 1 });
+webhookEventSchema.index({ razorpayOrderId: 1 });
+webhookEventSchema.index({ order: 1 });
+webhookEventSchema.index({ status: 1, ip: 1, createdAt: -1 });             // Rejected deliveries per sender
+// Rejected deliveries expire - built at startup by ensureIndexes (server.js)
+webhookEventSchema.index(
+    { createdAt: 1 },
+    { name: 'rejected_ttl', expireAfterSeconds: REJECTED_TTL_DAYS * 24 * 60 * 60, partialFilterExpression: { status: 'rejected' } }
+);
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
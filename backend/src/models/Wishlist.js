@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// ══════════════════════════════════════════════════════════════════════════
+// WISHLIST MODEL - Saved-for-later products, one list per user
+// ══════════════════════════════════════════════════════════════════════════
+const wishlistSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true, index: true },
+    items: [{
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        size: { type: String, default: '' },        // Empty = any size (saved from a product card)
+        color: { type: String, default: '' },
+        addedAt: { type: Date, default: Date.now },
+
+        // Alert state (services/wishlistService.js)
+        notify: { type: Boolean, default: true },   // SMS when back in stock / cheaper
+        inStock: { type: Boolean, default: true },  // Availability when last checked - false arms the restock alert
+        alertPrice: { type: Number },               // Price when saved or last price-drop alert
+        lastAlertAt: { type: Date }
+    }],
+
+    // ═══════════════════════════════════════════════════════════════════
+    // SOFT DELETE - For analytics
+    // ═══════════════════════════════════════════════════════════════════
+    isDeleted: { type: Boolean, default: false, index: true },
+    deletedAt: { type: Date }
+}, { timestamps: true });
+
+// ═══════════════════════════════════════════════════════════════════
+// INDEXES for faster queries
+// ═══════════════════════════════════════════════════════════════════
+wishlistSchema.index({ 'items.product': 1 });  // Watchers of a product (restock / price alerts)
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,18 @@
+const router = require('express').Router();
+const { protect, authorize } = require('../middleware/auth');
+const { listAuditLogs } = require('../services/auditService');
+
+// ══════════════════════════════════════════════════════════════════════════
+// AUDIT LOG - Read-only viewer (CSV: GET /api/admin/export/audit)
+// ══════════════════════════════════════════════════════════════════════════
+
+// ?actor=&action=product.update,order.status&entity=&entityId=&from=&to=&page=&limit=
+router.get('/', protect, authorize('audit:read'), async (req, res) => {
+    try {
+        res.json(await listAuditLogs(req.query));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
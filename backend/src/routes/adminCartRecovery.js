@@ -0,0 +1,52 @@
+const router = require('express').Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+    getCartRecoveryConfig,
+    saveCartRecoveryConfig,
+    runCartRecovery,
+    getRecoveryStats
+} = require('../services/cartRecoveryService');
+const { recordAudit } = require('../services/auditService');
+
+// ══════════════════════════════════════════════════════════════════════════
+// ABANDONED CART RECOVERY - Reminder settings and conversion report
+// ══════════════════════════════════════════════════════════════════════════
+
+// Conversion report - ?days=30
+router.get('/stats', protect, authorize('reports:read'), async (req, res) => {
+    try {
+        res.json(await getRecoveryStats(req.query));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+router.get('/config', protect, authorize('reports:read'), async (req, res) => {
+    try {
+        res.json(await getCartRecoveryConfig());
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+router.put('/config', protect, authorize('settings:manage'), async (req, res) => {
+    try {
+        const before = await getCartRecoveryConfig();
+        const config = await saveCartRecoveryConfig(req.body, req.user._id);
+        await recordAudit(req, { action: 'settings.update', entity: 'Settings', entityId: 'cart_recovery', label: 'Abandoned cart reminders', before, after: config });
+        res.json(config);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Run the job now instead of waiting for the next tick
+router.post('/run', protect, authorize('settings:manage'), async (req, res) => {
+    try {
+        res.json(await runCartRecovery());
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
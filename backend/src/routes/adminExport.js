@@ -7,14 +7,21 @@
 // - Export all payments as CSV
 // - Export all products as CSV
 // - Export inventory report
+// - Export the admin audit log
 // ══════════════════════════════════════════════════════════════════════════════
 
 const router = require('express').Router();
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { can } = require('../config/permissions');
 const Order = require('../models/Order');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
 const Product = require('../models/Product');
+const AuditLog = require('../models/AuditLog');
+const { buildAuditFilter } = require('../services/auditService');
+
+// Cap for one audit export - narrow the date range for more
+const MAX_AUDIT_EXPORT_ROWS = 50000;
 
 // Helper: Convert array of objects to CSV
 const toCSV = (data, columns) => {
@@ -60,7 +67,7 @@ const toCSV = (data, columns) => {
 // ═══════════════════════════════════════════════════════════════════
 // EXPORT ORDERS - All orders with full details
 // ═══════════════════════════════════════════════════════════════════
-router.get('/orders', protect, adminOnly, async (req, res) => {
+router.get('/orders', protect, authorize('orders:read'), async (req, res) => {
     try {
         const { startDate, endDate, status, includeDeleted } = req.query;
         
@@ -126,7 +133,7 @@ router.get('/orders', protect, adminOnly, async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════
 // EXPORT USERS - All registered users
 // ═══════════════════════════════════════════════════════════════════
-router.get('/users', protect, adminOnly, async (req, res) => {
+router.get('/users', protect, authorize('users:read'), async (req, res) => {
     try {
         const { role, includeDeleted } = req.query;
         
@@ -190,7 +197,7 @@ router.get('/users', protect, adminOnly, async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════
 // EXPORT PAYMENTS - All payment records
 // ═══════════════════════════════════════════════════════════════════
-router.get('/payments', protect, adminOnly, async (req, res) => {
+router.get('/payments', protect, authorize('payments:read'), async (req, res) => {
     try {
         const { startDate, endDate, status, includeDeleted } = req.query;
         
@@ -248,7 +255,7 @@ router.get('/payments', protect, adminOnly, async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════
 // EXPORT PRODUCTS - All products with inventory
 // ═══════════════════════════════════════════════════════════════════
-router.get('/products', protect, adminOnly, async (req, res) => {
+router.get('/products', protect, authorize('inventory:read'), async (req, res) => {
     try {
         const { category, includeDeleted, lowStock } = req.query;
         
@@ -301,7 +308,7 @@ router.get('/products', protect, adminOnly, async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════
 // EXPORT INVENTORY REPORT - Low stock and sales analysis
 // ═══════════════════════════════════════════════════════════════════
-router.get('/inventory', protect, adminOnly, async (req, res) => {
+router.get('/inventory', protect, authorize('inventory:read'), async (req, res) => {
     try {
         // Get all products with stock info
         const products = await Product.find({ isDeleted: { $ne: true } })
@@ -361,7 +368,7 @@ router.get('/inventory', protect, adminOnly, async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════
 // DAILY SALES REPORT - Revenue by date
 // ═══════════════════════════════════════════════════════════════════
-router.get('/sales-report', protect, adminOnly, async (req, res) => {
+router.get('/sales-report', protect, authorize('reports:read'), async (req, res) => {
     try {
         const { startDate, endDate } = req.query;
         
@@ -423,35 +430,90 @@ router.get('/sales-report', protect, adminOnly, async (req, res) => {
     }
 });
 
+// ═══════════════════════════════════════════════════════════════════
+// EXPORT AUDIT LOG - Admin changes, one row per entry
+// ═══════════════════════════════════════════════════════════════════
+router.get('/audit', protect, authorize('audit:read'), async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const filter = buildAuditFilter({ ...req.query, from: req.query.from || startDate, to: req.query.to || endDate });
+
+        const logs = await AuditLog.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(MAX_AUDIT_EXPORT_ROWS)
+            .lean();
+
+        const formatValue = (value) => (value === null || value === undefined ? '∅' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+        const rows = logs.map(log => ({
+            ...log,
+            changesText: (log.changes || []).map(c => `${c.field}: ${formatValue(c.from)} → ${formatValue(c.to)}`).join('; ')
+        }));
+
+        const columns = [
+            { key: 'createdAt', label: 'Date' },
+            { key: 'actorName', label: 'Actor' },
+            { key: 'actorEmail', label: 'Actor Email / Phone' },
+            { key: 'actorRole', label: 'Actor Role' },
+            { key: 'action', label: 'Action' },
+            { key: 'entity', label: 'Entity' },
+            { key: 'entityId', label: 'Entity ID' },
+            { key: 'entityLabel', label: 'Record' },
+            { key: 'changesText', label: 'Changes' },
+            { key: 'note', label: 'Note' },
+            { key: 'ip', label: 'IP' },
+            { key: 'method', label: 'Method' },
+            { key: 'path', label: 'Path' }
+        ];
+
+        const csv = toCSV(rows, columns);
+
+        const filename = `TCS_Audit_Log_${new Date().toISOString().split('T')[0]}.csv`;
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+
+    } catch (err) {
+        console.error('Export audit log error:', err);
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
 // ═══════════════════════════════════════════════════════════════════
 // GET EXPORT OPTIONS - List all available exports
 // ═══════════════════════════════════════════════════════════════════
-router.get('/', protect, adminOnly, async (req, res) => {
+router.get('/', protect, authorize(), async (req, res) => {
     try {
         // Get counts for dashboard
-        const [orderCount, userCount, productCount, paymentCount] = await Promise.all([
+        const [orderCount, userCount, productCount, paymentCount, auditCount] = await Promise.all([
             Order.countDocuments({ isDeleted: { $ne: true } }),
             User.countDocuments({ isDeleted: { $ne: true } }),
             Product.countDocuments({ isDeleted: { $ne: true } }),
-            Payment.countDocuments({ isDeleted: { $ne: true } })
+            Payment.countDocuments({ isDeleted: { $ne: true } }),
+            AuditLog.estimatedDocumentCount()
         ]);
         
         res.json({
+            // Only the exports this role may download
             exports: [
-                { name: 'Orders', endpoint: '/api/admin/export/orders', count: orderCount },
-                { name: 'Users', endpoint: '/api/admin/export/users', count: userCount },
-                { name: 'Products', endpoint: '/api/admin/export/products', count: productCount },
-                { name: 'Payments', endpoint: '/api/admin/export/payments', count: paymentCount },
-                { name: 'Inventory Report', endpoint: '/api/admin/export/inventory', count: productCount },
-                { name: 'Sales Report', endpoint: '/api/admin/export/sales-report', count: orderCount }
-            ],
+                { name: 'Orders', endpoint: '/api/admin/export/orders', count: orderCount, permission: 'orders:read' },
+                { name: 'Users', endpoint: '/api/admin/export/users', count: userCount, permission: 'users:read' },
+                { name: 'Products', endpoint: '/api/admin/export/products', count: productCount, permission: 'inventory:read' },
+                { name: 'Payments', endpoint: '/api/admin/export/payments', count: paymentCount, permission: 'payments:read' },
+                { name: 'Inventory Report', endpoint: '/api/admin/export/inventory', count: productCount, permission: 'inventory:read' },
+                { name: 'Sales Report', endpoint: '/api/admin/export/sales-report', count: orderCount, permission: 'reports:read' },
+                { name: 'Audit Log', endpoint: '/api/admin/export/audit', count: auditCount, permission: 'audit:read' }
+            ].filter(e => can(req.user, e.permission)),
             supportedFormats: ['CSV'],
             queryParams: {
                 startDate: 'Filter by start date (ISO format)',
                 endDate: 'Filter by end date (ISO format)',
                 status: 'Filter by status',
                 includeDeleted: 'Include soft-deleted records (true/false)',
-                lowStock: 'Only show low stock items (products only)'
+                lowStock: 'Only show low stock items (products only)',
+                actor: 'Audit log: actor id or email',
+                action: 'Audit log: comma-separated actions (e.g. product.update,order.status)',
+                entity: 'Audit log: Product, Order, Coupon, ...',
+                entityId: 'Audit log: one record\'s history'
             }
         });
     } catch (err) {
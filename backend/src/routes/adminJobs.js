@@ -0,0 +1,52 @@
+const router = require('express').Router();
+const Job = require('../models/Job');
+const { protect, authorize } = require('../middleware/auth');
+const { listJobs, retryJob, discardJob } = require('../services/jobQueue');
+const { recordAudit } = require('../services/auditService');
+
+// ══════════════════════════════════════════════════════════════════════════
+// BACKGROUND JOBS - Queue viewer and dead-letter handling
+// ══════════════════════════════════════════════════════════════════════════
+
+// ?status=dead&name=order.notify_sms&page=&limit=
+router.get('/', protect, authorize('jobs:manage'), async (req, res) => {
+    try {
+        res.json(await listJobs(req.query));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+router.get('/:id', protect, authorize('jobs:manage'), async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id).lean();
+        if (!job) return res.status(404).json({ message: 'Job not found' });
+        res.json(job);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Dead job back into the queue
+router.post('/:id/retry', protect, authorize('jobs:manage'), async (req, res) => {
+    try {
+        const job = await retryJob(req.params.id);
+        await recordAudit(req, { action: 'job.retry', entity: 'Job', entityId: job._id, label: job.name, note: job.lastError });
+        res.json(job);
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Give up on a dead job
+router.delete('/:id', protect, authorize('jobs:manage'), async (req, res) => {
+    try {
+        const job = await discardJob(req.params.id);
+        await recordAudit(req, { action: 'job.discard', entity: 'Job', entityId: job._id, label: job.name, before: { payload: job.payload, lastError: job.lastError } });
+        res.json({ message: 'Job discarded' });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const router = require('express').Router();
+const { protect, authorize } = require('../middleware/auth');
+const { startReconciliation, listRuns, getRun, resolveMismatch, getReconciliationGateway } = require('../services/reconciliationService');
+const { recordAudit } = require('../services/auditService');
+
+// ══════════════════════════════════════════════════════════════════════════
+// PAYMENT RECONCILIATION - Gateway payments / settlements vs our orders
+// ══════════════════════════════════════════════════════════════════════════
+
+// ?page=&limit=
+router.get('/', protect, authorize('payments:read'), async (req, res) => {
+    try {
+        const { code, name } = await getReconciliationGateway();
+        res.json({ ...(await listRuns(req.query)), gateway: { code, name } });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Summary, settlements and the mismatch report
+router.get('/:id', protect, authorize('payments:read'), async (req, res) => {
+    try {
+        res.json(await getRun(req.params.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Queue a run for { from, to } (YYYY-MM-DD)
+router.post('/', protect, authorize('payments:reconcile'), async (req, res) => {
+    try {
+        const { from, to } = req.body;
+        const job = await startReconciliation({ from, to, userId: req.user._id });
+        await recordAudit(req, { action: 'payment.reconcile', entity: 'Job', entityId: job._id, label: `${from} – ${to || from}` });
+        res.status(202).json({ message: 'Reconciliation queued', jobId: job._id });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Mark a mismatch as handled { note }
+router.put('/:id/mismatches/:mismatchId/resolve', protect, authorize('payments:reconcile'), async (req, res) => {
+    try {
+        const mismatch = await resolveMismatch(req.params.id, req.params.mismatchId, { userId: req.user._id, note: req.body.note });
+        await recordAudit(req, {
+            action: 'payment.reconcile_resolve',
+            entity: 'ReconciliationRun',
+            entityId: req.params.id,
+            label: `${mismatch.type} ${mismatch.paymentId || ''}`.trim(),
+            note: mismatch.resolutionNote || undefined
+        });
+        res.json(mismatch);
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
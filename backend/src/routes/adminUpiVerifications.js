@@ -0,0 +1,74 @@
+const router = require('express').Router();
+const path = require('path');
+const Order = require('../models/Order');
+const upload = require('../middleware/upload');
+const { protect, authorize } = require('../middleware/auth');
+const { listUpiVerifications, approveUpiPayment, rejectUpiPayment } = require('../services/upiVerificationService');
+const { recordAudit } = require('../services/auditService');
+
+// ══════════════════════════════════════════════════════════════════════════
+// UPI VERIFICATION - Manual UPI payments waiting for an admin to check the UTR
+// ══════════════════════════════════════════════════════════════════════════
+
+// ?status=pending|approved|rejected&search=<order number or UTR>&page=&limit=
+router.get('/', protect, authorize('payments:verify'), async (req, res) => {
+    try {
+        res.json(await listUpiVerifications(req.query));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Payment screenshot the customer uploaded - kept out of the public /uploads folder
+router.get('/:id/screenshot', protect, authorize('payments:verify'), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id).select('paymentReceipt');
+        if (!order?.paymentReceipt) return res.status(404).json({ message: 'No screenshot for this order' });
+        res.set('Cache-Control', 'private, no-store');
+        res.sendFile(path.join(upload.paymentProofsDir, path.basename(order.paymentReceipt)), (err) => {
+            if (err && !res.headersSent) res.status(404).json({ message: 'Screenshot not found' });
+        });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Money found on the statement - order becomes PAID (stock, invoice, SMS)
+router.put('/:id/approve', protect, authorize('payments:verify'), async (req, res) => {
+    try {
+        const order = await approveUpiPayment(req.params.id, { userId: req.user._id, note: req.body.note });
+        await recordAudit(req, {
+            action: 'payment.upi_approve',
+            entity: 'Order',
+            entityId: order._id,
+            label: order.orderNumber,
+            before: { status: 'PENDING', paymentStatus: 'Pending' },
+            after: { status: order.status, paymentStatus: order.paymentStatus },
+            note: `UTR ${order.upiTransactionId}${req.body.note ? ` - ${req.body.note}` : ''}`
+        });
+        res.json({ message: 'Payment approved', order });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// { reason } - shown to the customer; the order is cancelled and its stock released
+router.put('/:id/reject', protect, authorize('payments:verify'), async (req, res) => {
+    try {
+        const order = await rejectUpiPayment(req.params.id, { userId: req.user._id, reason: req.body.reason });
+        await recordAudit(req, {
+            action: 'payment.upi_reject',
+            entity: 'Order',
+            entityId: order._id,
+            label: order.orderNumber,
+            before: { status: 'PENDING', paymentStatus: 'Pending' },
+            after: { status: order.status, paymentStatus: order.paymentStatus },
+            note: `UTR ${order.upiTransactionId} - ${order.upiVerification.rejectionReason}`
+        });
+        res.json({ message: 'Payment rejected', order });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
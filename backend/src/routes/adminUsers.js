@@ -0,0 +1,81 @@
+const router = require('express').Router();
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+const {
+    listStaff,
+    addStaff,
+    updateStaff,
+    removeStaff
+} = require('../services/staffService');
+const { recordAudit } = require('../services/auditService');
+
+// Staff changes are audited on role and access only
+const auditView = ({ adminRole, isActive }) => ({ adminRole, isActive });
+
+// ══════════════════════════════════════════════════════════════════════════
+// ADMIN USERS - Staff accounts and roles (owner only by default)
+// ══════════════════════════════════════════════════════════════════════════
+
+// Roles and what each one can do - for the role picker
+router.get('/roles', protect, authorize(), (req, res) => {
+    res.json({
+        roles: Object.entries(ROLES).map(([id, role]) => ({ id, ...role })),
+        permissions: PERMISSIONS
+    });
+});
+
+router.get('/', protect, authorize('users:read'), async (req, res) => {
+    try {
+        res.json(await listStaff());
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Add staff - { adminRole, email | phone, name, password } (existing customers are promoted)
+router.post('/', protect, authorize('users:manage'), async (req, res) => {
+    try {
+        const { name, email, phone, password, adminRole } = req.body;
+        if (!adminRole) return res.status(400).json({ message: 'adminRole is required' });
+        const { staff, promoted } = await addStaff({ name, email, phone, password, adminRole });
+        await recordAudit(req, {
+            action: 'staff.add', entity: 'User', entityId: staff._id, label: staff.email || staff.phone,
+            before: promoted ? { adminRole: null, isActive: staff.isActive } : null, after: auditView(staff),
+            note: promoted ? 'Existing customer promoted' : 'New staff account'
+        });
+        res.status(promoted ? 200 : 201).json({ ...staff, promoted });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Change role / enable / disable - { adminRole?, isActive? }
+router.put('/:id', protect, authorize('users:manage'), async (req, res) => {
+    try {
+        const { adminRole, isActive } = req.body;
+        if (adminRole === undefined && typeof isActive !== 'boolean') {
+            return res.status(400).json({ message: 'Nothing to update' });
+        }
+        const { before, staff } = await updateStaff(req.user, req.params.id, { adminRole, isActive });
+        await recordAudit(req, { action: 'staff.update', entity: 'User', entityId: staff._id, label: staff.email || staff.phone, before: auditView(before), after: auditView(staff) });
+        res.json(staff);
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Remove staff access (the account remains as a customer)
+router.delete('/:id', protect, authorize('users:manage'), async (req, res) => {
+    try {
+        const { before, staff } = await removeStaff(req.user, req.params.id);
+        await recordAudit(req, {
+            action: 'staff.remove', entity: 'User', entityId: staff._id, label: staff.email || staff.phone,
+            before: auditView(before), after: { adminRole: null, isActive: staff.isActive }
+        });
+        res.json({ message: 'Staff access removed' });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const router = require('express').Router();
+const WebhookEvent = require('../models/WebhookEvent');
+const { protect, authorize } = require('../middleware/auth');
+const { listWebhookEvents, replayWebhookEvent } = require('../services/webhookService');
+const { recordAudit } = require('../services/auditService');
+
+// ══════════════════════════════════════════════════════════════════════════
+// PAYMENT WEBHOOKS - Stored Razorpay deliveries and replay
+// ══════════════════════════════════════════════════════════════════════════
+
+// ?status=failed&event=payment.captured&search=pay_xxx&page=&limit=
+router.get('/', protect, authorize('webhooks:manage'), async (req, res) => {
+    try {
+        res.json(await listWebhookEvents(req.query));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Full delivery including the payload
+router.get('/:id', protect, authorize('webhooks:manage'), async (req, res) => {
+    try {
+        const webhookEvent = await WebhookEvent.findById(req.params.id)
+            .populate('order', 'orderNumber')
+            .populate('replays.by', 'name email')
+            .lean();
+        if (!webhookEvent) return res.status(404).json({ message: 'Webhook event not found' });
+        res.json(webhookEvent);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Run the handler again (e.g. after fixing what made it fail)
+router.post('/:id/replay', protect, authorize('webhooks:manage'), async (req, res) => {
+    try {
+        const previous = await WebhookEvent.findById(req.params.id).select('status').lean();
+        const webhookEvent = await replayWebhookEvent(req.params.id, req.user._id);
+        await recordAudit(req, {
+            action: 'webhook.replay',
+            entity: 'WebhookEvent',
+            entityId: webhookEvent._id,
+            label: `${webhookEvent.event} ${webhookEvent.eventId}`,
+            before: { status: previous?.status },
+            after: { status: webhookEvent.status, error: webhookEvent.error },
+            note: webhookEvent.error || webhookEvent.result?.reason
+        });
+        res.json(webhookEvent);
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
@@ -1,11 +1,48 @@
 const router = require('express').Router();
-const jwt = require('jsonwebtoken');
 const passport = require('passport');
 const User = require('../models/User');
 const AdminSettings = require('../models/AdminSettings');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const {
+    requestPasswordReset,
+    resetPassword,
+    sendVerificationCode,
+    confirmVerificationCode,
+    requestLoginOtp,
+    verifyLoginOtp,
+    MIN_PASSWORD_LENGTH
+} = require('../services/verificationService');
+const {
+    createSession,
+    refreshSession,
+    revokeByRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+    signAccessToken
+} = require('../services/sessionService');
+const { adminRoleOf, permissionsFor } = require('../config/permissions');
+const { recordAudit } = require('../services/auditService');
 
-const generateToken = (id) => jwt.sign({ id }, process.env.JWT_SECRET || 'tcs_jwt_secret', { expiresIn: '30d' });
+// New session for this device - { token (short-lived JWT), refreshToken }
+const issueTokens = async (user, req) => {
+    const { token, refreshToken } = await createSession(user, { userAgent: req.get('user-agent'), ip: req.ip });
+    return { token, refreshToken };
+};
+
+// Signed-in user + tokens (password and OTP login)
+const loginResponse = async (user, req) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    avatar: user.avatar,
+    emailVerified: user.emailVerified,
+    phoneVerified: user.phoneVerified,
+    ...(user.role === 'admin' && { adminRole: adminRoleOf(user), permissions: permissionsFor(user) }),
+    ...(await issueTokens(user, req))
+});
 
 // Register
 router.post('/register', async (req, res) => {
@@ -17,13 +54,33 @@ router.post('/register', async (req, res) => {
         const existing = await User.findOne({ $or: [{ email }, { phone }] });
         if (existing) return res.status(400).json({ message: 'User already exists' });
 
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
         const user = await User.create({ name, email, phone, password });
+
+        // Send the first verification codes - registration succeeds even if they don't go out
+        const pendingVerification = [];
+        for (const channel of ['email', 'phone'].filter(c => user[c])) {
+            try {
+                await sendVerificationCode(user, channel, { ip: req.ip });
+                pendingVerification.push(channel);
+            } catch (err) {
+                console.error(`❌ Could not send ${channel} verification code:`, err.message);
+            }
+        }
+
         res.status(201).json({
             _id: user._id,
             name: user.name,
             email: user.email,
+            phone: user.phone,
             role: user.role,
-            token: generateToken(user._id)
+            emailVerified: user.emailVerified,
+            phoneVerified: user.phoneVerified,
+            pendingVerification,
+            ...(await issueTokens(user, req))
         });
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -37,23 +94,175 @@ router.post('/login', async (req, res) => {
         const user = await User.findOne({
             $or: [{ email: emailOrPhone }, { phone: emailOrPhone }]
         });
-        if (!user || !(await user.comparePassword(password))) {
+        // Social / OTP-only accounts have no password
+        if (!user || !user.password || !password || !(await user.comparePassword(password))) {
             return res.status(401).json({ message: 'Invalid credentials' });
         }
-        res.json({
-            _id: user._id,
-            name: user.name,
-            email: user.email,
-            phone: user.phone,
-            role: user.role,
-            avatar: user.avatar,
-            token: generateToken(user._id)
-        });
+        res.json(await loginResponse(user, req));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// ══════════════════════════════════════════════════════════════════════════
+// PHONE OTP LOGIN (passwordless) - new numbers get an account on verify
+// ══════════════════════════════════════════════════════════════════════════
+
+// SMS a 6-digit code - { phone }
+router.post('/otp/request', async (req, res) => {
+    try {
+        const { phone } = req.body;
+        if (!phone) return res.status(400).json({ message: 'Phone number is required' });
+        const result = await requestLoginOtp(phone, { ip: req.ip });
+        res.json({ message: `Code sent to ${result.phone}`, ...result });
+    } catch (err) {
+        if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Check the code and sign in - { phone, code, name? (new accounts) }
+router.post('/otp/verify', async (req, res) => {
+    try {
+        const { phone, code, name } = req.body;
+        if (!phone || !code) return res.status(400).json({ message: 'Phone and code are required' });
+        const { user, isNewUser } = await verifyLoginOtp(phone, code, { name });
+        res.status(isNewUser ? 201 : 200).json({ ...(await loginResponse(user, req)), isNewUser });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// ══════════════════════════════════════════════════════════════════════════
+// SESSIONS - refresh, logout, signed-in devices
+// ══════════════════════════════════════════════════════════════════════════
+
+// New access token (and rotated refresh token) - { refreshToken }
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) return res.status(400).json({ message: 'Refresh token is required' });
+        res.json(await refreshSession(refreshToken, { ip: req.ip }));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Sign out this device - works with an expired access token
+router.post('/logout', async (req, res) => {
+    try {
+        if (req.body.refreshToken) await revokeByRefreshToken(req.body.refreshToken);
+        res.json({ message: 'Signed out' });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Sign out every device, this one included
+router.post('/logout-all', protect, async (req, res) => {
+    try {
+        const count = await revokeAllSessions(req.user._id);
+        res.json({ message: `Signed out of ${count} session${count === 1 ? '' : 's'}`, count });
     } catch (err) {
         res.status(500).json({ message: err.message });
     }
 });
 
+router.get('/sessions', protect, async (req, res) => {
+    try {
+        res.json(await listSessions(req.user._id, req.sessionId));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+router.delete('/sessions/:id', protect, async (req, res) => {
+    try {
+        await revokeSession(req.user._id, req.params.id);
+        res.json({ message: 'Session signed out', current: req.params.id === String(req.sessionId) });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Change password - other devices are signed out, this one stays
+router.put('/password', protect, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+        const user = await User.findById(req.user._id);
+        // Social / OTP-only accounts can set a first password without one
+        if (user.password && !(currentPassword && await user.comparePassword(currentPassword))) {
+            return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+        user.password = newPassword;
+        user.passwordChangedAt = new Date();
+        await user.save();
+        const signedOut = await revokeAllSessions(user._id, { except: req.sessionId, reason: 'password_change' });
+        // The old access token predates passwordChangedAt
+        res.json({ message: 'Password updated', signedOut, token: signAccessToken(user._id, req.sessionId) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// ══════════════════════════════════════════════════════════════════════════
+// PASSWORD RESET
+// ══════════════════════════════════════════════════════════════════════════
+
+// Email / SMS a reset link - same answer whether or not the account exists
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { emailOrPhone } = req.body;
+        if (!emailOrPhone) return res.status(400).json({ message: 'Email or phone is required' });
+        await requestPasswordReset(emailOrPhone, { ip: req.ip });
+        res.json({ message: 'If an account exists for that email or phone, we have sent a reset link.' });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Set a new password - { token, password }
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token) return res.status(400).json({ message: 'Reset token is required' });
+        await resetPassword(token, password);
+        res.json({ message: 'Password updated - please sign in with your new password' });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// ══════════════════════════════════════════════════════════════════════════
+// EMAIL / PHONE VERIFICATION (OTP)
+// ══════════════════════════════════════════════════════════════════════════
+
+// Send a code - { channel: 'email' | 'phone' }
+router.post('/verify/send', protect, async (req, res) => {
+    try {
+        const result = await sendVerificationCode(req.user, req.body.channel, { ip: req.ip });
+        res.json({ message: `Code sent to ${result.sentTo}`, ...result });
+    } catch (err) {
+        if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Check a code - { channel, code }
+router.post('/verify/confirm', protect, async (req, res) => {
+    try {
+        const { channel, code } = req.body;
+        if (!code) return res.status(400).json({ message: 'Enter the code we sent you' });
+        const user = await confirmVerificationCode(req.user, channel, code);
+        res.json({ message: `${channel === 'email' ? 'Email' : 'Phone'} verified`, user });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
 // Admin Login
 router.post('/admin/login', async (req, res) => {
     try {
@@ -74,7 +283,9 @@ router.post('/admin/login', async (req, res) => {
             name: user.name,
             email: user.email,
             role: user.role,
-            token: generateToken(user._id),
+            adminRole: adminRoleOf(user),
+            permissions: permissionsFor(user),
+            ...(await issueTokens(user, req)),
             adminSettings: adminSettings
         });
     } catch (err) {
@@ -84,11 +295,12 @@ router.post('/admin/login', async (req, res) => {
 
 // Get current user
 router.get('/me', protect, (req, res) => {
-    res.json(req.user);
+    if (req.user.role !== 'admin') return res.json(req.user);
+    res.json({ ...req.user.toObject(), adminRole: adminRoleOf(req.user), permissions: permissionsFor(req.user) });
 });
 
 // Get Admin Settings
-router.get('/admin/settings', protect, adminOnly, async (req, res) => {
+router.get('/admin/settings', protect, authorize('settings:manage'), async (req, res) => {
     try {
         const settings = await AdminSettings.findOne({ admin: req.user._id });
         if (!settings) {
@@ -101,7 +313,7 @@ router.get('/admin/settings', protect, adminOnly, async (req, res) => {
 });
 
 // Update Admin UPI ID
-router.put('/admin/settings', protect, adminOnly, async (req, res) => {
+router.put('/admin/settings', protect, authorize('settings:manage'), async (req, res) => {
     try {
         const { upiId, storeName, contactEmail, contactPhone, businessAddress } = req.body;
         if (!upiId) {
@@ -109,6 +321,7 @@ router.put('/admin/settings', protect, adminOnly, async (req, res) => {
         }
 
         let adminSettings = await AdminSettings.findOne({ admin: req.user._id });
+        const before = adminSettings?.toObject();
         
         if (!adminSettings) {
             adminSettings = await AdminSettings.create({
@@ -127,6 +340,7 @@ router.put('/admin/settings', protect, adminOnly, async (req, res) => {
             if (businessAddress) adminSettings.businessAddress = businessAddress;
             await adminSettings.save();
         }
+        await recordAudit(req, { action: 'settings.update', entity: 'AdminSettings', entityId: adminSettings._id, label: 'Store & UPI details', before, after: adminSettings });
 
         res.json(adminSettings);
     } catch (err) {
@@ -139,9 +353,15 @@ router.get('/facebook', passport.authenticate('facebook', { scope: ['email'] }))
 
 router.get('/facebook/callback',
     passport.authenticate('facebook', { session: false, failureRedirect: '/login?error=facebook' }),
-    (req, res) => {
-        const token = generateToken(req.user._id);
-        res.redirect(`${process.env.CLIENT_URL || 'http://localhost:5173'}/auth/callback?token=${token}`);
+    async (req, res) => {
+        const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+        try {
+            const { token, refreshToken } = await issueTokens(req.user, req);
+            res.redirect(`${clientUrl}/auth/callback?token=${token}&refreshToken=${encodeURIComponent(refreshToken)}`);
+        } catch (err) {
+            console.error('❌ Facebook sign-in failed:', err.message);
+            res.redirect(`${clientUrl}/auth?error=facebook`);
+        }
     }
 );
 
@@ -149,7 +369,10 @@ router.get('/facebook/callback',
 router.put('/profile', protect, async (req, res) => {
     try {
         const { name, phone } = req.body;
-        const user = await User.findByIdAndUpdate(req.user._id, { name, phone }, { new: true }).select('-password');
+        const updates = { name, phone };
+        // A new number has to be verified again
+        if (phone && phone !== req.user.phone) Object.assign(updates, { phoneVerified: false, phoneVerifiedAt: null });
+        const user = await User.findByIdAndUpdate(req.user._id, updates, { new: true }).select('-password');
         res.json(user);
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -184,7 +407,8 @@ router.post('/seed-admin', async (req, res) => {
             name: 'TCS Admin',
             email: adminEmail,
             password: process.env.ADMIN_PASSWORD || 'Admin@123',
-            role: 'admin'
+            role: 'admin',
+            adminRole: 'owner'
         });
 
         res.status(201).json({ 
@@ -1,18 +1,91 @@
 const router = require('express').Router();
+const mongoose = require('mongoose');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { protect } = require('../middleware/auth');
+const { getAvailability } = require('../utils/inventory');
+const { evaluateCoupon } = require('../services/couponService');
+const { openReminderLink } = require('../services/cartRecoveryService');
 
-// Get user cart
-router.get('/', protect, async (req, res) => {
-    try {
-        let cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
-        
-        if (!cart) {
-            cart = await Cart.create({ user: req.user._id, items: [] });
+// ══════════════════════════════════════════════════════════════════════════
+// CART REFRESH - Server cart is the single source of truth
+// Every read re-prices lines from the current product/variant, caps
+// quantities to available stock and drops lines that can't be bought
+// ══════════════════════════════════════════════════════════════════════════
+const refreshCart = async (cart) => {
+    const notices = [];
+    const availability = {};
+
+    const products = await Product.find({ _id: { $in: cart.items.map(i => i.product) } });
+    const byId = new Map(products.map(p => [p._id.toString(), p]));
+
+    for (const item of [...cart.items]) {
+        const product = byId.get(item.product.toString());
+        if (!product || product.isDeleted || !product.isActive) {
+            notices.push(`${item.name || 'An item'} is no longer available and was removed from your cart`);
+            cart.items.pull(item._id);
+            continue;
+        }
+
+        const { variant, available, price } = getAvailability(product, item.size, item.color);
+        const label = `${product.name}${item.size ? ` (${item.size}${item.color ? ` / ${item.color}` : ''})` : ''}`;
+
+        if ((product.variants?.length && !variant) || available <= 0) {
+            notices.push(`${label} is sold out and was removed from your cart`);
+            cart.items.pull(item._id);
+            continue;
+        }
+        if (item.quantity > available) {
+            notices.push(`Only ${available} left of ${label} — quantity updated`);
+            item.quantity = available;
         }
+        if (item.price !== price) {
+            notices.push(`Price of ${label} changed to ₹${price}`);
+            item.price = price;
+        }
+
+        item.name = product.name;
+        item.image = product.images?.[0] || item.image;
+        if (variant) item.sku = variant.sku;
+        availability[item._id.toString()] = available;
+    }
+
+    // Re-check the applied coupon against the refreshed lines
+    let coupon = null;
+    if (cart.couponCode) {
+        const result = await evaluateCoupon(cart.couponCode, { userId: cart.user, items: cart.items });
+        if (result.valid) {
+            coupon = { ...result.line, freeShipping: result.freeShipping };
+        } else {
+            notices.push(`Coupon ${cart.couponCode} was removed: ${result.message}`);
+            cart.couponCode = undefined;
+        }
+    }
+
+    if (cart.isModified()) await cart.save();
+    return { cart, notices, availability, coupon };
+};
+
+// Cart response: stored cart + per-line available stock + coupon + any notices from the refresh
+const sendCart = (res, { cart, notices, availability, coupon }) => {
+    const data = cart.toObject();
+    data.items = data.items.map(i => ({ ...i, available: availability[i._id.toString()] }));
+    res.json({ ...data, coupon, notices });
+};
 
-        res.json(cart);
+const getOrCreateCart = async (userId) => {
+    let cart = await Cart.findOne({ user: userId });
+    if (!cart) {
+        cart = await Cart.create({ user: userId, items: [] });
+    }
+    return cart;
+};
+
+// Get user cart (re-priced and re-validated)
+router.get('/', protect, async (req, res) => {
+    try {
+        const cart = await getOrCreateCart(req.user._id);
+        sendCart(res, await refreshCart(cart));
     } catch (err) {
         res.status(500).json({ message: err.message });
     }
@@ -24,92 +97,201 @@ router.post('/add', protect, async (req, res) => {
         const { productId, quantity = 1, size, color } = req.body;
 
         const product = await Product.findById(productId);
-        if (!product) {
+        if (!product || product.isDeleted || !product.isActive) {
             return res.status(404).json({ message: 'Product not found' });
         }
 
-        if (product.stock < quantity) {
-            return res.status(400).json({ message: 'Insufficient stock' });
+        // Stock is checked per size × color variant when the product has variants
+        const { variant, available, price } = getAvailability(product, size, color);
+        if (product.variants?.length && !variant) {
+            return res.status(400).json({ message: `Size ${size}${color ? ` / ${color}` : ''} is not available` });
         }
 
-        let cart = await Cart.findOne({ user: req.user._id });
-        if (!cart) {
-            cart = await Cart.create({ user: req.user._id, items: [] });
-        }
+        const cart = await getOrCreateCart(req.user._id);
 
         // Check if item already exists
-        const existingItem = cart.items.findIndex(
+        const existingItem = cart.items.find(
             item => item.product.toString() === productId && item.size === size && item.color === color
         );
+        const inCart = existingItem ? existingItem.quantity : 0;
+
+        if (available < inCart + quantity) {
+            return res.status(400).json({ message: 'Insufficient stock', available });
+        }
 
-        if (existingItem > -1) {
+        if (existingItem) {
             // Update quantity
-            cart.items[existingItem].quantity += quantity;
+            existingItem.quantity += quantity;
         } else {
             // Add new item
             cart.items.push({
                 product: productId,
                 name: product.name,
-                price: product.price,
+                price,
                 image: product.images[0] || '',
                 quantity,
                 size,
-                color
+                color,
+                sku: variant?.sku
             });
         }
 
         await cart.save();
-        res.json(cart);
+        sendCart(res, await refreshCart(cart));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Merge a guest (localStorage) cart into the server cart - called right after login
+router.post('/merge', protect, async (req, res) => {
+    try {
+        const items = Array.isArray(req.body.items) ? req.body.items : [];
+        const cart = await getOrCreateCart(req.user._id);
+
+        for (const guestItem of items) {
+            // Demo products and stale / malformed ids are skipped rather than failing the whole merge
+            const productId = guestItem?.productId || guestItem?.product;
+            if (!productId || String(productId).startsWith('demo-') || !mongoose.isValidObjectId(productId)) continue;
+
+            const quantity = Math.max(1, Number(guestItem.quantity) || 1);
+            const size = typeof guestItem.size === 'string' ? guestItem.size : undefined;
+            const color = typeof guestItem.color === 'string' ? guestItem.color : undefined;
+            const existingItem = cart.items.find(
+                item => item.product.toString() === String(productId) && item.size === size && item.color === color
+            );
+
+            if (existingItem) {
+                existingItem.quantity += quantity;
+            } else {
+                const product = await Product.findById(productId);
+                if (!product) continue;
+                cart.items.push({
+                    product: productId,
+                    name: product.name,
+                    price: product.price,
+                    image: product.images?.[0] || '',
+                    quantity,
+                    size,
+                    color
+                });
+            }
+        }
+
+        await cart.save();
+        // Refresh caps merged quantities to stock and sets current prices
+        sendCart(res, await refreshCart(cart));
     } catch (err) {
         res.status(500).json({ message: err.message });
     }
 });
 
-// Update cart item
-router.put('/item/:itemIndex', protect, async (req, res) => {
+// Restore a cart from an abandoned-cart reminder link (/cart/restore/:token)
+// Refills an emptied cart from the reminder and applies its coupon
+router.post('/recover', protect, async (req, res) => {
+    try {
+        const reminder = await openReminderLink(req.body.token, req.user._id);
+        const cart = await getOrCreateCart(req.user._id);
+
+        if (!cart.items.length) {
+            reminder.items.forEach(({ product, name, price, image, quantity, size, color }) => {
+                cart.items.push({ product, name, price, image, quantity, size, color });
+            });
+        }
+        if (reminder.couponCode && !cart.couponCode) cart.couponCode = reminder.couponCode;
+
+        await cart.save();
+        // Refresh drops anything sold out since and re-checks the coupon
+        sendCart(res, await refreshCart(cart));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Update cart item (by stable item id)
+router.put('/item/:itemId', protect, async (req, res) => {
     try {
-        const { quantity } = req.body;
-        const itemIndex = req.params.itemIndex;
+        const quantity = Number(req.body.quantity);
 
-        let cart = await Cart.findOne({ user: req.user._id });
+        const cart = await Cart.findOne({ user: req.user._id });
         if (!cart) {
             return res.status(404).json({ message: 'Cart not found' });
         }
 
-        if (itemIndex < 0 || itemIndex >= cart.items.length) {
-            return res.status(400).json({ message: 'Invalid item index' });
+        const item = cart.items.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ message: 'Cart item not found' });
+        }
+        if (!quantity || quantity < 1) {
+            return res.status(400).json({ message: 'Quantity must be at least 1' });
         }
 
-        const product = await Product.findById(cart.items[itemIndex].product);
-        if (product.stock < quantity) {
-            return res.status(400).json({ message: 'Insufficient stock' });
+        const product = await Product.findById(item.product);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        const { available } = getAvailability(product, item.size, item.color);
+        if (available < quantity) {
+            return res.status(400).json({ message: 'Insufficient stock', available });
         }
 
-        cart.items[itemIndex].quantity = quantity;
+        item.quantity = quantity;
         await cart.save();
-        res.json(cart);
+        sendCart(res, await refreshCart(cart));
     } catch (err) {
         res.status(500).json({ message: err.message });
     }
 });
 
-// Remove item from cart
-router.delete('/item/:itemIndex', protect, async (req, res) => {
+// Remove item from cart (by stable item id)
+router.delete('/item/:itemId', protect, async (req, res) => {
     try {
-        const itemIndex = req.params.itemIndex;
-
-        let cart = await Cart.findOne({ user: req.user._id });
+        const cart = await Cart.findOne({ user: req.user._id });
         if (!cart) {
             return res.status(404).json({ message: 'Cart not found' });
         }
 
-        if (itemIndex < 0 || itemIndex >= cart.items.length) {
-            return res.status(400).json({ message: 'Invalid item index' });
+        if (!cart.items.id(req.params.itemId)) {
+            return res.status(404).json({ message: 'Cart item not found' });
         }
 
-        cart.items.splice(itemIndex, 1);
+        cart.items.pull(req.params.itemId);
+        await cart.save();
+        sendCart(res, await refreshCart(cart));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Apply coupon to cart
+router.post('/coupon', protect, async (req, res) => {
+    try {
+        const { code } = req.body;
+        const cart = await getOrCreateCart(req.user._id);
+        if (!cart.items.length) {
+            return res.status(400).json({ message: 'Cart is empty' });
+        }
+
+        const result = await evaluateCoupon(code, { userId: req.user._id, items: cart.items });
+        if (!result.valid) {
+            return res.status(400).json({ message: result.message });
+        }
+
+        cart.couponCode = result.coupon.code;
+        await cart.save();
+        sendCart(res, await refreshCart(cart));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Remove coupon from cart
+router.delete('/coupon', protect, async (req, res) => {
+    try {
+        const cart = await getOrCreateCart(req.user._id);
+        cart.couponCode = undefined;
         await cart.save();
-        res.json(cart);
+        sendCart(res, await refreshCart(cart));
     } catch (err) {
         res.status(500).json({ message: err.message });
     }
@@ -120,7 +302,7 @@ router.delete('/', protect, async (req, res) => {
     try {
         await Cart.findOneAndUpdate(
             { user: req.user._id },
-            { items: [] },
+            { items: [], $unset: { couponCode: 1 } },
             { new: true }
         );
         res.json({ message: 'Cart cleared' });
@@ -0,0 +1,99 @@
+const router = require('express').Router();
+const Coupon = require('../models/Coupon');
+const { protect, authorize } = require('../middleware/auth');
+const { softDelete } = require('../utils/transactions');
+const { recordAudit } = require('../services/auditService');
+
+const EDITABLE_FIELDS = [
+    'code', 'description', 'type', 'value', 'maxDiscount', 'minOrderValue',
+    'scope', 'usageLimit', 'perUserLimit', 'validFrom', 'validUntil', 'isActive'
+];
+
+const pickFields = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    // Empty strings from the admin form mean "not set"
+    ['maxDiscount', 'validUntil'].forEach(field => {
+        if (data[field] === '') data[field] = null;
+    });
+    return data;
+};
+
+// Get all coupons (admin)
+router.get('/', protect, authorize('coupons:manage'), async (req, res) => {
+    try {
+        const { includeDeleted, includeGenerated } = req.query;
+        const query = includeDeleted === 'true' ? {} : { isDeleted: { $ne: true } };
+        // Single-use cart recovery codes would drown out the store's own coupons
+        if (includeGenerated !== 'true') query.source = { $ne: 'cart_recovery' };
+        const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+        res.json(coupons);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Create coupon (admin)
+router.post('/', protect, authorize('coupons:manage'), async (req, res) => {
+    try {
+        const data = pickFields(req.body);
+        if (!data.code || !data.type) {
+            return res.status(400).json({ message: 'Code and type are required' });
+        }
+        if (data.type === 'percentage' && (data.value <= 0 || data.value > 100)) {
+            return res.status(400).json({ message: 'Percentage must be between 1 and 100' });
+        }
+        if (await Coupon.findOne({ code: String(data.code).trim().toUpperCase() })) {
+            return res.status(400).json({ message: 'A coupon with this code already exists' });
+        }
+
+        const coupon = await Coupon.create({ ...data, createdBy: req.user._id });
+        await recordAudit(req, { action: 'coupon.create', entity: 'Coupon', entityId: coupon._id, label: coupon.code, after: coupon });
+        res.status(201).json(coupon);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Update coupon (admin)
+router.put('/:id', protect, authorize('coupons:manage'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon || coupon.isDeleted) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+
+        const data = pickFields(req.body);
+        const type = data.type || coupon.type;
+        const value = data.value !== undefined ? data.value : coupon.value;
+        if (type === 'percentage' && (value <= 0 || value > 100)) {
+            return res.status(400).json({ message: 'Percentage must be between 1 and 100' });
+        }
+
+        const before = coupon.toObject();
+        coupon.set(data);
+        await coupon.save();
+        await recordAudit(req, { action: 'coupon.update', entity: 'Coupon', entityId: coupon._id, label: coupon.code, before, after: coupon });
+        res.json(coupon);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Delete coupon (admin) - soft delete, past orders keep their discount lines
+router.delete('/:id', protect, authorize('coupons:manage'), async (req, res) => {
+    try {
+        const coupon = await softDelete('Coupon', req.params.id, req.user._id);
+        await recordAudit(req, {
+            action: 'coupon.delete', entity: 'Coupon', entityId: coupon._id, label: coupon.code,
+            changes: [{ field: 'isDeleted', from: false, to: true }]
+        });
+        res.json({ message: 'Coupon deleted', coupon });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
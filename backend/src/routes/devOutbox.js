@@ -0,0 +1,23 @@
+const router = require('express').Router();
+const { protect, authorize } = require('../middleware/auth');
+const { getOutbox, clearOutbox } = require('../utils/devOutbox');
+
+// ══════════════════════════════════════════════════════════════════════════
+// DEV OUTBOX - Emails / SMS the console transports "sent" (utils/devOutbox.js)
+// Lets OTPs and reset links be read without a real provider. Mounted only with
+// DEV_OUTBOX=true outside production (server.js), and only for owners - the
+// messages are enough to sign in as their recipients.
+// ══════════════════════════════════════════════════════════════════════════
+
+// ?to=<email or phone>&channel=email|sms - newest first
+router.get('/', protect, authorize('users:manage'), (req, res) => {
+    const { to, channel } = req.query;
+    res.json({ messages: getOutbox({ to, channel }) });
+});
+
+router.delete('/', protect, authorize('users:manage'), (req, res) => {
+    clearOutbox();
+    res.json({ message: 'Outbox cleared' });
+});
+
+module.exports = router;
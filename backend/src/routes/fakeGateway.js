@@ -0,0 +1,142 @@
+const router = require('express').Router();
+const { getGatewayByCode } = require('../services/paymentGateway');
+const { receiveWebhook } = require('../services/webhookService');
+
+// ══════════════════════════════════════════════════════════════════════════
+// FAKE GATEWAY CHECKOUT - Hosted test payment page (services/gateways/fakeGateway.js)
+// The customer picks an outcome; the browser goes back to callback_url with
+// the same query parameters as Razorpay's redirect flow, and a signed
+// webhook follows a moment later - like the real thing.
+// ══════════════════════════════════════════════════════════════════════════
+
+// Webhooks arrive a little after the customer is redirected back
+const WEBHOOK_DELAY_MS = 2000;
+
+const METHODS = { upi: 'UPI', card: 'Card', netbanking: 'Net Banking', wallet: 'Wallet' };
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+// Only send the customer back to our own storefront
+const safeCallbackUrl = (callbackUrl, gatewayOrder) => {
+    const fallback = `${clientUrl()}/payment-callback/${gatewayOrder.notes?.orderId || ''}`;
+    try {
+        const url = new URL(callbackUrl);
+        const allowed = url.origin === new URL(clientUrl()).origin || url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+        return allowed ? url.toString() : fallback;
+    } catch {
+        return fallback;
+    }
+};
+
+const withParams = (url, params) => {
+    const target = new URL(url);
+    for (const [key, value] of Object.entries(params)) target.searchParams.set(key, value);
+    return target.toString();
+};
+
+const deliverWebhook = (gateway, event, payment) => {
+    const timer = setTimeout(() => {
+        receiveWebhook({ gateway: gateway.code, ...gateway.buildWebhook(event, payment) })
+            .catch(err => console.error(`❌ Fake gateway webhook ${event} failed:`, err.message));
+    }, WEBHOOK_DELAY_MS);
+    timer.unref();
+};
+
+const renderCheckout = (gatewayOrder, callbackUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Fake Gateway - Test Payment</title>
+<style>
+    body { font-family: system-ui, sans-serif; background: #f5f0e8; color: #2c1810; display: flex; justify-content: center; padding: 2rem 1rem; }
+    main { background: #fff; border-radius: 1rem; box-shadow: 0 4px 24px rgba(0,0,0,.08); max-width: 420px; width: 100%; padding: 2rem; }
+    .badge { display: inline-block; background: #fef3c7; color: #92400e; font-size: .75rem; font-weight: 600; padding: .25rem .75rem; border-radius: 999px; }
+    .amount { font-size: 2rem; font-weight: 700; margin: 1rem 0 .25rem; }
+    .muted { color: #6b7280; font-size: .85rem; }
+    label { display: block; margin: 1.5rem 0 .5rem; font-size: .85rem; font-weight: 600; }
+    select, button { width: 100%; padding: .75rem; border-radius: .75rem; font-size: 1rem; }
+    select { border: 1px solid #d1d5db; }
+    button { border: 0; margin-top: .75rem; cursor: pointer; font-weight: 600; }
+    .pay { background: #16a34a; color: #fff; }
+    .fail { background: #dc2626; color: #fff; }
+    .cancel { background: #e5e7eb; color: #374151; }
+</style>
+</head>
+<body>
+<main>
+    <span class="badge">TEST MODE - no money moves</span>
+    <p class="amount">₹${escapeHtml((gatewayOrder.amount / 100).toLocaleString('en-IN'))}</p>
+    <p class="muted">${escapeHtml(gatewayOrder.receipt)} · ${escapeHtml(gatewayOrder.id)}</p>
+    <form method="POST">
+        <input type="hidden" name="callback_url" value="${escapeHtml(callbackUrl)}">
+        <label for="method">Payment method</label>
+        <select id="method" name="method">
+            ${Object.entries(METHODS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <button class="pay" name="outcome" value="success">Pay successfully</button>
+        <button class="fail" name="outcome" value="failure">Fail payment</button>
+        <button class="cancel" name="outcome" value="cancel">Cancel</button>
+    </form>
+</main>
+</body>
+</html>`;
+
+// Only there while the fake gateway is enabled
+router.use((req, res, next) => {
+    if (!getGatewayByCode('fake')) return res.status(404).json({ message: 'Fake gateway is not enabled' });
+    next();
+});
+
+// Checkout page for a fake gateway order - ?callback_url= is where the customer goes afterwards
+router.get('/checkout/:orderId', (req, res) => {
+    const gatewayOrder = getGatewayByCode('fake').getOrder(req.params.orderId);
+    if (!gatewayOrder) return res.status(404).send('Order not found at the fake gateway');
+    if (gatewayOrder.status === 'paid') return res.status(400).send('This order has already been paid');
+    res.type('html').send(renderCheckout(gatewayOrder, safeCallbackUrl(req.query.callback_url, gatewayOrder)));
+});
+
+// The customer's choice: { outcome: success | failure | cancel, method, callback_url }
+router.post('/checkout/:orderId', async (req, res) => {
+    try {
+        const gateway = getGatewayByCode('fake');
+        const gatewayOrder = gateway.getOrder(req.params.orderId);
+        if (!gatewayOrder) return res.status(404).send('Order not found at the fake gateway');
+        const callbackUrl = safeCallbackUrl(req.body.callback_url, gatewayOrder);
+
+        if (req.body.outcome === 'cancel') {
+            // Same as closing Razorpay's checkout. This page is not signed in, so the held stock is given
+            // back by the storefront (POST /payment/release as the customer) or the reservation sweeper
+            return res.redirect(303, withParams(callbackUrl, {
+                error_code: 'PAYMENT_CANCELLED',
+                error_description: 'Payment was cancelled'
+            }));
+        }
+
+        const method = METHODS[req.body.method] ? req.body.method : 'upi';
+        const { payment, signature } = await gateway.pay(gatewayOrder.id, { outcome: req.body.outcome, method });
+
+        if (payment.status === 'failed') {
+            deliverWebhook(gateway, 'payment.failed', payment);
+            return res.redirect(303, withParams(callbackUrl, {
+                error_code: payment.error_code,
+                error_description: payment.error_description
+            }));
+        }
+
+        deliverWebhook(gateway, 'payment.captured', payment);
+        res.redirect(303, withParams(callbackUrl, {
+            razorpay_payment_id: payment.id,
+            razorpay_order_id: gatewayOrder.id,
+            razorpay_signature: signature
+        }));
+    } catch (err) {
+        res.status(err.status || 500).send(escapeHtml(err.message));
+    }
+});
+
+module.exports = router;
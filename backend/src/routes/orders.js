@@ -1,16 +1,34 @@
 const router = require('express').Router();
 const Order = require('../models/Order');
-const Product = require('../models/Product');
+const Cart = require('../models/Cart');
 const User = require('../models/User');
 const Settings = require('../models/Settings');
-const { protect, adminOnly } = require('../middleware/auth');
-const { generateReceipt } = require('../controllers/pdfController');
-const { cancelOrderWithStockRestore, softDelete, restoreDeleted } = require('../utils/transactions');
+const { protect, authorize } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { can } = require('../config/permissions');
+const { generateReceipt, generateAndSaveInvoice } = require('../controllers/pdfController');
+const { softDelete, restoreDeleted } = require('../utils/transactions');
+const { priceCheckout, signQuote } = require('../services/pricingService');
+const { ACTORS, normaliseStatus, allowedTransitions, transitionOrder, cancelOrder } = require('../services/orderStatusService');
+const { listCouriers, getTrackingUrl, saveShipment, syncShipment } = require('../services/courierService');
+const { recordAudit } = require('../services/auditService');
+const { enqueue } = require('../services/jobQueue');
+const { createReservedOrder } = require('../services/stockReservationService');
+const { submitUpiPayment } = require('../services/upiVerificationService');
+
+// Tracking is re-fetched from the courier when a customer looks at it and it is older than this
+const TRACKING_STALE_MS = 15 * 60 * 1000;
+
+// Fields of an order an admin change is audited on (the status history and tracking events are records of their own)
+const auditView = (order) => {
+    const { status, paymentStatus, refundStatus, shipment } = order.toObject();
+    return { status, paymentStatus, refundStatus, shipment: shipment && { ...shipment, events: undefined, lastSyncedAt: undefined } };
+};
 
 // Create order (for COD / manual orders / Buy Now)
 router.post('/', protect, async (req, res) => {
     try {
-        const { items, shippingAddress, paymentMethod, notes, saveAddress, location } = req.body;
+        const { items, shippingAddress, notes, saveAddress, location, couponCode } = req.body;
         if (!items || items.length === 0) return res.status(400).json({ message: 'No items in order' });
 
         // Validate shipping address is provided
@@ -18,26 +36,10 @@ router.post('/', protect, async (req, res) => {
             return res.status(400).json({ message: 'Complete shipping address is required' });
         }
 
-        let totalAmount = 0;
-        const enrichedItems = [];
-        for (const item of items) {
-            // Support both real product IDs and buy-now items with pre-filled price/name
-            if (item.product && item.product.startsWith && item.product.startsWith('demo-')) {
-                enrichedItems.push({ name: item.name, price: item.price, image: item.image, quantity: item.quantity || 1, size: item.size });
-                totalAmount += item.price * (item.quantity || 1);
-            } else if (item.product) {
-                const product = await Product.findById(item.product);
-                if (!product) return res.status(404).json({ message: `Product not found: ${item.product}` });
-                enrichedItems.push({ product: item.product, name: item.name || product.name, price: item.price || product.price, image: item.image || (product.images?.[0] || ''), quantity: item.quantity || 1, size: item.size });
-                totalAmount += (item.price || product.price) * (item.quantity || 1);
-            } else {
-                enrichedItems.push({ name: item.name, price: item.price, image: item.image, quantity: item.quantity || 1, size: item.size });
-                totalAmount += item.price * (item.quantity || 1);
-            }
-        }
-
-        const shippingCharge = totalAmount > 999 ? 0 : 49;
-        totalAmount += shippingCharge;
+        // Every line is re-priced from the catalogue - client prices are ignored
+        const { lines: enrichedItems, pricing, tax } = await priceCheckout({ userId: req.user._id, items, shippingAddress, couponCode });
+        if (pricing.couponError) return res.status(400).json({ message: pricing.couponError });
+        const { discounts, discountTotal, shippingCharge, totalAmount } = pricing;
 
         // Normalise address — frontend may send fullName/houseNo or legacy name/street
         const addr = shippingAddress || {};
@@ -74,11 +76,15 @@ router.post('/', protect, async (req, res) => {
             adminUpiId = upiSetting?.value || '';
         } catch {}
 
-        const order = await Order.create({
+        // Stock and coupon uses are taken now and held while the customer pays - 409 if someone else got the last one
+        const order = await createReservedOrder({
             user: req.user._id,
             items: enrichedItems,
             totalAmount,
             shippingCharge,
+            shippingZone: pricing.shipping.zone,
+            discounts,
+            discountTotal,
             shippingAddress: normalisedAddress,
             // Location data
             lat: locationData.lat,
@@ -89,7 +95,8 @@ router.post('/', protect, async (req, res) => {
             ipCity: locationData.ipCity,
             ipRegion: locationData.ipRegion,
             ipCountry: locationData.ipCountry,
-            paymentMethod: paymentMethod || 'Pending',
+            // Chosen when paying (payment routes) - never taken from the client here
+            paymentMethod: 'Pending',
             paymentStatus: 'Pending',
             upiId: adminUpiId,
             notes,
@@ -101,14 +108,48 @@ router.post('/', protect, async (req, res) => {
         // It will only be saved after payment is confirmed (in payment.js verify routes)
         // This prevents storing addresses for failed/abandoned payments
 
+        // Signed amounts the payment routes check before charging
+        const { quote, expiresAt } = signQuote({ userId: req.user._id, orderId: order._id, lines: enrichedItems, pricing, couponCode, shippingAddress: normalisedAddress });
+
         await order.populate('user', 'name email phone');
-        res.status(201).json(order);
+        res.status(201).json({ ...order.toJSON(), tax, quote, quoteExpiresAt: expiresAt });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(err.status || 500).json({ message: err.message, soldOut: err.soldOut });
     }
 });
 
 // ─── IMPORTANT: Fixed routes BEFORE parameterized routes ───
+// Signed price quote for the customer's server cart (cart checkout via POST /payment/create-order)
+router.post('/quote', protect, async (req, res) => {
+    try {
+        const cart = await Cart.findOne({ user: req.user._id });
+        if (!cart || !cart.items.length) return res.status(400).json({ message: 'Cart is empty' });
+
+        const { shippingAddress } = req.body;
+        const address = shippingAddress?.pincode
+            ? shippingAddress
+            : (req.user.addresses?.find(a => a.isDefault) || req.user.addresses?.[0] || {});
+
+        const { lines, pricing, tax } = await priceCheckout({ userId: req.user._id, items: cart.items, shippingAddress: address, couponCode: cart.couponCode });
+        const { quote, expiresAt } = signQuote({ userId: req.user._id, lines, pricing, couponCode: cart.couponCode, shippingAddress: address });
+        res.json({
+            items: lines,
+            subtotal: pricing.subtotal,
+            discounts: pricing.discounts,
+            discountTotal: pricing.discountTotal,
+            couponError: pricing.couponError,
+            shippingCharge: pricing.shippingCharge,
+            codSurcharge: pricing.shipping.codSurcharge,
+            totalAmount: pricing.totalAmount,
+            tax,
+            quote,
+            quoteExpiresAt: expiresAt
+        });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
 // Get user's own orders (excludes deleted by default)
 router.get('/my', protect, async (req, res) => {
     try {
@@ -122,12 +163,12 @@ router.get('/my', protect, async (req, res) => {
 });
 
 // Admin: get all orders (MUST come after /my) - excludes deleted by default
-router.get('/', protect, adminOnly, async (req, res) => {
+router.get('/', protect, authorize('orders:read'), async (req, res) => {
     try {
         const { status, page = 1, limit = 20, includeDeleted } = req.query;
         const filter = {};
         
-        if (status) filter.status = status;
+        if (status) filter.status = normaliseStatus(status) || status;
         
         // By default, exclude deleted orders unless admin explicitly requests them
         if (includeDeleted !== 'true') {
@@ -141,12 +182,23 @@ router.get('/', protect, adminOnly, async (req, res) => {
             .limit(Number(limit))
             .skip((Number(page) - 1) * Number(limit));
         const total = await Order.countDocuments(filter);
-        res.json({ orders, total });
+        res.json({
+            orders: orders.map(o => ({
+                ...o.toObject(),
+                allowedStatuses: allowedTransitions(normaliseStatus(o.status, o.paymentStatus), ACTORS.ADMIN)
+            })),
+            total
+        });
     } catch (err) {
         res.status(500).json({ message: err.message });
     }
 });
 
+// Admin: couriers for the shipment form
+router.get('/couriers', protect, authorize('orders:update'), (req, res) => {
+    res.json(listCouriers());
+});
+
 // ─── PARAMETERIZED ROUTES BELOW ───
 
 // Get single order by ID
@@ -156,7 +208,7 @@ router.get('/:id', protect, async (req, res) => {
             .populate('user', 'name email phone')
             .populate('items.product', 'name images');
         if (!order) return res.status(404).json({ message: 'Order not found' });
-        if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (order.user._id.toString() !== req.user._id.toString() && !can(req.user, 'orders:read')) {
             return res.status(403).json({ message: 'Access denied' });
         }
         res.json(order);
@@ -166,27 +218,124 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // Admin: update order status
-router.put('/:id/status', protect, adminOnly, async (req, res) => {
+router.put('/:id/status', protect, authorize('orders:update'), async (req, res) => {
     try {
         const { status, note, paymentStatus } = req.body;
-        const order = await Order.findById(req.params.id);
+        let order = await Order.findById(req.params.id);
         if (!order) return res.status(404).json({ message: 'Order not found' });
+        const before = auditView(order);
+
+        // A reported UPI payment is only marked paid once its UTR has been checked
+        const markingPaid = paymentStatus === 'Paid' || (status && normaliseStatus(status, paymentStatus || order.paymentStatus) === 'PAID');
+        if (order.upiVerification?.status === 'pending' && markingPaid) {
+            return res.status(400).json({ message: 'This UPI payment is awaiting verification - approve it from the UPI verification queue' });
+        }
 
-        order.status = status;
         if (paymentStatus) order.paymentStatus = paymentStatus;
-        order.statusHistory.push({ status, note: note || '' });
-        await order.save();
+        if (status && normaliseStatus(status, order.paymentStatus) !== order.status) {
+            // Validates the transition and runs its side effects (stock, invoice, SMS, refunds)
+            order = await transitionOrder(order, status, { actor: ACTORS.ADMIN, note: note || '', userId: req.user._id });
+        } else {
+            await order.save();
+        }
+        await recordAudit(req, { action: 'order.status', entity: 'Order', entityId: order._id, label: order.orderNumber, before, after: auditView(order), note });
         await order.populate('user', 'name email phone');
         res.json(order);
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(err.status || 500).json({ message: err.message, soldOut: err.soldOut });
     }
 });
 
-// User: confirm UPI payment (self-confirm after manual UPI payment)
-router.put('/:id/confirm-payment', protect, async (req, res) => {
+// ═══════════════════════════════════════════════════════════════════
+// SHIPMENT & TRACKING
+// ═══════════════════════════════════════════════════════════════════
+
+// Shipment with a tracking link per package
+const trackingView = (order) => {
+    const shipment = order.shipment?.awbNumber ? order.toObject().shipment : null;
+    return {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        shipment: shipment && {
+            ...shipment,
+            trackingUrl: getTrackingUrl(shipment),
+            packages: shipment.packages.map(p => ({ ...p, trackingUrl: getTrackingUrl(shipment, p.awbNumber) }))
+        }
+    };
+};
+
+// Admin: enter / correct shipment details - { courier, courierName, trackingUrlTemplate, expectedDeliveryDate, packages: [{ awbNumber, weight, description }], markShipped }
+router.put('/:id/shipment', protect, authorize('orders:update'), async (req, res) => {
+    try {
+        let order = await Order.findById(req.params.id);
+        if (!order) return res.status(404).json({ message: 'Order not found' });
+
+        const before = auditView(order);
+        order = await saveShipment(order, req.body, { markShipped: !!req.body.markShipped, userId: req.user._id });
+        await recordAudit(req, { action: 'order.shipment', entity: 'Order', entityId: order._id, label: order.orderNumber, before, after: auditView(order) });
+        await order.populate('user', 'name email phone');
+        res.json(order);
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Admin: pull the latest tracking events from the courier now
+router.post('/:id/shipment/sync', protect, authorize('orders:update'), async (req, res) => {
+    try {
+        let order = await Order.findById(req.params.id);
+        if (!order) return res.status(404).json({ message: 'Order not found' });
+        if (!order.shipment?.awbNumber) return res.status(400).json({ message: 'Order has no shipment' });
+
+        const before = auditView(order);
+        order = await syncShipment(order);
+        await recordAudit(req, { action: 'order.shipment_sync', entity: 'Order', entityId: order._id, label: order.orderNumber, before, after: auditView(order) });
+        res.json(trackingView(order));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Admin: resend the order confirmation SMS that haven't gone out - { user, admin } (both by default)
+// Runs as a background job; poll GET /api/admin/jobs/:jobId for the outcome
+router.post('/:id/retry-sms', protect, authorize('orders:update'), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id).select('orderNumber smsSent smsAdminSent');
+        if (!order) return res.status(404).json({ message: 'Order not found' });
+        const { user = true, admin = true } = req.body || {};
+
+        const job = await enqueue('order.retry_sms', { orderId: String(order._id), user: user !== false, admin: admin !== false });
+        await recordAudit(req, { action: 'order.retry_sms', entity: 'Order', entityId: order._id, label: order.orderNumber, note: `Job ${job._id}` });
+        res.status(202).json({ message: 'SMS retry queued', jobId: job._id, smsSent: order.smsSent, smsAdminSent: order.smsAdminSent });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Customer / admin: tracking timeline, refreshed from the courier when stale
+router.get('/:id/tracking', protect, async (req, res) => {
+    try {
+        let order = await Order.findById(req.params.id);
+        if (!order) return res.status(404).json({ message: 'Order not found' });
+        if (order.user.toString() !== req.user._id.toString() && !can(req.user, 'orders:read')) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const lastSynced = order.shipment?.lastSyncedAt?.getTime() || 0;
+        if (order.status === 'SHIPPED' && order.shipment?.awbNumber && Date.now() - lastSynced > TRACKING_STALE_MS) {
+            order = await syncShipment(order);
+        }
+        res.json(trackingView(order));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// User: report a manual UPI payment - multipart { upiTransactionId (UTR), screenshot (optional image) }
+// The order waits in PENDING until an admin approves it from the UPI verification queue
+router.put('/:id/confirm-payment', protect, upload.paymentProofs.single('screenshot'), async (req, res) => {
+    let submitted = false;
     try {
-        const { upiTransactionId } = req.body;
         const order = await Order.findById(req.params.id);
         if (!order) return res.status(404).json({ message: 'Order not found' });
         
@@ -195,25 +344,19 @@ router.put('/:id/confirm-payment', protect, async (req, res) => {
             return res.status(403).json({ message: 'Access denied' });
         }
 
-        // Only allow if still pending
-        if (order.paymentStatus === 'Paid') {
-            return res.status(400).json({ message: 'Payment already confirmed' });
-        }
-
-        order.paymentStatus = 'Paid';
-        order.paymentMethod = 'UPI';
-        order.status = 'Confirmed';
-        if (upiTransactionId) order.upiTransactionId = upiTransactionId;
-        order.statusHistory.push({ 
-            status: 'Confirmed', 
-            note: 'Payment confirmed by user (UPI)' 
+        await submitUpiPayment(order, {
+            utr: req.body.upiTransactionId,
+            screenshot: req.file?.filename
         });
-        
-        await order.save();
+        submitted = true;
         await order.populate('user', 'name email phone');
         res.json(order);
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        const message = err.soldOut ? `${err.message}. If you have already paid, contact us with your UTR for a refund.` : err.message;
+        res.status(err.status || 500).json({ message, soldOut: err.soldOut });
+    } finally {
+        // Multer has already saved the screenshot - keep it only on the submitted order
+        if (!submitted) upload.discard(req.file);
     }
 });
 
@@ -224,7 +367,7 @@ router.get('/:id/receipt', protect, async (req, res) => {
             .populate('user', 'name email phone')
             .populate('items.product', 'name images');
         if (!order) return res.status(404).json({ message: 'Order not found' });
-        if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (order.user._id.toString() !== req.user._id.toString() && !can(req.user, 'orders:read')) {
             return res.status(403).json({ message: 'Access denied' });
         }
         await generateReceipt(order, res);
@@ -241,7 +384,7 @@ router.get('/:id/invoice', protect, async (req, res) => {
         if (!order) return res.status(404).json({ message: 'Order not found' });
 
         // User can only access their own invoice, admin can access all
-        if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (order.user._id.toString() !== req.user._id.toString() && !can(req.user, 'orders:read')) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -252,14 +395,20 @@ router.get('/:id/invoice', protect, async (req, res) => {
         // Stream invoice from disk
         const fs = require('fs');
         const path = require('path');
-        const filePath = path.join(__dirname, '../../' + order.invoicePath);
+        let filePath = path.join(__dirname, '../../' + order.invoicePath);
 
-        if (!fs.existsSync(filePath)) {
-            return res.status(404).json({ message: 'Invoice file not found' });
+        // Re-render a missing file (or a pre-GST receipt) - the invoice number is kept
+        if (!fs.existsSync(filePath) || !order.invoice?.number) {
+            const invoiceData = await generateAndSaveInvoice(order);
+            order.invoicePath = invoiceData.invoicePath;
+            order.invoiceUrl = invoiceData.invoiceUrl;
+            await order.save();
+            filePath = path.join(__dirname, '../../' + order.invoicePath);
         }
 
+        const fileName = order.invoice?.number ? order.invoice.number.replace(/\//g, '-') : order.orderNumber;
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename=TCS-Invoice-${order.orderNumber}.pdf`);
+        res.setHeader('Content-Disposition', `attachment; filename=TCS-Invoice-${fileName}.pdf`);
         fs.createReadStream(filePath).pipe(res);
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -279,37 +428,41 @@ router.put('/:id/cancel', protect, async (req, res) => {
         }
         
         // User can only cancel their own orders, admin can cancel any
-        if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (order.user.toString() !== req.user._id.toString() && !can(req.user, 'orders:update')) {
             return res.status(403).json({ message: 'Access denied' });
         }
         
-        // Can only cancel orders that haven't been shipped/delivered
-        if (['SHIPPED', 'DELIVERED'].includes(order.status)) {
-            return res.status(400).json({ message: 'Cannot cancel order that has been shipped or delivered' });
+        // Restores stock and coupons, refunds prepaid orders - SHIPPED / DELIVERED can't be cancelled
+        const asStaff = can(req.user, 'orders:update');
+        const before = auditView(order);
+        const { order: cancelledOrder, refund, refundError } = await cancelOrder(order, {
+            actor: asStaff ? ACTORS.ADMIN : ACTORS.CUSTOMER,
+            reason: reason || 'Cancelled by ' + (asStaff ? 'admin' : 'user'),
+            userId: req.user._id
+        });
+        if (asStaff) {
+            await recordAudit(req, { action: 'order.cancel', entity: 'Order', entityId: order._id, label: order.orderNumber, before, after: auditView(cancelledOrder), note: reason });
         }
         
-        // Use transaction to cancel order and restore stock
-        const cancelledOrder = await cancelOrderWithStockRestore(
-            req.params.id,
-            reason || 'Cancelled by ' + (req.user.role === 'admin' ? 'admin' : 'user'),
-            req.user._id
-        );
-        
         await cancelledOrder.populate('user', 'name email phone');
-        res.json({ message: 'Order cancelled successfully', order: cancelledOrder });
+        res.json({ message: 'Order cancelled successfully', order: cancelledOrder, refund, refundError });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(err.status || 500).json({ message: err.message });
     }
 });
 
 // ═══════════════════════════════════════════════════════════════════
 // SOFT DELETE ORDER - Admin only (preserves data for recovery)
 // ═══════════════════════════════════════════════════════════════════
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+router.delete('/:id', protect, authorize('orders:delete'), async (req, res) => {
     try {
         const { reason } = req.body;
         
         const order = await softDelete('Order', req.params.id, req.user._id, reason);
+        await recordAudit(req, {
+            action: 'order.delete', entity: 'Order', entityId: order._id, label: order.orderNumber,
+            changes: [{ field: 'isDeleted', from: false, to: true }], note: reason
+        });
         res.json({ message: 'Order soft deleted successfully', order });
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -319,9 +472,13 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════
 // RESTORE DELETED ORDER - Admin only
 // ═══════════════════════════════════════════════════════════════════
-router.put('/:id/restore', protect, adminOnly, async (req, res) => {
+router.put('/:id/restore', protect, authorize('orders:delete'), async (req, res) => {
     try {
         const order = await restoreDeleted('Order', req.params.id);
+        await recordAudit(req, {
+            action: 'order.restore', entity: 'Order', entityId: order._id, label: order.orderNumber,
+            changes: [{ field: 'isDeleted', from: true, to: false }]
+        });
         await order.populate('user', 'name email phone');
         res.json({ message: 'Order restored successfully', order });
     } catch (err) {
@@ -1,60 +1,19 @@
 const router = require('express').Router();
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const Settings = require('../models/Settings');
 const Payment = require('../models/Payment');
-const { protect, adminOnly } = require('../middleware/auth');
-const { generateAndSaveInvoice } = require('../controllers/pdfController');
-const { sendOrderNotificationSMS } = require('../services/smsService');
-
-const getRazorpay = () => new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_placeholder',
-    key_secret: process.env.RAZORPAY_KEY_SECRET || 'placeholder'
-});
-
-// ══════════════════════════════════════════════════════════════════════════
-// STOCK MANAGEMENT - Reduce stock ONLY after payment success
-// ══════════════════════════════════════════════════════════════════════════
-const reduceStockAfterPayment = async (order) => {
-    if (!order || order.stockReduced) {
-        console.log('⏭️ Stock already reduced or order invalid');
-        return false;
-    }
-    
-    try {
-        for (const item of order.items) {
-            if (item.product) {
-                const product = await Product.findById(item.product);
-                if (product) {
-                    const newStock = Math.max(0, product.stock - (item.quantity || 1));
-                    product.stock = newStock;
-                    await product.save();
-                    console.log(`📉 Stock reduced: ${product.name} → ${newStock} units`);
-                    
-                    // Alert for low stock
-                    if (newStock <= 5) {
-                        console.log(`⚠️ LOW STOCK ALERT: ${product.name} has only ${newStock} units left!`);
-                    }
-                }
-            }
-        }
-        
-        // Mark stock as reduced on the order
-        order.stockReduced = true;
-        order.stockReducedAt = new Date();
-        await order.save();
-        
-        console.log(`✅ Stock reduced for order ${order.orderNumber}`);
-        return true;
-    } catch (err) {
-        console.error('❌ Stock reduction error:', err.message);
-        return false;
-    }
-};
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
+const { redeemCoupon } = require('../services/couponService');
+const { priceOrder, buildOrderLines, priceCheckout, linesDigest, verifyQuote, assertQuoteCurrent } = require('../services/pricingService');
+const { createRefund, applyRefundWebhook, applyDisputeWebhook, getRefundableAmount } = require('../services/refundService');
+const { registerWebhookHandler, receiveWebhook } = require('../services/webhookService');
+const { ACTORS, applyTransition, runTransitionHooks, transitionOrder, cancelOrder, reduceOrderStock } = require('../services/orderStatusService');
+const { holdOrderStock, releaseOrderStock } = require('../services/stockReservationService');
+const { getActiveGateway, gatewayFor, listGateways, setActiveGateway } = require('../services/paymentGateway');
 
 // ══════════════════════════════════════════════════════════════════════════
 // PAYMENT RECORD - Create Payment record in database
@@ -62,6 +21,7 @@ const reduceStockAfterPayment = async (order) => {
 const createPaymentRecord = async (paymentData) => {
     try {
         const payment = new Payment({
+            gateway: paymentData.gateway,
             razorpayPaymentId: paymentData.paymentId,
             razorpayOrderId: paymentData.razorpayOrderId,
             razorpaySignature: paymentData.razorpaySignature,
@@ -71,6 +31,8 @@ const createPaymentRecord = async (paymentData) => {
             method: paymentData.method || 'UPI',
             methodDetails: paymentData.methodDetails || {},
             status: paymentData.status || 'PAID',
+            razorpayStatus: paymentData.razorpayStatus,
+            razorpayError: paymentData.razorpayError,
             contact: paymentData.contact || {},
             notes: paymentData.notes
         });
@@ -141,58 +103,168 @@ const getAdminUpiId = async () => {
     }
 };
 
+// Cancel and refund an order that was paid for after its stock had gone
+// Rethrows the 409 with { refunded, orderId } for the customer
+const refundSoldOutOrder = async (order, soldOut) => {
+    const { refundError } = await cancelOrder(order, {
+        actor: ACTORS.SYSTEM,
+        reason: `${soldOut.message} - payment refunded`
+    });
+    console.warn(`⚠️ Order ${order.orderNumber} paid after its stock sold out - cancelled${refundError ? `, refund failed: ${refundError}` : ' and refunded'}`);
+    const message = refundError
+        ? `${soldOut.message}. We could not refund your payment automatically - our team will contact you.`
+        : `${soldOut.message}. Your payment has been refunded.`;
+    throw Object.assign(soldOut, { message, refunded: !refundError, orderId: order._id.toString() });
+};
+
+// ─── SETTLE A CHECKOUT ORDER ────────────────────────────────────────────
+// Mark an existing order paid. Its stock hold is extended (or taken again if it
+// lapsed) first; if the stock has gone meanwhile the payment is refunded instead
+const settleOrderPayment = async (order, { paymentId, razorpayOrderId, razorpaySignature, paymentMethod = 'UPI', note }) => {
+    let soldOut = null;
+    try {
+        await holdOrderStock(order, { paid: true });
+    } catch (err) {
+        if (!err.soldOut) throw err;
+        soldOut = err;
+    }
+
+    order.paymentStatus = 'Paid';
+    order.paymentId = paymentId;
+    if (razorpayOrderId) order.razorpayOrderId = razorpayOrderId;
+    if (razorpaySignature) order.razorpaySignature = razorpaySignature;
+    order.paymentMethod = paymentMethod;
+
+    if (soldOut) {
+        // Recorded as paid (no confirmation hooks) so the cancellation refunds it
+        applyTransition(order, 'PAID', { actor: ACTORS.SYSTEM, note });
+        await order.save();
+    } else {
+        // ✅ PAID hooks: confirm the held stock, generate invoice, send SMS
+        await transitionOrder(order, 'PAID', { actor: ACTORS.SYSTEM, note });
+    }
+
+    // ✅ CREATE PAYMENT RECORD
+    await createPaymentRecord({
+        gateway: order.paymentGateway,
+        paymentId,
+        razorpayOrderId: razorpayOrderId || order.razorpayOrderId,
+        razorpaySignature,
+        orderId: order._id,
+        userId: order.user?._id || order.user,
+        amount: order.totalAmount,
+        method: paymentMethod === 'UPI' ? 'UPI' : 'Card',
+        status: 'PAID',
+        contact: {
+            name: order.shippingAddress?.fullName || '',
+            phone: order.shippingAddress?.phone || ''
+        }
+    });
+
+    if (soldOut) await refundSoldOutOrder(order, soldOut);
+    return order;
+};
+
+// ─── PAID CART NO LONGER MATCHES ───────────────────────────────────────
+// The cart changed between paying and the order being created (items added,
+// prices or coupon changed) - no order is created and the payment is refunded
+// in full. A Payment record claims the payment first so /verify, the webhook
+// and reconciliation refund it only once; if the refund fails it stays PAID
+// without an order for the team to settle.
+const refundMismatchedCheckout = async (userId, { gateway: gatewayCode, paymentId, razorpayOrderId, paid }, cartTotal) => {
+    const gateway = gatewayFor(gatewayCode);
+    const message = `Your cart changed after you paid ₹${paid.amount} (it now comes to ₹${cartTotal})`;
+    const mismatch = (text) => Object.assign(new Error(text), { status: 409, priceChanged: true });
+
+    const claimed = await Payment.findOneAndUpdate(
+        { razorpayPaymentId: paymentId },
+        {
+            $setOnInsert: {
+                gateway: gateway.code,
+                razorpayOrderId,
+                user: userId,
+                amount: paid.amount,
+                status: 'PAID',
+                notes: { reason: 'cart_mismatch', cartTotal }
+            }
+        },
+        { upsert: true, new: false }
+    );
+    if (claimed) throw mismatch(`${message}. This payment is already being refunded.`);
+
+    try {
+        const refund = await gateway.refund(paymentId, {
+            amount: Math.round(paid.amount * 100),
+            notes: { reason: 'Cart changed after payment' }
+        });
+        await Payment.updateOne({ razorpayPaymentId: paymentId }, {
+            status: 'REFUNDED',
+            $push: {
+                refunds: {
+                    refundId: refund.id,
+                    amount: paid.amount,
+                    status: refund.status === 'processed' ? 'processed' : 'pending',
+                    reason: 'Cart changed after payment'
+                }
+            }
+        });
+    } catch (err) {
+        console.error(`❌ Refund of mismatched payment ${paymentId} failed:`, err.message);
+        throw Object.assign(mismatch(`${message}. We could not refund your payment automatically - our team will contact you.`), { refunded: false });
+    }
+    console.warn(`⚠️ Payment ${paymentId} (₹${paid.amount}) no longer matches the cart (₹${cartTotal}) - refunded`);
+    throw Object.assign(mismatch(`${message}. Your payment has been refunded - please review your order and pay again.`), { refunded: true });
+};
+
+// What a cart checkout's gateway payment was for (create-order notes) and what was captured
+const paidCheckout = (payment) => {
+    let shippingAddress = {};
+    if (payment.notes?.shippingAddress) {
+        try {
+            shippingAddress = JSON.parse(payment.notes.shippingAddress);
+        } catch (e) {
+            console.error('Could not parse shipping address:', e.message);
+        }
+    }
+    return { shippingAddress, paid: { amount: payment.amount / 100, digest: payment.notes?.quoteDigest } };
+};
+
 // ─── AUTO-CREATE ORDER FROM CART ───────────────────────────────────────
 // Helper function to create order automatically from cart + payment details
+// paymentDetails.paid = { amount (rupees captured), digest (quoted lines) } - see paidCheckout
 const createOrderFromCart = async (userId, paymentDetails) => {
     const cart = await Cart.findOne({ user: userId });
     if (!cart || !cart.items.length) {
         throw new Error('Cart is empty');
     }
 
-    let totalAmount = 0;
-    const enrichedItems = [];
+    // Lines priced from the catalogue, as they were for the quote the customer paid
+    const enrichedItems = await buildOrderLines(cart.items);
 
-    for (const item of cart.items) {
-        if (item.product && item.product.startsWith && item.product.startsWith('demo-')) {
-            enrichedItems.push({
-                name: item.name,
-                price: item.price,
-                image: item.image,
-                quantity: item.quantity || 1,
-                size: item.size,
-                color: item.color
-            });
-            totalAmount += item.price * (item.quantity || 1);
-        } else if (item.product) {
-            const product = await Product.findById(item.product);
-            if (!product) {
-                throw new Error(`Product not found: ${item.product}`);
-            }
-            enrichedItems.push({
-                product: item.product,
-                name: item.name || product.name,
-                price: item.price || product.price,
-                image: item.image || (product.images?.[0] || ''),
-                quantity: item.quantity || 1,
-                size: item.size,
-                color: item.color
-            });
-            totalAmount += (item.price || product.price) * (item.quantity || 1);
-        } else {
-            enrichedItems.push({
-                name: item.name,
-                price: item.price,
-                image: item.image,
-                quantity: item.quantity || 1,
-                size: item.size,
-                color: item.color
-            });
-            totalAmount += item.price * (item.quantity || 1);
-        }
+    // Coupon applied on the cart - payment already went through, so an
+    // invalid coupon is logged and dropped rather than failing the order
+    const pricing = await priceOrder({
+        userId,
+        items: enrichedItems,
+        shippingAddress: paymentDetails.shippingAddress,
+        couponCode: cart.couponCode
+    });
+
+    // Only the cart that was paid for becomes an order (digest absent on gateway orders from older releases)
+    const { paid } = paymentDetails;
+    const digest = linesDigest(enrichedItems, cart.couponCode, paymentDetails.shippingAddress?.pincode);
+    if (Math.round(paid.amount * 100) !== Math.round(pricing.totalAmount * 100) || (paid.digest && paid.digest !== digest)) {
+        await refundMismatchedCheckout(userId, paymentDetails, pricing.totalAmount);
     }
 
-    const shippingCharge = totalAmount > 999 ? 0 : 49;
-    totalAmount += shippingCharge;
+    // Paid at the discounted price (checked above) - the use is counted even if the limit was reached meanwhile
+    for (const line of pricing.discounts) {
+        await redeemCoupon(line.code, { ignoreLimit: true });
+    }
+    if (pricing.couponError) {
+        console.warn(`⚠️ Coupon ${cart.couponCode} not applied to paid order: ${pricing.couponError}`);
+    }
+    const { discounts, discountTotal, shippingCharge, totalAmount } = pricing;
 
     // Create order with payment details - status PAID after verification
     const adminUpiId = await getAdminUpiId();
@@ -201,12 +273,16 @@ const createOrderFromCart = async (userId, paymentDetails) => {
         items: enrichedItems,
         totalAmount,
         shippingCharge,
+        shippingZone: pricing.shipping.zone,
+        discounts,
+        discountTotal,
         shippingAddress: paymentDetails.shippingAddress,
         paymentMethod: paymentDetails.paymentMethod || 'Razorpay',
         paymentStatus: 'Paid',  // ✅ Verified payment
         paymentId: paymentDetails.paymentId,
         razorpayOrderId: paymentDetails.razorpayOrderId,
         razorpaySignature: paymentDetails.razorpaySignature,
+        paymentGateway: paymentDetails.gateway,
         upiId: adminUpiId,
         status: 'PAID',  // ✅ Order status = PAID (verified)
         statusHistory: [
@@ -217,12 +293,10 @@ const createOrderFromCart = async (userId, paymentDetails) => {
     // Save order first
     await order.save();
 
-    // ✅ REDUCE STOCK ONLY AFTER PAYMENT SUCCESS
-    await reduceStockAfterPayment(order);
-
     // ✅ CREATE PAYMENT RECORD
     const user = await User.findById(userId);
     await createPaymentRecord({
+        gateway: paymentDetails.gateway,
         paymentId: paymentDetails.paymentId,
         razorpayOrderId: paymentDetails.razorpayOrderId,
         razorpaySignature: paymentDetails.razorpaySignature,
@@ -238,37 +312,38 @@ const createOrderFromCart = async (userId, paymentDetails) => {
         }
     });
 
-    // Populate and add invoice
-    await order.populate('user', 'name email phone');
-
-    // Generate PDF invoice automatically
-    const invoiceData = await generateAndSaveInvoice(order);
-    order.invoicePath = invoiceData.invoicePath;
-    order.invoiceUrl = invoiceData.invoiceUrl;
-    await order.save();
-
-    // ──────────────────────────────────────────────────
-    // SEND SMS NOTIFICATIONS (After order + invoice ready)
-    // Only after: Razorpay confirms payment + Order created + Invoice generated
-    // ──────────────────────────────────────────────────
+    // Stock is taken atomically for all lines - if it sold out while the customer paid, refund
     try {
-        await sendOrderNotificationSMS(order);
-    } catch (smsErr) {
-        // Log error but DON'T fail the order
-        // Order is already created and valid
-        console.error('SMS notification error (order still valid):', smsErr.message);
+        await reduceOrderStock(order);
+    } catch (err) {
+        if (!err.soldOut) throw err;
+        await refundSoldOutOrder(order, err);
     }
 
+    // ✅ PAID side effects: generate invoice, send SMS
+    // (created directly in PAID, so the hooks are run here rather than by a transition)
+    await order.populate('user', 'name email phone');
+    await runTransitionHooks(order, 'PAID');
+
     // Clear user's cart
-    await Cart.findOneAndUpdate({ user: userId }, { items: [] });
+    await Cart.findOneAndUpdate({ user: userId }, { items: [], $unset: { couponCode: 1 } });
 
     return order;
 };
 
-// Create Razorpay order
+// Gateway orders remembered per cart - enough for a few retries / open tabs
+const CHECKOUT_ORDERS_KEPT = 5;
+
+// Gateway a cart checkout's gateway order was created with (none for ones from before it was recorded - Razorpay's)
+const cartCheckoutGateway = async (userId, gatewayOrderId) => {
+    const cart = await Cart.findOne({ user: userId, 'checkoutOrders.gatewayOrderId': gatewayOrderId }).select('checkoutOrders');
+    return cart?.checkoutOrders.find(o => o.gatewayOrderId === gatewayOrderId)?.gateway;
+};
+
+// Create a gateway order for the cart (the order itself is created once paid)
 router.post('/create-order', protect, async (req, res) => {
     try {
-        const { amount, orderId, shippingAddress } = req.body; // amount in rupees
+        const { quote, shippingAddress } = req.body;
 
         // Validate that user has items in cart
         const cart = await Cart.findOne({ user: req.user._id });
@@ -276,30 +351,49 @@ router.post('/create-order', protect, async (req, res) => {
             return res.status(400).json({ message: 'Cart is empty' });
         }
 
-        const options = {
-            amount: Math.round(amount * 100), // convert to paise
+        // Charge the quoted amount (POST /orders/quote) - and only while the cart still prices the same
+        const quoted = verifyQuote(quote, { userId: req.user._id });
+        const address = shippingAddress?.pincode
+            ? shippingAddress
+            : (req.user.addresses?.find(a => a.isDefault) || req.user.addresses?.[0] || {});
+        const { lines, pricing } = await priceCheckout({ userId: req.user._id, items: cart.items, shippingAddress: address, couponCode: cart.couponCode });
+        assertQuoteCurrent(quoted, { lines, pricing, couponCode: cart.couponCode, shippingAddress: address });
+
+        const gateway = await getActiveGateway();
+        const gatewayOrder = await gateway.createOrder({
+            amount: Math.round(quoted.totalAmount * 100), // convert to paise
             currency: 'INR',
-            receipt: `receipt_${orderId || Date.now()}`,
+            receipt: `receipt_${Date.now()}`,
             notes: {
                 userId: req.user._id.toString(),
                 userEmail: req.user.email || '',
                 userName: req.user.name || '',
-                shippingAddress: shippingAddress ? JSON.stringify(shippingAddress) : ''
+                // The address and lines priced - the order is checked against them once paid
+                shippingAddress: JSON.stringify(address),
+                quoteDigest: quoted.digest,
+                gateway: gateway.code
             }
-        };
-
-        const razorpayOrder = await getRazorpay().orders.create(options);
+        });
+        // Remember which gateway took it (timestamps off - cart reminders go by updatedAt)
+        await Cart.updateOne(
+            { _id: cart._id },
+            { $push: { checkoutOrders: { $each: [{ gatewayOrderId: gatewayOrder.id, gateway: gateway.code, createdAt: new Date() }], $slice: -CHECKOUT_ORDERS_KEPT } } },
+            { timestamps: false }
+        );
         res.json({
-            id: razorpayOrder.id,
-            currency: razorpayOrder.currency,
-            amount: razorpayOrder.amount
+            id: gatewayOrder.id,
+            currency: gatewayOrder.currency,
+            amount: gatewayOrder.amount,
+            gateway: gateway.code,
+            checkoutUrl: gateway.checkoutUrl?.(gatewayOrder.id)
         });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(err.status || 500).json({ message: err.message, priceChanged: err.priceChanged, quoteExpired: err.quoteExpired });
     }
 });
 
-// Verify payment signature (called from frontend after Razorpay checkout)
+// Verify payment signature (called from frontend after checkout)
+// The gateway is the one recorded for the gateway order (checkout order or cart) - never the client's choice
 router.post('/verify', protect, async (req, res) => {
     try {
         const { razorpay_order_id, razorpay_payment_id, razorpay_signature, shippingAddress } = req.body;
@@ -316,26 +410,44 @@ router.post('/verify', protect, async (req, res) => {
             });
         }
 
-        // Verify signature
-        const hmac = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || 'placeholder');
-        hmac.update(`${razorpay_order_id}|${razorpay_payment_id}`);
-        const expectedSignature = hmac.digest('hex');
+        // Paid for a checkout order (create-upi-order) - settle it; otherwise auto-create from the cart
+        const existing = await Order.findOne({ razorpayOrderId: razorpay_order_id, user: req.user._id });
+        const gateway = gatewayFor(existing?.paymentGateway || await cartCheckoutGateway(req.user._id, razorpay_order_id));
 
-        if (expectedSignature !== razorpay_signature) {
+        // Verify signature
+        if (!gateway.verifyPayment({ orderId: razorpay_order_id, paymentId: razorpay_payment_id, signature: razorpay_signature })) {
             return res.status(400).json({ success: false, message: 'Invalid payment signature' });
         }
 
-        // Auto-create order from cart + payment details
-        const order = await createOrderFromCart(req.user._id, {
-            paymentId: razorpay_payment_id,
-            razorpayOrderId: razorpay_order_id,
-            razorpaySignature: razorpay_signature,
-            paymentMethod: 'Razorpay',
-            shippingAddress
-        });
+        let order;
+        if (existing) {
+            order = await settleOrderPayment(existing, {
+                paymentId: razorpay_payment_id,
+                razorpayOrderId: razorpay_order_id,
+                razorpaySignature: razorpay_signature,
+                paymentMethod: 'Razorpay',
+                note: `Payment verified via ${gateway.name}`
+            });
+        } else {
+            // Cart checkout - what was paid, and for which cart, comes from the gateway rather than the request
+            const payment = await gateway.fetchPayment(razorpay_payment_id);
+            if (payment.notes?.userId && payment.notes.userId !== req.user._id.toString()) {
+                return res.status(403).json({ success: false, message: 'This payment belongs to another customer' });
+            }
+            const checkout = paidCheckout(payment);
+            order = await createOrderFromCart(req.user._id, {
+                gateway: gateway.code,
+                paymentId: razorpay_payment_id,
+                razorpayOrderId: razorpay_order_id,
+                razorpaySignature: razorpay_signature,
+                paymentMethod: 'Razorpay',
+                shippingAddress: checkout.shippingAddress.pincode ? checkout.shippingAddress : shippingAddress,
+                paid: checkout.paid
+            });
+        }
 
         // ── SAVE ADDRESS TO USER ONLY AFTER PAYMENT SUCCESS ──
-        await saveAddressToUserOnPaymentSuccess(req.user._id, shippingAddress);
+        await saveAddressToUserOnPaymentSuccess(req.user._id, order.shippingAddress);
 
         res.json({
             success: true,
@@ -344,7 +456,7 @@ router.post('/verify', protect, async (req, res) => {
             orderNumber: order.orderNumber
         });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(err.status || 500).json({ success: false, message: err.message, soldOut: err.soldOut, priceChanged: err.priceChanged, refunded: err.refunded, orderId: err.orderId });
     }
 });
 
@@ -353,7 +465,7 @@ router.post('/verify', protect, async (req, res) => {
 // ══════════════════════════════════════════════════════════════════════════
 router.post('/cod', protect, async (req, res) => {
     try {
-        const { orderId } = req.body;
+        const { orderId, quote } = req.body;
         
         if (!orderId) {
             return res.status(400).json({ success: false, message: 'Order ID is required' });
@@ -370,6 +482,16 @@ router.post('/cod', protect, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Unauthorized' });
         }
         
+        // Retried request - the order is already placed
+        if (order.status === 'PLACED' && order.paymentMethod === 'COD') {
+            return res.json({
+                success: true,
+                message: 'COD order already placed',
+                orderId: order._id.toString(),
+                orderNumber: order.orderNumber
+            });
+        }
+        
         // Check COD limit (max ₹5,000)
         if (order.totalAmount > 5000) {
             return res.status(400).json({ 
@@ -378,42 +500,37 @@ router.post('/cod', protect, async (req, res) => {
             });
         }
         
+        // The order total must still be the one quoted when it was created (POST /orders)
+        const quoted = verifyQuote(quote, { userId: req.user._id, orderId: order._id });
+
+        // COD surcharge as quoted (added once, even if retried)
+        if (!order.codCharge) {
+            if (quoted.totalAmount !== order.totalAmount) {
+                return res.status(409).json({ success: false, message: 'Your order total has changed - please review your order again' });
+            }
+            order.codCharge = quoted.codSurcharge;
+            order.totalAmount += quoted.codSurcharge;
+        }
+        
+        // Nothing has been paid yet - a sold-out line is simply reported back (409)
+        await holdOrderStock(order);
+
         // Update order for COD
         order.paymentMethod = 'COD';
         order.paymentStatus = 'Pending'; // Payment will be collected on delivery
-        order.status = 'PLACED';
-        order.statusHistory.push({
-            status: 'PLACED',
-            note: 'Cash on Delivery order placed'
-        });
         
-        await order.save();
-        
-        // Populate for response
-        await order.populate('user', 'name email phone');
-        
-        // Generate PDF invoice
-        try {
-            const invoiceData = await generateAndSaveInvoice(order);
-            order.invoicePath = invoiceData.invoicePath;
-            order.invoiceUrl = invoiceData.invoiceUrl;
-            await order.save();
-        } catch (invoiceErr) {
-            console.error('Invoice generation error:', invoiceErr.message);
-        }
-        
-        // Send SMS notification
-        try {
-            await sendOrderNotificationSMS(order);
-        } catch (smsErr) {
-            console.error('SMS notification error:', smsErr.message);
-        }
+        // PLACED hooks: confirm the held stock, generate invoice, send SMS
+        await transitionOrder(order, 'PLACED', {
+            actor: ACTORS.CUSTOMER,
+            note: 'Cash on Delivery order placed',
+            userId: req.user._id
+        });
         
         // Save address to user profile
         await saveAddressToUserOnPaymentSuccess(req.user._id, order.shippingAddress);
         
         // Clear user's cart
-        await Cart.findOneAndUpdate({ user: req.user._id }, { items: [] });
+        await Cart.findOneAndUpdate({ user: req.user._id }, { items: [], $unset: { couponCode: 1 } });
         
         res.json({
             success: true,
@@ -423,110 +540,172 @@ router.post('/cod', protect, async (req, res) => {
         });
     } catch (err) {
         console.error('COD order error:', err);
-        res.status(500).json({ success: false, message: err.message });
+        res.status(err.status || 500).json({ success: false, message: err.message, soldOut: err.soldOut });
     }
 });
 
-// Razorpay Webhook — server-side payment confirmation
-// NOTE: Requires raw body — handled via server.js special middleware for this path
-router.post('/webhook', async (req, res) => {
-    try {
-        const signature = req.headers['x-razorpay-signature'];
-        const secret = process.env.RAZORPAY_WEBHOOK_SECRET || process.env.RAZORPAY_KEY_SECRET || 'placeholder';
-        const hmac = crypto.createHmac('sha256', secret);
-        hmac.update(JSON.stringify(req.body));
-        const expectedSignature = hmac.digest('hex');
+// ══════════════════════════════════════════════════════════════════════════
+// WEBHOOK HANDLERS - Run by services/webhookService.js for each stored event
+// Safe to repeat: an event can be redelivered by the gateway or replayed by an admin
+// ══════════════════════════════════════════════════════════════════════════
 
-        if (signature !== expectedSignature) {
-            return res.status(400).json({ message: 'Invalid webhook signature' });
-        }
+// The checkout order a gateway payment belongs to (create-upi-order puts its id in the notes)
+const findCheckoutOrder = async (payment) => {
+    if (payment.notes?.orderId) return Order.findById(payment.notes.orderId);
+    return payment.order_id ? Order.findOne({ razorpayOrderId: payment.order_id }) : null;
+};
 
-        const event = req.body.event;
-        const payment = req.body.payload?.payment?.entity;
+// payment.captured / order.paid - mark the checkout order paid, or create the order from the cart
+const settleWebhookPayment = async ({ payment }) => {
+    if (!payment) return { ignored: true, reason: 'No payment entity' };
+    const paymentId = payment.id;
+    const userId = payment.notes?.userId;
 
-        if (event === 'payment.captured' && payment) {
-            const paymentId = payment.id;
-            const userId = payment.notes?.userId;
-            const orderId = payment.notes?.orderId;
-            const shippingAddressStr = payment.notes?.shippingAddress;
+    // ── IDEMPOTENCY CHECK: Use paymentId as unique reference ──
+    if (await isPaymentAlreadyProcessed(paymentId)) {
+        return { ignored: true, reason: 'Payment already processed' };
+    }
 
-            // ── IDEMPOTENCY CHECK: Use paymentId as unique reference ──
-            if (await isPaymentAlreadyProcessed(paymentId)) {
-                console.log(`⏭️ Payment ${paymentId} already processed - skipping webhook`);
-                return res.json({ received: true, status: 'already_processed' });
-            }
+    try {
+        // Case 1: Order already exists (checkout / Buy Now flow) - settle it
+        const existing = await findCheckoutOrder(payment);
+        if (existing) {
+            if (existing.paymentStatus === 'Paid') return { ignored: true, reason: `Order already paid by ${existing.paymentId}`, orderId: existing._id };
+            const order = await settleOrderPayment(existing, {
+                paymentId,
+                razorpayOrderId: payment.order_id,
+                paymentMethod: 'UPI',
+                note: 'Payment confirmed via webhook'
+            });
+            await saveAddressToUserOnPaymentSuccess(order.user?._id || order.user, order.shippingAddress);
+            console.log(`✅ Order ${order.orderNumber} updated via webhook for payment ${paymentId}`);
+            return { action: 'settled', orderId: order._id, orderNumber: order.orderNumber };
+        }
 
-            // Parse shipping address from notes
-            let shippingAddress = {};
-            if (shippingAddressStr) {
-                try {
-                    shippingAddress = JSON.parse(shippingAddressStr);
-                } catch (e) {
-                    console.error('Could not parse shipping address:', e);
-                }
-            }
+        // Case 2: Cart checkout - create new order
+        if (!userId) return { ignored: true, reason: 'No order or customer in the payment notes' };
+        const { shippingAddress, paid } = paidCheckout(payment);
+        const order = await createOrderFromCart(userId, {
+            gateway: payment.notes?.gateway,
+            paymentId,
+            razorpayOrderId: payment.order_id,
+            paymentMethod: 'Razorpay',
+            shippingAddress,
+            paid
+        });
+        await saveAddressToUserOnPaymentSuccess(userId, shippingAddress);
+        console.log(`✅ Order auto-created for payment ${paymentId}`);
+        return { action: 'created', orderId: order._id, orderNumber: order.orderNumber };
+    } catch (err) {
+        // Stock ran out while paying - the order was cancelled and the payment refunded
+        if (err.soldOut) return { action: 'refunded_sold_out', refunded: err.refunded, orderId: err.orderId, message: err.message };
+        // The cart no longer matches what was paid - refunded (or left for the team) without an order
+        if (err.priceChanged) return { action: 'refunded_cart_mismatch', refunded: err.refunded, message: err.message };
+        // Duplicate paymentId (unique constraint) - a parallel delivery got there first
+        if (err.code === 11000 && err.keyPattern?.paymentId) return { ignored: true, reason: 'Payment already has an order' };
+        throw err;
+    }
+};
 
-            // Case 1: Order already exists (Buy Now flow) - just update it
-            if (orderId) {
-                try {
-                    const order = await Order.findById(orderId);
-                    if (order && order.paymentStatus !== 'Paid') {
-                        order.paymentStatus = 'Paid';
-                        order.paymentId = paymentId;
-                        order.paymentMethod = 'UPI';
-                        order.status = 'Placed';
-                        order.statusHistory.push({ 
-                            status: 'Placed', 
-                            note: 'Payment confirmed via webhook' 
-                        });
-                        await order.save();
-                        
-                        // Save address to user profile after payment success
-                        if (userId) {
-                            await saveAddressToUserOnPaymentSuccess(userId, order.shippingAddress);
-                        }
-                        
-                        console.log(`✅ Order ${orderId} updated via webhook for payment ${paymentId}`);
-                    }
-                } catch (orderErr) {
-                    console.error('Failed to update order from webhook:', orderErr);
-                }
-            }
-            // Case 2: Cart checkout - create new order
-            else if (userId) {
-                try {
-                    const order = await createOrderFromCart(userId, {
-                        paymentId: paymentId,
-                        razorpayOrderId: payment.order_id,
-                        paymentMethod: 'Razorpay',
-                        shippingAddress
-                    });
-                    
-                    // Save address to user profile after payment success
-                    await saveAddressToUserOnPaymentSuccess(userId, shippingAddress);
-                    
-                    console.log(`✅ Order auto-created for payment ${paymentId}`);
-                } catch (orderErr) {
-                    // Check if error is due to duplicate paymentId (unique constraint)
-                    if (orderErr.code === 11000 && orderErr.keyPattern?.paymentId) {
-                        console.log(`⏭️ Payment ${paymentId} already has an order - duplicate webhook ignored`);
-                    } else {
-                        console.error('Failed to create order from webhook:', orderErr);
-                    }
-                }
-            }
+registerWebhookHandler(['payment.captured', 'order.paid'], settleWebhookPayment);
+
+// Authorized but not captured yet - keep the order's stock held until the capture arrives
+registerWebhookHandler('payment.authorized', async ({ payment }) => {
+    const order = payment && await findCheckoutOrder(payment);
+    if (!order) return { ignored: true, reason: 'No checkout order for this payment' };
+    if (order.paymentStatus === 'Paid' || order.status !== 'CREATED') return { ignored: true, reason: `Order is ${order.status}`, orderId: order._id };
+    try {
+        await holdOrderStock(order, { paid: true });   // Authorised - the money is already set aside
+        return { action: 'stock_held', orderId: order._id, heldUntil: order.stockReservedUntil };
+    } catch (err) {
+        if (!err.soldOut) throw err;
+        // Settled (and refunded) when the capture comes in
+        return { action: 'sold_out', orderId: order._id, message: err.message };
+    }
+});
+
+// Failed attempt - record it and give the held stock back (a later attempt takes it again)
+registerWebhookHandler('payment.failed', async ({ payment }) => {
+    if (!payment) return { ignored: true, reason: 'No payment entity' };
+    const order = await findCheckoutOrder(payment);
+    await createPaymentRecord({
+        gateway: order?.paymentGateway || payment.notes?.gateway,
+        paymentId: payment.id,
+        razorpayOrderId: payment.order_id,
+        orderId: order?._id,
+        userId: order?.user || payment.notes?.userId,
+        amount: (payment.amount || 0) / 100,
+        method: payment.method === 'upi' ? 'UPI' : payment.method === 'card' ? 'Card' : 'Unknown',
+        status: 'FAILED',
+        razorpayStatus: payment.status,
+        razorpayError: {
+            code: payment.error_code,
+            description: payment.error_description,
+            source: payment.error_source,
+            step: payment.error_step,
+            reason: payment.error_reason
         }
+    });
+    if (!order) return { ignored: true, reason: 'No checkout order for this payment' };
+    if (order.paymentStatus === 'Paid' || order.status !== 'CREATED') return { ignored: true, reason: `Order is ${order.status}`, orderId: order._id };
+
+    order.paymentStatus = 'Failed';
+    order.statusHistory.push({ status: 'PAYMENT_FAILED', note: `${payment.id}: ${payment.error_description || 'Payment failed'}` });
+    await order.save();
+    const released = await releaseOrderStock(order, { reason: 'Payment failed - stock released' });
+    return { action: 'marked_failed', orderId: order._id, stockReleased: released };
+});
+
+// Refund outcome for refunds issued from the admin panel (or Razorpay dashboard)
+registerWebhookHandler(['refund.created', 'refund.processed', 'refund.failed'], async ({ refund }, body) => {
+    if (!refund) return { ignored: true, reason: 'No refund entity' };
+    const payment = await applyRefundWebhook(body.event, refund);
+    if (!payment) return { ignored: true, reason: `Unknown payment ${refund.payment_id}` };
+    console.log(`${body.event === 'refund.failed' ? '❌' : '✅'} Refund ${refund.id} ${body.event.split('.')[1]}`);
+    return { action: body.event, orderId: payment.order, refundId: refund.id };
+});
+
+// Chargebacks - kept on the payment; the finance team answers them in the Razorpay dashboard
+registerWebhookHandler(
+    ['dispute.created', 'dispute.under_review', 'dispute.action_required', 'dispute.won', 'dispute.lost', 'dispute.closed'],
+    async ({ dispute }, body) => {
+        if (!dispute) return { ignored: true, reason: 'No dispute entity' };
+        const payment = await applyDisputeWebhook(body.event, dispute);
+        if (!payment) return { ignored: true, reason: `Unknown payment ${dispute.payment_id}` };
+        return { action: body.event, orderId: payment.order, disputeId: dispute.id, status: dispute.status };
+    }
+);
 
-        res.json({ received: true });
+// Gateway webhooks — server-side payment confirmation (/webhook is Razorpay, /webhook/:gateway any other)
+// The signature is checked over the raw body (kept by the express.json verify hook in server.js)
+router.post(['/webhook', '/webhook/:gateway'], async (req, res) => {
+    try {
+        const { outcome, webhookEvent } = await receiveWebhook({
+            gateway: req.params.gateway || 'razorpay',
+            rawBody: req.rawBody,
+            body: req.body,
+            headers: req.headers,
+            ip: req.ip
+        });
+        if (outcome === 'rate_limited') return res.status(429).json({ message: 'Too many invalid webhooks - please try again later' });
+        if (outcome === 'rejected') return res.status(400).json({ message: 'Invalid webhook signature' });
+        // Non-2xx makes Razorpay deliver it again
+        if (outcome === 'failed') return res.status(500).json({ received: true, status: outcome, message: webhookEvent.error });
+        res.json({ received: true, status: outcome });
     } catch (err) {
         console.error('Webhook error:', err);
         res.status(500).json({ message: err.message });
     }
 });
 
-// Get Razorpay public key (used by frontend)
-router.get('/key', (req, res) => {
-    res.json({ key: process.env.RAZORPAY_KEY_ID || '' });
+// Active gateway and its public key (used by frontend to pick the checkout)
+router.get('/key', async (req, res) => {
+    try {
+        const gateway = await getActiveGateway();
+        res.json({ ...gateway.publicConfig(), gateway: gateway.code, name: gateway.name, checkout: gateway.checkout });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
 });
 
 // Get admin UPI ID for payment page
@@ -539,10 +718,10 @@ router.get('/upi-id', async (req, res) => {
     }
 });
 
-// Create Razorpay order for UPI payment (for direct order, not cart)
+// Create a gateway order for an existing order (checkout / Buy Now)
 router.post('/create-upi-order', protect, async (req, res) => {
     try {
-        const { orderId, amount } = req.body;
+        const { orderId, amount, quote } = req.body;
 
         // Validate the order exists and belongs to user
         const order = await Order.findById(orderId);
@@ -552,36 +731,50 @@ router.post('/create-upi-order', protect, async (req, res) => {
         if (order.user.toString() !== req.user._id.toString()) {
             return res.status(403).json({ message: 'Access denied' });
         }
+        if (order.paymentStatus === 'Paid' || order.status !== 'CREATED') {
+            return res.status(400).json({ message: 'This order is no longer awaiting payment' });
+        }
+
+        // Charge what was quoted for this order - never an amount from the client
+        const quoted = verifyQuote(quote, { userId: req.user._id, orderId: order._id });
+        if (quoted.totalAmount !== order.totalAmount || (amount !== undefined && Number(amount) !== order.totalAmount)) {
+            return res.status(409).json({ message: 'Payment amount does not match your order total - please review your order again' });
+        }
+
+        // Hold the stock for as long as the payment window is open - 409 if it has gone
+        await holdOrderStock(order);
 
         const upiId = await getAdminUpiId();
         
-        const options = {
-            amount: Math.round(amount * 100), // convert to paise
+        const gateway = await getActiveGateway();
+        const gatewayOrder = await gateway.createOrder({
+            amount: Math.round(order.totalAmount * 100), // convert to paise
             currency: 'INR',
             receipt: `order_${orderId}`,
-            payment_capture: 1,
             notes: {
                 userId: req.user._id.toString(),
                 orderId: orderId,
-                adminUpiId: upiId
+                adminUpiId: upiId,
+                gateway: gateway.code
             }
-        };
-
-        const razorpayOrder = await getRazorpay().orders.create(options);
+        });
         
-        // Update order with razorpay order ID
-        order.razorpayOrderId = razorpayOrder.id;
+        // Update order with the gateway order ID
+        order.razorpayOrderId = gatewayOrder.id;
+        order.paymentGateway = gateway.code;
         order.upiId = upiId;
         await order.save();
 
         res.json({
-            id: razorpayOrder.id,
-            currency: razorpayOrder.currency,
-            amount: razorpayOrder.amount,
-            upiId: upiId
+            id: gatewayOrder.id,
+            currency: gatewayOrder.currency,
+            amount: gatewayOrder.amount,
+            upiId: upiId,
+            gateway: gateway.code,
+            checkoutUrl: gateway.checkoutUrl?.(gatewayOrder.id)
         });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(err.status || 500).json({ message: err.message, soldOut: err.soldOut, quoteExpired: err.quoteExpired });
     }
 });
 
@@ -601,18 +794,27 @@ router.post('/verify-upi', protect, async (req, res) => {
             });
         }
 
-        // Verify signature
-        const secret = process.env.RAZORPAY_KEY_SECRET || 'placeholder';
-        const hmac = crypto.createHmac('sha256', secret);
-        hmac.update(`${razorpay_order_id}|${razorpay_payment_id}`);
-        const expectedSignature = hmac.digest('hex');
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        if (order.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        // Only a payment for this order's own gateway order (create-upi-order) can settle it
+        if (!order.razorpayOrderId || razorpay_order_id !== order.razorpayOrderId) {
+            return res.status(400).json({ success: false, message: 'This payment is not for this order' });
+        }
+        const gateway = gatewayFor(order.paymentGateway);
 
-        if (expectedSignature !== razorpay_signature) {
+        // Verify signature - against the gateway order recorded on the order, not the id sent by the client
+        if (!gateway.verifyPayment({ orderId: order.razorpayOrderId, paymentId: razorpay_payment_id, signature: razorpay_signature })) {
             // ❌ Payment signature invalid - reject and record as failed
             await createPaymentRecord({
+                gateway: gateway.code,
                 paymentId: razorpay_payment_id,
-                razorpayOrderId: razorpay_order_id,
-                orderId: orderId,
+                razorpayOrderId: order.razorpayOrderId,
+                orderId: order._id,
                 userId: req.user._id,
                 amount: 0,
                 status: 'FAILED',
@@ -621,12 +823,6 @@ router.post('/verify-upi', protect, async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid payment signature' });
         }
 
-        // Update order status
-        const order = await Order.findById(orderId);
-        if (!order) {
-            return res.status(404).json({ message: 'Order not found' });
-        }
-
         // Check if this order is already paid (another idempotency check)
         if (order.paymentStatus === 'Paid') {
             return res.json({
@@ -637,61 +833,25 @@ router.post('/verify-upi', protect, async (req, res) => {
             });
         }
 
-        // ✅ Update order to PAID status
-        order.paymentStatus = 'Paid';
-        order.paymentId = razorpay_payment_id;
-        order.razorpaySignature = razorpay_signature;
-        order.paymentMethod = 'UPI';
-        order.status = 'PAID';
-        order.statusHistory.push({ 
-            status: 'PAID', 
-            note: 'Payment verified via Razorpay UPI' 
-        });
-        
-        await order.save();
-
-        // ✅ REDUCE STOCK ONLY AFTER PAYMENT SUCCESS
-        await reduceStockAfterPayment(order);
+        // What was actually captured, from the gateway - never settle an order for less than its total
+        const payment = await gateway.fetchPayment(razorpay_payment_id);
+        if (payment.order_id !== order.razorpayOrderId || payment.amount !== Math.round(order.totalAmount * 100)) {
+            console.warn(`⚠️ Payment ${razorpay_payment_id} (₹${(payment.amount || 0) / 100}) does not match order ${order.orderNumber} (₹${order.totalAmount})`);
+            return res.status(409).json({ success: false, message: 'Payment amount does not match your order total - please contact us' });
+        }
 
-        // ✅ CREATE PAYMENT RECORD
-        await createPaymentRecord({
+        // ✅ Update order to PAID status - refunded instead if its stock sold out meanwhile (409)
+        await settleOrderPayment(order, {
             paymentId: razorpay_payment_id,
-            razorpayOrderId: razorpay_order_id,
+            razorpayOrderId: order.razorpayOrderId,
             razorpaySignature: razorpay_signature,
-            orderId: order._id,
-            userId: req.user._id,
-            amount: order.totalAmount,
-            method: 'UPI',
-            status: 'PAID',
-            contact: {
-                name: order.shippingAddress?.fullName || '',
-                phone: order.shippingAddress?.phone || ''
-            }
+            paymentMethod: 'UPI',
+            note: `Payment verified via ${gateway.name} UPI`
         });
 
         // ── SAVE ADDRESS TO USER ONLY AFTER PAYMENT SUCCESS ──
         await saveAddressToUserOnPaymentSuccess(req.user._id, order.shippingAddress);
 
-        // Populate and generate invoice
-        await order.populate('user', 'name email phone');
-
-        // Generate PDF invoice
-        try {
-            const invoiceData = await generateAndSaveInvoice(order);
-            order.invoicePath = invoiceData.invoicePath;
-            order.invoiceUrl = invoiceData.invoiceUrl;
-            await order.save();
-        } catch (invoiceErr) {
-            console.error('Invoice generation error:', invoiceErr);
-        }
-
-        // Send SMS notifications
-        try {
-            await sendOrderNotificationSMS(order);
-        } catch (smsErr) {
-            console.error('SMS notification error:', smsErr.message);
-        }
-
         res.json({
             success: true,
             message: 'Payment verified successfully',
@@ -699,7 +859,26 @@ router.post('/verify-upi', protect, async (req, res) => {
             orderNumber: order.orderNumber
         });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(err.status || 500).json({ success: false, message: err.message, soldOut: err.soldOut, refunded: err.refunded, orderId: err.orderId });
+    }
+});
+
+// Payment window dismissed or payment failed - give the held stock back straight away
+// (the customer can reopen payment; the stock is taken again if still there)
+router.post('/release', protect, async (req, res) => {
+    try {
+        const order = await Order.findById(req.body.orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        if (order.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const released = await releaseOrderStock(order, { reason: req.body.reason === 'failed' ? 'Payment failed - stock released' : 'Payment cancelled - stock released' });
+        res.json({ released });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
     }
 });
 
@@ -708,7 +887,7 @@ router.post('/verify-upi', protect, async (req, res) => {
 // ══════════════════════════════════════════════════════════════════════════
 
 // Admin: Get all payments
-router.get('/admin/all', protect, adminOnly, async (req, res) => {
+router.get('/admin/all', protect, authorize('payments:read'), async (req, res) => {
     try {
         const { status, page = 1, limit = 50 } = req.query;
         const filter = status ? { status } : {};
@@ -738,8 +917,32 @@ router.get('/admin/all', protect, adminOnly, async (req, res) => {
     }
 });
 
+// Admin: Payment gateways available here and the one new checkouts use
+router.get('/admin/gateways', protect, authorize('settings:manage'), async (req, res) => {
+    try {
+        res.json(await listGateways());
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Admin: Switch the gateway for new checkouts (payments already taken stay with theirs)
+router.put('/admin/gateway', protect, authorize('settings:manage'), async (req, res) => {
+    try {
+        const before = (await getActiveGateway()).code;
+        const gateway = await setActiveGateway(req.body.gateway, req.user._id);
+        await recordAudit(req, {
+            action: 'settings.update', entity: 'Settings', entityId: 'paymentGateway', label: 'paymentGateway',
+            before: { value: { gateway: before } }, after: { value: { gateway: gateway.code } }
+        });
+        res.json(await listGateways());
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
 // Admin: Get payment by ID
-router.get('/admin/:paymentId', protect, adminOnly, async (req, res) => {
+router.get('/admin/:paymentId', protect, authorize('payments:read'), async (req, res) => {
     try {
         const payment = await Payment.findOne({ razorpayPaymentId: req.params.paymentId })
             .populate('user', 'name email phone')
@@ -755,12 +958,54 @@ router.get('/admin/:paymentId', protect, adminOnly, async (req, res) => {
     }
 });
 
+// Admin: Refund an order's online payment - omit amount for a full refund of what is left
+router.post('/admin/orders/:orderId/refund', protect, authorize('payments:refund'), async (req, res) => {
+    try {
+        const { amount, reason } = req.body;
+        const order = await Order.findById(req.params.orderId);
+        if (!order || order.isDeleted) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const refundView = () => ({ refundedAmount: order.refundedAmount, refundStatus: order.refundStatus, paymentStatus: order.paymentStatus });
+        const before = refundView();
+        const { refund, payment } = await createRefund({ order, amount, reason, userId: req.user._id });
+        await recordAudit(req, {
+            action: 'payment.refund', entity: 'Order', entityId: order._id, label: order.orderNumber,
+            before, after: refundView(), note: `₹${refund.amount} refund${refund.refundId ? ` (${refund.refundId})` : ''}${reason ? ` - ${reason}` : ''}`
+        });
+        res.json({
+            success: true,
+            message: refund.status === 'processed' ? 'Refund processed' : 'Refund initiated',
+            refund,
+            refundable: getRefundableAmount(payment),
+            order: { refundedAmount: order.refundedAmount, refundStatus: order.refundStatus, paymentStatus: order.paymentStatus }
+        });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+// Admin: Refunds recorded against an order
+router.get('/admin/orders/:orderId/refunds', protect, authorize('payments:read'), async (req, res) => {
+    try {
+        const payment = await Payment.findOne({ order: req.params.orderId, status: { $in: ['PAID', 'REFUNDED'] } })
+            .populate('refunds.initiatedBy', 'name email');
+        if (!payment) {
+            return res.json({ refunds: [], paid: 0, refundable: 0 });
+        }
+        res.json({ refunds: payment.refunds, paid: payment.amount, refundable: getRefundableAmount(payment) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
 // Admin: Get low stock products
-router.get('/admin/stock/alerts', protect, adminOnly, async (req, res) => {
+router.get('/admin/stock/alerts', protect, authorize('inventory:read'), async (req, res) => {
     try {
         const threshold = Number(req.query.threshold) || 10;
         
-        const lowStockProducts = await Product.find({ stock: { $lte: threshold } })
+        const lowStockProducts = await Product.find({ stock: { $lte: threshold }, isDeleted: { $ne: true } })
             .sort({ stock: 1 })
             .select('name stock price images category');
         
@@ -768,14 +1013,41 @@ router.get('/admin/stock/alerts', protect, adminOnly, async (req, res) => {
         const criticalStock = lowStockProducts.filter(p => p.stock > 0 && p.stock <= 5);
         const lowStock = lowStockProducts.filter(p => p.stock > 5);
         
+        // Variant-level alerts - a product can have plenty of stock overall
+        // while a single size × color is sold out
+        const lowStockVariants = await Product.aggregate([
+            { $match: { isDeleted: { $ne: true }, 'variants.0': { $exists: true } } },
+            { $unwind: '$variants' },
+            { $match: { 'variants.isActive': { $ne: false }, 'variants.stock': { $lte: threshold } } },
+            { $sort: { 'variants.stock': 1 } },
+            { $project: {
+                _id: 0,
+                product: '$_id',
+                name: 1,
+                sku: '$variants.sku',
+                size: '$variants.size',
+                color: '$variants.color',
+                stock: '$variants.stock'
+            }}
+        ]);
+        const variants = {
+            outOfStock: lowStockVariants.filter(v => v.stock === 0),
+            criticalStock: lowStockVariants.filter(v => v.stock > 0 && v.stock <= 5),
+            lowStock: lowStockVariants.filter(v => v.stock > 5)
+        };
+        
         res.json({
             outOfStock,
             criticalStock,
             lowStock,
+            variants,
             summary: {
                 outOfStockCount: outOfStock.length,
                 criticalCount: criticalStock.length,
-                lowStockCount: lowStock.length
+                lowStockCount: lowStock.length,
+                variantOutOfStockCount: variants.outOfStock.length,
+                variantCriticalCount: variants.criticalStock.length,
+                variantLowStockCount: variants.lowStock.length
             }
         });
     } catch (err) {
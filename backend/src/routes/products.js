@@ -1,8 +1,11 @@
 const router = require('express').Router();
 const Product = require('../models/Product');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const { softDelete, restoreDeleted } = require('../utils/transactions');
+const { recordAudit } = require('../services/auditService');
+const { checkWishlistAlerts } = require('../services/wishlistService');
+const { searchProducts, suggestProducts, clearSearchCache } = require('../services/searchService');
 
 // GET all products (public) with filters - excludes deleted products
 router.get('/', async (req, res) => {
@@ -19,13 +22,14 @@ router.get('/', async (req, res) => {
         if (gender) filter.gender = gender;
         if (isNewArrival === 'true') filter.isNewArrival = true;
         if (isFeatured === 'true') filter.isFeatured = true;
-        if (search) filter.name = { $regex: search, $options: 'i' };
+        if (search) filter.$text = { $search: String(search) };
 
         const sortOptions = sort === 'price_asc' ? { price: 1 }
             : sort === 'price_desc' ? { price: -1 }
-                : { createdAt: -1 };
+                : search ? { score: { $meta: 'textScore' } }
+                    : { createdAt: -1 };
 
-        const products = await Product.find(filter)
+        const products = await Product.find(filter, search ? { score: { $meta: 'textScore' } } : undefined)
             .sort(sortOptions)
             .limit(Number(limit))
             .skip((Number(page) - 1) * Number(limit));
@@ -37,6 +41,26 @@ router.get('/', async (req, res) => {
     }
 });
 
+// SEARCH (public) - relevance-ranked, typo tolerant, with facet counts
+// ?q=linen co-ord&category=Tops,Dresses&gender=Women&size=M&color=Red&price=500-1000,1000-2000
+//  &qualityGrade=Premium&inStock=true&sort=relevance|newest|price_asc|price_desc|rating&page=1&limit=24
+router.get('/search', async (req, res) => {
+    try {
+        res.json(await searchProducts(req.query));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Autocomplete (public) - ?q=lin&limit=5
+router.get('/search/suggest', async (req, res) => {
+    try {
+        res.json(await suggestProducts(req.query.q, { limit: req.query.limit }));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
 // GET single product - also returns deleted products (for admin recovery)
 router.get('/:id', async (req, res) => {
     try {
@@ -49,9 +73,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST create product (admin)
-router.post('/', protect, adminOnly, upload.array('images', 8), async (req, res) => {
+router.post('/', protect, authorize('products:create'), upload.array('images', 8), async (req, res) => {
     try {
-        const { name, price, originalPrice, qualityGrade, gender, description, category, sizes, colors, stock, isFeatured, isNewArrival, tags } = req.body;
+        const { name, price, originalPrice, qualityGrade, gender, description, category, sizes, colors, variants, stock, weight, hsnCode, taxRate, isFeatured, isNewArrival, tags } = req.body;
         
         if (!name || !price || !gender || !description) {
             return res.status(400).json({ message: 'Name, price, gender, and description are required' });
@@ -63,12 +87,18 @@ router.post('/', protect, adminOnly, upload.array('images', 8), async (req, res)
             name, price, originalPrice, qualityGrade, gender, description, category,
             sizes: sizes ? JSON.parse(sizes) : [],
             colors: colors ? JSON.parse(colors) : [],
+            variants: variants ? JSON.parse(variants) : [],
             stock: stock || 10,
+            weight: weight || 0,
+            hsnCode,
+            taxRate,
             images,
             isFeatured: isFeatured === 'true',
             isNewArrival: isNewArrival !== 'false',
             tags: tags ? JSON.parse(tags) : []
         });
+        clearSearchCache();
+        await recordAudit(req, { action: 'product.create', entity: 'Product', entityId: product._id, label: product.name, after: product });
         res.status(201).json(product);
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -76,17 +106,25 @@ router.post('/', protect, adminOnly, upload.array('images', 8), async (req, res)
 });
 
 // PUT update product (admin)
-router.put('/:id', protect, adminOnly, upload.array('images', 8), async (req, res) => {
+router.put('/:id', protect, authorize('products:update'), upload.array('images', 8), async (req, res) => {
     try {
         const updates = { ...req.body };
         if (req.files && req.files.length > 0) {
             updates.images = req.files.map(f => `/uploads/products/${f.filename}`);
         }
-        ['sizes', 'colors', 'tags'].forEach(field => {
+        ['sizes', 'colors', 'tags', 'variants'].forEach(field => {
             if (updates[field]) updates[field] = JSON.parse(updates[field]);
         });
-        const product = await Product.findByIdAndUpdate(req.params.id, updates, { new: true });
+        // Load + save (instead of findByIdAndUpdate) so variant SKUs and stock totals are recomputed
+        const product = await Product.findById(req.params.id);
         if (!product) return res.status(404).json({ message: 'Product not found' });
+        const before = product.toObject();
+        product.set(updates);
+        await product.save();
+        clearSearchCache();
+        await recordAudit(req, { action: 'product.update', entity: 'Product', entityId: product._id, label: product.name, before, after: product });
+        // Restock / price cut → SMS the shoppers watching it (in the background)
+        checkWishlistAlerts(product._id);
         res.json(product);
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -94,10 +132,15 @@ router.put('/:id', protect, adminOnly, upload.array('images', 8), async (req, re
 });
 
 // DELETE product (admin) - SOFT DELETE (data preserved for recovery)
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+router.delete('/:id', protect, authorize('products:delete'), async (req, res) => {
     try {
         const { reason } = req.body;
         const product = await softDelete('Product', req.params.id, req.user._id, reason);
+        clearSearchCache();
+        await recordAudit(req, {
+            action: 'product.delete', entity: 'Product', entityId: product._id, label: product.name,
+            changes: [{ field: 'isDeleted', from: false, to: true }], note: reason
+        });
         res.json({ message: 'Product soft deleted (can be restored)', product });
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -105,9 +148,14 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
 });
 
 // RESTORE deleted product (admin)
-router.put('/:id/restore', protect, adminOnly, async (req, res) => {
+router.put('/:id/restore', protect, authorize('products:delete'), async (req, res) => {
     try {
         const product = await restoreDeleted('Product', req.params.id);
+        clearSearchCache();
+        await recordAudit(req, {
+            action: 'product.restore', entity: 'Product', entityId: product._id, label: product.name,
+            changes: [{ field: 'isDeleted', from: true, to: false }]
+        });
         res.json({ message: 'Product restored successfully', product });
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -115,7 +163,7 @@ router.put('/:id/restore', protect, adminOnly, async (req, res) => {
 });
 
 // HARD DELETE product (admin) - PERMANENT, use with caution!
-router.delete('/:id/permanent', protect, adminOnly, async (req, res) => {
+router.delete('/:id/permanent', protect, authorize('products:purge'), async (req, res) => {
     try {
         const { confirm } = req.body;
         
@@ -125,7 +173,11 @@ router.delete('/:id/permanent', protect, adminOnly, async (req, res) => {
             });
         }
         
-        await Product.findByIdAndDelete(req.params.id);
+        const product = await Product.findByIdAndDelete(req.params.id);
+        if (!product) return res.status(404).json({ message: 'Product not found' });
+        clearSearchCache();
+        // The whole record goes into the trail - it is the only copy left
+        await recordAudit(req, { action: 'product.purge', entity: 'Product', entityId: product._id, label: product.name, before: product });
         res.json({ message: 'Product permanently deleted (cannot be recovered)' });
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -0,0 +1,169 @@
+const router = require('express').Router();
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { protect, authorize } = require('../middleware/auth');
+const { can } = require('../config/permissions');
+const upload = require('../middleware/upload');
+const { createReturnRequest, transitionReturn, refundReturn, checkReturnEligibility } = require('../services/returnService');
+const { recordAudit } = require('../services/auditService');
+
+// Fields of a return request an admin change is audited on
+const auditView = (request) => request && {
+    status: request.status,
+    adminNote: request.adminNote,
+    pickup: request.pickup,
+    refundAmount: request.refundAmount,
+    refundId: request.refundId,
+    exchangeOrder: request.exchangeOrder
+};
+
+// ══════════════════════════════════════════════════════════════════════════
+// RETURNS & EXCHANGES (RMA)
+// ══════════════════════════════════════════════════════════════════════════
+
+// Create return / exchange request (customer) - multipart with up to 5 photos
+router.post('/', protect, upload.returnPhotos.array('photos', 5), async (req, res) => {
+    try {
+        const { orderId, type, reason, comment } = req.body;
+        let items = req.body.items;
+        if (typeof items === 'string') {
+            try { items = JSON.parse(items); } catch { items = null; }
+        }
+
+        if (!orderId || !['return', 'exchange'].includes(type)) {
+            return res.status(400).json({ message: 'Order and request type (return / exchange) are required' });
+        }
+        if (!ReturnRequest.REASONS.includes(reason)) {
+            return res.status(400).json({ message: 'Please choose a reason' });
+        }
+        if (!Array.isArray(items) || !items.length) {
+            return res.status(400).json({ message: 'Select at least one item' });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order || order.isDeleted) return res.status(404).json({ message: 'Order not found' });
+        if (order.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const request = await createReturnRequest({
+            order,
+            userId: req.user._id,
+            type,
+            reason,
+            comment,
+            photos: (req.files || []).map(f => `/uploads/returns/${f.filename}`),
+            items
+        });
+        res.status(201).json(request);
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Get my return requests
+router.get('/my', protect, async (req, res) => {
+    try {
+        const requests = await ReturnRequest.find({ user: req.user._id, isDeleted: { $ne: true } })
+            .populate('order', 'orderNumber')
+            .populate('exchangeOrder', 'orderNumber status')
+            .sort({ createdAt: -1 });
+        res.json(requests);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Return eligibility for an order (customer) - drives the "Return / Exchange" button
+router.get('/eligibility/:orderId', protect, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId);
+        if (!order || order.user.toString() !== req.user._id.toString()) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        res.json(checkReturnEligibility(order));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Get all return requests (admin)
+router.get('/', protect, authorize('returns:read'), async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+        const query = { isDeleted: { $ne: true } };
+        if (status) query.status = status;
+
+        const total = await ReturnRequest.countDocuments(query);
+        const requests = await ReturnRequest.find(query)
+            .populate('user', 'name email phone')
+            .populate('order', 'orderNumber totalAmount paymentMethod')
+            .populate('exchangeOrder', 'orderNumber status')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(Number(limit));
+        res.json({ requests, total, pages: Math.ceil(total / limit) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Get single return request (owner or admin)
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const request = await ReturnRequest.findById(req.params.id)
+            .populate('order')
+            .populate('exchangeOrder', 'orderNumber status');
+        if (!request || request.isDeleted) return res.status(404).json({ message: 'Return request not found' });
+        if (request.user.toString() !== req.user._id.toString() && !can(req.user, 'returns:read')) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        res.json(request);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Withdraw a request before it is approved (customer)
+router.put('/:id/cancel', protect, async (req, res) => {
+    try {
+        const request = await ReturnRequest.findById(req.params.id);
+        if (!request || request.user.toString() !== req.user._id.toString()) {
+            return res.status(404).json({ message: 'Return request not found' });
+        }
+        const updated = await transitionReturn(req.params.id, 'CANCELLED', { userId: req.user._id, note: 'Withdrawn by customer' });
+        res.json(updated);
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Move a request through the workflow (admin)
+// status: APPROVED | REJECTED | PICKUP_SCHEDULED | PICKED_UP | RECEIVED | REFUNDED | EXCHANGED
+router.put('/:id/status', protect, authorize('returns:update'), async (req, res) => {
+    try {
+        const { status, note, pickup } = req.body;
+        if (!ReturnRequest.STATUSES.includes(status) || status === 'CANCELLED') {
+            return res.status(400).json({ message: 'Invalid status' });
+        }
+        const before = await ReturnRequest.findById(req.params.id).lean();
+        // REFUNDED pays the customer back through Razorpay for prepaid orders
+        const updated = status === 'REFUNDED'
+            ? await refundReturn(req.params.id, { userId: req.user._id, note })
+            : await transitionReturn(req.params.id, status, { userId: req.user._id, note, pickup });
+        await recordAudit(req, {
+            action: 'return.status', entity: 'ReturnRequest', entityId: updated._id, label: updated.rmaNumber,
+            before: auditView(before), after: auditView(updated.toObject()), note
+        });
+        await updated.populate([
+            { path: 'user', select: 'name email phone' },
+            { path: 'order', select: 'orderNumber totalAmount paymentMethod' },
+            { path: 'exchangeOrder', select: 'orderNumber status' }
+        ]);
+        res.json(updated);
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const router = require('express').Router();
+const Review = require('../models/Review');
+const { protect, authorize } = require('../middleware/auth');
+const { can } = require('../config/permissions');
+const upload = require('../middleware/upload');
+const {
+    findVerifiedOrder,
+    getRatingSummary,
+    listProductReviews,
+    saveReview,
+    moderateReview,
+    deleteReview,
+    toggleHelpful
+} = require('../services/reviewService');
+const { recordAudit } = require('../services/auditService');
+
+// ══════════════════════════════════════════════════════════════════════════
+// PRODUCT REVIEWS & RATINGS
+// ══════════════════════════════════════════════════════════════════════════
+
+// Published reviews of a product + rating summary (public)
+// ?sort=recent|helpful|rating_high|rating_low&rating=1..5&withPhotos=true&page=1&limit=10
+router.get('/product/:productId', async (req, res) => {
+    try {
+        const { sort, rating, withPhotos, page, limit } = req.query;
+        const [list, summary] = await Promise.all([
+            listProductReviews(req.params.productId, { sort, rating, withPhotos: withPhotos === 'true', page, limit }),
+            getRatingSummary(req.params.productId)
+        ]);
+        res.json({ ...list, summary });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Can I review this product? + my existing review (any status)
+router.get('/product/:productId/mine', protect, async (req, res) => {
+    try {
+        const [order, review] = await Promise.all([
+            findVerifiedOrder(req.user._id, req.params.productId),
+            Review.findOne({ product: req.params.productId, user: req.user._id, isDeleted: { $ne: true } })
+        ]);
+        res.json({ canReview: !!order, review });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Write / rewrite my review (verified purchase) - multipart with up to 5 photos
+router.post('/product/:productId', protect, upload.reviewPhotos.array('photos', 5), async (req, res) => {
+    try {
+        const { rating, title, comment } = req.body;
+        if (!rating) return res.status(400).json({ message: 'Please choose a star rating' });
+
+        const review = await saveReview({
+            productId: req.params.productId,
+            userId: req.user._id,
+            rating,
+            title,
+            comment,
+            photos: (req.files || []).map(f => `/uploads/reviews/${f.filename}`)
+        });
+        res.status(201).json({ message: 'Thanks! Your review will appear once it is approved.', review });
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Mark a review helpful / undo (toggle)
+router.post('/:id/helpful', protect, async (req, res) => {
+    try {
+        res.json(await toggleHelpful(req.params.id, req.user._id));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Delete a review (author or admin)
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const review = await Review.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+        if (!review) return res.status(404).json({ message: 'Review not found' });
+        if (review.user.toString() !== req.user._id.toString() && !can(req.user, 'reviews:moderate')) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        await deleteReview(review, req.user._id);
+        // Customers deleting their own review are not an admin change
+        if (review.user.toString() !== req.user._id.toString()) {
+            await recordAudit(req, {
+                action: 'review.delete', entity: 'Review', entityId: review._id, label: review.title || `${review.rating}★ review`,
+                changes: [{ field: 'isDeleted', from: false, to: true }]
+            });
+        }
+        res.json({ message: 'Review deleted' });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Moderation queue (admin) - ?status=pending|approved|rejected
+router.get('/', protect, authorize('reviews:moderate'), async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+        const query = { isDeleted: { $ne: true } };
+        if (status) query.status = status;
+
+        const total = await Review.countDocuments(query);
+        const reviews = await Review.find(query)
+            .select('-helpfulVotes')
+            .populate('user', 'name email phone')
+            .populate('product', 'name images')
+            .populate('order', 'orderNumber')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(Number(limit));
+        res.json({ reviews, total, pages: Math.ceil(total / limit) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Approve / reject a review (admin) - { status: 'approved' | 'rejected', note }
+router.put('/:id/moderate', protect, authorize('reviews:moderate'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        const before = await Review.findById(req.params.id).select('status moderationNote').lean();
+        const review = await moderateReview(req.params.id, { status, note, userId: req.user._id });
+        await recordAudit(req, {
+            action: 'review.moderate', entity: 'Review', entityId: review._id, label: review.title || `${review.rating}★ review`,
+            before: before && { status: before.status, moderationNote: before.moderationNote },
+            after: { status: review.status, moderationNote: review.moderationNote }
+        });
+        await review.populate([
+            { path: 'user', select: 'name email phone' },
+            { path: 'product', select: 'name images' },
+            { path: 'order', select: 'orderNumber' }
+        ]);
+        res.json(review);
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const Settings = require('../models/Settings');
-const { protect, adminOnly: admin } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
+
+const auditSetting = (req, key, before, after) => recordAudit(req, {
+    action: 'settings.update', entity: 'Settings', entityId: key, label: key,
+    before: { value: before }, after: { value: after }
+});
 
 // Get setting by key
 router.get('/:key', async (req, res) => {
@@ -15,7 +21,7 @@ router.get('/:key', async (req, res) => {
 });
 
 // Get all settings (admin only)
-router.get('/', protect, admin, async (req, res) => {
+router.get('/', protect, authorize('settings:manage'), async (req, res) => {
     try {
         const settings = await Settings.find();
         res.json(settings);
@@ -25,18 +31,20 @@ router.get('/', protect, admin, async (req, res) => {
 });
 
 // Update or create setting (Admin only)
-router.post('/', protect, admin, async (req, res) => {
+router.post('/', protect, authorize('settings:manage'), async (req, res) => {
     const { key, value } = req.body;
     try {
         if (!key) return res.status(400).json({ message: 'Key is required' });
         
         let setting = await Settings.findOne({ key });
+        const before = setting?.value;
         if (setting) {
             setting.value = value;
             await setting.save();
         } else {
             setting = await Settings.create({ key, value });
         }
+        await auditSetting(req, key, before, setting.value);
         res.json(setting);
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -44,16 +52,18 @@ router.post('/', protect, admin, async (req, res) => {
 });
 
 // Update specific setting (Admin only)
-router.put('/:key', protect, admin, async (req, res) => {
+router.put('/:key', protect, authorize('settings:manage'), async (req, res) => {
     const { value } = req.body;
     try {
         let setting = await Settings.findOne({ key: req.params.key });
+        const before = setting?.value;
         if (!setting) {
             setting = await Settings.create({ key: req.params.key, value });
         } else {
             setting.value = value;
             await setting.save();
         }
+        await auditSetting(req, req.params.key, before, setting.value);
         res.json(setting);
     } catch (err) {
         res.status(500).json({ message: err.message });
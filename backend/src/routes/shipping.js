@@ -0,0 +1,79 @@
+const router = require('express').Router();
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { protect, authorize } = require('../middleware/auth');
+const { getAvailability } = require('../utils/inventory');
+const { getShippingConfig, saveShippingConfig } = require('../services/shippingService');
+const { priceOrder } = require('../services/pricingService');
+const { recordAudit } = require('../services/auditService');
+
+// Get shipping rules (public - the storefront shows the free-shipping threshold)
+router.get('/config', async (req, res) => {
+    try {
+        res.json(await getShippingConfig());
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Update shipping rules (admin)
+router.put('/config', protect, authorize('settings:manage'), async (req, res) => {
+    try {
+        const before = await getShippingConfig();
+        const config = await saveShippingConfig(req.body, req.user._id);
+        await recordAudit(req, { action: 'settings.update', entity: 'Settings', entityId: 'shipping', label: 'Shipping rules', before, after: config });
+        res.json(config);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Quote the real fee before checkout
+// Without `items` the user's server cart (and its coupon) is quoted
+router.post('/quote', protect, async (req, res) => {
+    try {
+        const { items, shippingAddress, paymentMethod } = req.body;
+        let { couponCode } = req.body;
+
+        let lines = [];
+        if (Array.isArray(items) && items.length) {
+            // Prices come from the catalogue, not the client
+            for (const item of items) {
+                if (!item.product || String(item.product).startsWith('demo-')) continue;
+                const product = await Product.findById(item.product);
+                if (!product) continue;
+                const { price } = getAvailability(product, item.size, item.color);
+                lines.push({ product: product._id, price, quantity: Math.max(1, Number(item.quantity) || 1) });
+            }
+        } else {
+            const cart = await Cart.findOne({ user: req.user._id });
+            lines = (cart?.items || []).map(i => ({ product: i.product, price: i.price, quantity: i.quantity }));
+            couponCode = couponCode || cart?.couponCode;
+        }
+
+        // Fall back to the saved default address until the customer picks one
+        const address = shippingAddress?.pincode || shippingAddress?.state
+            ? shippingAddress
+            : (req.user.addresses?.find(a => a.isDefault) || req.user.addresses?.[0] || {});
+
+        const pricing = await priceOrder({ userId: req.user._id, items: lines, shippingAddress: address, couponCode, paymentMethod });
+        res.json({
+            subtotal: pricing.subtotal,
+            discounts: pricing.discounts,
+            discountTotal: pricing.discountTotal,
+            couponError: pricing.couponError,
+            shippingCharge: pricing.shippingCharge,
+            codCharge: pricing.codCharge,
+            codSurcharge: pricing.shipping.codSurcharge,
+            totalAmount: pricing.totalAmount,
+            zone: pricing.shipping.zone,
+            freeAbove: pricing.shipping.freeAbove,
+            amountToFreeShipping: pricing.shipping.amountToFreeShipping,
+            pincode: address.pincode || null
+        });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
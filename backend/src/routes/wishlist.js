@@ -0,0 +1,63 @@
+const router = require('express').Router();
+const { protect } = require('../middleware/auth');
+const {
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    setLineAlerts
+} = require('../services/wishlistService');
+
+// ══════════════════════════════════════════════════════════════════════════
+// WISHLIST - Saved products with back-in-stock / price-drop SMS alerts
+// ══════════════════════════════════════════════════════════════════════════
+
+// My wishlist with current price and stock per line
+router.get('/', protect, async (req, res) => {
+    try {
+        res.json(await getWishlist(req.user._id));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Save a product - { productId, size?, color? } (no size = any size)
+router.post('/', protect, async (req, res) => {
+    try {
+        const { productId, size, color } = req.body;
+        if (!productId) return res.status(400).json({ message: 'productId is required' });
+        res.status(201).json(await addToWishlist(req.user._id, { productId, size: size || '', color: color || '' }));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Turn alerts for a line on / off - { notify: boolean }
+router.put('/:itemId', protect, async (req, res) => {
+    try {
+        const { notify } = req.body;
+        if (typeof notify !== 'boolean') return res.status(400).json({ message: 'notify must be true or false' });
+        res.json(await setLineAlerts(req.user._id, req.params.itemId, notify));
+    } catch (err) {
+        res.status(err.status || 500).json({ message: err.message });
+    }
+});
+
+// Remove every line of a product (heart toggle)
+router.delete('/product/:productId', protect, async (req, res) => {
+    try {
+        res.json(await removeFromWishlist(req.user._id, { productId: req.params.productId }));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Remove one line
+router.delete('/:itemId', protect, async (req, res) => {
+    try {
+        res.json(await removeFromWishlist(req.user._id, { itemId: req.params.itemId }));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
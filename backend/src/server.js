@@ -7,7 +7,14 @@ const passport = require('passport');
 require('dotenv').config();
 
 // Import database config (production-grade)
-const { connectDB, disconnectDB, getDBHealth } = require('./config/database');
+const { connectDB, disconnectDB, getDBHealth, ensureIndexes } = require('./config/database');
+const { startTrackingPoller } = require('./services/courierService');
+const { startCartRecoveryJob } = require('./services/cartRecoveryService');
+const { startJobWorker } = require('./services/jobQueue');
+const { startReservationSweeper } = require('./services/stockReservationService');
+const { startReconciliationSchedule } = require('./services/reconciliationService');
+// Registers the order job handlers with the queue
+require('./services/orderJobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -15,8 +22,22 @@ const productRoutes = require('./routes/products');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
 const paymentRoutes = require('./routes/payment');
+const fakeGatewayRoutes = require('./routes/fakeGateway');
 const settingsRoutes = require('./routes/settings');
 const adminExportRoutes = require('./routes/adminExport');
+const adminUserRoutes = require('./routes/adminUsers');
+const adminAuditRoutes = require('./routes/adminAudit');
+const adminCartRecoveryRoutes = require('./routes/adminCartRecovery');
+const adminJobRoutes = require('./routes/adminJobs');
+const adminWebhookRoutes = require('./routes/adminWebhooks');
+const adminReconciliationRoutes = require('./routes/adminReconciliation');
+const adminUpiVerificationRoutes = require('./routes/adminUpiVerifications');
+const couponRoutes = require('./routes/coupons');
+const shippingRoutes = require('./routes/shipping');
+const returnRoutes = require('./routes/returns');
+const reviewRoutes = require('./routes/reviews');
+const wishlistRoutes = require('./routes/wishlist');
+const devOutboxRoutes = require('./routes/devOutbox');
 
 // Import passport config
 require('./config/passport');
@@ -57,6 +78,9 @@ const gracefulShutdown = async (signal) => {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
+// Behind Render's proxy req.ip would be the proxy - trust one hop so per-IP limits see the client
+if (process.env.NODE_ENV === 'production' || process.env.TRUST_PROXY === 'true') app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors({
     origin: function(origin, callback) {
@@ -90,7 +114,12 @@ app.use(cors({
 
 // Handle preflight requests explicitly for mobile browsers
 app.options('*', cors());
-app.use(express.json());
+// Keep the exact bytes of webhook bodies - gateway signatures are over the raw body
+app.use(express.json({
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payment/webhook')) req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(session({
     secret: process.env.JWT_SECRET || 'tcs_session_secret',
@@ -108,9 +137,24 @@ app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/payment/fake-gateway', fakeGatewayRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/admin/export', adminExportRoutes);
+app.use('/api/admin/users', adminUserRoutes);
+app.use('/api/admin/audit', adminAuditRoutes);
+app.use('/api/admin/cart-recovery', adminCartRecoveryRoutes);
+app.use('/api/admin/jobs', adminJobRoutes);
+app.use('/api/admin/webhooks', adminWebhookRoutes);
+app.use('/api/admin/reconciliation', adminReconciliationRoutes);
+app.use('/api/admin/upi-verifications', adminUpiVerificationRoutes);
+// Messages the console email / SMS transports kept (OTPs, reset links) - opt-in, never in production
+if (process.env.DEV_OUTBOX === 'true' && process.env.NODE_ENV !== 'production') app.use('/api/dev/outbox', devOutboxRoutes);
 
 // Health check with comprehensive MongoDB status
 app.get('/api/health', (req, res) => {
@@ -145,6 +189,9 @@ const initializeDatabase = async () => {
         console.log('⚠️ Database not connected - some features will be unavailable');
         return;
     }
+
+    // Unique indexes that dedupe webhook redeliveries, queued jobs and UPI approvals (not built automatically in production)
+    await ensureIndexes([require('./models/WebhookEvent'), require('./models/Job'), require('./models/Order')]);
     
     // Seed admin user
     try {
@@ -156,7 +203,8 @@ const initializeDatabase = async () => {
                 name: 'TCS Admin',
                 email: adminEmail,
                 password: process.env.ADMIN_PASSWORD || 'Admin@123',
-                role: 'admin'
+                role: 'admin',
+                adminRole: 'owner'
             });
             console.log(`✅ Admin seeded: ${adminEmail}`);
         } else {
@@ -197,6 +245,17 @@ const server = app.listen(PORT, () => {
 // Store server reference for graceful shutdown
 global.server = server;
 
+// Pull courier tracking events for shipped orders
+startTrackingPoller();
+// Remind customers about carts they left behind
+startCartRecoveryJob();
+// Invoices and SMS queued by order changes
+startJobWorker();
+// Give back stock held by checkouts that were never paid
+startReservationSweeper();
+// Match yesterday's gateway payments and settlements against our orders
+startReconciliationSchedule();
+
 // Keep server alive - prevent idle timeout (especially on Render/Heroku)
 server.keepAliveTimeout = 65000;  // 65 seconds
 server.headersTimeout = 66000;   // Slightly more than keepAliveTimeout
@@ -0,0 +1,152 @@
+/**
+ * Audit Service
+ * Records admin changes in the append-only AuditLog: who, what, the
+ * field-level before / after diff, and where from (IP, user agent, route)
+ *
+ * recordAudit() never throws - a failed audit write is logged, and the
+ * change it describes has already happened.
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { adminRoleOf } = require('../config/permissions');
+
+// Bookkeeping / secrets that don't belong in a diff
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'password']);
+// Nested objects are diffed field by field down to this depth; arrays as a whole
+const MAX_DEPTH = 3;
+const MAX_VALUE_LENGTH = 2000;
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc);
+
+const normalise = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return String(value);
+    if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+    if (Array.isArray(value)) return value.map(normalise);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalise(v)]));
+    }
+    return value;
+};
+
+const flatten = (obj, prefix = '', depth = 0, out = {}) => {
+    Object.entries(obj || {}).forEach(([key, value]) => {
+        if (IGNORED_FIELDS.has(key)) return;
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value) && depth < MAX_DEPTH) {
+            flatten(value, path, depth + 1, out);
+        } else {
+            out[path] = value;
+        }
+    });
+    return out;
+};
+
+// Long values (descriptions, histories) are cut so one entry stays small
+const clip = (value) => {
+    if (value === undefined) return null;
+    const json = JSON.stringify(value);
+    if (json && json.length > MAX_VALUE_LENGTH) return `${json.slice(0, MAX_VALUE_LENGTH)}…`;
+    return value;
+};
+
+/**
+ * Field-level differences between two versions of a record
+ *
+ * @param {Object} before - Document / plain object (null for creates)
+ * @param {Object} after - Document / plain object (null for deletes)
+ * @returns {Array} - [{ field, from, to }]
+ */
+const diff = (before, after) => {
+    const a = flatten(normalise(plain(before)));
+    const b = flatten(normalise(plain(after)));
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+        .sort()
+        .map(field => ({ field, from: clip(a[field]), to: clip(b[field]) }));
+};
+
+/**
+ * Record an admin change - never throws
+ *
+ * @param {Object} req - Express request (actor, IP, route)
+ * @param {Object} entry - { action, entity, entityId, label, before, after, changes?, note }
+ * @returns {Promise<Object|null>} - The AuditLog entry
+ */
+const recordAudit = async (req, { action, entity, entityId, label, before = null, after = null, changes, note }) => {
+    try {
+        const fieldChanges = changes || diff(before, after);
+        // An update that changed nothing isn't worth a line
+        if (before && after && !fieldChanges.length && !note) return null;
+
+        const user = req.user;
+        return await AuditLog.create({
+            actor: user?._id,
+            actorName: user?.name,
+            actorEmail: user?.email || user?.phone,
+            actorRole: adminRoleOf(user) || user?.role,
+            action,
+            entity,
+            entityId: entityId && String(entityId),
+            entityLabel: label,
+            changes: fieldChanges,
+            note,
+            ip: req.ip,
+            userAgent: req.get?.('user-agent')?.slice(0, 300),
+            method: req.method,
+            path: req.originalUrl?.split('?')[0]
+        });
+    } catch (err) {
+        console.error(`❌ Audit log write failed (${action} ${entity} ${entityId}):`, err.message);
+        return null;
+    }
+};
+
+/**
+ * Filter for audit queries - { actor, action, entity, entityId, from, to }
+ */
+const buildAuditFilter = ({ actor, action, entity, entityId, from, to } = {}) => {
+    const filter = {};
+    if (actor) {
+        if (mongoose.Types.ObjectId.isValid(actor)) filter.actor = actor;
+        else filter.actorEmail = new RegExp(actor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+    if (action) filter.action = { $in: String(action).split(',').filter(Boolean) };
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = String(entityId);
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        // A bare date means "up to the end of that day"
+        if (to) filter.createdAt.$lte = /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(`${to}T23:59:59.999Z`) : new Date(to);
+        if ([filter.createdAt.$gte, filter.createdAt.$lte].some(d => d && isNaN(d))) {
+            throw Object.assign(new Error('from / to must be valid dates'), { status: 400 });
+        }
+    }
+    return filter;
+};
+
+/**
+ * Page of audit entries, newest first, with the values the filters can take
+ */
+const listAuditLogs = async (query = {}) => {
+    const filter = buildAuditFilter(query);
+    const page = Math.max(1, Number(query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(query.limit) || 50));
+
+    const [logs, total, actions, entities] = await Promise.all([
+        AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        AuditLog.countDocuments(filter),
+        AuditLog.distinct('action'),
+        AuditLog.distinct('entity')
+    ]);
+    return { logs, total, page, pages: Math.ceil(total / limit), facets: { actions: actions.sort(), entities: entities.sort() } };
+};
+
+module.exports = {
+    recordAudit,
+    diff,
+    buildAuditFilter,
+    listAuditLogs
+};
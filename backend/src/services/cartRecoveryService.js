@@ -0,0 +1,395 @@
+/**
+ * Cart Recovery Service
+ * SMS reminders for carts left idle, with a link that restores the cart
+ *
+ * A cart is idle once it has items and its updatedAt is older than the first
+ * step's afterHours. Each step sends one reminder (optionally with a
+ * single-use coupon for that customer). Touching the cart starts a new
+ * cycle; an order ends it - checkout clears the cart, and carts whose owner
+ * has ordered since the cycle started are skipped.
+ *
+ * An order placed within ATTRIBUTION_DAYS of a reminder counts as recovered
+ * (credited to the last reminder before it).
+ *
+ * Config (Settings key 'cart_recovery'):
+ * {
+ *   enabled: true,
+ *   steps: [{ afterHours: 1, discountPercent: 0 }, { afterHours: 72, discountPercent: 10 }],
+ *   maxDiscount: 500,          // ₹ cap on generated coupons (0 = none)
+ *   couponValidHours: 48,
+ *   minCartValue: 0,           // ₹ - smaller carts are not chased
+ *   maxIdleDays: 7             // carts idle longer are left alone
+ * }
+ */
+
+const crypto = require('crypto');
+const Settings = require('../models/Settings');
+const Cart = require('../models/Cart');
+const CartReminder = require('../models/CartReminder');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const { sendCartReminderSMS } = require('./smsService');
+
+const SETTINGS_KEY = 'cart_recovery';
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const ATTRIBUTION_DAYS = 7;
+const LINK_TTL_DAYS = 30;
+// Carts looked at per run - the rest are picked up next time
+const BATCH_SIZE = 200;
+// Orders that count as "the customer bought"
+const PLACED_STATUSES = ['PAID', 'PLACED', 'SHIPPED', 'DELIVERED'];
+
+const DEFAULT_CART_RECOVERY_CONFIG = {
+    enabled: true,
+    steps: [
+        { afterHours: 1, discountPercent: 0 },
+        { afterHours: 24, discountPercent: 0 },
+        { afterHours: 72, discountPercent: 10 }
+    ],
+    maxDiscount: 500,
+    couponValidHours: 48,
+    minCartValue: 0,
+    maxIdleDays: 7
+};
+
+const toNumber = (value, fallback = 0) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Clean up a config coming from the admin panel
+ *
+ * @param {Object} value - Raw config
+ * @returns {Object} - Steps sorted by afterHours, numbers coerced
+ */
+const normaliseCartRecoveryConfig = (value = {}) => ({
+    enabled: value.enabled !== false,
+    steps: (Array.isArray(value.steps) ? value.steps : [])
+        .map(s => ({ afterHours: toNumber(s.afterHours), discountPercent: Math.min(90, toNumber(s.discountPercent)) }))
+        .filter(s => s.afterHours > 0)
+        .sort((a, b) => a.afterHours - b.afterHours)
+        .slice(0, 5),
+    maxDiscount: toNumber(value.maxDiscount),
+    couponValidHours: toNumber(value.couponValidHours, DEFAULT_CART_RECOVERY_CONFIG.couponValidHours) || DEFAULT_CART_RECOVERY_CONFIG.couponValidHours,
+    minCartValue: toNumber(value.minCartValue),
+    maxIdleDays: toNumber(value.maxIdleDays, DEFAULT_CART_RECOVERY_CONFIG.maxIdleDays) || DEFAULT_CART_RECOVERY_CONFIG.maxIdleDays
+});
+
+/**
+ * Current config (defaults when the admin hasn't saved one)
+ */
+const getCartRecoveryConfig = async () => {
+    const setting = await Settings.findOne({ key: SETTINGS_KEY, isDeleted: { $ne: true } });
+    return normaliseCartRecoveryConfig(setting?.value || DEFAULT_CART_RECOVERY_CONFIG);
+};
+
+/**
+ * Save config
+ *
+ * @param {Object} value - Raw config from the admin panel
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} - Saved (normalised) config
+ */
+const saveCartRecoveryConfig = async (value, userId) => {
+    const config = normaliseCartRecoveryConfig(value);
+    await Settings.findOneAndUpdate(
+        { key: SETTINGS_KEY },
+        { value: config, description: 'Abandoned cart reminders', lastModifiedBy: userId },
+        { upsert: true, new: true }
+    );
+    return config;
+};
+
+// Reuse a customer's unexpired recovery coupon rather than minting one per reminder
+const getRecoveryCoupon = async (user, discountPercent, config) => {
+    const existing = await Coupon.findOne({
+        assignedTo: user._id,
+        source: 'cart_recovery',
+        value: discountPercent,
+        usedCount: 0,
+        isActive: true,
+        isDeleted: { $ne: true },
+        validUntil: { $gt: new Date(Date.now() + HOUR) }
+    });
+    if (existing) return existing;
+
+    return Coupon.create({
+        code: `COMEBACK-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+        description: `Cart recovery - ${user.name || user.phone}`,
+        type: 'percentage',
+        value: discountPercent,
+        maxDiscount: config.maxDiscount || undefined,
+        usageLimit: 1,
+        perUserLimit: 1,
+        validUntil: new Date(Date.now() + config.couponValidHours * HOUR),
+        source: 'cart_recovery',
+        assignedTo: user._id
+    });
+};
+
+const hasOrderedSince = (userId, since) => Order.exists({
+    user: userId,
+    createdAt: { $gte: since },
+    status: { $in: PLACED_STATUSES },
+    isDeleted: { $ne: true }
+});
+
+/**
+ * Send the reminder due for one cart, if any
+ *
+ * @returns {Promise<string>} - 'sent' | 'failed' | 'ordered' | 'skipped'
+ */
+const remindCart = async (cart, config, now = Date.now()) => {
+    const user = cart.user;
+    if (!user?.phone || user.isDeleted || user.isActive === false) return 'skipped';
+    if (cart.totalPrice < config.minCartValue) return 'skipped';
+
+    const cycleStartedAt = cart.updatedAt;
+    const sameCycle = cart.recovery?.cycleStartedAt?.getTime() === cycleStartedAt.getTime();
+    const sent = sameCycle ? cart.recovery.remindersSent || 0 : 0;
+
+    // Latest step that is due - a late run skips straight to it instead of sending a burst
+    const idleHours = (now - cycleStartedAt.getTime()) / HOUR;
+    const due = config.steps.reduce((last, step, i) => (step.afterHours <= idleHours ? i : last), -1);
+    if (due < sent) return 'skipped';
+
+    // Claim the step first so overlapping runs can't both send it
+    const claim = await Cart.updateOne(
+        { _id: cart._id, updatedAt: cycleStartedAt, 'recovery.lastReminderAt': cart.recovery?.lastReminderAt ?? null },
+        { $set: { recovery: { cycleStartedAt, remindersSent: due + 1, lastReminderAt: new Date(now) } } },
+        { timestamps: false }
+    );
+    if (!claim.modifiedCount) return 'skipped';
+
+    if (await hasOrderedSince(user._id, cycleStartedAt)) {
+        await Cart.updateOne({ _id: cart._id }, { $set: { 'recovery.remindersSent': config.steps.length } }, { timestamps: false });
+        return 'ordered';
+    }
+
+    const step = config.steps[due];
+    const coupon = step.discountPercent > 0 ? await getRecoveryCoupon(user, step.discountPercent, config) : null;
+    const token = crypto.randomBytes(24).toString('base64url');
+    const reminder = await CartReminder.create({
+        user: user._id,
+        cart: cart._id,
+        cycleStartedAt,
+        step: due + 1,
+        idleHours: Math.round(idleHours),
+        tokenHash: hashToken(token),
+        items: cart.items.map(({ product, name, price, image, quantity, size, color }) => ({ product, name, price, image, quantity, size, color })),
+        cartValue: cart.totalPrice,
+        couponCode: coupon?.code
+    });
+
+    const result = await sendCartReminderSMS(user, {
+        itemCount: cart.totalItems,
+        cartValue: cart.totalPrice,
+        link: `${process.env.CLIENT_URL || 'http://localhost:5173'}/cart/restore/${token}`,
+        coupon
+    });
+    reminder.status = !result.success ? 'failed' : result.logged_only ? 'logged' : 'sent';
+    reminder.error = result.error;
+    await reminder.save();
+    return result.success ? 'sent' : 'failed';
+};
+
+/**
+ * Credit orders placed after a reminder to the last reminder before them
+ *
+ * @returns {Promise<number>} - reminders marked recovered
+ */
+const attributeRecoveries = async (now = Date.now()) => {
+    const reminders = await CartReminder.find({
+        recoveredOrder: null,
+        createdAt: { $gte: new Date(now - ATTRIBUTION_DAYS * DAY) }
+    }).sort({ createdAt: -1 });
+
+    const seenCycles = new Set();
+    let recovered = 0;
+    for (const reminder of reminders) {
+        const cycle = `${reminder.cart}:${reminder.cycleStartedAt.getTime()}`;
+        if (seenCycles.has(cycle)) continue;
+        seenCycles.add(cycle);
+
+        const order = await Order.findOne({
+            user: reminder.user,
+            createdAt: { $gt: reminder.createdAt, $lte: new Date(reminder.createdAt.getTime() + ATTRIBUTION_DAYS * DAY) },
+            status: { $in: PLACED_STATUSES },
+            isDeleted: { $ne: true }
+        }).sort({ createdAt: 1 });
+        if (!order || await CartReminder.exists({ recoveredOrder: order._id })) continue;
+
+        reminder.recoveredOrder = order._id;
+        reminder.recoveredAt = order.createdAt;
+        reminder.recoveredAmount = order.totalAmount;
+        reminder.couponRedeemed = !!reminder.couponCode && (order.discounts || []).some(d => d.code === reminder.couponCode);
+        await reminder.save();
+        recovered++;
+    }
+    return recovered;
+};
+
+/**
+ * One pass of the job: credit recoveries, then remind idle carts
+ *
+ * @returns {Promise<Object>} - { checked, sent, failed, ordered, recovered }
+ */
+const runCartRecovery = async () => {
+    const now = Date.now();
+    const summary = { checked: 0, sent: 0, failed: 0, ordered: 0, recovered: await attributeRecoveries(now) };
+
+    const config = await getCartRecoveryConfig();
+    if (!config.enabled || !config.steps.length) return summary;
+
+    const carts = await Cart.find({
+        isDeleted: { $ne: true },
+        'items.0': { $exists: true },
+        updatedAt: { $lte: new Date(now - config.steps[0].afterHours * HOUR), $gte: new Date(now - config.maxIdleDays * DAY) }
+    })
+        .sort({ updatedAt: -1 })
+        .limit(BATCH_SIZE)
+        .populate('user', 'name phone isActive isDeleted');
+
+    for (const cart of carts) {
+        summary.checked++;
+        try {
+            const outcome = await remindCart(cart, config, now);
+            if (summary[outcome] !== undefined) summary[outcome]++;
+        } catch (err) {
+            summary.failed++;
+            console.error(`❌ Cart reminder failed for cart ${cart._id}:`, err.message);
+        }
+    }
+    if (summary.sent || summary.failed || summary.recovered) {
+        console.log(`🛒 Cart recovery: ${summary.sent} reminder(s) sent, ${summary.failed} failed, ${summary.recovered} recovered`);
+    }
+    return summary;
+};
+
+/**
+ * Reminder behind a restore link - must belong to the signed-in customer
+ * Records the click
+ *
+ * @param {string} token - From the SMS link
+ * @param {string} userId
+ * @returns {Promise<Object>} - CartReminder
+ */
+const openReminderLink = async (token, userId) => {
+    const reminder = token && await CartReminder.findOne({ tokenHash: hashToken(token) });
+    if (!reminder || String(reminder.user) !== String(userId) || reminder.createdAt < new Date(Date.now() - LINK_TTL_DAYS * DAY)) {
+        throw Object.assign(new Error('This link has expired'), { status: 404 });
+    }
+    if (!reminder.clickedAt) {
+        reminder.clickedAt = new Date();
+        await reminder.save();
+    }
+    return reminder;
+};
+
+const rate = (part, whole) => (whole ? Math.round(part / whole * 1000) / 10 : 0);
+
+/**
+ * Conversion report for reminders sent in the last `days` days
+ *
+ * @returns {Promise<Object>} - { days, carts, reminders, clicked, recovered, conversionRate, clickRate, revenue, couponsRedeemed, steps }
+ */
+const getRecoveryStats = async ({ days = 30 } = {}) => {
+    days = Math.min(365, Math.max(1, Number(days) || 30));
+    const since = new Date(Date.now() - days * DAY);
+
+    const [cycles, steps] = await Promise.all([
+        CartReminder.aggregate([
+            { $match: { createdAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: { cart: '$cart', cycle: '$cycleStartedAt' },
+                    value: { $max: '$cartValue' },
+                    clicked: { $max: { $cond: [{ $ifNull: ['$clickedAt', false] }, 1, 0] } },
+                    recovered: { $max: { $cond: [{ $ifNull: ['$recoveredOrder', false] }, 1, 0] } },
+                    revenue: { $sum: { $ifNull: ['$recoveredAmount', 0] } },
+                    couponsRedeemed: { $sum: { $cond: ['$couponRedeemed', 1, 0] } },
+                    reminders: { $sum: 1 }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    carts: { $sum: 1 },
+                    reminders: { $sum: '$reminders' },
+                    clicked: { $sum: '$clicked' },
+                    recovered: { $sum: '$recovered' },
+                    revenue: { $sum: '$revenue' },
+                    couponsRedeemed: { $sum: '$couponsRedeemed' },
+                    abandonedValue: { $sum: '$value' }
+                }
+            }
+        ]),
+        CartReminder.aggregate([
+            { $match: { createdAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: '$step',
+                    sent: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 0, 1] } },
+                    failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+                    clicked: { $sum: { $cond: [{ $ifNull: ['$clickedAt', false] }, 1, 0] } },
+                    recovered: { $sum: { $cond: [{ $ifNull: ['$recoveredOrder', false] }, 1, 0] } },
+                    revenue: { $sum: { $ifNull: ['$recoveredAmount', 0] } }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ])
+    ]);
+
+    const totals = cycles[0] || { carts: 0, reminders: 0, clicked: 0, recovered: 0, revenue: 0, couponsRedeemed: 0, abandonedValue: 0 };
+    return {
+        days,
+        carts: totals.carts,
+        reminders: totals.reminders,
+        clicked: totals.clicked,
+        recovered: totals.recovered,
+        clickRate: rate(totals.clicked, totals.carts),
+        conversionRate: rate(totals.recovered, totals.carts),
+        revenue: totals.revenue,
+        abandonedValue: totals.abandonedValue,
+        couponsRedeemed: totals.couponsRedeemed,
+        steps: steps.map(s => ({
+            step: s._id,
+            sent: s.sent,
+            failed: s.failed,
+            clicked: s.clicked,
+            recovered: s.recovered,
+            revenue: s.revenue,
+            conversionRate: rate(s.recovered, s.sent)
+        }))
+    };
+};
+
+/**
+ * Run the job every CART_RECOVERY_POLL_MINUTES (default 15, 0 disables)
+ */
+const startCartRecoveryJob = () => {
+    const minutes = Number(process.env.CART_RECOVERY_POLL_MINUTES ?? 15);
+    if (!(minutes > 0)) return null;
+    const timer = setInterval(() => {
+        runCartRecovery().catch(err => console.error('❌ Cart recovery run failed:', err.message));
+    }, minutes * 60 * 1000);
+    timer.unref();
+    console.log(`🛒 Abandoned cart check every ${minutes} min`);
+    return timer;
+};
+
+module.exports = {
+    DEFAULT_CART_RECOVERY_CONFIG,
+    normaliseCartRecoveryConfig,
+    getCartRecoveryConfig,
+    saveCartRecoveryConfig,
+    runCartRecovery,
+    attributeRecoveries,
+    openReminderLink,
+    getRecoveryStats,
+    startCartRecoveryJob
+};
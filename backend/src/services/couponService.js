@@ -0,0 +1,183 @@
+/**
+ * Coupon Service
+ * Validates coupon codes against a cart/order and computes the discount
+ * Used by the cart (apply/remove) and by order creation
+ */
+
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+// A customer's orders that count as a use of the coupon
+const countUserUses = (code, userId, { session } = {}) => Order.countDocuments({
+    user: userId,
+    'discounts.code': code,
+    status: { $ne: 'CANCELLED' },
+    couponsReleased: { $ne: true },   // Abandoned checkouts whose hold was released
+    isDeleted: { $ne: true }
+}).session(session || null);
+
+/**
+ * Check a coupon code against a set of lines and work out the discount
+ *
+ * @param {string} code - Coupon code (case-insensitive)
+ * @param {Object} params
+ * @param {string} params.userId - Customer applying the coupon
+ * @param {Array} params.items - Lines ({ product, price, quantity })
+ * @returns {Promise<Object>} - { valid, message } or
+ *                              { valid, coupon, discount, freeShipping, line }
+ */
+const evaluateCoupon = async (code, { userId, items }) => {
+    if (!code) return { valid: false, message: 'Coupon code is required' };
+
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase(), isDeleted: { $ne: true } });
+    if (!coupon || !coupon.isActive) {
+        return { valid: false, message: 'Invalid coupon code' };
+    }
+
+    const now = new Date();
+    if (coupon.validFrom && coupon.validFrom > now) {
+        return { valid: false, message: 'This coupon is not active yet' };
+    }
+    if (coupon.validUntil && coupon.validUntil < now) {
+        return { valid: false, message: 'This coupon has expired' };
+    }
+    if (coupon.assignedTo && String(coupon.assignedTo) !== String(userId)) {
+        return { valid: false, message: 'Invalid coupon code' };
+    }
+    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
+        return { valid: false, message: 'This coupon has reached its usage limit' };
+    }
+
+    if (coupon.perUserLimit > 0 && userId) {
+        const used = await countUserUses(coupon.code, userId);
+        if (used >= coupon.perUserLimit) {
+            return { valid: false, message: 'You have already used this coupon' };
+        }
+    }
+
+    const subtotal = items.reduce((sum, i) => sum + i.price * (i.quantity || 1), 0);
+    if (subtotal < (coupon.minOrderValue || 0)) {
+        return { valid: false, message: `Add items worth ₹${coupon.minOrderValue - subtotal} more to use this coupon` };
+    }
+
+    // Only lines within the category / gender scope count towards the discount
+    const { categories = [], genders = [] } = coupon.scope || {};
+    let eligibleSubtotal = subtotal;
+    if (categories.length || genders.length) {
+        const products = await Product.find({ _id: { $in: items.map(i => i.product).filter(Boolean) } })
+            .select('category gender');
+        const byId = new Map(products.map(p => [p._id.toString(), p]));
+        eligibleSubtotal = items.reduce((sum, i) => {
+            const product = i.product && byId.get(i.product.toString());
+            if (!product) return sum;
+            if (categories.length && !categories.includes(product.category)) return sum;
+            if (genders.length && !genders.includes(product.gender)) return sum;
+            return sum + i.price * (i.quantity || 1);
+        }, 0);
+
+        if (eligibleSubtotal === 0) {
+            return { valid: false, message: 'This coupon does not apply to the items in your cart' };
+        }
+    }
+
+    let discount = 0;
+    if (coupon.type === 'percentage') {
+        discount = Math.round(eligibleSubtotal * coupon.value / 100);
+        if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+    } else if (coupon.type === 'flat') {
+        discount = Math.min(coupon.value, eligibleSubtotal);
+    }
+    const freeShipping = coupon.type === 'free_shipping';
+
+    return {
+        valid: true,
+        coupon,
+        discount,
+        freeShipping,
+        line: {
+            code: coupon.code,
+            type: coupon.type,
+            description: coupon.description || describeCoupon(coupon),
+            amount: discount
+        }
+    };
+};
+
+// Short human description used when the admin didn't write one
+const describeCoupon = (coupon) => {
+    if (coupon.type === 'percentage') {
+        return `${coupon.value}% off${coupon.maxDiscount ? ` (up to ₹${coupon.maxDiscount})` : ''}`;
+    }
+    if (coupon.type === 'flat') return `₹${coupon.value} off`;
+    return 'Free shipping';
+};
+
+/**
+ * Count a coupon use once an order is placed with it
+ * Conditional on the global limit so concurrent orders can't exceed it
+ *
+ * @param {string} code
+ * @param {Object} options
+ * @param {Object} options.session - Optional MongoDB session
+ * @param {boolean} options.ignoreLimit - Count it even past the limit (already paid at the discounted price)
+ * @returns {Promise<boolean>} - false if the limit was reached in the meantime
+ */
+const redeemCoupon = async (code, { session, ignoreLimit = false } = {}) => {
+    const result = await Coupon.updateOne(
+        ignoreLimit ? { code } : {
+            code,
+            $or: [
+                { usageLimit: { $in: [0, null] } },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { session }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Whether a customer's orders with a coupon go past its per-customer limit,
+ * counting the order being placed
+ * Call it inside the transaction that creates / re-holds that order, before
+ * redeemCoupon: concurrent checkouts all write the coupon there, so only one
+ * commits and the others retry and count its order
+ *
+ * @param {string} code
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Object} options.session - The order's transaction
+ * @returns {Promise<boolean>}
+ */
+const exceedsPerUserLimit = async (code, userId, { session } = {}) => {
+    if (!userId) return false;
+    const coupon = await Coupon.findOne({ code }).select('perUserLimit').session(session || null);
+    if (!(coupon?.perUserLimit > 0)) return false;
+    return await countUserUses(code, userId, { session }) > coupon.perUserLimit;
+};
+
+/**
+ * Give a coupon use back (order cancelled or its checkout hold released)
+ *
+ * @param {Array<string>} codes
+ * @param {Object} options
+ * @param {Object} options.session - Optional MongoDB session
+ */
+const releaseCoupons = async (codes, { session } = {}) => {
+    if (!codes?.length) return;
+    await Coupon.updateMany(
+        { code: { $in: codes }, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } },
+        { session }
+    );
+};
+
+module.exports = {
+    evaluateCoupon,
+    describeCoupon,
+    redeemCoupon,
+    exceedsPerUserLimit,
+    releaseCoupons
+};
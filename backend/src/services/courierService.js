@@ -0,0 +1,261 @@
+/**
+ * Courier Service
+ * Shipment details (courier, AWB numbers, packages) and tracking events
+ *
+ * Couriers with a tracking API plug in as adapters (services/couriers/*):
+ *
+ *   {
+ *     code: 'fake',                      // stored on order.shipment.courier
+ *     name: 'Fake Courier (local)',
+ *     trackingUrlTemplate: 'https://.../track?awb={awb}',
+ *     track({ awbNumber, shippedAt, destination })
+ *       → Promise<{ status, expectedDeliveryDate, events: [{ status, description, location, timestamp }] }>
+ *   }
+ *
+ * Any other courier can still be entered by name with its own tracking URL
+ * template - those shipments are just not polled.
+ */
+
+const Order = require('../models/Order');
+const { ACTORS, transitionOrder } = require('./orderStatusService');
+
+const COURIERS = {};
+
+/**
+ * Register a courier adapter
+ *
+ * @param {Object} adapter - See the interface above
+ */
+const registerCourier = (adapter) => {
+    if (!adapter?.code || typeof adapter.track !== 'function') {
+        throw new Error('Courier adapter needs a code and a track() function');
+    }
+    COURIERS[adapter.code] = adapter;
+};
+
+if (process.env.NODE_ENV !== 'production' || process.env.FAKE_COURIER === 'true') {
+    registerCourier(require('./couriers/fakeCourier'));
+}
+
+const OTHER = 'other';
+
+// How far along the delivery a tracking status is - the slowest package sets the shipment status
+const STATUS_RANK = { SHIPPED: 0, PICKED_UP: 1, IN_TRANSIT: 2, OUT_FOR_DELIVERY: 3, DELIVERED: 4 };
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Couriers for the admin shipment form
+ *
+ * @returns {Array<Object>} - [{ code, name, trackingUrlTemplate, trackable }]
+ */
+const listCouriers = () => [
+    ...Object.values(COURIERS).map(c => ({ code: c.code, name: c.name, trackingUrlTemplate: c.trackingUrlTemplate, trackable: true })),
+    { code: OTHER, name: 'Other courier', trackingUrlTemplate: '', trackable: false }
+];
+
+/**
+ * Public tracking link for one AWB
+ *
+ * @param {Object} shipment - order.shipment
+ * @param {string} awbNumber - Defaults to the master AWB
+ * @returns {string|null}
+ */
+const getTrackingUrl = (shipment, awbNumber) => {
+    const awb = awbNumber || shipment?.awbNumber;
+    if (!shipment?.trackingUrlTemplate || !awb) return null;
+    return shipment.trackingUrlTemplate.replace(/\{awb\}/g, encodeURIComponent(awb));
+};
+
+/**
+ * Validate shipment input from the admin form
+ *
+ * @param {Object} input - { courier, courierName, awbNumber, trackingUrlTemplate, expectedDeliveryDate, packages }
+ * @returns {Object} - Normalised shipment fields
+ */
+const normaliseShipment = (input = {}) => {
+    const adapter = COURIERS[input.courier];
+    const courier = adapter ? adapter.code : OTHER;
+    const courierName = String(input.courierName || adapter?.name || '').trim();
+    if (!courierName) throw badRequest('Courier name is required');
+
+    const trackingUrlTemplate = String(input.trackingUrlTemplate || adapter?.trackingUrlTemplate || '').trim();
+    if (trackingUrlTemplate && (!/^https?:\/\//.test(trackingUrlTemplate) || !trackingUrlTemplate.includes('{awb}'))) {
+        throw badRequest('Tracking URL must start with http(s):// and contain {awb}');
+    }
+
+    let expectedDeliveryDate;
+    if (input.expectedDeliveryDate) {
+        expectedDeliveryDate = new Date(input.expectedDeliveryDate);
+        if (Number.isNaN(expectedDeliveryDate.getTime())) throw badRequest('Invalid expected delivery date');
+    }
+
+    // A single-parcel shipment can send just the AWB number
+    const rawPackages = Array.isArray(input.packages) && input.packages.length
+        ? input.packages
+        : [{ awbNumber: input.awbNumber }];
+    const packages = rawPackages.map(p => ({
+        awbNumber: String(p.awbNumber || '').trim().toUpperCase(),
+        weight: Number(p.weight) > 0 ? Number(p.weight) : undefined,
+        description: String(p.description || '').trim()
+    }));
+    if (packages.some(p => !p.awbNumber)) throw badRequest('Every package needs an AWB number');
+    if (new Set(packages.map(p => p.awbNumber)).size !== packages.length) throw badRequest('AWB numbers must be unique');
+
+    return { courier, courierName, trackingUrlTemplate, expectedDeliveryDate, packages };
+};
+
+/**
+ * Save shipment details on an order, optionally marking it SHIPPED
+ * Tracking events of packages that keep their AWB are preserved
+ *
+ * @param {Object} order - Order document
+ * @param {Object} input - Shipment form (see normaliseShipment)
+ * @param {Object} params
+ * @param {boolean} params.markShipped - Move a PAID / PLACED order to SHIPPED
+ * @param {string} params.userId - Admin
+ * @returns {Promise<Object>} - Updated order
+ */
+const saveShipment = async (order, input, { markShipped = false, userId } = {}) => {
+    if (['CREATED', 'PENDING', 'CANCELLED'].includes(order.status)) {
+        throw badRequest(`Cannot ship an order that is ${order.status}`);
+    }
+
+    const fields = normaliseShipment(input);
+    const previous = order.toObject().shipment || {};
+    const previousPackages = new Map((previous.packages || []).map(p => [p.awbNumber, p]));
+    const awbs = fields.packages.map(p => p.awbNumber);
+
+    order.shipment = {
+        ...fields,
+        awbNumber: awbs[0],
+        shippedAt: previous.shippedAt || new Date(),
+        packages: fields.packages.map(p => {
+            const existing = previousPackages.get(p.awbNumber);
+            return { ...p, status: existing?.status || 'SHIPPED', deliveredAt: existing?.deliveredAt };
+        }),
+        status: previous.status || 'SHIPPED',
+        events: (previous.events || []).filter(e => awbs.includes(e.awbNumber)),
+        lastSyncedAt: previous.lastSyncedAt
+    };
+
+    if (markShipped && order.status !== 'SHIPPED') {
+        // Saved with the transition - the SHIPPED SMS carries the AWB and tracking link
+        return transitionOrder(order, 'SHIPPED', {
+            actor: ACTORS.ADMIN,
+            note: `Shipped via ${fields.courierName} (AWB ${awbs.join(', ')})`,
+            userId
+        });
+    }
+    await order.save();
+    return order;
+};
+
+const eventKey = (e) => `${e.awbNumber}|${e.status}|${new Date(e.timestamp).getTime()}`;
+
+/**
+ * Pull tracking events from the courier adapter and merge them into the order
+ * Moves the order to DELIVERED once every package is delivered
+ * Adapter errors are recorded on shipment.syncError, not thrown
+ *
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} - Updated order
+ */
+const syncShipment = async (order) => {
+    const shipment = order.shipment;
+    const adapter = shipment && COURIERS[shipment.courier];
+    if (!adapter || !shipment.packages?.length) return order;
+
+    try {
+        const seen = new Set(shipment.events.map(eventKey));
+        let expected = null;
+
+        for (const pkg of shipment.packages) {
+            const tracking = await adapter.track({
+                awbNumber: pkg.awbNumber,
+                shippedAt: shipment.shippedAt,
+                destination: order.shippingAddress?.city
+            });
+
+            for (const event of tracking.events || []) {
+                const entry = { ...event, awbNumber: pkg.awbNumber };
+                if (seen.has(eventKey(entry))) continue;
+                seen.add(eventKey(entry));
+                shipment.events.push(entry);
+            }
+            if (tracking.status) pkg.status = tracking.status;
+            if (pkg.status === 'DELIVERED' && !pkg.deliveredAt) {
+                pkg.deliveredAt = [...(tracking.events || [])].reverse().find(e => e.status === 'DELIVERED')?.timestamp || new Date();
+            }
+            if (tracking.expectedDeliveryDate && (!expected || tracking.expectedDeliveryDate > expected)) {
+                expected = tracking.expectedDeliveryDate;
+            }
+        }
+
+        shipment.events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const statuses = shipment.packages.map(p => p.status);
+        shipment.status = statuses.includes('EXCEPTION')
+            ? 'EXCEPTION'
+            : statuses.reduce((slowest, s) => ((STATUS_RANK[s] ?? 0) < (STATUS_RANK[slowest] ?? 0) ? s : slowest));
+        if (expected) shipment.expectedDeliveryDate = expected;
+        shipment.syncError = undefined;
+    } catch (err) {
+        shipment.syncError = err.message;
+        console.error(`❌ Tracking sync failed for order ${order.orderNumber}:`, err.message);
+    }
+
+    shipment.lastSyncedAt = new Date();
+    if (shipment.status === 'DELIVERED' && order.status === 'SHIPPED') {
+        return transitionOrder(order, 'DELIVERED', {
+            actor: ACTORS.SYSTEM,
+            note: `Delivered - confirmed by ${shipment.courierName} tracking`
+        });
+    }
+    await order.save();
+    return order;
+};
+
+/**
+ * Sync every SHIPPED order whose courier has an adapter
+ *
+ * @returns {Promise<Object>} - { checked, delivered }
+ */
+const pollActiveShipments = async () => {
+    const orders = await Order.find({
+        status: 'SHIPPED',
+        isDeleted: { $ne: true },
+        'shipment.courier': { $in: Object.keys(COURIERS) }
+    });
+
+    let delivered = 0;
+    for (const order of orders) {
+        const updated = await syncShipment(order);
+        if (updated.status === 'DELIVERED') delivered++;
+    }
+    if (orders.length) console.log(`🚚 Tracking synced for ${orders.length} shipment(s), ${delivered} delivered`);
+    return { checked: orders.length, delivered };
+};
+
+/**
+ * Poll courier tracking every TRACKING_POLL_MINUTES (default 30, 0 disables)
+ */
+const startTrackingPoller = () => {
+    const minutes = Number(process.env.TRACKING_POLL_MINUTES ?? 30);
+    if (!(minutes > 0)) return null;
+    const timer = setInterval(() => {
+        pollActiveShipments().catch(err => console.error('❌ Tracking poll failed:', err.message));
+    }, minutes * 60 * 1000);
+    timer.unref();
+    console.log(`🚚 Courier tracking poll every ${minutes} min`);
+    return timer;
+};
+
+module.exports = {
+    registerCourier,
+    listCouriers,
+    getTrackingUrl,
+    saveShipment,
+    syncShipment,
+    pollActiveShipments,
+    startTrackingPoller
+};
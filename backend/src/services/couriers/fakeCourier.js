@@ -0,0 +1,58 @@
+/**
+ * Fake Courier Adapter
+ * Local stand-in for a courier tracking API - for development and tests
+ *
+ * Tracking events are scripted from the ship time: one new event every
+ * FAKE_COURIER_STEP_MINUTES (default 60) until the package is delivered.
+ * AWB numbers starting with "FAIL" stop at a delivery exception instead.
+ */
+
+const STEP_MINUTES = () => Number(process.env.FAKE_COURIER_STEP_MINUTES) || 60;
+
+const ORIGIN = 'Mumbai Hub';
+
+const script = (destination) => [
+    { status: 'PICKED_UP', description: 'Shipment picked up from seller', location: ORIGIN },
+    { status: 'IN_TRANSIT', description: 'Departed origin facility', location: ORIGIN },
+    { status: 'IN_TRANSIT', description: 'Arrived at destination hub', location: `${destination} Hub` },
+    { status: 'OUT_FOR_DELIVERY', description: 'Out for delivery', location: destination },
+    { status: 'DELIVERED', description: 'Delivered', location: destination }
+];
+
+const exceptionScript = (destination) => [
+    ...script(destination).slice(0, 4),
+    { status: 'EXCEPTION', description: 'Delivery attempted - customer not available', location: destination }
+];
+
+module.exports = {
+    code: 'fake',
+    name: 'Fake Courier (local)',
+    trackingUrlTemplate: 'http://localhost:5173/orders?awb={awb}',
+
+    /**
+     * @param {Object} params
+     * @param {string} params.awbNumber
+     * @param {Date} params.shippedAt
+     * @param {string} params.destination - Delivery city
+     * @returns {Promise<Object>} - { status, expectedDeliveryDate, events }
+     */
+    async track({ awbNumber, shippedAt, destination }) {
+        const start = new Date(shippedAt || Date.now()).getTime();
+        const step = STEP_MINUTES() * 60 * 1000;
+        const steps = String(awbNumber).toUpperCase().startsWith('FAIL')
+            ? exceptionScript(destination || 'Destination')
+            : script(destination || 'Destination');
+
+        const reached = Math.min(steps.length, Math.floor((Date.now() - start) / step) + 1);
+        const events = steps.slice(0, reached).map((event, i) => ({
+            ...event,
+            timestamp: new Date(start + i * step)
+        }));
+
+        return {
+            status: events[events.length - 1].status,
+            expectedDeliveryDate: new Date(start + (steps.length - 1) * step),
+            events
+        };
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * Email Service
+ * Transactional email (verification codes, password reset links) through a
+ * pluggable transport, picked with EMAIL_TRANSPORT:
+ *
+ *   console  - logs the message and keeps it in the dev outbox (default)
+ *   sendgrid - SendGrid v3 HTTP API (SENDGRID_API_KEY)
+ *
+ * A transport is { name, send({ to, subject, text, html }) → Promise<{ messageId }> }
+ * and can be added with registerEmailTransport().
+ */
+
+const { recordMessage } = require('../utils/devOutbox');
+
+const TRANSPORTS = {};
+
+/**
+ * Register an email transport
+ *
+ * @param {Object} transport - { name, send }
+ */
+const registerEmailTransport = (transport) => {
+    if (!transport?.name || typeof transport.send !== 'function') {
+        throw new Error('Email transport needs a name and a send() function');
+    }
+    TRANSPORTS[transport.name] = transport;
+};
+
+registerEmailTransport({
+    name: 'console',
+    send: async ({ to, subject, text }) => {
+        console.log(`📧 [EMAIL LOG - NOT SENT] To: ${to}\nSubject: ${subject}\n${text}`);
+        recordMessage({ channel: 'email', to, subject, body: text });
+        return { messageId: null, logged_only: true };
+    }
+});
+
+registerEmailTransport({
+    name: 'sendgrid',
+    send: async ({ to, subject, text, html }) => {
+        if (!process.env.SENDGRID_API_KEY) throw new Error('SENDGRID_API_KEY is not configured');
+        const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                personalizations: [{ to: [{ email: to }] }],
+                from: { email: process.env.EMAIL_FROM || 'no-reply@tcs.com', name: process.env.EMAIL_FROM_NAME || 'TCS – The Co-ord Set Studio' },
+                subject,
+                content: [
+                    { type: 'text/plain', value: text },
+                    ...(html ? [{ type: 'text/html', value: html }] : [])
+                ]
+            })
+        });
+        if (!response.ok) {
+            throw new Error(`SendGrid responded ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        }
+        return { messageId: response.headers.get('x-message-id') };
+    }
+});
+
+const getTransport = () => {
+    const name = process.env.EMAIL_TRANSPORT || 'console';
+    if (!TRANSPORTS[name]) {
+        console.warn(`⚠️ Unknown EMAIL_TRANSPORT "${name}" - emails will be logged only`);
+        return TRANSPORTS.console;
+    }
+    return TRANSPORTS[name];
+};
+
+/**
+ * Send an email - never throws
+ *
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - { success, messageId?, logged_only?, error? }
+ */
+const sendEmail = async (message) => {
+    const transport = getTransport();
+    try {
+        const result = await transport.send(message);
+        if (!result.logged_only) console.log(`✅ Email "${message.subject}" sent to ${message.to} via ${transport.name}`);
+        return { success: true, ...result };
+    } catch (err) {
+        console.error(`❌ Failed to send email "${message.subject}" to ${message.to}:`, err.message);
+        return { success: false, error: err.message };
+    }
+};
+
+module.exports = {
+    registerEmailTransport,
+    sendEmail
+};
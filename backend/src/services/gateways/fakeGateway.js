@@ -0,0 +1,243 @@
+/**
+ * Fake Gateway Adapter
+ * Local stand-in for Razorpay - for development, demos and tests without
+ * gateway keys or network access
+ *
+ * Checkout is a hosted page served by routes/fakeGateway.js: the customer
+ * picks an outcome, the payment is recorded here, a signed webhook is
+ * delivered to ourselves and the browser is sent back to the callback URL
+ * with the same query parameters Razorpay's redirect flow uses. Orders and
+ * payments live in memory and are lost on restart.
+ *
+ * Reconciliation reads payments and settlements from a JSON fixture in
+ * Razorpay's shapes (amounts in paise, created_at in unix seconds):
+ * FAKE_GATEWAY_FIXTURE, or fixtures/fakeGateway.json, plus the payments
+ * taken in memory. The file is read on every call so it can be edited
+ * between runs.
+ *
+ * Signatures are HMACs with FAKE_GATEWAY_SECRET, exactly like Razorpay's.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'fakeGateway.json');
+
+// Fee the fake gateway charges, and GST on that fee
+const FEE_RATE = 0.02;
+const GST_RATE = 0.18;
+
+const orders = new Map();
+const payments = new Map();
+
+// Always set - the gateway is not registered without it (services/paymentGateway.js)
+const secret = () => process.env.FAKE_GATEWAY_SECRET;
+
+const sign = (data) => crypto.createHmac('sha256', secret()).update(data).digest('hex');
+
+const signatureMatches = (data, signature) => {
+    if (!data || !signature) return false;
+    const expected = sign(data);
+    return expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+const loadFixture = async () => {
+    const file = process.env.FAKE_GATEWAY_FIXTURE || DEFAULT_FIXTURE;
+    const { payments = [], settlements = [] } = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    return { payments, settlements };
+};
+
+const inRange = ({ from, to }) => (entity) => {
+    const at = entity.created_at * 1000;
+    return at >= new Date(from).getTime() && at <= new Date(to).getTime();
+};
+
+module.exports = {
+    code: 'fake',
+    name: 'Fake Gateway (local)',
+    checkout: 'hosted',
+
+    publicConfig() {
+        return { key: 'fake' };
+    },
+
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+        const order = {
+            id: newId('order'),
+            entity: 'order',
+            amount,
+            amount_paid: 0,
+            currency,
+            receipt,
+            notes,
+            status: 'created',
+            created_at: now()
+        };
+        orders.set(order.id, order);
+        return order;
+    },
+
+    /**
+     * @param {string} gatewayOrderId
+     * @returns {string} - Hosted checkout page, relative to /api
+     */
+    checkoutUrl(gatewayOrderId) {
+        return `/payment/fake-gateway/checkout/${gatewayOrderId}`;
+    },
+
+    /**
+     * @param {string} gatewayOrderId
+     * @returns {Object|null} - Order entity
+     */
+    getOrder(gatewayOrderId) {
+        return orders.get(gatewayOrderId) || null;
+    },
+
+    /**
+     * Take a payment for an order - what the hosted checkout page submits
+     *
+     * @param {string} gatewayOrderId
+     * @param {Object} options - { outcome: 'success' | 'failure', method }
+     * @returns {Promise<Object>} - { payment, signature } (signature only on success)
+     */
+    async pay(gatewayOrderId, { outcome = 'success', method = 'upi' } = {}) {
+        const order = orders.get(gatewayOrderId);
+        if (!order) throw notFound('Order not found at the fake gateway');
+        if (order.status === 'paid') {
+            throw Object.assign(new Error('This order has already been paid'), { status: 400 });
+        }
+
+        const failed = outcome === 'failure';
+        const fee = failed ? 0 : Math.round(order.amount * FEE_RATE);
+        const tax = Math.round(fee * GST_RATE / (1 + GST_RATE));
+        const payment = {
+            id: newId('pay'),
+            entity: 'payment',
+            amount: order.amount,
+            currency: order.currency,
+            status: failed ? 'failed' : 'captured',
+            order_id: order.id,
+            method,
+            amount_refunded: 0,
+            refund_status: null,
+            captured: !failed,
+            description: order.receipt,
+            notes: order.notes,
+            fee,
+            tax,
+            error_code: failed ? 'BAD_REQUEST_ERROR' : null,
+            error_description: failed ? 'Payment declined at the fake gateway' : null,
+            error_reason: failed ? 'payment_failed' : null,
+            created_at: now()
+        };
+        payments.set(payment.id, payment);
+
+        if (!failed) {
+            order.status = 'paid';
+            order.amount_paid = order.amount;
+        } else {
+            order.status = 'attempted';
+        }
+
+        return {
+            payment,
+            signature: failed ? undefined : sign(`${order.id}|${payment.id}`)
+        };
+    },
+
+    verifyPayment({ orderId, paymentId, signature }) {
+        return signatureMatches(orderId && paymentId ? `${orderId}|${paymentId}` : '', signature);
+    },
+
+    async capture(paymentId, amount) {
+        const payment = await this.fetchPayment(paymentId);
+        if (payment.status === 'authorized') {
+            Object.assign(payment, { status: 'captured', captured: true, amount: amount || payment.amount });
+        }
+        return payment;
+    },
+
+    async refund(paymentId, { amount, notes } = {}) {
+        const payment = payments.get(paymentId);
+        if (payment) {
+            payment.amount_refunded += amount || payment.amount;
+            payment.refund_status = payment.amount_refunded >= payment.amount ? 'full' : 'partial';
+            if (payment.refund_status === 'full') payment.status = 'refunded';
+        }
+        return {
+            id: newId('rfnd'),
+            entity: 'refund',
+            payment_id: paymentId,
+            amount: amount || payment?.amount,
+            currency: 'INR',
+            notes,
+            status: 'processed',
+            speed_processed: 'instant',
+            created_at: now()
+        };
+    },
+
+    async fetchPayment(paymentId) {
+        const payment = payments.get(paymentId)
+            || (await loadFixture()).payments.find(p => p.id === paymentId);
+        if (!payment) throw notFound('Payment not found at the fake gateway');
+        return payment;
+    },
+
+    parseWebhook({ rawBody, headers = {} }) {
+        return {
+            valid: signatureMatches(rawBody, headers['x-fake-gateway-signature']),
+            eventId: headers['x-fake-gateway-event-id']
+        };
+    },
+
+    /**
+     * A signed webhook delivery for a payment, as the fake gateway would send it
+     *
+     * @param {string} event - payment.captured, payment.failed, ...
+     * @param {Object} payment - Payment entity
+     * @returns {Object} - { rawBody, body, headers }
+     */
+    buildWebhook(event, payment) {
+        const body = {
+            entity: 'event',
+            event,
+            contains: ['payment'],
+            payload: { payment: { entity: payment } },
+            created_at: now()
+        };
+        const rawBody = Buffer.from(JSON.stringify(body));
+        return {
+            rawBody,
+            body,
+            headers: {
+                'x-fake-gateway-signature': sign(rawBody),
+                'x-fake-gateway-event-id': newId('evt')
+            }
+        };
+    },
+
+    /**
+     * @param {Object} range - { from: Date, to: Date }
+     * @returns {Promise<Array>} - Payment entities
+     */
+    async listPayments(range) {
+        const fixture = await loadFixture();
+        return [...fixture.payments, ...payments.values()].filter(inRange(range));
+    },
+
+    /**
+     * @param {Object} range - { from: Date, to: Date }
+     * @returns {Promise<Array>} - Settlements with their items
+     */
+    async listSettlements(range) {
+        const { settlements } = await loadFixture();
+        return settlements.filter(inRange(range)).map(s => ({ ...s, items: s.items || [] }));
+    }
+};
@@ -0,0 +1,164 @@
+/**
+ * Razorpay Gateway Adapter
+ * Orders, payment signatures, capture, refunds, webhooks and the reporting
+ * API (payments / settlements) used by reconciliation
+ *
+ * Set RAZORPAY_REFUND_STUB=true (ignored in production) to have refunds
+ * "processed" immediately by a local stub - for tests and local development.
+ * Anything else needs the Razorpay keys and fails when they are missing.
+ *
+ * Amounts are in paise; the settlement recon report is fetched per day and
+ * grouped by settlement.
+ */
+
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+// Razorpay's maximum page size for list endpoints
+const PAGE_SIZE = 100;
+
+const client = () => {
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+        throw Object.assign(new Error('Razorpay keys are not configured - set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET'), { status: 503 });
+    }
+    return new Razorpay({ key_id: process.env.RAZORPAY_KEY_ID, key_secret: process.env.RAZORPAY_KEY_SECRET });
+};
+
+const keySecret = () => process.env.RAZORPAY_KEY_SECRET || 'placeholder';
+const webhookSecret = () => process.env.RAZORPAY_WEBHOOK_SECRET || process.env.RAZORPAY_KEY_SECRET || 'placeholder';
+
+const useRefundStub = () => process.env.RAZORPAY_REFUND_STUB === 'true' && process.env.NODE_ENV !== 'production';
+
+// Constant-time compare of a hex HMAC against what was sent
+const signatureMatches = (secret, data, signature) => {
+    if (!data || !signature) return false;
+    const expected = crypto.createHmac('sha256', secret).update(data).digest('hex');
+    return expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+// Local stand-in for razorpay.payments.refund - same response shape
+const stubRefund = async (paymentId, { amount, notes }) => ({
+    id: `rfnd_stub_${crypto.randomBytes(7).toString('hex')}`,
+    entity: 'refund',
+    payment_id: paymentId,
+    amount,
+    currency: 'INR',
+    notes,
+    status: 'processed',
+    speed_processed: 'normal',
+    created_at: Math.floor(Date.now() / 1000)
+});
+
+const unix = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Follow count / skip pagination until a short page
+const fetchAll = async (fetchPage) => {
+    const items = [];
+    for (let skip = 0; ; skip += PAGE_SIZE) {
+        const page = await fetchPage({ count: PAGE_SIZE, skip });
+        items.push(...(page.items || []));
+        if ((page.items || []).length < PAGE_SIZE) return items;
+    }
+};
+
+const eachDay = (from, to) => {
+    const days = [];
+    for (let day = new Date(from); day <= to; day.setDate(day.getDate() + 1)) days.push(new Date(day));
+    return days;
+};
+
+module.exports = {
+    code: 'razorpay',
+    name: 'Razorpay',
+    checkout: 'razorpay',
+
+    publicConfig() {
+        return { key: process.env.RAZORPAY_KEY_ID || '' };
+    },
+
+    /**
+     * @param {Object} options - { amount (paise), currency, receipt, notes }
+     * @returns {Promise<Object>} - Razorpay order
+     */
+    createOrder({ amount, currency = 'INR', receipt, notes }) {
+        return client().orders.create({ amount, currency, receipt, notes, payment_capture: 1 });
+    },
+
+    /**
+     * Checkout handler signature: HMAC(order_id|payment_id) with the key secret
+     */
+    verifyPayment({ orderId, paymentId, signature }) {
+        return signatureMatches(keySecret(), orderId && paymentId ? `${orderId}|${paymentId}` : '', signature);
+    },
+
+    capture(paymentId, amount) {
+        return client().payments.capture(paymentId, amount, 'INR');
+    },
+
+    refund(paymentId, options) {
+        if (useRefundStub()) return stubRefund(paymentId, options);
+        return client().payments.refund(paymentId, options);
+    },
+
+    fetchPayment(paymentId) {
+        return client().payments.fetch(paymentId);
+    },
+
+    /**
+     * X-Razorpay-Signature is an HMAC of the raw body with the webhook secret
+     *
+     * @param {Object} delivery - { rawBody, headers }
+     * @returns {{ valid: boolean, eventId: string }}
+     */
+    parseWebhook({ rawBody, headers = {} }) {
+        return {
+            valid: signatureMatches(webhookSecret(), rawBody, headers['x-razorpay-signature']),
+            eventId: headers['x-razorpay-event-id']
+        };
+    },
+
+    /**
+     * Payments created in the range
+     *
+     * @param {Object} range - { from: Date, to: Date }
+     * @returns {Promise<Array>} - Razorpay payment entities
+     */
+    listPayments({ from, to }) {
+        const razorpay = client();
+        return fetchAll(page => razorpay.payments.all({ from: unix(from), to: unix(to), ...page }));
+    },
+
+    /**
+     * Settlements made in the range, each with the payments / refunds it covered
+     *
+     * @param {Object} range - { from: Date, to: Date }
+     * @returns {Promise<Array>} - [{ id, amount, fees, tax, utr, status, created_at,
+     *                                items: [{ type, payment_id, amount, fee, tax, credit, debit }] }]
+     */
+    async listSettlements({ from, to }) {
+        const razorpay = client();
+        const settlements = await fetchAll(page => razorpay.settlements.all({ from: unix(from), to: unix(to), ...page }));
+
+        const byId = new Map(settlements.map(s => [s.id, { ...s, items: [] }]));
+        for (const day of eachDay(from, to)) {
+            const rows = await fetchAll(page => razorpay.settlements.reports({
+                year: day.getFullYear(),
+                month: day.getMonth() + 1,
+                day: day.getDate(),
+                ...page
+            }));
+            for (const row of rows) {
+                byId.get(row.settlement_id)?.items.push({
+                    type: row.type,
+                    payment_id: row.payment_id || (row.type === 'payment' ? row.entity_id : undefined),
+                    amount: row.amount,
+                    fee: row.fee,
+                    tax: row.tax,
+                    credit: row.credit,
+                    debit: row.debit
+                });
+            }
+        }
+        return [...byId.values()];
+    }
+};
@@ -0,0 +1,241 @@
+/**
+ * Job Queue
+ * Persistent background jobs stored in Mongo (models/Job.js)
+ *
+ * Request handlers enqueue work (invoices, SMS) and return; the worker in
+ * each server process claims due jobs one at a time. A failed job is
+ * retried with exponential backoff (backoffSeconds × 2^(attempt-1), ±20%)
+ * until maxAttempts, then kept as 'dead' for an admin to retry or discard.
+ * Handlers must be safe to run twice - a worker that dies mid-job leaves
+ * it locked until LOCK_TIMEOUT_MS, after which it is picked up again.
+ *
+ * Handlers throw to fail an attempt; an error with `permanent: true` goes
+ * straight to dead.
+ */
+
+const os = require('os');
+const Job = require('../models/Job');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_FAILURES_KEPT = 10;
+// Jobs run per tick - the rest wait for the next one
+const BATCH_SIZE = 20;
+
+const handlers = new Map();
+let draining = false;
+
+/**
+ * Register the handler for a job name
+ *
+ * @param {string} name - e.g. 'order.invoice'
+ * @param {Function} handler - async (payload, job) => result
+ * @param {Object} options - { maxAttempts = 5, backoffSeconds = 30, timeoutSeconds = 60 }
+ */
+const registerJob = (name, handler, { maxAttempts = 5, backoffSeconds = 30, timeoutSeconds = 60 } = {}) => {
+    handlers.set(name, { handler, maxAttempts, backoffSeconds, timeoutSeconds });
+};
+
+/**
+ * Queue a job
+ * With a dedupeKey, an existing job for the key is returned instead
+ *
+ * @param {string} name
+ * @param {Object} payload - Plain data (ids, not documents)
+ * @param {Object} options - { dedupeKey, delaySeconds, maxAttempts }
+ * @returns {Promise<Object>} - Job
+ */
+const enqueue = async (name, payload = {}, { dedupeKey, delaySeconds = 0, maxAttempts } = {}) => {
+    const definition = handlers.get(name);
+    let job;
+    try {
+        job = await Job.create({
+            name,
+            payload,
+            dedupeKey,
+            maxAttempts: maxAttempts || definition?.maxAttempts || 5,
+            runAt: new Date(Date.now() + delaySeconds * 1000)
+        });
+    } catch (err) {
+        if (err.code !== 11000 || !dedupeKey) throw err;
+        return Job.findOne({ dedupeKey });
+    }
+    // Start right away rather than on the next tick
+    if (!delaySeconds && definition) setImmediate(() => drainQueue().catch(() => { }));
+    return job;
+};
+
+const backoffMs = (backoffSeconds, attempt) => {
+    const base = backoffSeconds * 1000 * 2 ** (attempt - 1);
+    return Math.round(base * (0.8 + Math.random() * 0.4));
+};
+
+const withTimeout = (promise, seconds) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${seconds}s`)), seconds * 1000);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Atomically take the next due job this process has a handler for
+const claimNext = () => Job.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: new Date() }, name: { $in: [...handlers.keys()] } },
+    { $set: { status: 'running', lockedAt: new Date(), lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+);
+
+const runJob = async (job) => {
+    const { handler, backoffSeconds, timeoutSeconds } = handlers.get(job.name);
+    try {
+        const result = await withTimeout(Promise.resolve().then(() => handler(job.payload, job)), timeoutSeconds);
+        await Job.updateOne({ _id: job._id }, {
+            $set: { status: 'completed', completedAt: new Date(), result: result ?? null },
+            $unset: { lockedAt: 1, lockedBy: 1 }
+        });
+    } catch (err) {
+        const dead = err.permanent || job.attempts >= job.maxAttempts;
+        const update = {
+            $set: { lastError: err.message },
+            $unset: { lockedAt: 1, lockedBy: 1 },
+            $push: { failures: { $each: [{ attempt: job.attempts, message: err.message }], $slice: -MAX_FAILURES_KEPT } }
+        };
+        if (dead) {
+            Object.assign(update.$set, { status: 'dead', diedAt: new Date() });
+            console.error(`💀 Job ${job.name} (${job._id}) dead after ${job.attempts} attempt(s): ${err.message}`);
+        } else {
+            Object.assign(update.$set, { status: 'queued', runAt: new Date(Date.now() + backoffMs(backoffSeconds, job.attempts)) });
+            console.warn(`⚠️ Job ${job.name} (${job._id}) attempt ${job.attempts} failed: ${err.message}`);
+        }
+        await Job.updateOne({ _id: job._id }, update);
+    }
+};
+
+/**
+ * Put jobs whose worker died back in the queue
+ *
+ * @returns {Promise<number>} - jobs released
+ */
+const releaseStaleJobs = async () => {
+    const result = await Job.updateMany(
+        { status: 'running', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+        { $set: { status: 'queued', runAt: new Date(), lastError: 'Worker stopped while running' }, $unset: { lockedAt: 1, lockedBy: 1 } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Run due jobs until the queue is empty or BATCH_SIZE is reached
+ *
+ * @returns {Promise<number>} - jobs run
+ */
+const drainQueue = async () => {
+    if (draining || !handlers.size) return 0;
+    draining = true;
+    let ran = 0;
+    try {
+        while (ran < BATCH_SIZE) {
+            const job = await claimNext();
+            if (!job) break;
+            await runJob(job);
+            ran++;
+        }
+    } finally {
+        draining = false;
+    }
+    return ran;
+};
+
+/**
+ * Poll for due jobs every JOB_POLL_SECONDS (default 5, 0 disables the worker)
+ */
+const startJobWorker = () => {
+    const seconds = Number(process.env.JOB_POLL_SECONDS ?? 5);
+    if (!(seconds > 0)) return null;
+    let ticks = 0;
+    const timer = setInterval(async () => {
+        try {
+            // Stale locks only need checking about once a minute
+            if (ticks++ % Math.max(1, Math.round(60 / seconds)) === 0) {
+                const released = await releaseStaleJobs();
+                if (released) console.warn(`⚠️ Re-queued ${released} job(s) left running by a stopped worker`);
+            }
+            await drainQueue();
+        } catch (err) {
+            console.error('❌ Job worker tick failed:', err.message);
+        }
+    }, seconds * 1000);
+    timer.unref();
+    console.log(`🧵 Job worker ${WORKER_ID} polling every ${seconds}s (${handlers.size} job types)`);
+    return timer;
+};
+
+/**
+ * Jobs for the admin viewer, newest first, with counts per status
+ *
+ * @param {Object} query - { status, name, page, limit }
+ * @returns {Promise<Object>} - { jobs, total, page, pages, counts, names }
+ */
+const listJobs = async ({ status, name, page = 1, limit = 50 } = {}) => {
+    const filter = {};
+    if (status) filter.status = status;
+    if (name) filter.name = name;
+    page = Math.max(1, Number(page) || 1);
+    limit = Math.min(100, Math.max(1, Number(limit) || 50));
+
+    const [jobs, total, counts, names] = await Promise.all([
+        Job.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        Job.countDocuments(filter),
+        Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        Job.distinct('name')
+    ]);
+    return {
+        jobs,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+        names: names.sort()
+    };
+};
+
+const notFound = () => Object.assign(new Error('Job not found'), { status: 404 });
+
+/**
+ * Send a dead job back to the queue with a fresh set of attempts
+ */
+const retryJob = async (jobId) => {
+    const job = await Job.findById(jobId);
+    if (!job) throw notFound();
+    if (job.status !== 'dead') throw Object.assign(new Error(`Only dead jobs can be retried (this one is ${job.status})`), { status: 400 });
+
+    job.status = 'queued';
+    job.runAt = new Date();
+    job.maxAttempts = job.attempts + (handlers.get(job.name)?.maxAttempts || 5);
+    job.diedAt = undefined;
+    await job.save();
+    setImmediate(() => drainQueue().catch(() => { }));
+    return job;
+};
+
+/**
+ * Delete a dead job
+ */
+const discardJob = async (jobId) => {
+    const job = await Job.findById(jobId);
+    if (!job) throw notFound();
+    if (job.status !== 'dead') throw Object.assign(new Error(`Only dead jobs can be discarded (this one is ${job.status})`), { status: 400 });
+    await job.deleteOne();
+    return job;
+};
+
+module.exports = {
+    registerJob,
+    enqueue,
+    drainQueue,
+    releaseStaleJobs,
+    startJobWorker,
+    listJobs,
+    retryJob,
+    discardJob
+};
@@ -0,0 +1,80 @@
+/**
+ * Order Jobs
+ * Background work for order side effects, run by services/jobQueue.js
+ *
+ *   order.invoice        - render and store the tax invoice PDF
+ *   order.notify_sms     - customer + admin "new order" SMS
+ *   order.status_sms     - SHIPPED / DELIVERED / CANCELLED SMS
+ *   order.retry_sms      - resend whichever confirmation SMS has not gone out
+ *   wishlist.check_alerts - back-in-stock / price-drop alerts for a product
+ *
+ * Every handler reloads the order and is safe to repeat: the invoice is
+ * skipped once stored, the confirmation SMS are guarded by
+ * order.smsSent / smsAdminSent and the status SMS by order.statusSmsSent.
+ */
+
+const Order = require('../models/Order');
+const { registerJob, enqueue } = require('./jobQueue');
+const { sendOrderNotificationSMS, sendOrderStatusSMS, retryOrderSMS } = require('./smsService');
+const { checkWishlistAlerts } = require('./wishlistService');
+
+const permanent = (message) => Object.assign(new Error(message), { permanent: true });
+
+const loadOrder = async (orderId) => {
+    const order = await Order.findById(orderId).populate('user', 'name email phone');
+    if (!order) throw permanent(`Order ${orderId} not found`);
+    return order;
+};
+
+// Fail the attempt when any SMS in the result failed, so it is retried
+const assertSent = (results) => {
+    const failed = Object.entries(results)
+        .filter(([, r]) => r && r.success === false)
+        .map(([who, r]) => `${who}: ${r.error}`);
+    if (failed.length) throw new Error(`SMS failed - ${failed.join('; ')}`);
+    return Object.fromEntries(Object.entries(results).map(([who, r]) => [who, r?.logged_only ? 'logged' : r?.already_sent ? 'already sent' : r?.skipped ? 'skipped' : 'sent']));
+};
+
+registerJob('order.invoice', async ({ orderId }) => {
+    const order = await loadOrder(orderId);
+    if (order.invoicePath) return { invoicePath: order.invoicePath, skipped: true };
+    // Required lazily - pdfController pulls in the tax service and PDF stack
+    const { generateAndSaveInvoice } = require('../controllers/pdfController');
+    const invoiceData = await generateAndSaveInvoice(order);
+    // The invoice number was stored by issueInvoice - only the file is left to record
+    await Order.updateOne({ _id: order._id }, { invoicePath: invoiceData.invoicePath, invoiceUrl: invoiceData.invoiceUrl });
+    return invoiceData;
+}, { maxAttempts: 5, backoffSeconds: 60, timeoutSeconds: 120 });
+
+registerJob('order.notify_sms', async ({ orderId }) => {
+    const { user, admin } = await sendOrderNotificationSMS(await loadOrder(orderId));
+    return assertSent({ user, admin });
+}, { maxAttempts: 6, backoffSeconds: 30 });
+
+registerJob('order.status_sms', async ({ orderId, status }) => {
+    return assertSent({ user: await sendOrderStatusSMS(await loadOrder(orderId), status) });
+}, { maxAttempts: 4, backoffSeconds: 60 });
+
+registerJob('order.retry_sms', async ({ orderId, user = true, admin = true }) => {
+    try {
+        return assertSent(await retryOrderSMS(orderId, user, admin));
+    } catch (err) {
+        if (err.message === 'Order not found') throw permanent(err.message);
+        throw err;
+    }
+}, { maxAttempts: 3, backoffSeconds: 30 });
+
+registerJob('wishlist.check_alerts', async ({ productId }) => checkWishlistAlerts(productId), { maxAttempts: 3, backoffSeconds: 60 });
+
+/**
+ * Queue the invoice and confirmation SMS for a newly paid / placed order
+ */
+const queueOrderConfirmation = async (order) => {
+    const orderId = String(order._id);
+    await enqueue('order.invoice', { orderId }, { dedupeKey: `order.invoice:${orderId}` });
+    await enqueue('order.notify_sms', { orderId }, { dedupeKey: `order.notify_sms:${orderId}` });
+};
+
+module.exports = {
+    queueOrderConfirmation
+};
@@ -0,0 +1,248 @@
+/**
+ * Order Status Service
+ * The one place order.status changes:
+ *
+ *   CREATED → PENDING → PAID | PLACED → SHIPPED → DELIVERED
+ *   (CANCELLED from any state before SHIPPED)
+ *
+ * PAID = paid online, PLACED = cash on delivery, PENDING = manual UPI payment
+ * awaiting verification. Each transition lists who may make it: the order's
+ * customer, an admin, or the system (payment verification, webhooks, jobs).
+ * Stock is taken before PAID / PLACED is saved (a sold-out line fails the
+ * transition). Side effects run after the new status is saved: invoice and
+ * SMS as background jobs (services/orderJobs.js) so a slow PDF render or
+ * Twilio call never holds up the request.
+ */
+
+const Order = require('../models/Order');
+const { holdOrderStock } = require('./stockReservationService');
+const { enqueue } = require('./jobQueue');
+const { queueOrderConfirmation } = require('./orderJobs');
+
+const ACTORS = { CUSTOMER: 'customer', ADMIN: 'admin', SYSTEM: 'system' };
+const { CUSTOMER, ADMIN, SYSTEM } = ACTORS;
+
+const ORDER_STATUSES = ['CREATED', 'PENDING', 'PAID', 'PLACED', 'SHIPPED', 'DELIVERED', 'CANCELLED'];
+
+// from → { to: [actors allowed] }
+const TRANSITIONS = {
+    CREATED: { PENDING: [CUSTOMER, SYSTEM], PAID: [ADMIN, SYSTEM], PLACED: [CUSTOMER, ADMIN, SYSTEM], CANCELLED: [CUSTOMER, ADMIN, SYSTEM] },
+    PENDING: { PAID: [ADMIN, SYSTEM], PLACED: [CUSTOMER, ADMIN, SYSTEM], CANCELLED: [CUSTOMER, ADMIN, SYSTEM] },
+    // SYSTEM: paid after the checkout stock hold lapsed and the stock had gone
+    PAID: { SHIPPED: [ADMIN], CANCELLED: [CUSTOMER, ADMIN, SYSTEM] },
+    PLACED: { SHIPPED: [ADMIN], CANCELLED: [CUSTOMER, ADMIN] },
+    SHIPPED: { DELIVERED: [ADMIN, SYSTEM] },
+    DELIVERED: {},
+    CANCELLED: {}
+};
+
+// Written by older code paths to mean "order accepted": 'Confirmed' / 'Processing'
+// (manual UPI, old admin panel) and 'Placed' (payment webhook, after payment)
+const LEGACY_ACCEPTED = ['CONFIRMED', 'PROCESSING'];
+
+const clientError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Map any stored status (legacy mixed-case values included) onto ORDER_STATUSES
+ *
+ * @param {string} status
+ * @param {string} paymentStatus - Decides between PAID and PLACED for legacy values
+ * @returns {string|null} - null when the value can't be mapped
+ */
+const normaliseStatus = (status, paymentStatus) => {
+    const upper = String(status || '').trim().toUpperCase();
+    if (LEGACY_ACCEPTED.includes(upper) || status === 'Placed') {
+        return ['Paid', 'Refunded'].includes(paymentStatus) ? 'PAID' : 'PLACED';
+    }
+    return ORDER_STATUSES.includes(upper) ? upper : null;
+};
+
+/**
+ * Statuses an actor may move an order to from its current status
+ *
+ * @param {string} from
+ * @param {string} actor - 'customer' | 'admin' | 'system'
+ * @returns {Array<string>}
+ */
+const allowedTransitions = (from, actor) => Object.entries(TRANSITIONS[from] || {})
+    .filter(([, actors]) => actors.includes(actor))
+    .map(([to]) => to);
+
+/**
+ * Throw unless the actor may move an order from one status to another
+ * 400 for a transition that doesn't exist, 403 for one the actor may not make
+ */
+const assertTransition = (from, to, actor) => {
+    const allowed = (TRANSITIONS[from] || {})[to];
+    if (!allowed) throw clientError(400, `Cannot change order status from ${from} to ${to}`);
+    if (!allowed.includes(actor)) throw clientError(403, `Not allowed to change order status from ${from} to ${to}`);
+};
+
+/**
+ * Validate and apply a transition on the document without saving
+ * For callers that save the order themselves (inside a transaction etc.)
+ *
+ * @param {Object} order - Order document
+ * @param {string} to - Target status (any case)
+ * @param {Object} params
+ * @param {string} params.actor - 'customer' | 'admin' | 'system'
+ * @param {string} params.note - statusHistory note
+ * @returns {string} - The status the order moved from
+ */
+const applyTransition = (order, to, { actor, note = '' } = {}) => {
+    const from = normaliseStatus(order.status, order.paymentStatus) || order.status;
+    const target = normaliseStatus(to);
+    if (!target) throw clientError(400, `Unknown order status: ${to}`);
+    assertTransition(from, target, actor);
+
+    // Cash is collected by the courier on delivery
+    if (target === 'DELIVERED' && order.paymentMethod === 'COD' && order.paymentStatus === 'Pending') {
+        order.paymentStatus = 'Paid';
+    }
+
+    order.status = target;
+    order.statusHistory.push({ status: target, note });
+    return from;
+};
+
+// ─── Side effects ──────────────────────────────────────
+
+/**
+ * Take an order's stock for good before it becomes PAID / PLACED
+ * Checkout orders already hold theirs (services/stockReservationService.js) -
+ * the hold just stops expiring. Others (a released hold, an admin marking an
+ * order paid) take it now, all lines in one transaction.
+ *
+ * @param {Object} order - Order document (updated in place)
+ * @returns {Promise<boolean>} - false when the stock was already sold to this order
+ * @throws 409 soldOutError - nothing is taken and the order keeps its status
+ */
+const reduceOrderStock = async (order) => {
+    if (order.stockReduced && !order.stockReservedUntil) return false;
+
+    // The order's price already includes its coupons, so their uses are counted past any limit
+    await holdOrderStock(order, { paid: true });
+    await Order.updateOne({ _id: order._id }, { $unset: { stockReservedUntil: 1 } });
+    order.stockReservedUntil = undefined;
+    console.log(`✅ Stock taken for order ${order.orderNumber}`);
+    return true;
+};
+
+const queueStatusSMS = (status) => async (order) =>
+    enqueue('order.status_sms', { orderId: String(order._id), status }, { dedupeKey: `order.status_sms:${order._id}:${status}` });
+
+// Stock is not a hook - transitionOrder takes it before the status is saved
+const confirmOrder = [
+    queueOrderConfirmation
+];
+
+const HOOKS = {
+    PAID: confirmOrder,
+    PLACED: confirmOrder,
+    SHIPPED: [queueStatusSMS('SHIPPED')],
+    DELIVERED: [queueStatusSMS('DELIVERED')],
+    CANCELLED: [
+        queueStatusSMS('CANCELLED'),
+        // Restored stock may bring wishlisted sizes back
+        async (order) => {
+            for (const productId of new Set(order.items.map(i => String(i.product?._id || i.product)))) {
+                await enqueue('wishlist.check_alerts', { productId });
+            }
+        }
+    ]
+};
+
+/**
+ * Run the side effects of entering a status
+ * A failing hook is logged and does not undo the status change
+ *
+ * @param {Object} order - Saved order document
+ * @param {string} status
+ */
+const runTransitionHooks = async (order, status) => {
+    for (const hook of HOOKS[status] || []) {
+        try {
+            await hook(order);
+        } catch (err) {
+            console.error(`❌ ${status} hook failed for order ${order.orderNumber}:`, err.message);
+        }
+    }
+};
+
+/**
+ * Cancel an order: restore stock and coupons (transaction), refund online
+ * payments in full, then notify the customer
+ *
+ * @param {Object} order - Order document
+ * @param {Object} params
+ * @param {string} params.actor
+ * @param {string} params.reason
+ * @param {string} params.userId - Who cancelled
+ * @returns {Promise<Object>} - { order, refund, refundError }
+ */
+const cancelOrder = async (order, { actor, reason, userId } = {}) => {
+    const { cancelOrderWithStockRestore } = require('../utils/transactions');
+    const { createRefund } = require('./refundService');
+
+    const from = normaliseStatus(order.status, order.paymentStatus) || order.status;
+    assertTransition(from, 'CANCELLED', actor);
+
+    const cancelled = await cancelOrderWithStockRestore(order._id, reason || `Cancelled by ${actor}`, userId);
+
+    // Give the money back on prepaid orders - the cancellation stands even if the refund fails
+    let refund = null;
+    let refundError = null;
+    if (cancelled.paymentStatus === 'Paid' && cancelled.paymentMethod !== 'COD') {
+        try {
+            ({ refund } = await createRefund({ order: cancelled, reason: 'Order cancelled', userId }));
+        } catch (refundErr) {
+            refundError = refundErr.message;
+            console.error(`❌ Refund for cancelled order ${cancelled.orderNumber} failed:`, refundErr.message);
+        }
+    }
+
+    await runTransitionHooks(cancelled, 'CANCELLED');
+    return { order: cancelled, refund, refundError };
+};
+
+/**
+ * Move an order to a new status, save it and run the side effects
+ * CANCELLED goes through cancelOrder; PAID / PLACED take the stock first and
+ * fail with a 409 soldOutError (status unchanged) when a line has sold out
+ *
+ * @param {Object} order - Order document
+ * @param {string} to - Target status
+ * @param {Object} params
+ * @param {string} params.actor - 'customer' | 'admin' | 'system'
+ * @param {string} params.note
+ * @param {string} params.userId
+ * @returns {Promise<Object>} - Updated order
+ */
+const transitionOrder = async (order, to, { actor, note, userId } = {}) => {
+    if (normaliseStatus(to) === 'CANCELLED') {
+        return (await cancelOrder(order, { actor, reason: note, userId })).order;
+    }
+    const target = normaliseStatus(to);
+    if (target === 'PAID' || target === 'PLACED') {
+        assertTransition(normaliseStatus(order.status, order.paymentStatus) || order.status, target, actor);
+        await reduceOrderStock(order);
+    }
+    applyTransition(order, to, { actor, note });
+    await order.save();
+    await runTransitionHooks(order, order.status);
+    return order;
+};
+
+module.exports = {
+    ACTORS,
+    ORDER_STATUSES,
+    TRANSITIONS,
+    normaliseStatus,
+    allowedTransitions,
+    assertTransition,
+    applyTransition,
+    reduceOrderStock,
+    runTransitionHooks,
+    cancelOrder,
+    transitionOrder
+};
@@ -0,0 +1,138 @@
+/**
+ * Payment Gateway
+ * Online payments go through a gateway adapter (services/gateways/*), so
+ * checkout can run offline against the built-in fake gateway and another
+ * provider can be added next to Razorpay
+ *
+ *   {
+ *     code: 'razorpay',                  // stored on Order.paymentGateway / Payment.gateway
+ *     name: 'Razorpay',
+ *     checkout: 'razorpay' | 'hosted',    // Razorpay's checkout.js, or redirect to checkoutUrl()
+ *     publicConfig() → { key }            // what the browser needs
+ *     createOrder({ amount, currency, receipt, notes }) → Promise<{ id, amount, currency }>
+ *     checkoutUrl(gatewayOrderId) → string                       // hosted only, relative to /api
+ *     verifyPayment({ orderId, paymentId, signature }) → boolean
+ *     capture(paymentId, amount) → Promise<payment>
+ *     refund(paymentId, { amount, notes }) → Promise<refund>
+ *     fetchPayment(paymentId) → Promise<payment>
+ *     parseWebhook({ rawBody, headers }) → { valid, eventId }
+ *     listPayments({ from, to }), listSettlements({ from, to })  // reconciliation
+ *   }
+ *
+ * Amounts are in paise and entities use Razorpay's shapes (payment, refund,
+ * order), so everything downstream - settling orders, webhooks, refunds,
+ * reconciliation - is the same for every gateway.
+ *
+ * The gateway new checkouts use is picked in the admin panel (Settings key
+ * 'paymentGateway'), defaulting to PAYMENT_GATEWAY, then Razorpay when its
+ * keys are set, then the fake gateway. The fake gateway is only available
+ * outside production (or with FAKE_GATEWAY=true), and only with its own
+ * FAKE_GATEWAY_SECRET. Payments already taken stay with the gateway that
+ * took them.
+ */
+
+const Settings = require('../models/Settings');
+
+const SETTINGS_KEY = 'paymentGateway';
+
+const GATEWAYS = {};
+
+const REQUIRED = ['createOrder', 'verifyPayment', 'capture', 'refund', 'fetchPayment', 'parseWebhook', 'listPayments', 'listSettlements'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Register a gateway adapter
+ *
+ * @param {Object} adapter - See the interface above
+ */
+const registerGateway = (adapter) => {
+    const missing = REQUIRED.filter(fn => typeof adapter?.[fn] !== 'function');
+    if (!adapter?.code || missing.length) {
+        throw new Error(`Payment gateway adapter needs a code and ${missing.join(', ')}`);
+    }
+    GATEWAYS[adapter.code] = adapter;
+};
+
+registerGateway(require('./gateways/razorpayGateway'));
+
+if (process.env.NODE_ENV !== 'production' || process.env.FAKE_GATEWAY === 'true') {
+    // Without a secret of its own its signatures could be forged by anyone who has read the code
+    if (process.env.FAKE_GATEWAY_SECRET) registerGateway(require('./gateways/fakeGateway'));
+    else console.warn('⚠️ Fake payment gateway disabled - set FAKE_GATEWAY_SECRET to enable it');
+}
+
+const defaultGatewayCode = () => {
+    if (GATEWAYS[process.env.PAYMENT_GATEWAY]) return process.env.PAYMENT_GATEWAY;
+    if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) return 'razorpay';
+    return GATEWAYS.fake ? 'fake' : 'razorpay';
+};
+
+/**
+ * A registered gateway by code
+ *
+ * @param {string} code
+ * @returns {Object|null}
+ */
+const getGatewayByCode = (code) => GATEWAYS[code] || null;
+
+/**
+ * Gateway for a payment that already exists - records from before gateways were pluggable are Razorpay's
+ *
+ * @param {string} code - Payment.gateway / Order.paymentGateway
+ * @returns {Object}
+ * @throws 400 when that gateway is not available here
+ */
+const gatewayFor = (code) => {
+    const gateway = GATEWAYS[code || 'razorpay'];
+    if (!gateway) throw badRequest(`Payment gateway "${code}" is not available`);
+    return gateway;
+};
+
+/**
+ * The gateway new checkouts use
+ *
+ * @returns {Promise<Object>} - Adapter
+ */
+const getActiveGateway = async () => {
+    const setting = await Settings.findOne({ key: SETTINGS_KEY, isDeleted: { $ne: true } });
+    return GATEWAYS[setting?.value?.gateway] || GATEWAYS[defaultGatewayCode()];
+};
+
+/**
+ * Gateways for the admin settings form
+ *
+ * @returns {Promise<Object>} - { active, default, gateways: [{ code, name, checkout }] }
+ */
+const listGateways = async () => ({
+    active: (await getActiveGateway()).code,
+    default: defaultGatewayCode(),
+    gateways: Object.values(GATEWAYS).map(({ code, name, checkout }) => ({ code, name, checkout }))
+});
+
+/**
+ * Switch the gateway new checkouts use
+ *
+ * @param {string} code
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} - Adapter
+ */
+const setActiveGateway = async (code, userId) => {
+    const gateway = GATEWAYS[code];
+    if (!gateway) throw badRequest(`Unknown payment gateway "${code}"`);
+    await Settings.findOneAndUpdate(
+        { key: SETTINGS_KEY },
+        { value: { gateway: code }, description: 'Payment gateway for new checkouts', lastModifiedBy: userId },
+        { upsert: true, new: true }
+    );
+    return gateway;
+};
+
+module.exports = {
+    registerGateway,
+    getGatewayByCode,
+    gatewayFor,
+    getActiveGateway,
+    listGateways,
+    setActiveGateway
+};
@@ -0,0 +1,233 @@
+/**
+ * Pricing Service
+ * Single place that turns order lines into the amounts charged:
+ * subtotal → coupon discount → shipping (zone rules) → COD surcharge
+ * Used by POST /api/orders, createOrderFromCart and the shipping quote
+ *
+ * Checkout never trusts client prices: lines are re-priced from the
+ * catalogue (buildOrderLines) and the result is handed back as a signed
+ * quote. The payment routes (create-order, create-upi-order, cod) verify
+ * the quote, so the amount charged is the amount the server priced.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { getAvailability } = require('../utils/inventory');
+const { evaluateCoupon } = require('./couponService');
+const { calculateShipping, getShippingConfig } = require('./shippingService');
+const { getSellerProfile, computeOrderTax } = require('./taxService');
+
+const QUOTE_AUDIENCE = 'checkout-quote';
+
+const quoteMinutes = () => Number(process.env.CHECKOUT_QUOTE_MINUTES) || 60;
+
+// Own key, derived from the JWT secret, so a quote can never pass as an access token
+const quoteSecret = () => crypto
+    .createHmac('sha256', process.env.JWT_SECRET || 'tcs_jwt_secret')
+    .update(QUOTE_AUDIENCE)
+    .digest('hex');
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const conflict = (message, extra = {}) => Object.assign(new Error(message), { status: 409, ...extra });
+
+/**
+ * Price a set of lines
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Customer (for per-user coupon limits)
+ * @param {Array} params.items - Lines ({ product, price, quantity })
+ * @param {Object} params.shippingAddress - { pincode, state }
+ * @param {string} params.couponCode - Optional coupon code
+ * @param {string} params.paymentMethod - 'COD' adds the COD surcharge
+ * @returns {Promise<Object>} - { subtotal, discounts, discountTotal, couponError,
+ *                               shippingCharge, codCharge, totalAmount, shipping }
+ */
+const priceOrder = async ({ userId, items = [], shippingAddress = {}, couponCode, paymentMethod } = {}) => {
+    const subtotal = items.reduce((sum, i) => sum + i.price * (i.quantity || 1), 0);
+
+    let discounts = [];
+    let discountTotal = 0;
+    let freeShipping = false;
+    let couponError = null;
+    if (couponCode) {
+        const result = await evaluateCoupon(couponCode, { userId, items });
+        if (result.valid) {
+            discounts = [result.line];
+            discountTotal = result.discount;
+            freeShipping = result.freeShipping;
+        } else {
+            couponError = result.message;
+        }
+    }
+
+    const config = await getShippingConfig();
+    const shipping = await calculateShipping({ items, address: shippingAddress, subtotal, freeShipping, config });
+    const codCharge = paymentMethod === 'COD' ? shipping.codSurcharge : 0;
+
+    return {
+        subtotal,
+        discounts,
+        discountTotal,
+        couponError,
+        shippingCharge: shipping.shippingCharge,
+        codCharge,
+        totalAmount: subtotal - discountTotal + shipping.shippingCharge + codCharge,
+        shipping
+    };
+};
+
+/**
+ * Turn the lines a client sent into order lines priced from the catalogue
+ * Only product, size, color and quantity are read - price, name and image
+ * come from the product / variant
+ *
+ * @param {Array} items - Client lines ({ product, size, color, quantity })
+ * @returns {Promise<Array>} - Order lines
+ * @throws 400 for a line that isn't a live catalogue product
+ */
+const buildOrderLines = async (items) => {
+    if (!Array.isArray(items) || !items.length) throw badRequest('No items in order');
+
+    const ids = items.map(i => String(i.product?._id || i.product || ''));
+    if (ids.some(id => !mongoose.isValidObjectId(id))) {
+        throw badRequest('Your order contains an item that is not for sale');
+    }
+    const products = await Product.find({ _id: { $in: ids } });
+    const byId = new Map(products.map(p => [p._id.toString(), p]));
+
+    return items.map((item, i) => {
+        const product = byId.get(ids[i]);
+        if (!product || product.isDeleted || !product.isActive) {
+            throw badRequest(`${product?.name || 'An item in your order'} is no longer available`);
+        }
+
+        const quantity = Number(item.quantity ?? 1);
+        if (!Number.isInteger(quantity) || quantity < 1) throw badRequest(`Invalid quantity for ${product.name}`);
+
+        const { variant, price } = getAvailability(product, item.size, item.color);
+        if (product.variants?.length && (!variant || variant.isActive === false)) {
+            throw badRequest(`${product.name} is not available in ${item.size || 'that size'}${item.color ? ` / ${item.color}` : ''}`);
+        }
+
+        return {
+            product: product._id,
+            name: product.name,
+            price,
+            image: product.images?.[0] || '',
+            quantity,
+            size: item.size,
+            color: item.color,
+            sku: variant?.sku,
+            hsnCode: product.hsnCode,
+            taxRate: product.taxRate
+        };
+    });
+};
+
+/**
+ * Price a checkout from catalogue lines: coupon, shipping and the GST inside the total
+ *
+ * @param {Object} params - { userId, items (client lines), shippingAddress, couponCode }
+ * @returns {Promise<Object>} - { lines, pricing, tax }
+ */
+const priceCheckout = async ({ userId, items, shippingAddress = {}, couponCode }) => {
+    const lines = await buildOrderLines(items);
+    const pricing = await priceOrder({ userId, items: lines, shippingAddress, couponCode });
+
+    const { taxableValue, cgst, sgst, igst, totalTax } = computeOrderTax({
+        items: lines,
+        shippingAddress,
+        discountTotal: pricing.discountTotal,
+        shippingCharge: pricing.shippingCharge
+    }, await getSellerProfile());
+
+    return { lines, pricing, tax: { taxableValue, cgst, sgst, igst, totalTax } };
+};
+
+// What was priced - a cart quote only holds while the cart still prices the same.
+// Also sent in the gateway notes of a cart checkout, so the order created once it
+// is paid can be checked against what the customer paid for
+const linesDigest = (lines, couponCode, pincode) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify([
+        lines.map(l => [String(l.product), l.sku || `${l.size || ''}/${l.color || ''}`, l.quantity, l.price]),
+        couponCode || '',
+        pincode || ''
+    ]))
+    .digest('hex');
+
+/**
+ * Sign the amounts of a priced checkout
+ * With orderId the quote is for that order; without, for the customer's cart
+ *
+ * @param {Object} params - { userId, orderId, lines, pricing, couponCode, shippingAddress }
+ * @returns {{ quote: string, expiresAt: Date }}
+ */
+const signQuote = ({ userId, orderId, lines, pricing, couponCode, shippingAddress = {} }) => {
+    const payload = {
+        uid: String(userId),
+        oid: orderId ? String(orderId) : undefined,
+        digest: linesDigest(lines, couponCode, shippingAddress.pincode),
+        subtotal: pricing.subtotal,
+        discountTotal: pricing.discountTotal,
+        shippingCharge: pricing.shippingCharge,
+        codSurcharge: pricing.shipping.codSurcharge,
+        totalAmount: pricing.totalAmount
+    };
+    const quote = jwt.sign(payload, quoteSecret(), { audience: QUOTE_AUDIENCE, expiresIn: `${quoteMinutes()}m` });
+    return { quote, expiresAt: new Date(jwt.decode(quote).exp * 1000) };
+};
+
+/**
+ * Check a quote was signed here, for this customer (and order) and has not expired
+ *
+ * @param {string} quote
+ * @param {Object} params - { userId, orderId }
+ * @returns {Object} - Quote payload ({ digest, subtotal, discountTotal, shippingCharge, codSurcharge, totalAmount })
+ * @throws 400 missing / invalid quote, 409 expired
+ */
+const verifyQuote = (quote, { userId, orderId } = {}) => {
+    if (!quote) throw badRequest('Price quote is required - please review your order again');
+
+    let payload;
+    try {
+        payload = jwt.verify(quote, quoteSecret(), { audience: QUOTE_AUDIENCE });
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') throw conflict('Your checkout has expired - please review your order and try again', { quoteExpired: true });
+        throw badRequest('Invalid price quote');
+    }
+
+    if (payload.uid !== String(userId) || (payload.oid || null) !== (orderId ? String(orderId) : null)) {
+        throw badRequest('This price quote is for a different order');
+    }
+    return payload;
+};
+
+/**
+ * Re-price the same checkout and fail if anything changed since it was quoted
+ *
+ * @param {Object} payload - From verifyQuote
+ * @param {Object} current - { lines, pricing, couponCode, shippingAddress } priced now
+ * @throws 409 when the lines or any amount differ
+ */
+const assertQuoteCurrent = (payload, { lines, pricing, couponCode, shippingAddress = {} }) => {
+    const same = payload.digest === linesDigest(lines, couponCode, shippingAddress.pincode)
+        && payload.totalAmount === pricing.totalAmount
+        && payload.shippingCharge === pricing.shippingCharge
+        && payload.discountTotal === pricing.discountTotal;
+    if (!same) {
+        throw conflict(`Prices have changed - your total is now ₹${pricing.totalAmount}. Please review your order.`, { priceChanged: true });
+    }
+};
+
+module.exports = {
+    priceOrder,
+    buildOrderLines,
+    priceCheckout,
+    linesDigest,
+    signQuote,
+    verifyQuote,
+    assertQuoteCurrent
+};
@@ -0,0 +1,438 @@
+/**
+ * Reconciliation Service
+ * Matches what the payment gateway captured and settled against our
+ * Payment and Order records, one date range per run (models/ReconciliationRun.js)
+ *
+ * Runs as the 'payments.reconcile' job - daily for the previous day after
+ * RECONCILIATION_HOUR, or on demand from the admin panel. The gateway
+ * (services/paymentGateway.js) is RECONCILIATION_GATEWAY, or the one new
+ * checkouts use; its listPayments returns payment entities and
+ *
+ *   listSettlements({ from, to }) → Promise<[{ id, amount, fees, tax, utr, status, created_at,
+ *                                              items: [{ type, payment_id, credit, debit }] }]>
+ *
+ * A captured payment without an order is healed through the same
+ * payment.captured handler the webhook uses, so healing is idempotent.
+ * Everything else is reported for an admin to look into. Each payment's
+ * fee, tax, gateway status and settlement are copied onto its Payment.
+ */
+
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const { registerJob, enqueue } = require('./jobQueue');
+const { runWebhookHandler } = require('./webhookService');
+const { getGatewayByCode, getActiveGateway } = require('./paymentGateway');
+
+const MAX_RANGE_DAYS = 31;
+// Payments settle a few days after capture - settlements are read this far past the range
+const SETTLEMENT_LOOKAHEAD_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const rupees = (paise) => round2((paise || 0) / 100);
+
+const pad = (n) => String(n).padStart(2, '0');
+const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Gateway reconciliation reads from
+ *
+ * @returns {Promise<Object>} - Gateway adapter
+ */
+const getReconciliationGateway = async () => {
+    const code = process.env.RECONCILIATION_GATEWAY;
+    if (code && getGatewayByCode(code)) return getGatewayByCode(code);
+    if (code) console.warn(`⚠️ Unknown RECONCILIATION_GATEWAY "${code}" - using the active gateway`);
+    return getActiveGateway();
+};
+
+/**
+ * Validate a YYYY-MM-DD range - whole days, server time
+ *
+ * @param {Object} range - { from, to }
+ * @returns {{ from: Date, to: Date }}
+ */
+const parseRange = ({ from, to } = {}) => {
+    const valid = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || '')) && !isNaN(new Date(`${s}T00:00:00`));
+    if (!valid(from)) throw badRequest('From date is required (YYYY-MM-DD)');
+    to = to || from;
+    if (!valid(to)) throw badRequest('To date must be YYYY-MM-DD');
+
+    const start = new Date(`${from}T00:00:00`);
+    const end = new Date(`${to}T23:59:59.999`);
+    if (end < start) throw badRequest('To date is before the from date');
+    if (start > new Date()) throw badRequest('Cannot reconcile future dates');
+    if ((end - start) / DAY_MS > MAX_RANGE_DAYS) throw badRequest(`Reconcile at most ${MAX_RANGE_DAYS} days at a time`);
+    return { from: start, to: end };
+};
+
+// ─── Matching ─────────────────────────────────────────────────────────────
+
+const sumProcessedRefunds = (payment) => round2((payment?.refunds || [])
+    .filter(r => r.status === 'processed')
+    .reduce((sum, r) => sum + (r.amount || 0), 0));
+
+const METHODS = { upi: 'UPI', card: 'Card', netbanking: 'NetBanking', wallet: 'Wallet' };
+
+// Captured at the gateway but no order carries this payment id - settle it like a late webhook
+const healMissingOrder = async (gatewayPayment, base) => {
+    const checkoutId = gatewayPayment.notes?.orderId;
+    const checkoutOrder = checkoutId
+        ? await Order.findById(checkoutId).select('orderNumber paymentStatus paymentId')
+        : gatewayPayment.order_id && await Order.findOne({ razorpayOrderId: gatewayPayment.order_id }).select('orderNumber paymentStatus paymentId');
+
+    if (checkoutOrder?.paymentStatus === 'Paid' && checkoutOrder.paymentId !== gatewayPayment.id) {
+        return {
+            ...base,
+            type: 'duplicate_payment',
+            order: checkoutOrder._id,
+            localStatus: 'Paid',
+            message: `Order ${checkoutOrder.orderNumber} was already paid by ${checkoutOrder.paymentId} - refund this payment`
+        };
+    }
+
+    try {
+        const result = await runWebhookHandler({
+            event: 'payment.captured',
+            payload: { payment: { entity: gatewayPayment } }
+        });
+        if (result.ignored) {
+            return { ...base, type: 'missing_order', order: result.orderId || checkoutOrder?._id, message: `Not healed: ${result.reason}` };
+        }
+        const healed = result.action === 'created' ? `Order ${result.orderNumber} created from the cart` : `Order ${result.orderNumber} marked paid`;
+        return { ...base, type: 'missing_order', order: result.orderId, healed: true, message: result.message || healed };
+    } catch (err) {
+        return { ...base, type: 'missing_order', order: checkoutOrder?._id, message: `Not healed: ${err.message}` };
+    }
+};
+
+/**
+ * Compare one gateway payment with our records
+ *
+ * @param {Object} gatewayPayment - Gateway payment entity (paise)
+ * @param {string} [gatewayCode='razorpay'] - Gateway it came from
+ * @returns {Promise<Array>} - Mismatches (empty when it matches)
+ */
+const reconcilePayment = async (gatewayPayment, gatewayCode = 'razorpay') => {
+    const amount = rupees(gatewayPayment.amount);
+    const base = {
+        paymentId: gatewayPayment.id,
+        razorpayOrderId: gatewayPayment.order_id,
+        gatewayStatus: gatewayPayment.status,
+        gatewayAmount: amount
+    };
+    const [payment, order] = await Promise.all([
+        Payment.findOne({ razorpayPaymentId: gatewayPayment.id }),
+        Order.findOne({ paymentId: gatewayPayment.id }).select('orderNumber totalAmount paymentStatus paymentMethod user')
+    ]);
+
+    if (gatewayPayment.status === 'failed') {
+        return order && order.paymentStatus === 'Paid'
+            ? [{ ...base, type: 'status_mismatch', order: order._id, localStatus: 'Paid', localAmount: order.totalAmount, message: `Order ${order.orderNumber} is paid here but the payment failed at the gateway` }]
+            : [];
+    }
+    if (gatewayPayment.status === 'authorized') {
+        return [{ ...base, type: 'not_captured', order: order?._id, message: 'Authorized but never captured - capture it or the gateway refunds it automatically' }];
+    }
+    if (gatewayPayment.status !== 'captured' && gatewayPayment.status !== 'refunded') return [];
+
+    if (!order) {
+        // Refunded at the gateway without an order here - nothing left to deliver or refund
+        return gatewayPayment.status === 'captured' ? [await healMissingOrder(gatewayPayment, base)] : [];
+    }
+
+    const mismatches = [];
+    const orderRef = { order: order._id, localStatus: order.paymentStatus };
+    if (Math.abs(amount - order.totalAmount) > 0.01) {
+        mismatches.push({ ...base, ...orderRef, type: 'amount_mismatch', localAmount: order.totalAmount, message: `Order ${order.orderNumber} total is ₹${order.totalAmount}, gateway captured ₹${amount}` });
+    }
+
+    if (!payment) {
+        try {
+            await Payment.create({
+                gateway: gatewayCode,
+                razorpayPaymentId: gatewayPayment.id,
+                razorpayOrderId: gatewayPayment.order_id,
+                order: order._id,
+                user: order.user,
+                amount,
+                method: METHODS[gatewayPayment.method] || 'Unknown',
+                status: gatewayPayment.status === 'refunded' ? 'REFUNDED' : 'PAID',
+                contact: { email: gatewayPayment.email, phone: gatewayPayment.contact },
+                notes: { source: 'reconciliation' }
+            });
+            mismatches.push({ ...base, ...orderRef, type: 'missing_payment_record', healed: true, message: `Payment record created for order ${order.orderNumber}` });
+        } catch (err) {
+            if (err.code !== 11000) mismatches.push({ ...base, ...orderRef, type: 'missing_payment_record', message: `Not healed: ${err.message}` });
+        }
+    }
+
+    const gatewayRefunded = rupees(gatewayPayment.amount_refunded);
+    const localRefunded = sumProcessedRefunds(payment);
+    if (payment && Math.abs(gatewayRefunded - localRefunded) > 0.01) {
+        mismatches.push({
+            ...base,
+            ...orderRef,
+            type: 'refund_mismatch',
+            gatewayAmount: gatewayRefunded,
+            localAmount: localRefunded,
+            message: `Gateway refunded ₹${gatewayRefunded}, we have ₹${localRefunded} in processed refunds`
+        });
+    }
+    return mismatches;
+};
+
+// Copy fee, tax, status and settlement onto our Payment
+const recordGatewayDetails = (gatewayPayment, settled) => Payment.updateOne(
+    { razorpayPaymentId: gatewayPayment.id },
+    {
+        $set: {
+            razorpayStatus: gatewayPayment.status,
+            ...(gatewayPayment.fee != null && { razorpayFee: gatewayPayment.fee }),
+            ...(gatewayPayment.tax != null && { razorpayTax: gatewayPayment.tax }),
+            ...(settled && {
+                settlement: {
+                    settlementId: settled.settlement.id,
+                    utr: settled.settlement.utr,
+                    settledAt: new Date(settled.settlement.created_at * 1000)
+                }
+            }),
+            reconciledAt: new Date()
+        }
+    }
+);
+
+/**
+ * Reconcile a run's date range and store the report on it
+ *
+ * @param {Object} run - ReconciliationRun document
+ * @returns {Promise<Object>} - The completed run
+ */
+const reconcileRun = async (run) => {
+    const gateway = await getReconciliationGateway();
+    Object.assign(run, { gateway: gateway.code, status: 'running', error: undefined, mismatches: [], settlements: [], summary: {} });
+    await run.save();
+
+    const settlementTo = new Date(Math.min(Date.now(), run.to.getTime() + SETTLEMENT_LOOKAHEAD_DAYS * DAY_MS));
+    const [gatewayPayments, settlements] = await Promise.all([
+        gateway.listPayments({ from: run.from, to: run.to }),
+        gateway.listSettlements({ from: run.from, to: settlementTo })
+    ]);
+
+    // payment id → the settlement that paid it out, and its net (credits - debits, refunds included)
+    const settledBy = new Map();
+    for (const settlement of settlements) {
+        for (const item of settlement.items) {
+            if (!item.payment_id) continue;
+            const entry = settledBy.get(item.payment_id) || { settlement, net: 0 };
+            if (item.type === 'payment') entry.settlement = settlement;
+            entry.net += (item.credit || 0) - (item.debit || 0);
+            settledBy.set(item.payment_id, entry);
+        }
+    }
+
+    const summary = { gatewayPayments: gatewayPayments.length, captured: 0, capturedAmount: 0, refundedAmount: 0, fees: 0, tax: 0, settledAmount: 0, unsettled: 0, matched: 0 };
+    const covered = new Map();   // settlement id → payments from this range
+    const mismatches = [];
+
+    for (const gatewayPayment of gatewayPayments) {
+        const found = await reconcilePayment(gatewayPayment, gateway.code);
+        mismatches.push(...found);
+        if (!found.length) summary.matched++;
+
+        const settled = settledBy.get(gatewayPayment.id);
+        if (gatewayPayment.status === 'captured' || gatewayPayment.status === 'refunded') {
+            summary.captured++;
+            summary.capturedAmount += rupees(gatewayPayment.amount);
+            summary.refundedAmount += rupees(gatewayPayment.amount_refunded);
+            summary.fees += rupees(gatewayPayment.fee);
+            summary.tax += rupees(gatewayPayment.tax);
+            if (settled) {
+                summary.settledAmount += rupees(settled.net);
+                covered.set(settled.settlement.id, (covered.get(settled.settlement.id) || 0) + 1);
+            } else {
+                summary.unsettled++;
+            }
+        }
+        await recordGatewayDetails(gatewayPayment, settled);
+    }
+
+    // Paid here but the gateway has never heard of it
+    const gatewayIds = gatewayPayments.map(p => p.id);
+    const unknown = await Payment.find({
+        // Payments from before gateways were pluggable have no gateway and are Razorpay's
+        gateway: gateway.code === 'razorpay' ? { $in: ['razorpay', null] } : gateway.code,
+        razorpayPaymentId: { $exists: true, $nin: gatewayIds },
+        status: { $in: ['PAID', 'REFUNDED'] },
+        isDeleted: { $ne: true },
+        createdAt: { $gte: run.from, $lte: run.to }
+    }).select('razorpayPaymentId razorpayOrderId order amount status');
+    for (const payment of unknown) {
+        mismatches.push({
+            type: 'missing_at_gateway',
+            paymentId: payment.razorpayPaymentId,
+            razorpayOrderId: payment.razorpayOrderId,
+            order: payment.order,
+            localStatus: payment.status,
+            localAmount: payment.amount,
+            message: `Recorded as ${payment.status.toLowerCase()} here but not found at ${gateway.name}`
+        });
+    }
+
+    run.settlements = settlements
+        .filter(s => covered.has(s.id))
+        .map(s => ({
+            settlementId: s.id,
+            utr: s.utr,
+            status: s.status,
+            amount: rupees(s.amount),
+            fees: rupees(s.fees),
+            tax: rupees(s.tax),
+            settledAt: new Date(s.created_at * 1000),
+            payments: covered.get(s.id)
+        }));
+
+    for (const key of ['capturedAmount', 'refundedAmount', 'fees', 'tax', 'settledAmount']) summary[key] = round2(summary[key]);
+    run.summary = {
+        ...summary,
+        expectedNet: round2(summary.capturedAmount - summary.fees - summary.refundedAmount),
+        mismatches: mismatches.length,
+        healed: mismatches.filter(m => m.healed).length
+    };
+    run.mismatches = mismatches;
+    run.status = 'completed';
+    run.finishedAt = new Date();
+    await run.save();
+
+    const open = run.summary.mismatches - run.summary.healed;
+    console.log(`🧾 Reconciled ${dayKey(run.from)}…${dayKey(run.to)} via ${gateway.code}: ${summary.matched} matched, ${run.summary.healed} healed, ${open} to check`);
+    return run;
+};
+
+registerJob('payments.reconcile', async ({ from, to, trigger, startedBy }, job) => {
+    const range = parseRange({ from, to });
+    // A retried job reuses its run
+    const run = await ReconciliationRun.findOne({ job: job._id })
+        || await ReconciliationRun.create({ ...range, trigger, startedBy, job: job._id });
+    try {
+        await reconcileRun(run);
+    } catch (err) {
+        run.status = 'failed';
+        run.error = err.message;
+        run.finishedAt = new Date();
+        await run.save();
+        throw err;
+    }
+    return { runId: run._id, summary: run.summary };
+}, { maxAttempts: 3, backoffSeconds: 300, timeoutSeconds: 600 });
+
+/**
+ * Queue a reconciliation from the admin panel
+ *
+ * @param {Object} params - { from, to (YYYY-MM-DD), userId }
+ * @returns {Promise<Object>} - Job
+ */
+const startReconciliation = ({ from, to, userId }) => {
+    parseRange({ from, to });
+    return enqueue('payments.reconcile', { from, to: to || from, trigger: 'manual', startedBy: userId && String(userId) });
+};
+
+/**
+ * Runs for the admin list, newest first (report lines left out)
+ *
+ * @param {Object} query - { page, limit }
+ * @returns {Promise<Object>} - { runs, total, page, pages }
+ */
+const listRuns = async ({ page = 1, limit = 20 } = {}) => {
+    page = Math.max(1, Number(page) || 1);
+    limit = Math.min(100, Math.max(1, Number(limit) || 20));
+    const [runs, total] = await Promise.all([
+        ReconciliationRun.find()
+            .select('-mismatches')
+            .populate('startedBy', 'name')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        ReconciliationRun.countDocuments()
+    ]);
+    return { runs, total, page, pages: Math.ceil(total / limit) };
+};
+
+/**
+ * One run with its settlements and mismatch report
+ *
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+const getRun = async (id) => {
+    const run = await ReconciliationRun.findById(id)
+        .populate('startedBy', 'name')
+        .populate('mismatches.order', 'orderNumber')
+        .populate('mismatches.resolvedBy', 'name')
+        .lean();
+    if (!run) throw notFound('Reconciliation run not found');
+    return run;
+};
+
+/**
+ * Mark a mismatch as looked into
+ *
+ * @param {string} runId
+ * @param {string} mismatchId
+ * @param {Object} params - { userId, note }
+ * @returns {Promise<Object>} - The mismatch
+ */
+const resolveMismatch = async (runId, mismatchId, { userId, note }) => {
+    const run = await ReconciliationRun.findById(runId);
+    const mismatch = run?.mismatches.id(mismatchId);
+    if (!mismatch) throw notFound('Mismatch not found');
+    if (mismatch.resolved) throw badRequest('Mismatch is already resolved');
+
+    Object.assign(mismatch, { resolved: true, resolvedBy: userId, resolvedAt: new Date(), resolutionNote: String(note || '').trim().slice(0, 500) });
+    await run.save();
+    return mismatch;
+};
+
+/**
+ * Queue the previous day's reconciliation once a day, after RECONCILIATION_HOUR
+ *
+ * @returns {Promise<Object|null>} - Job (the existing one if already queued)
+ */
+const scheduleDailyReconciliation = async (hour) => {
+    const now = new Date();
+    if (now.getHours() < hour) return null;
+    const day = dayKey(new Date(now.getTime() - DAY_MS));
+    return enqueue('payments.reconcile', { from: day, to: day, trigger: 'schedule' }, { dedupeKey: `payments.reconcile:${day}` });
+};
+
+/**
+ * Check every 15 minutes whether yesterday still needs reconciling
+ */
+const startReconciliationSchedule = () => {
+    const hour = Number(process.env.RECONCILIATION_HOUR ?? 6);
+    if (!(hour >= 0 && hour <= 23)) return null;
+    const tick = () => scheduleDailyReconciliation(hour)
+        .catch(err => console.error('❌ Could not queue payment reconciliation:', err.message));
+    const timer = setInterval(tick, 15 * 60 * 1000);
+    timer.unref();
+    tick();
+    console.log(`🧾 Payment reconciliation daily after ${pad(hour)}:00${process.env.RECONCILIATION_GATEWAY ? ` via ${process.env.RECONCILIATION_GATEWAY}` : ''}`);
+    return timer;
+};
+
+module.exports = {
+    getReconciliationGateway,
+    parseRange,
+    reconcilePayment,
+    reconcileRun,
+    startReconciliation,
+    listRuns,
+    getRun,
+    resolveMismatch,
+    startReconciliationSchedule
+};
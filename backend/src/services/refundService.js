@@ -0,0 +1,298 @@
+/**
+ * Refund Service
+ * Full and partial refunds of captured gateway payments
+ *
+ * Refunds go through the gateway that took the payment (services/paymentGateway.js),
+ * are recorded on Payment.refunds (one entry per gateway refund) and
+ * summarised on the order (refundedAmount / refundStatus). Razorpay confirms
+ * the outcome asynchronously through the refund.processed / refund.failed webhooks.
+ *
+ * A refund's amount is reserved on the payment (a pending entry, added only
+ * while that much is still unrefunded) before the gateway is called, so
+ * concurrent refunds can't together exceed the payment. The entry's id goes
+ * to the gateway in the refund notes, and webhooks match refunds by gateway
+ * refund id or that entry - a refund is never recorded twice.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { gatewayFor } = require('./paymentGateway');
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Sum of refunds in the given states
+const sumRefunds = (payment, statuses) => round2((payment.refunds || [])
+    .filter(r => statuses.includes(r.status))
+    .reduce((sum, r) => sum + (r.amount || 0), 0));
+
+/**
+ * Amount that can still be refunded on a payment
+ * Pending refunds count against it so a refund can't be issued twice
+ *
+ * @param {Object} payment - Payment document
+ * @returns {number}
+ */
+const getRefundableAmount = (payment) => round2(payment.amount - sumRefunds(payment, ['pending', 'processed']));
+
+// Pending + processed refunds of a payment, inside a query ($expr)
+const REFUNDED_EXPR = {
+    $sum: {
+        $map: {
+            input: { $filter: { input: '$refunds', cond: { $in: ['$$this.status', ['pending', 'processed']] } } },
+            in: '$$this.amount'
+        }
+    }
+};
+
+/**
+ * Reserve a refund on the payment - a pending entry added only while the
+ * payment still has that much unrefunded (checked by the update itself)
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} entry - Refund entry (amount, reason, initiatedBy, returnRequest)
+ * @returns {Promise<Object|null>} - The entry's id, or null when the amount is no longer refundable
+ */
+const reserveRefund = async (payment, entry) => {
+    const _id = new mongoose.Types.ObjectId();
+    const reserved = await Payment.findOneAndUpdate(
+        // Half a paisa of slack for float sums of rupee amounts
+        { _id: payment._id, $expr: { $lte: [{ $add: [entry.amount, REFUNDED_EXPR] }, { $add: ['$amount', 0.005] }] } },
+        { $push: { refunds: { ...entry, _id, status: 'pending' } } }
+    );
+    return reserved ? _id : null;
+};
+
+// Settle a reserved entry with the gateway's answer - unless a webhook already has
+const settleReservedRefund = async (payment, entryId, update) => {
+    const set = Object.fromEntries(Object.entries(update)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [`refunds.$.${key}`, value]));
+    return await Payment.findOneAndUpdate(
+        { _id: payment._id, refunds: { $elemMatch: { _id: entryId, status: 'pending' } } },
+        { $set: set },
+        { new: true }
+    ) || await Payment.findById(payment._id);
+};
+
+/**
+ * Recompute the order's refund summary from its payment
+ *
+ * @param {Object} order - Order document (saved by the caller)
+ * @param {Object} payment - Payment document
+ */
+const applyRefundState = (order, payment) => {
+    const processed = sumRefunds(payment, ['processed']);
+    const pending = sumRefunds(payment, ['pending']);
+    const last = payment.refunds[payment.refunds.length - 1];
+
+    order.refundedAmount = processed;
+    if (pending > 0) order.refundStatus = 'Pending';
+    else if (processed >= payment.amount) order.refundStatus = 'Refunded';
+    else if (processed > 0) order.refundStatus = 'Partial';
+    else if (last?.status === 'failed') order.refundStatus = 'Failed';
+    else order.refundStatus = 'None';
+
+    if (order.refundStatus === 'Refunded') {
+        order.paymentStatus = 'Refunded';
+        payment.status = 'REFUNDED';
+    } else if (payment.status === 'REFUNDED') {
+        // A refund counted as complete has since failed
+        order.paymentStatus = 'Paid';
+        payment.status = 'PAID';
+    }
+};
+
+// Payment record for an order - webhook-confirmed Buy Now orders may not have one yet
+const findOrCreatePayment = async (order) => {
+    let payment = await Payment.findOne({ order: order._id, status: { $in: ['PAID', 'REFUNDED'] } });
+    if (!payment && order.paymentId) payment = await Payment.findOne({ razorpayPaymentId: order.paymentId });
+    if (!payment && order.paymentId?.startsWith('pay_')) {
+        payment = await Payment.create({
+            razorpayPaymentId: order.paymentId,
+            razorpayOrderId: order.razorpayOrderId,
+            gateway: order.paymentGateway || 'razorpay',
+            order: order._id,
+            user: order.user,
+            amount: order.totalAmount,
+            method: order.paymentMethod === 'UPI' ? 'UPI' : 'Unknown',
+            status: 'PAID'
+        });
+    }
+    return payment;
+};
+
+/**
+ * Refund (part of) an order's online payment through its gateway
+ *
+ * @param {Object} params
+ * @param {Object} params.order - Order document
+ * @param {number} params.amount - Rupees; omit for a full refund of what is left
+ * @param {string} params.reason
+ * @param {string} params.userId - Admin who issued it
+ * @param {string} params.returnRequest - RMA the refund settles (optional)
+ * @returns {Promise<Object>} - { refund, payment, order }
+ */
+const createRefund = async ({ order, amount, reason = '', userId, returnRequest }) => {
+    if (order.paymentMethod === 'COD') throw badRequest('COD orders are refunded offline');
+    if (!['Paid', 'Refunded'].includes(order.paymentStatus)) throw badRequest('Order has not been paid');
+
+    const payment = await findOrCreatePayment(order);
+    if (payment?.gateway === 'manual_upi') throw badRequest('Manual UPI payments are refunded offline');
+    if (!payment?.razorpayPaymentId) throw badRequest('No gateway payment found for this order');
+    const gateway = gatewayFor(payment.gateway);
+
+    const refundable = getRefundableAmount(payment);
+    const value = amount === undefined || amount === null || amount === '' ? refundable : round2(Number(amount));
+    if (!(value > 0)) throw badRequest('Refund amount must be greater than zero');
+    if (value > refundable) throw badRequest(`Only ₹${refundable} can still be refunded`);
+
+    // Another refund may have taken part of it since the payment was read
+    const entryId = await reserveRefund(payment, { amount: value, reason, initiatedBy: userId, returnRequest });
+    if (!entryId) {
+        const latest = await Payment.findById(payment._id);
+        throw badRequest(`Only ₹${getRefundableAmount(latest)} can still be refunded`);
+    }
+
+    let gatewayRefund;
+    try {
+        gatewayRefund = await gateway.refund(payment.razorpayPaymentId, {
+            amount: Math.round(value * 100),   // paise
+            speed: 'normal',
+            notes: { orderNumber: order.orderNumber, reason: reason.slice(0, 250), refundEntry: String(entryId) }
+        });
+    } catch (err) {
+        const message = err.error?.description || err.message;
+        const failed = await settleReservedRefund(payment, entryId, { status: 'failed', error: message });
+        applyRefundState(order, failed);
+        await failed.save();
+        await order.save();
+        throw Object.assign(new Error(`${gateway.name} refund failed: ${message}`), { status: 502 });
+    }
+
+    const status = gatewayRefund.status === 'processed' ? 'processed' : 'pending';
+    const settled = await settleReservedRefund(payment, entryId, {
+        refundId: gatewayRefund.id,
+        status,
+        processedAt: status === 'processed' ? new Date() : undefined
+    });
+    applyRefundState(order, settled);
+    order.statusHistory.push({
+        status: 'REFUND_INITIATED',
+        note: `₹${value} refund ${status === 'processed' ? 'processed' : 'initiated'} (${gatewayRefund.id})${reason ? ` - ${reason}` : ''}`
+    });
+
+    await settled.save();
+    await order.save();
+
+    return { refund: settled.refunds.id(entryId), payment: settled, order };
+};
+
+const REFUND_EVENT_STATUS = { 'refund.created': 'pending', 'refund.processed': 'processed', 'refund.failed': 'failed' };
+
+/**
+ * Apply a refund.created / refund.processed / refund.failed webhook
+ * Refunds issued from the Razorpay dashboard are recorded the first time they are seen
+ *
+ * @param {string} event - Webhook event name
+ * @param {Object} entity - payload.refund.entity
+ * @returns {Promise<Object|null>} - Updated Payment, or null if the payment is unknown
+ */
+const applyRefundWebhook = async (event, entity) => {
+    const status = REFUND_EVENT_STATUS[event];
+    if (!status) return null;
+
+    let payment = await Payment.findOne({ 'refunds.refundId': entity.id })
+        || await Payment.findOne({ razorpayPaymentId: entity.payment_id });
+    if (!payment) return null;
+
+    let recorded = false;
+    if (!payment.refunds.some(r => r.refundId === entity.id)) {
+        // Attach the gateway id once - to the entry createRefund reserved, or a new
+        // one for a dashboard refund - so racing deliveries can't add it twice
+        const entryId = entity.notes?.refundEntry;
+        const claimed = entryId && mongoose.isValidObjectId(entryId)
+            ? await Payment.findOneAndUpdate(
+                { _id: payment._id, refunds: { $elemMatch: { _id: entryId, refundId: null } } },
+                { $set: { 'refunds.$.refundId': entity.id } },
+                { new: true })
+            : await Payment.findOneAndUpdate(
+                { _id: payment._id, 'refunds.refundId': { $ne: entity.id } },
+                { $push: { refunds: { refundId: entity.id, amount: round2(entity.amount / 100), reason: 'Issued from Razorpay dashboard' } } },
+                { new: true });
+        recorded = Boolean(claimed) && !entryId;
+        payment = claimed || await Payment.findById(payment._id);
+    }
+
+    const refund = payment.refunds.find(r => r.refundId === entity.id);
+    if (!refund) return payment;
+    // Duplicate delivery, or refund.created for a refund already recorded
+    if (!recorded && (refund.status === status || status === 'pending')) return payment;
+
+    refund.status = status;
+    if (status === 'processed') refund.processedAt = new Date();
+    if (status === 'failed') refund.error = entity.error_description || entity.notes?.error || 'Refund failed at Razorpay';
+
+    const order = payment.order && await Order.findById(payment.order);
+    if (order) {
+        applyRefundState(order, payment);
+        order.statusHistory.push({
+            status: { pending: 'REFUND_INITIATED', processed: 'REFUND_PROCESSED', failed: 'REFUND_FAILED' }[status],
+            note: `₹${refund.amount} (${entity.id})`
+        });
+        await order.save();
+    }
+    await payment.save();
+    return payment;
+};
+
+/**
+ * Apply a dispute.* webhook (chargeback raised through the customer's bank)
+ * The dispute is kept on the payment and noted on the order's history
+ *
+ * @param {string} event - dispute.created | dispute.won | dispute.lost | dispute.closed | ...
+ * @param {Object} entity - Razorpay dispute entity
+ * @returns {Promise<Object|null>} - Payment, or null when the payment is unknown
+ */
+const applyDisputeWebhook = async (event, entity) => {
+    const payment = await Payment.findOne({ razorpayPaymentId: entity.payment_id });
+    if (!payment) return null;
+
+    let dispute = payment.disputes.find(d => d.disputeId === entity.id);
+    if (!dispute) {
+        payment.disputes.push({ disputeId: entity.id });
+        dispute = payment.disputes[payment.disputes.length - 1];
+    } else if (dispute.status === entity.status && dispute.phase === entity.phase) {
+        return payment;   // Duplicate delivery
+    }
+    Object.assign(dispute, {
+        amount: round2((entity.amount || 0) / 100),
+        reasonCode: entity.reason_code,
+        reason: entity.reason_description,
+        phase: entity.phase,
+        status: entity.status,
+        respondBy: entity.respond_by ? new Date(entity.respond_by * 1000) : undefined,
+        updatedAt: new Date()
+    });
+
+    const order = payment.order && await Order.findById(payment.order);
+    if (order) {
+        order.statusHistory.push({
+            status: `DISPUTE_${event.split('.')[1].toUpperCase()}`,
+            note: `₹${dispute.amount} ${dispute.phase || 'dispute'} (${entity.id})${dispute.reason ? ` - ${dispute.reason}` : ''}`
+        });
+        await order.save();
+    }
+    await payment.save();
+    console.warn(`⚠️ ${event} for payment ${entity.payment_id}: ₹${dispute.amount}${dispute.respondBy ? `, respond by ${dispute.respondBy.toISOString().slice(0, 10)}` : ''}`);
+    return payment;
+};
+
+module.exports = {
+    getRefundableAmount,
+    createRefund,
+    applyRefundWebhook,
+    applyDisputeWebhook
+};
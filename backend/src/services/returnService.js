@@ -0,0 +1,322 @@
+/**
+ * Return Service
+ * Return / exchange (RMA) lifecycle:
+ * REQUESTED → APPROVED → PICKUP_SCHEDULED → PICKED_UP → RECEIVED → REFUNDED | EXCHANGED
+ * (REQUESTED → REJECTED / CANCELLED end the request early)
+ *
+ * Every step is also written to the order's statusHistory as RETURN_<STATUS>
+ */
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Payment = require('../models/Payment');
+const ReturnRequest = require('../models/ReturnRequest');
+const { withTransaction } = require('../utils/transactions');
+const { incrementStock, decrementStock, getAvailability } = require('../utils/inventory');
+const { createRefund } = require('./refundService');
+const { checkWishlistAlerts } = require('./wishlistService');
+
+const RETURN_WINDOW_DAYS = 7;
+
+const TRANSITIONS = {
+    REQUESTED: ['APPROVED', 'REJECTED', 'CANCELLED'],
+    APPROVED: ['PICKUP_SCHEDULED', 'RECEIVED'],
+    PICKUP_SCHEDULED: ['PICKED_UP'],
+    PICKED_UP: ['RECEIVED'],
+    RECEIVED: ['REFUNDED', 'EXCHANGED']
+};
+
+// Requests that still hold quantity of an order line
+const OPEN_OR_COMPLETED = ['REQUESTED', 'APPROVED', 'PICKUP_SCHEDULED', 'PICKED_UP', 'RECEIVED', 'REFUNDED', 'EXCHANGED'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const isDelivered = (order) => String(order.status).toUpperCase() === 'DELIVERED';
+
+// When the order was delivered - last DELIVERED history entry, else last update
+const getDeliveredAt = (order) => {
+    const entry = [...(order.statusHistory || [])].reverse()
+        .find(h => String(h.status).toUpperCase() === 'DELIVERED');
+    return entry?.timestamp || order.updatedAt;
+};
+
+/**
+ * Can this order still be returned / exchanged?
+ *
+ * @param {Object} order
+ * @returns {Object} - { eligible, reason, deadline }
+ */
+const checkReturnEligibility = (order) => {
+    if (!isDelivered(order)) {
+        return { eligible: false, reason: 'Only delivered orders can be returned or exchanged' };
+    }
+    const deadline = new Date(new Date(getDeliveredAt(order)).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (deadline < new Date()) {
+        return { eligible: false, reason: `Returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery`, deadline };
+    }
+    return { eligible: true, deadline };
+};
+
+// Refund value of returned lines - order-level discounts are shared out by line value
+const calculateRefund = (order, items) => {
+    const itemsGross = order.items.reduce((sum, i) => sum + i.price * (i.quantity || 1), 0);
+    const ratio = itemsGross ? 1 - (order.discountTotal || 0) / itemsGross : 1;
+    const value = items.reduce((sum, i) => sum + i.price * i.quantity, 0);
+    return Math.round(value * ratio * 100) / 100;
+};
+
+const recordOnOrder = (orderId, status, note, session) => Order.updateOne(
+    { _id: orderId },
+    { $push: { statusHistory: { status: `RETURN_${status}`, note } } },
+    { session }
+);
+
+/**
+ * Create a return / exchange request
+ *
+ * @param {Object} params
+ * @param {Object} params.order - Order document (already ownership-checked)
+ * @param {string} params.userId
+ * @param {string} params.type - 'return' | 'exchange'
+ * @param {string} params.reason
+ * @param {string} params.comment
+ * @param {Array<string>} params.photos - Uploaded photo paths
+ * @param {Array} params.items - [{ itemId, quantity, exchangeSize, exchangeColor }]
+ * @returns {Promise<Object>} - ReturnRequest
+ */
+const createReturnRequest = async ({ order, userId, type, reason, comment, photos = [], items = [] }) => {
+    const eligibility = checkReturnEligibility(order);
+    if (!eligibility.eligible) throw badRequest(eligibility.reason);
+    if (!items.length) throw badRequest('Select at least one item');
+
+    // Quantity already claimed by other requests on this order
+    const existing = await ReturnRequest.find({ order: order._id, status: { $in: OPEN_OR_COMPLETED } });
+    const claimed = {};
+    existing.forEach(r => r.items.forEach(i => {
+        claimed[i.orderItem] = (claimed[i.orderItem] || 0) + i.quantity;
+    }));
+
+    const lines = [];
+    for (const requested of items) {
+        const orderItem = order.items.id(requested.itemId);
+        if (!orderItem || !orderItem.product) throw badRequest('Item not found in this order');
+
+        const quantity = Math.max(1, Number(requested.quantity) || 1);
+        const remaining = (orderItem.quantity || 1) - (claimed[orderItem._id] || 0);
+        if (quantity > remaining) {
+            throw badRequest(`${orderItem.name}: only ${remaining} left to return`);
+        }
+
+        const line = {
+            orderItem: orderItem._id,
+            product: orderItem.product,
+            name: orderItem.name,
+            price: orderItem.price,
+            quantity,
+            size: orderItem.size,
+            color: orderItem.color,
+            sku: orderItem.sku
+        };
+
+        if (type === 'exchange') {
+            line.exchangeSize = requested.exchangeSize || orderItem.size;
+            line.exchangeColor = requested.exchangeColor ?? orderItem.color;
+            if (line.exchangeSize === orderItem.size && (line.exchangeColor || '') === (orderItem.color || '')) {
+                throw badRequest(`${orderItem.name}: choose a different size or color to exchange for`);
+            }
+            const product = await Product.findById(orderItem.product);
+            const { variant, available } = product ? getAvailability(product, line.exchangeSize, line.exchangeColor) : {};
+            if (!product || (product.variants?.length && !variant) || available < quantity) {
+                throw badRequest(`${orderItem.name} (${line.exchangeSize}${line.exchangeColor ? ` / ${line.exchangeColor}` : ''}) is out of stock`);
+            }
+        }
+        lines.push(line);
+    }
+
+    const request = new ReturnRequest({
+        order: order._id,
+        user: userId,
+        type,
+        reason,
+        comment,
+        photos,
+        items: lines,
+        refundAmount: type === 'return' ? calculateRefund(order, lines) : 0,
+        statusHistory: [{ status: 'REQUESTED', note: reason, by: userId }]
+    });
+    await request.save();
+    await recordOnOrder(order._id, 'REQUESTED', `${request.rmaNumber}: ${type} requested - ${reason}`);
+    return request;
+};
+
+/**
+ * Move a request to its next status, applying the side effects of that step
+ * RECEIVED restocks the returned variants, EXCHANGED creates the exchange order
+ *
+ * @param {string} requestId
+ * @param {string} status - Target status
+ * @param {Object} params
+ * @param {string} params.userId - Who made the change
+ * @param {string} params.note
+ * @param {Object} params.pickup - { courier, trackingNumber, scheduledAt } for PICKUP_SCHEDULED
+ * @param {string} params.refundId - Razorpay refund that settled a REFUNDED request
+ * @returns {Promise<Object>} - Updated ReturnRequest
+ */
+const transitionReturn = async (requestId, status, { userId, note, pickup, refundId } = {}) => {
+    const updated = await withTransaction(async (session) => {
+        const request = await ReturnRequest.findById(requestId).session(session);
+        if (!request || request.isDeleted) throw Object.assign(new Error('Return request not found'), { status: 404 });
+
+        if (!(TRANSITIONS[request.status] || []).includes(status)) {
+            throw badRequest(`Cannot move a ${request.status} request to ${status}`);
+        }
+        if (status === 'EXCHANGED' && request.type !== 'exchange') throw badRequest('This is a return, not an exchange');
+        if (status === 'REFUNDED' && request.type !== 'return') throw badRequest('This is an exchange, not a return');
+
+        const order = await Order.findById(request.order).session(session);
+        let historyNote = note || '';
+
+        if (status === 'PICKUP_SCHEDULED') {
+            request.pickup = {
+                courier: pickup?.courier || '',
+                trackingNumber: pickup?.trackingNumber || '',
+                scheduledAt: pickup?.scheduledAt ? new Date(pickup.scheduledAt) : new Date()
+            };
+            historyNote = historyNote || `Pickup via ${request.pickup.courier || 'courier'}${request.pickup.trackingNumber ? ` (${request.pickup.trackingNumber})` : ''}`;
+        }
+
+        if (status === 'PICKED_UP') {
+            request.pickup.pickedUpAt = new Date();
+        }
+
+        if (status === 'RECEIVED' && !request.restocked) {
+            for (const item of request.items) {
+                await incrementStock(item, { session });
+            }
+            request.restocked = true;
+            request.receivedAt = new Date();
+            historyNote = historyNote || 'Items received and restocked';
+        }
+
+        if (status === 'REFUNDED') {
+            request.refundedAt = new Date();
+            request.refundId = refundId;
+            historyNote = historyNote || `Refund of ₹${request.refundAmount}${refundId ? ` via Razorpay (${refundId})` : ''}`;
+            // Offline refund (COD) - everything that was paid for has now come back.
+            // Razorpay refunds update paymentStatus themselves (refundService)
+            const returnedValue = (await ReturnRequest.find({ order: order._id, status: 'REFUNDED' }).session(session))
+                .reduce((sum, r) => sum + r.refundAmount, 0) + request.refundAmount;
+            if (!refundId && order.paymentStatus === 'Paid' && returnedValue >= order.totalAmount - (order.shippingCharge || 0) - (order.codCharge || 0)) {
+                order.paymentStatus = 'Refunded';
+            }
+        }
+
+        if (status === 'EXCHANGED') {
+            const exchangeItems = [];
+            for (const item of request.items) {
+                const line = {
+                    product: item.product,
+                    name: item.name,
+                    price: item.price,
+                    quantity: item.quantity,
+                    size: item.exchangeSize,
+                    color: item.exchangeColor
+                };
+                const reserved = await decrementStock(line, { session });
+                if (!reserved) {
+                    throw badRequest(`${item.name} (${item.exchangeSize}${item.exchangeColor ? ` / ${item.exchangeColor}` : ''}) is out of stock - refund instead`);
+                }
+                const original = order.items.id(item.orderItem);
+                exchangeItems.push({
+                    ...line,
+                    image: original?.image,
+                    sku: reserved.sku,
+                    hsnCode: original?.hsnCode,
+                    taxRate: original?.taxRate
+                });
+            }
+
+            const [exchangeOrder] = await Order.create([{
+                user: order.user,
+                items: exchangeItems,
+                totalAmount: 0,
+                shippingCharge: 0,
+                shippingAddress: order.shippingAddress,
+                paymentMethod: order.paymentMethod,
+                paymentStatus: 'Paid',
+                status: 'PAID',
+                exchangeOf: order._id,
+                stockReduced: true,
+                stockReducedAt: new Date(),
+                statusHistory: [{ status: 'PAID', note: `Exchange for ${request.rmaNumber} (order #${order.orderNumber})` }]
+            }], { session });
+
+            request.exchangeOrder = exchangeOrder._id;
+            historyNote = historyNote || `Exchange order #${exchangeOrder.orderNumber} created`;
+        }
+
+        if (note && ['APPROVED', 'REJECTED'].includes(status)) request.adminNote = note;
+        request.status = status;
+        request.statusHistory.push({ status, note: historyNote, by: userId });
+        await request.save({ session });
+
+        order.statusHistory.push({ status: `RETURN_${status}`, note: `${request.rmaNumber}${historyNote ? `: ${historyNote}` : ''}` });
+        await order.save({ session });
+
+        return request;
+    });
+
+    // Restocked sizes may be on someone's wishlist - after commit, so alerts see the new stock
+    if (status === 'RECEIVED') {
+        for (const productId of new Set(updated.items.map(i => String(i.product)))) {
+            await checkWishlistAlerts(productId);
+        }
+    }
+    return updated;
+};
+
+/**
+ * Refund a received return - prepaid orders are refunded through Razorpay first,
+ * COD orders are marked refunded (paid back offline)
+ *
+ * @param {string} requestId
+ * @param {Object} params
+ * @param {string} params.userId - Admin issuing the refund
+ * @param {string} params.note
+ * @returns {Promise<Object>} - Updated ReturnRequest
+ */
+const refundReturn = async (requestId, { userId, note } = {}) => {
+    const request = await ReturnRequest.findById(requestId);
+    if (!request || request.isDeleted) throw Object.assign(new Error('Return request not found'), { status: 404 });
+    if (request.type !== 'return') throw badRequest('This is an exchange, not a return');
+    if (request.status !== 'RECEIVED') throw badRequest(`Cannot move a ${request.status} request to REFUNDED`);
+
+    const order = await Order.findById(request.order);
+
+    // A retry after a failed status update must not refund twice
+    const earlier = await Payment.findOne({ 'refunds.returnRequest': request._id });
+    let refundId = earlier?.refunds.find(r => String(r.returnRequest) === String(request._id) && r.status !== 'failed')?.refundId;
+
+    if (!refundId && order.paymentStatus === 'Paid' && order.paymentMethod !== 'COD' && request.refundAmount > 0) {
+        const { refund } = await createRefund({
+            order,
+            amount: request.refundAmount,
+            reason: `Return ${request.rmaNumber}`,
+            userId,
+            returnRequest: request._id
+        });
+        refundId = refund.refundId;
+    }
+
+    return transitionReturn(requestId, 'REFUNDED', { userId, note, refundId });
+};
+
+module.exports = {
+    RETURN_WINDOW_DAYS,
+    TRANSITIONS,
+    checkReturnEligibility,
+    calculateRefund,
+    createReturnRequest,
+    transitionReturn,
+    refundReturn
+};
@@ -0,0 +1,224 @@
+/**
+ * Review Service
+ * Verified-purchase reviews: only customers with a DELIVERED order containing
+ * the product can review it, once per product. New and edited reviews wait for
+ * moderation; only approved reviews count towards Product.ratings, which is
+ * recomputed whenever a review is approved, rejected, edited or deleted.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const SORTS = {
+    recent: { createdAt: -1 },
+    helpful: { helpfulCount: -1, createdAt: -1 },
+    rating_high: { rating: -1, createdAt: -1 },
+    rating_low: { rating: 1, createdAt: -1 }
+};
+
+/**
+ * Latest delivered order of the user that contains the product
+ *
+ * @param {string} userId
+ * @param {string} productId
+ * @returns {Promise<Object|null>} - Order document
+ */
+const findVerifiedOrder = (userId, productId) => Order.findOne({
+    user: userId,
+    status: 'DELIVERED',
+    'items.product': productId,
+    isDeleted: { $ne: true }
+}).sort({ createdAt: -1 });
+
+/**
+ * Recompute Product.ratings from its approved reviews
+ *
+ * @param {string} productId
+ * @returns {Promise<Object>} - { average, count }
+ */
+const recomputeRatings = async (productId) => {
+    const [stats] = await Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved', isDeleted: { $ne: true } } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    const ratings = {
+        average: stats ? Math.round(stats.average * 10) / 10 : 0,
+        count: stats?.count || 0
+    };
+    await Product.updateOne({ _id: productId }, { $set: { ratings } });
+    return ratings;
+};
+
+/**
+ * Rating summary for the reviews section: average, count and stars → count
+ *
+ * @param {string} productId
+ * @returns {Promise<Object>} - { average, count, distribution: { 5: n, ..., 1: n } }
+ */
+const getRatingSummary = async (productId) => {
+    const rows = await Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved', isDeleted: { $ne: true } } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+    const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    let count = 0;
+    let total = 0;
+    rows.forEach(r => {
+        distribution[r._id] = r.count;
+        count += r.count;
+        total += r._id * r.count;
+    });
+    return { average: count ? Math.round((total / count) * 10) / 10 : 0, count, distribution };
+};
+
+/**
+ * Published reviews of a product
+ *
+ * @param {string} productId
+ * @param {Object} params - { sort, rating, withPhotos, page, limit }
+ * @returns {Promise<Object>} - { reviews, total, page, pages }
+ */
+const listProductReviews = async (productId, { sort = 'recent', rating, withPhotos, page = 1, limit = 10 } = {}) => {
+    const filter = { product: productId, status: 'approved', isDeleted: { $ne: true } };
+    if (Number(rating) >= 1 && Number(rating) <= 5) filter.rating = Number(rating);
+    if (withPhotos) filter['photos.0'] = { $exists: true };
+
+    const perPage = Math.min(Number(limit) || 10, 50);
+    const [reviews, total] = await Promise.all([
+        Review.find(filter)
+            .select('-helpfulVotes -moderatedBy -moderationNote')
+            .populate('user', 'name')
+            .sort(SORTS[sort] || SORTS.recent)
+            .skip((Number(page) - 1) * perPage)
+            .limit(perPage),
+        Review.countDocuments(filter)
+    ]);
+    return { reviews, total, page: Number(page), pages: Math.ceil(total / perPage) };
+};
+
+/**
+ * Create (or rewrite) the user's review of a product
+ * Rewriting an approved review sends it back to moderation
+ *
+ * @param {Object} params
+ * @param {string} params.productId
+ * @param {string} params.userId
+ * @param {number} params.rating - 1..5
+ * @param {string} params.title
+ * @param {string} params.comment
+ * @param {Array<string>} params.photos - Upload paths; replace existing photos when given
+ * @returns {Promise<Object>} - Review document
+ */
+const saveReview = async ({ productId, userId, rating, title, comment, photos = [] }) => {
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) throw badRequest('Rating must be 1 to 5 stars');
+
+    const product = await Product.findOne({ _id: productId, isDeleted: { $ne: true } });
+    if (!product) throw Object.assign(new Error('Product not found'), { status: 404 });
+
+    const order = await findVerifiedOrder(userId, productId);
+    if (!order) throw Object.assign(new Error('Only customers who received this product can review it'), { status: 403 });
+    const line = order.items.find(i => String(i.product) === String(productId));
+
+    let review = await Review.findOne({ product: productId, user: userId });
+    const wasApproved = review?.status === 'approved' && !review.isDeleted;
+    if (!review) review = new Review({ product: productId, user: userId });
+
+    Object.assign(review, {
+        order: order._id,
+        size: line?.size,
+        color: line?.color,
+        rating: stars,
+        title: String(title || '').trim(),
+        comment: String(comment || '').trim(),
+        status: 'pending',
+        moderatedBy: undefined,
+        moderatedAt: undefined,
+        moderationNote: undefined,
+        isDeleted: false,
+        deletedAt: undefined,
+        deletedBy: undefined
+    });
+    if (photos.length) review.photos = photos;
+
+    await review.save();
+    if (wasApproved) await recomputeRatings(productId);
+    return review;
+};
+
+/**
+ * Approve or reject a review (admin)
+ *
+ * @param {string} reviewId
+ * @param {Object} params - { status: 'approved' | 'rejected', note, userId }
+ * @returns {Promise<Object>} - Review document
+ */
+const moderateReview = async (reviewId, { status, note, userId }) => {
+    if (!['approved', 'rejected'].includes(status)) throw badRequest('Status must be approved or rejected');
+
+    const review = await Review.findOne({ _id: reviewId, isDeleted: { $ne: true } });
+    if (!review) throw Object.assign(new Error('Review not found'), { status: 404 });
+
+    review.status = status;
+    review.moderatedBy = userId;
+    review.moderatedAt = new Date();
+    review.moderationNote = note || '';
+    await review.save();
+    await recomputeRatings(review.product);
+    return review;
+};
+
+/**
+ * Soft-delete a review (its author or an admin)
+ *
+ * @param {Object} review - Review document
+ * @param {string} userId
+ */
+const deleteReview = async (review, userId) => {
+    review.isDeleted = true;
+    review.deletedAt = new Date();
+    review.deletedBy = userId;
+    await review.save();
+    await recomputeRatings(review.product);
+};
+
+/**
+ * Toggle the user's "helpful" vote on a published review
+ *
+ * @param {string} reviewId
+ * @param {string} userId
+ * @returns {Promise<Object>} - { helpfulCount, voted }
+ */
+const toggleHelpful = async (reviewId, userId) => {
+    const review = await Review.findOne({ _id: reviewId, status: 'approved', isDeleted: { $ne: true } }).select('user helpfulVotes');
+    if (!review) throw Object.assign(new Error('Review not found'), { status: 404 });
+    if (String(review.user) === String(userId)) throw badRequest('You cannot vote on your own review');
+
+    const voted = review.helpfulVotes.some(v => String(v) === String(userId));
+    // Atomic - two quick clicks can't count twice
+    const updated = await Review.findOneAndUpdate(
+        { _id: reviewId, helpfulVotes: voted ? userId : { $ne: userId } },
+        voted
+            ? { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } }
+            : { $addToSet: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+        { new: true }
+    ).select('helpfulCount');
+
+    return { helpfulCount: updated ? updated.helpfulCount : review.helpfulVotes.length, voted: updated ? !voted : voted };
+};
+
+module.exports = {
+    SORTS,
+    findVerifiedOrder,
+    recomputeRatings,
+    getRatingSummary,
+    listProductReviews,
+    saveReview,
+    moderateReview,
+    deleteReview,
+    toggleHelpful
+};
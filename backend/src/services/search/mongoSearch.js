@@ -0,0 +1,257 @@
+/**
+ * MongoDB search backend
+ * Uses the Product text index (name / description / tags) for matching and
+ * relevance, and a single $facet aggregation for results + facet counts.
+ *
+ * Typo tolerance: query words that appear nowhere in the catalogue are
+ * corrected to the closest catalogue word (edit distance 1, or 2 for words
+ * of 6+ letters) and searched alongside the original word. The vocabulary is
+ * built from product names, tags, colors and categories and cached for
+ * SEARCH_VOCAB_TTL_MINUTES (default 10).
+ */
+
+const Product = require('../../models/Product');
+
+const VOCAB_TTL_MS = (Number(process.env.SEARCH_VOCAB_TTL_MINUTES) || 10) * 60 * 1000;
+let vocabCache = { words: null, builtAt: 0 };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const tokenize = (text) => String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+// ─── Vocabulary ───────────────────────────────────────────────────────────
+
+/**
+ * word → number of products using it
+ */
+const getVocabulary = async () => {
+    if (vocabCache.words && Date.now() - vocabCache.builtAt < VOCAB_TTL_MS) return vocabCache.words;
+
+    const products = await Product.find({ isActive: true, isDeleted: { $ne: true } })
+        .select('name tags colors category')
+        .lean();
+
+    const words = new Map();
+    for (const p of products) {
+        const unique = new Set(tokenize([p.name, ...(p.tags || []), ...(p.colors || []), p.category].join(' ')));
+        unique.forEach(w => { if (w.length >= 3) words.set(w, (words.get(w) || 0) + 1); });
+    }
+    vocabCache = { words, builtAt: Date.now() };
+    return words;
+};
+
+const clearVocabulary = () => { vocabCache = { words: null, builtAt: 0 }; };
+
+// Optimal string alignment distance (Levenshtein + adjacent swaps), capped at max + 1
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        let rowMin = Infinity;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, d[i][j]);
+        }
+        if (rowMin > max) return max + 1;
+    }
+    return d[a.length][b.length];
+};
+
+/**
+ * Closest catalogue word to a misspelt word, or null
+ * Ties go to the word used by more products
+ */
+const closestWord = (word, vocabulary) => {
+    const max = word.length >= 6 ? 2 : 1;
+    let best = null;
+    for (const [candidate, freq] of vocabulary) {
+        const dist = editDistance(word, candidate, max);
+        if (dist > max) continue;
+        if (!best || dist < best.dist || (dist === best.dist && freq > best.freq)) {
+            best = { word: candidate, dist, freq };
+        }
+    }
+    return best?.word || null;
+};
+
+/**
+ * Correct the words of a query that no product uses
+ *
+ * @param {string} query
+ * @returns {Promise<Object>} - { terms: words to search, corrected: corrected query | null }
+ */
+const correctQuery = async (query) => {
+    const words = tokenize(query);
+    const vocabulary = await getVocabulary();
+    const terms = new Set(words);
+    let changed = false;
+
+    const corrected = words.map(w => {
+        if (w.length < 3 || vocabulary.has(w) || /^\d+$/.test(w)) return w;
+        const fix = closestWord(w, vocabulary);
+        if (!fix) return w;
+        terms.add(fix);
+        changed = true;
+        return fix;
+    });
+
+    return { terms: [...terms], corrected: changed ? corrected.join(' ') : null };
+};
+
+// ─── Search ───────────────────────────────────────────────────────────────
+
+const SORTS = {
+    relevance: { score: -1, createdAt: -1 },
+    newest: { createdAt: -1 },
+    price_asc: { price: 1, _id: 1 },
+    price_desc: { price: -1, _id: 1 },
+    rating: { 'ratings.average': -1, 'ratings.count': -1 }
+};
+
+/**
+ * @param {Object} params - see searchService.searchProducts
+ * @returns {Promise<Object>} - { products, total, facets, correctedQuery }
+ */
+const search = async ({ q, filters, facetFields, priceBands, sort, page, limit }) => {
+    const base = { isActive: true, isDeleted: { $ne: true } };
+    let correctedQuery = null;
+
+    if (q) {
+        const { terms, corrected } = await correctQuery(q);
+        correctedQuery = corrected;
+        // Quoting a phrase keeps MongoDB's AND-ish phrase match; plain words are OR'ed and ranked
+        base.$text = { $search: /"/.test(q) ? q : terms.join(' ') };
+    }
+    if (filters.inStock) base.stock = { $gt: 0 };
+
+    // Facet filters: OR within a facet, AND across facets. Each facet's counts
+    // ignore its own selection so the other options stay visible.
+    const clauses = {};
+    for (const field of facetFields) {
+        const values = filters[field];
+        if (!values?.length) continue;
+        if (field === 'price') {
+            clauses.price = { $or: values.map(([min, max]) => ({ price: max == null ? { $gte: min } : { $gte: min, $lt: max } })) };
+        } else {
+            const path = field === 'size' ? 'sizes' : field === 'color' ? 'colors' : field;
+            clauses[field] = field === 'color'
+                ? { [path]: { $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i')) } }
+                : { [path]: { $in: values } };
+        }
+    }
+    const matchExcept = (skip) => {
+        const parts = Object.entries(clauses).filter(([f]) => f !== skip).map(([, c]) => c);
+        return parts.length ? { $and: parts } : {};
+    };
+
+    const countBy = (field, path, unwind) => [
+        { $match: matchExcept(field) },
+        ...(unwind ? [{ $unwind: `$${path}` }] : []),
+        { $group: { _id: `$${path}`, count: { $sum: 1 } } },
+        { $match: { _id: { $nin: [null, ''] } } },
+        { $sort: { count: -1, _id: 1 } }
+    ];
+
+    const boundaries = priceBands.map(b => b.min);
+    const facetStages = {
+        category: countBy('category', 'category'),
+        gender: countBy('gender', 'gender'),
+        size: countBy('size', 'sizes', true),
+        color: countBy('color', 'colors', true),
+        qualityGrade: countBy('qualityGrade', 'qualityGrade'),
+        price: [
+            { $match: matchExcept('price') },
+            {
+                $bucket: {
+                    groupBy: '$price',
+                    boundaries: [...boundaries, priceBands[priceBands.length - 1].max ?? Number.MAX_SAFE_INTEGER],
+                    default: 'other',
+                    output: { count: { $sum: 1 } }
+                }
+            }
+        ]
+    };
+
+    const sortStage = SORTS[sort] && (sort !== 'relevance' || q) ? SORTS[sort] : SORTS[q ? 'relevance' : 'newest'];
+    const [result] = await Product.aggregate([
+        { $match: base },
+        ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        {
+            $facet: {
+                products: [
+                    { $match: matchExcept(null) },
+                    { $sort: sortStage },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit }
+                ],
+                total: [{ $match: matchExcept(null) }, { $count: 'count' }],
+                ...Object.fromEntries(facetFields.map(f => [f, facetStages[f]]))
+            }
+        }
+    ]);
+
+    const facets = {};
+    for (const field of facetFields) {
+        facets[field] = field === 'price'
+            ? priceBands.map(b => ({ ...b, count: result.price.find(r => r._id === b.min)?.count || 0 }))
+            : result[field].map(r => ({ value: r._id, count: r.count }));
+    }
+
+    return {
+        products: result.products,
+        total: result.total[0]?.count || 0,
+        facets,
+        correctedQuery
+    };
+};
+
+// ─── Autocomplete ─────────────────────────────────────────────────────────
+
+/**
+ * @param {string} q - What has been typed so far
+ * @param {Object} params - { limit }
+ * @returns {Promise<Object>} - { suggestions: [string], products: [{ _id, name, price, image, category }] }
+ */
+const suggest = async (q, { limit }) => {
+    const words = tokenize(q);
+    const prefix = words.pop();
+    if (!prefix) return { suggestions: [], products: [] };
+
+    const vocabulary = await getVocabulary();
+    let completions = [...vocabulary]
+        .filter(([w]) => w.startsWith(prefix) && w !== prefix)
+        .sort((a, b) => b[1] - a[1])
+        .map(([w]) => w);
+    if (vocabulary.has(prefix)) completions.unshift(prefix);
+    if (!completions.length && prefix.length >= 3) {
+        const fix = closestWord(prefix, vocabulary);
+        if (fix) completions = [fix];
+    }
+    const head = words.length ? `${words.join(' ')} ` : '';
+    const suggestions = completions.slice(0, limit).map(w => head + w);
+
+    // Products whose name has a word starting with what was typed (or its correction)
+    const findByName = (text) => Product.find({ isActive: true, isDeleted: { $ne: true }, name: new RegExp(`(^|\\s)${escapeRegex(text)}`, 'i') })
+        .select('name price images category')
+        .sort({ 'ratings.count': -1, createdAt: -1 })
+        .limit(limit)
+        .lean();
+    let products = await findByName(String(q).trim());
+    if (!products.length && suggestions[0]) products = await findByName(suggestions[0]);
+
+    return {
+        suggestions,
+        products: products.map(p => ({ _id: p._id, name: p.name, price: p.price, image: p.images?.[0] || '', category: p.category }))
+    };
+};
+
+module.exports = {
+    name: 'mongo',
+    search,
+    suggest,
+    clearCache: clearVocabulary
+};
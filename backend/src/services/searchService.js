@@ -0,0 +1,146 @@
+/**
+ * Search Service
+ * Product search with relevance ranking, typo tolerance, facet counts and
+ * autocomplete
+ *
+ * The engine behind it is a pluggable backend (services/search/*), picked
+ * with SEARCH_BACKEND (default 'mongo'):
+ *
+ *   {
+ *     name: 'mongo',
+ *     search({ q, filters, facetFields, priceBands, sort, page, limit })
+ *       → Promise<{ products, total, facets: { [field]: [{ value, count }] }, correctedQuery }>
+ *     suggest(q, { limit }) → Promise<{ suggestions: [string], products: [...] }>
+ *     clearCache()                      // optional - called when the catalogue changes
+ *   }
+ *
+ * This module owns the request format (parsing / validating query params) so
+ * every backend sees the same, already-clean input.
+ */
+
+const BACKENDS = {};
+
+/**
+ * Register a search backend
+ *
+ * @param {Object} backend - See the interface above
+ */
+const registerSearchBackend = (backend) => {
+    if (!backend?.name || typeof backend.search !== 'function' || typeof backend.suggest !== 'function') {
+        throw new Error('Search backend needs a name, search() and suggest()');
+    }
+    BACKENDS[backend.name] = backend;
+};
+
+registerSearchBackend(require('./search/mongoSearch'));
+
+const getBackend = () => {
+    const name = process.env.SEARCH_BACKEND || 'mongo';
+    if (!BACKENDS[name]) {
+        console.warn(`⚠️ Unknown SEARCH_BACKEND "${name}" - using mongo`);
+        return BACKENDS.mongo;
+    }
+    return BACKENDS[name];
+};
+
+const FACET_FIELDS = ['category', 'gender', 'size', 'color', 'price', 'qualityGrade'];
+
+// Upper bound is exclusive; null = no upper bound
+const PRICE_BANDS = [
+    { value: '0-500', label: 'Under ₹500', min: 0, max: 500 },
+    { value: '500-1000', label: '₹500 – ₹999', min: 500, max: 1000 },
+    { value: '1000-2000', label: '₹1,000 – ₹1,999', min: 1000, max: 2000 },
+    { value: '2000-5000', label: '₹2,000 – ₹4,999', min: 2000, max: 5000 },
+    { value: '5000-', label: '₹5,000 & above', min: 5000, max: null }
+];
+
+const SORTS = ['relevance', 'newest', 'price_asc', 'price_desc', 'rating'];
+
+const MAX_QUERY_LENGTH = 100;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// ?size=M,L&size=XL → ['M', 'L', 'XL']
+const listParam = (value) => [].concat(value || [])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+// '500-1000' → [500, 1000], '5000-' → [5000, null]
+const parsePriceRange = (value) => {
+    const match = /^(\d+)-(\d*)$/.exec(value);
+    if (!match) throw badRequest(`Invalid price range "${value}" - use min-max, e.g. 500-1000`);
+    const min = Number(match[1]);
+    const max = match[2] === '' ? null : Number(match[2]);
+    if (max !== null && max <= min) throw badRequest(`Invalid price range "${value}"`);
+    return [min, max];
+};
+
+/**
+ * Search products
+ *
+ * @param {Object} query - Request query string
+ * @param {string} query.q - Search text
+ * @param {string} query.category, query.gender, query.size, query.color, query.qualityGrade - Comma-separated values
+ * @param {string} query.price - Comma-separated price ranges ('500-1000', '5000-')
+ * @param {string} query.inStock - 'true' hides sold out products
+ * @param {string} query.sort - relevance | newest | price_asc | price_desc | rating
+ * @param {number} query.page
+ * @param {number} query.limit - Max 60
+ * @returns {Promise<Object>} - { products, total, page, pages, query, correctedQuery, facets, backend }
+ */
+const searchProducts = async (query = {}) => {
+    const q = String(query.q || '').trim().slice(0, MAX_QUERY_LENGTH);
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(60, Math.max(1, parseInt(query.limit, 10) || 24));
+    const sort = SORTS.includes(query.sort) ? query.sort : (q ? 'relevance' : 'newest');
+
+    const filters = { inStock: query.inStock === 'true' };
+    for (const field of FACET_FIELDS) {
+        const values = listParam(query[field]);
+        filters[field] = field === 'price' ? values.map(parsePriceRange) : values;
+    }
+
+    const backend = getBackend();
+    const result = await backend.search({ q, filters, facetFields: FACET_FIELDS, priceBands: PRICE_BANDS, sort, page, limit });
+
+    return {
+        products: result.products,
+        total: result.total,
+        page,
+        pages: Math.ceil(result.total / limit),
+        query: q,
+        correctedQuery: result.correctedQuery || null,
+        sort,
+        facets: result.facets,
+        backend: backend.name
+    };
+};
+
+/**
+ * Autocomplete for the search box
+ *
+ * @param {string} q - What has been typed so far (2+ characters)
+ * @param {Object} params - { limit } (max 10)
+ * @returns {Promise<Object>} - { suggestions: [string], products: [{ _id, name, price, image, category }] }
+ */
+const suggestProducts = async (q, { limit } = {}) => {
+    const text = String(q || '').trim().slice(0, MAX_QUERY_LENGTH);
+    if (text.length < 2) return { suggestions: [], products: [] };
+    return getBackend().suggest(text, { limit: Math.min(10, Math.max(1, parseInt(limit, 10) || 5)) });
+};
+
+/**
+ * Drop cached search data (vocabulary etc.) after the catalogue changes
+ */
+const clearSearchCache = () => {
+    Object.values(BACKENDS).forEach(b => b.clearCache?.());
+};
+
+module.exports = {
+    registerSearchBackend,
+    searchProducts,
+    suggestProducts,
+    clearSearchCache,
+    PRICE_BANDS
+};
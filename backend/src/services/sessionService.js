@@ -0,0 +1,205 @@
+/**
+ * Session Service
+ * Short-lived access tokens + rotating refresh tokens, one Session per sign-in
+ *
+ * Access token: JWT { id, sid } valid for ACCESS_TOKEN_TTL (default 15m).
+ * `protect` checks the session on every request, so revoking it takes
+ * effect immediately.
+ *
+ * Refresh token: "<sessionId>.<random>", valid REFRESH_TOKEN_TTL_DAYS
+ * (default 30). Every refresh swaps it for a new one; presenting a
+ * rotated-out token again (after REUSE_GRACE_SECONDS) is treated as theft
+ * and revokes the session.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Two tabs refreshing at once both present the same token - the loser is not a thief
+const REUSE_GRACE_SECONDS = 30;
+
+const jwtSecret = () => process.env.JWT_SECRET || 'tcs_jwt_secret';
+
+const unauthorized = (message) => Object.assign(new Error(message), { status: 401 });
+
+const hashToken = (token) => crypto
+    .createHmac('sha256', jwtSecret())
+    .update(`refresh:${token}`)
+    .digest('hex');
+
+const sameHash = (a, b) => !!a && !!b && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * "Chrome on Android" style label from a User-Agent header
+ */
+const describeDevice = (userAgent = '') => {
+    const browser = [
+        [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/SamsungBrowser/, 'Samsung Internet'],
+        [/Chrome\//, 'Chrome'], [/Firefox\//, 'Firefox'], [/Safari\//, 'Safari']
+    ].find(([re]) => re.test(userAgent))?.[1];
+    const os = [
+        [/Android/, 'Android'], [/iPhone|iPad|iPod/, 'iOS'], [/Windows/, 'Windows'],
+        [/Mac OS X|Macintosh/, 'macOS'], [/Linux/, 'Linux']
+    ].find(([re]) => re.test(userAgent))?.[1];
+    if (!browser && !os) return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+    return [browser || 'Browser', os].filter(Boolean).join(' on ');
+};
+
+/**
+ * Sign an access token for a session
+ */
+const signAccessToken = (userId, sessionId) =>
+    jwt.sign({ id: userId, sid: sessionId }, jwtSecret(), { expiresIn: ACCESS_TOKEN_TTL });
+
+/**
+ * Start a session for a signed-in user
+ *
+ * @param {Object} user
+ * @param {Object} meta - { userAgent, ip }
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId }
+ */
+const createSession = async (user, { userAgent, ip } = {}) => {
+    const _id = new mongoose.Types.ObjectId();
+    const refreshToken = newRefreshToken(_id);
+    await Session.create({
+        _id,
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: userAgent?.slice(0, 300),
+        device: describeDevice(userAgent),
+        ip,
+        lastIp: ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    return { token: signAccessToken(user._id, _id), refreshToken, sessionId: _id };
+};
+
+const revokeSessionRecord = (session, reason) => Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+const findSessionForToken = async (refreshToken) => {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return Session.findById(sessionId);
+};
+
+/**
+ * Swap a refresh token for a new access + refresh token pair
+ *
+ * @param {string} refreshToken
+ * @param {Object} meta - { ip }
+ * @returns {Promise<Object>} - { token, refreshToken }
+ */
+const refreshSession = async (refreshToken, { ip } = {}) => {
+    const session = await findSessionForToken(refreshToken);
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+        throw unauthorized('Session expired - please sign in again');
+    }
+
+    const presented = hashToken(refreshToken);
+    if (!sameHash(presented, session.refreshTokenHash)) {
+        if (sameHash(presented, session.previousTokenHash)) {
+            if (Date.now() - session.lastUsedAt.getTime() < REUSE_GRACE_SECONDS * 1000) {
+                throw Object.assign(new Error('Session was just refreshed - use the latest token'), { status: 409 });
+            }
+            await revokeSessionRecord(session, 'token_reuse');
+            console.warn(`⚠️ Refresh token reuse on session ${session._id} (user ${session.user}) - session revoked`);
+        }
+        throw unauthorized('Session expired - please sign in again');
+    }
+
+    const user = await User.findById(session.user).select('isActive isDeleted');
+    if (!user || user.isDeleted || user.isActive === false) {
+        await revokeSessionRecord(session, 'account_disabled');
+        throw unauthorized('Account is disabled');
+    }
+
+    const next = newRefreshToken(session._id);
+    // Conditional on the current hash so two concurrent refreshes can't both win
+    const rotated = await Session.updateOne(
+        { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+        {
+            $set: { refreshTokenHash: hashToken(next), previousTokenHash: session.refreshTokenHash, lastUsedAt: new Date(), lastIp: ip },
+            $inc: { rotationCount: 1 }
+        }
+    );
+    if (!rotated.modifiedCount) {
+        throw Object.assign(new Error('Session was just refreshed - use the latest token'), { status: 409 });
+    }
+
+    return { token: signAccessToken(session.user, session._id), refreshToken: next };
+};
+
+/**
+ * Sign out the session a refresh token belongs to - unknown tokens are ignored
+ */
+const revokeByRefreshToken = async (refreshToken) => {
+    const session = await findSessionForToken(refreshToken);
+    if (session && sameHash(hashToken(refreshToken), session.refreshTokenHash)) {
+        await revokeSessionRecord(session, 'logout');
+    }
+};
+
+/**
+ * Sign out one of a user's sessions
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) throw Object.assign(new Error('Session not found'), { status: 404 });
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+    if (!session) throw Object.assign(new Error('Session not found'), { status: 404 });
+    await revokeSessionRecord(session, reason);
+};
+
+/**
+ * Sign out all of a user's sessions (optionally keeping one)
+ *
+ * @returns {Promise<number>} - sessions revoked
+ */
+const revokeAllSessions = async (userId, { except, reason = 'logout_all' } = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+};
+
+/**
+ * Active sessions, most recently used first
+ */
+const listSessions = async (userId, currentSessionId) => {
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 })
+        .select('device userAgent ip lastIp lastUsedAt createdAt expiresAt')
+        .lean();
+    return sessions.map(s => ({ ...s, current: String(s._id) === String(currentSessionId) }));
+};
+
+/**
+ * Session behind an access token, if it is still live (used by `protect`)
+ */
+const getActiveSession = async (sessionId) => {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    const session = await Session.findById(sessionId).select('user revokedAt expiresAt').lean();
+    if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+    return session;
+};
+
+module.exports = {
+    createSession,
+    refreshSession,
+    signAccessToken,
+    revokeByRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+    getActiveSession,
+    describeDevice
+};
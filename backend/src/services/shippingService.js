@@ -0,0 +1,186 @@
+/**
+ * Shipping Service
+ * Shipping-rate rules stored in Settings (key: 'shipping') so they can be
+ * changed from the admin panel without a deploy
+ *
+ * Config shape:
+ * {
+ *   basis: 'items' | 'weight',        // what slabs are measured in (units / kg)
+ *   defaultItemWeight: 500,           // grams, for products without a weight
+ *   codSurcharge: 0,                  // ₹ added when the customer picks COD
+ *   defaultZone: { name, baseRate, freeAbove, slabs: [{ upTo, rate }] },
+ *   zones: [{ name, pincodePrefixes: ['110'], states: ['Delhi'], baseRate, freeAbove, slabs }]
+ * }
+ */
+
+const Settings = require('../models/Settings');
+const Product = require('../models/Product');
+
+const SETTINGS_KEY = 'shipping';
+
+// Matches the old hard-coded rule: ₹49, free above ₹999
+const DEFAULT_SHIPPING_CONFIG = {
+    basis: 'items',
+    defaultItemWeight: 500,
+    codSurcharge: 0,
+    defaultZone: { name: 'Rest of India', baseRate: 49, freeAbove: 999, slabs: [] },
+    zones: []
+};
+
+const toNumber = (value, fallback = 0) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const normaliseSlabs = (slabs) => (Array.isArray(slabs) ? slabs : [])
+    .map(s => ({ upTo: toNumber(s.upTo), rate: toNumber(s.rate) }))
+    .filter(s => s.upTo > 0)
+    .sort((a, b) => a.upTo - b.upTo);
+
+const normaliseZone = (zone = {}, fallbackName = '') => ({
+    name: String(zone.name || fallbackName).trim(),
+    pincodePrefixes: (zone.pincodePrefixes || []).map(p => String(p).trim()).filter(p => /^\d{1,6}$/.test(p)),
+    states: (zone.states || []).map(s => String(s).trim()).filter(Boolean),
+    baseRate: toNumber(zone.baseRate),
+    // null = never free in this zone
+    freeAbove: zone.freeAbove === null || zone.freeAbove === '' || zone.freeAbove === undefined ? null : toNumber(zone.freeAbove),
+    slabs: normaliseSlabs(zone.slabs)
+});
+
+/**
+ * Clean up a config coming from the admin panel
+ *
+ * @param {Object} value - Raw config
+ * @returns {Object} - Config with numbers coerced and unknown fields dropped
+ */
+const normaliseShippingConfig = (value = {}) => ({
+    basis: value.basis === 'weight' ? 'weight' : 'items',
+    defaultItemWeight: toNumber(value.defaultItemWeight, DEFAULT_SHIPPING_CONFIG.defaultItemWeight),
+    codSurcharge: toNumber(value.codSurcharge),
+    defaultZone: normaliseZone(value.defaultZone || DEFAULT_SHIPPING_CONFIG.defaultZone, 'Rest of India'),
+    zones: (Array.isArray(value.zones) ? value.zones : []).map((z, i) => normaliseZone(z, `Zone ${i + 1}`))
+});
+
+/**
+ * Current shipping config (defaults when the admin hasn't saved one)
+ *
+ * @returns {Promise<Object>}
+ */
+const getShippingConfig = async () => {
+    const setting = await Settings.findOne({ key: SETTINGS_KEY, isDeleted: { $ne: true } });
+    return setting?.value ? normaliseShippingConfig(setting.value) : normaliseShippingConfig(DEFAULT_SHIPPING_CONFIG);
+};
+
+/**
+ * Save shipping config
+ *
+ * @param {Object} value - Raw config from the admin panel
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} - Saved (normalised) config
+ */
+const saveShippingConfig = async (value, userId) => {
+    const config = normaliseShippingConfig(value);
+    await Settings.findOneAndUpdate(
+        { key: SETTINGS_KEY },
+        { value: config, description: 'Shipping rate rules', lastModifiedBy: userId },
+        { upsert: true, new: true }
+    );
+    return config;
+};
+
+/**
+ * Pick the zone for an address - longest matching pincode prefix wins,
+ * then state, then the default zone
+ *
+ * @param {Object} config
+ * @param {Object} address - { pincode, state }
+ * @returns {Object} - Zone
+ */
+const resolveZone = (config, address = {}) => {
+    const pincode = String(address.pincode || '').trim();
+    const state = String(address.state || '').trim().toLowerCase();
+
+    let best = null;
+    let bestLength = 0;
+    if (pincode) {
+        for (const zone of config.zones) {
+            for (const prefix of zone.pincodePrefixes) {
+                if (pincode.startsWith(prefix) && prefix.length > bestLength) {
+                    best = zone;
+                    bestLength = prefix.length;
+                }
+            }
+        }
+    }
+    if (best) return best;
+
+    if (state) {
+        const byState = config.zones.find(z => z.states.some(s => s.toLowerCase() === state));
+        if (byState) return byState;
+    }
+    return config.defaultZone;
+};
+
+// Units the slabs are measured in - item count, or kg for weight-based rules
+const measureUnits = async (config, items) => {
+    if (config.basis !== 'weight') {
+        return items.reduce((sum, i) => sum + (i.quantity || 1), 0);
+    }
+
+    const ids = items.map(i => i.product).filter(id => id && !String(id).startsWith('demo-'));
+    const products = await Product.find({ _id: { $in: ids } }).select('weight');
+    const weights = new Map(products.map(p => [p._id.toString(), p.weight]));
+    const grams = items.reduce((sum, i) => {
+        const weight = (i.product && weights.get(i.product.toString())) || config.defaultItemWeight;
+        return sum + weight * (i.quantity || 1);
+    }, 0);
+    return grams / 1000;
+};
+
+/**
+ * Work out the shipping fee for a set of lines going to an address
+ *
+ * @param {Object} params
+ * @param {Array} params.items - Lines ({ product, price, quantity })
+ * @param {Object} params.address - Shipping address ({ pincode, state })
+ * @param {number} params.subtotal - Merchandise value used for free-shipping thresholds
+ * @param {boolean} params.freeShipping - Waive the fee (e.g. free-shipping coupon)
+ * @param {Object} params.config - Optional pre-loaded config
+ * @returns {Promise<Object>} - { zone, shippingCharge, codSurcharge, freeAbove, amountToFreeShipping, basis, units }
+ */
+const calculateShipping = async ({ items = [], address = {}, subtotal, freeShipping = false, config } = {}) => {
+    config = config || await getShippingConfig();
+    const zone = resolveZone(config, address);
+    const value = subtotal !== undefined
+        ? subtotal
+        : items.reduce((sum, i) => sum + i.price * (i.quantity || 1), 0);
+    const units = await measureUnits(config, items);
+
+    let rate = zone.baseRate;
+    if (zone.slabs.length) {
+        const slab = zone.slabs.find(s => units <= s.upTo) || zone.slabs[zone.slabs.length - 1];
+        rate = slab.rate;
+    }
+
+    const qualifiesForFree = zone.freeAbove !== null && value > zone.freeAbove;
+    const shippingCharge = freeShipping || qualifiesForFree || !items.length ? 0 : rate;
+
+    return {
+        zone: zone.name,
+        shippingCharge,
+        codSurcharge: config.codSurcharge,
+        freeAbove: zone.freeAbove,
+        amountToFreeShipping: zone.freeAbove !== null && !qualifiesForFree ? Math.max(0, zone.freeAbove - value + 1) : 0,
+        basis: config.basis,
+        units
+    };
+};
+
+module.exports = {
+    DEFAULT_SHIPPING_CONFIG,
+    normaliseShippingConfig,
+    getShippingConfig,
+    saveShippingConfig,
+    resolveZone,
+    calculateShipping
+};
@@ -6,6 +6,7 @@
 
 const twilio = require('twilio');
 const Order = require('../models/Order');
+const { recordMessage } = require('../utils/devOutbox');
 
 // Initialize Twilio client
 const getTwilioClient = () => {
@@ -26,89 +27,85 @@ const getTwilioClient = () => {
     }
 };
 
+// Numbers without a country code are Indian
+const formatPhone = (phone) => phone.startsWith('+') ? phone : `+91${phone}`;
+
+// Customer-facing text: greeting, the message and the store sign-off
+const customerMessage = (name, body) => `Hi ${name || 'Customer'} 👋
+${body}
+
+TCS – The Co-ord Set Studio 💛`;
+
 /**
- * Send SMS to user after order creation
- * Called after: Razorpay webhook confirms payment + Order created in DB
+ * Send one SMS through Twilio
+ * Logged instead (and kept in the dev outbox) when Twilio is not configured
+ * or SMS_TRANSPORT=console. Never throws - a failure comes back as { success: false }
+ *
+ * @param {string} to - Phone number
+ * @param {string} body - Message text
+ * @param {string} label - What is being sent, for the log
+ * @returns {Promise<Object>} - { success, messageId, phone } | { success, logged_only } | { success: false, error }
  */
-const sendUserConfirmationSMS = async (order) => {
+const sendSMS = async (to, body, label = 'SMS') => {
     try {
-        // Check if SMS already sent (prevents duplicates)
-        if (order.smsSent) {
-            console.log(`✓ SMS already sent for order ${order.orderNumber}`);
-            return { success: true, already_sent: true };
-        }
-
-        const userPhone = order.user?.phone;
-        if (!userPhone) {
+        if (!to) {
             throw new Error('User phone number not available');
         }
+        const phone = formatPhone(to);
 
-        // Format phone number (ensure +91 prefix for India)
-        const formattedPhone = userPhone.startsWith('+') ? userPhone : `+91${userPhone}`;
-
-        // SMS message content
-        const message = `Hi ${order.user?.name || 'Customer'} 👋
-Your order has been placed successfully 🎉
-
-Order ID: ${order.orderNumber}
-Amount: ₹${order.totalAmount.toLocaleString('en-IN')}
-Payment: ${order.paymentMethod} (Paid)
-
-Thank you for shopping with TCS – The Co-ord Set Studio 💛`;
-
-        // Try to send SMS
-        const client = getTwilioClient();
+        const client = process.env.SMS_TRANSPORT === 'console' ? null : getTwilioClient();
         if (!client) {
-            // Log only if Twilio not configured
-            console.log(`📫 [SMS LOG - NOT SENT] To: ${formattedPhone}\n${message}`);
-            // Still mark as attempted to avoid retry loops
-            await Order.findByIdAndUpdate(order._id, {
-                smsSent: true,
-                lastSmsSendAttempt: new Date()
-            });
+            console.log(`📫 [SMS LOG - NOT SENT] To: ${phone}\n${body}`);
+            recordMessage({ channel: 'sms', to, body });
             return { success: true, logged_only: true };
         }
 
-        // Send via Twilio
         const result = await client.messages.create({
-            body: message,
+            body,
             from: process.env.TWILIO_PHONE_NUMBER,
-            to: formattedPhone
+            to: phone
         });
+        console.log(`✅ ${label} sent to ${phone} (SID: ${result.sid})`);
+        return { success: true, messageId: result.sid, phone };
+    } catch (err) {
+        console.error(`❌ Failed to send ${label}:`, err.message);
+        return { success: false, error: err.message };
+    }
+};
 
-        // Update order - SMS sent successfully
-        await Order.findByIdAndUpdate(order._id, {
-            smsSent: true,
-            lastSmsSendAttempt: new Date()
-        });
+/**
+ * Send SMS to user after order creation
+ * Called after: Razorpay webhook confirms payment + Order created in DB
+ */
+const sendUserConfirmationSMS = async (order) => {
+    // Check if SMS already sent (prevents duplicates)
+    if (order.smsSent) {
+        console.log(`✓ SMS already sent for order ${order.orderNumber}`);
+        return { success: true, already_sent: true };
+    }
 
-        console.log(`✅ User SMS sent for order ${order.orderNumber} (SID: ${result.sid})`);
+    const message = `Hi ${order.user?.name || 'Customer'} 👋
+Your order has been placed successfully 🎉
 
-        return {
-            success: true,
-            messageId: result.sid,
-            phone: formattedPhone
-        };
-    } catch (err) {
-        console.error(`❌ Failed to send user SMS for order ${order.orderNumber}:`, err.message);
-
-        // Update order with error (but don't fail the order)
-        try {
-            await Order.findByIdAndUpdate(order._id, {
-                smsError: err.message,
-                lastSmsSendAttempt: new Date()
-            });
-        } catch (dbErr) {
-            console.error('Failed to log SMS error to database:', dbErr.message);
-        }
+Order ID: ${order.orderNumber}
+Amount: ₹${order.totalAmount.toLocaleString('en-IN')}
+Payment: ${order.paymentMethod} (Paid)
+
+Thank you for shopping with TCS – The Co-ord Set Studio 💛`;
 
-        // Return error but don't throw (order is still valid)
-        return {
-            success: false,
-            error: err.message,
-            orderValid: true  // ← IMPORTANT: Order is valid even if SMS fails
-        };
+    const result = await sendSMS(order.user?.phone, message, `user SMS for order ${order.orderNumber}`);
+
+    // Logged-only counts as sent too, to avoid retry loops
+    try {
+        await Order.findByIdAndUpdate(order._id, result.success
+            ? { smsSent: true, lastSmsSendAttempt: new Date() }
+            : { smsError: result.error, lastSmsSendAttempt: new Date() });
+    } catch (dbErr) {
+        console.error('Failed to record SMS status on the order:', dbErr.message);
     }
+
+    // A failed SMS never fails the order
+    return result.success ? result : { ...result, orderValid: true };
 };
 
 /**
@@ -116,24 +113,19 @@ Thank you for shopping with TCS – The Co-ord Set Studio 💛`;
  * Called after: Razorpay webhook confirms payment + Order created in DB
  */
 const sendAdminNewOrderSMS = async (order) => {
-    try {
-        // Check if SMS already sent (prevents duplicates)
-        if (order.smsAdminSent) {
-            console.log(`✓ Admin SMS already sent for order ${order.orderNumber}`);
-            return { success: true, already_sent: true };
-        }
-
-        const adminPhone = process.env.ADMIN_PHONE;
-        if (!adminPhone) {
-            console.warn('⚠️ Admin phone not configured. Skipping admin SMS.');
-            return { success: true, skipped: true };
-        }
+    // Check if SMS already sent (prevents duplicates)
+    if (order.smsAdminSent) {
+        console.log(`✓ Admin SMS already sent for order ${order.orderNumber}`);
+        return { success: true, already_sent: true };
+    }
 
-        // Format phone number
-        const formattedPhone = adminPhone.startsWith('+') ? adminPhone : `+91${adminPhone}`;
+    const adminPhone = process.env.ADMIN_PHONE;
+    if (!adminPhone) {
+        console.warn('⚠️ Admin phone not configured. Skipping admin SMS.');
+        return { success: true, skipped: true };
+    }
 
-        // SMS message for admin
-        const message = `New Order Received 📦
+    const message = `New Order Received 📦
 
 Order ID: ${order.orderNumber}
 Customer: ${order.user?.name || 'Unknown'}
@@ -142,48 +134,18 @@ Amount: ₹${order.totalAmount.toLocaleString('en-IN')}
 
 Please check Admin Dashboard for address & details.`;
 
-        // Try to send SMS
-        const client = getTwilioClient();
-        if (!client) {
-            // Log only if Twilio not configured
-            console.log(`📫 [ADMIN SMS LOG - NOT SENT] To: ${formattedPhone}\n${message}`);
-            // Still mark as attempted
-            await Order.findByIdAndUpdate(order._id, {
-                smsAdminSent: true
-            });
-            return { success: true, logged_only: true };
-        }
-
-        // Send via Twilio
-        const result = await client.messages.create({
-            body: message,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: formattedPhone
-        });
-
-        // Update order - Admin SMS sent successfully
-        await Order.findByIdAndUpdate(order._id, {
-            smsAdminSent: true
-        });
-
-        console.log(`✅ Admin SMS sent for order ${order.orderNumber} (SID: ${result.sid})`);
+    const result = await sendSMS(adminPhone, message, `admin SMS for order ${order.orderNumber}`);
+    if (!result.success) {
+        // Admin SMS is nice-to-have, not critical - the order is still valid
+        return { ...result, orderValid: true };
+    }
 
-        return {
-            success: true,
-            messageId: result.sid,
-            phone: formattedPhone
-        };
-    } catch (err) {
-        console.error(`❌ Failed to send admin SMS for order ${order.orderNumber}:`, err.message);
-
-        // Don't fail the order - just log the error
-        // Admin SMS is nice-to-have, not critical
-        return {
-            success: false,
-            error: err.message,
-            orderValid: true  // ← IMPORTANT: Order is valid even if SMS fails
-        };
+    try {
+        await Order.findByIdAndUpdate(order._id, { smsAdminSent: true });
+    } catch (dbErr) {
+        console.error('Failed to record admin SMS on the order:', dbErr.message);
     }
+    return result;
 };
 
 /**
@@ -238,9 +200,103 @@ const retryOrderSMS = async (orderId, resendUser = true, resendAdmin = true) =>
     }
 };
 
+// Customer-facing text for each status update
+const STATUS_MESSAGES = {
+    SHIPPED: (order) => {
+        const shipment = order.shipment;
+        if (!shipment?.awbNumber) return `Your order ${order.orderNumber} has been shipped 🚚 It will reach you soon.`;
+        // Required lazily - courierService depends on the order status service, which uses this module
+        const trackingUrl = require('./courierService').getTrackingUrl(shipment);
+        const lines = [
+            `Your order ${order.orderNumber} has been shipped via ${shipment.courierName} 🚚`,
+            `AWB: ${shipment.awbNumber}${shipment.packages?.length > 1 ? ` (${shipment.packages.length} packages)` : ''}`
+        ];
+        if (trackingUrl) lines.push(`Track: ${trackingUrl}`);
+        return lines.join('\n');
+    },
+    DELIVERED: (order) => `Your order ${order.orderNumber} has been delivered 📦 We hope you love it!`,
+    CANCELLED: (order) => `Your order ${order.orderNumber} has been cancelled.${['Pending', 'Partial', 'Refunded'].includes(order.refundStatus) ? ' Your refund has been initiated.' : ''}`
+};
+
+/**
+ * Send SMS to user when their order moves to a new status
+ * Called from the order status transition hooks
+ */
+const sendOrderStatusSMS = async (order, status) => {
+    const buildMessage = STATUS_MESSAGES[status];
+    if (!buildMessage) return { success: true, skipped: true };
+    const message = customerMessage(order.user?.name, buildMessage(order));
+
+    // Claimed before sending, so a retry overlapping a timed-out run cannot send it twice
+    const claimed = await Order.updateOne(
+        { _id: order._id, statusSmsSent: { $ne: status } },
+        { $addToSet: { statusSmsSent: status }, lastSmsSendAttempt: new Date() }
+    );
+    if (!claimed.modifiedCount) {
+        console.log(`✓ ${status} SMS already sent for order ${order.orderNumber}`);
+        return { success: true, already_sent: true };
+    }
+
+    const result = await sendSMS(order.user?.phone || order.shippingAddress?.phone, message, `${status} SMS for order ${order.orderNumber}`);
+    if (!result.success) {
+        // Released so the job's next attempt sends it
+        await Order.updateOne({ _id: order._id }, { $pull: { statusSmsSent: status } });
+        return { ...result, orderValid: true };
+    }
+    return result;
+};
+
+/**
+ * Send wishlist alert SMS - a saved product is back in stock or cheaper
+ * Called from wishlistService when a product's stock or price changes
+ *
+ * @param {Object} user - { name, phone }
+ * @param {Object} alert - { type: 'back_in_stock' | 'price_drop', product, size, color, oldPrice, newPrice }
+ */
+const sendWishlistAlertSMS = async (user, { type, product, size, color, oldPrice, newPrice }) => {
+    const variant = [size, color].filter(Boolean).join(' / ');
+    const name = `${product.name}${variant ? ` (${variant})` : ''}`;
+    const body = type === 'back_in_stock'
+        ? `Good news! ${name} from your wishlist is back in stock 🎉 Grab it before it sells out again.`
+        : `Price drop! ${name} from your wishlist is now ₹${newPrice.toLocaleString('en-IN')} (was ₹${oldPrice.toLocaleString('en-IN')}) 💸`;
+    const link = `${process.env.CLIENT_URL || 'http://localhost:5173'}/product/${product._id}`;
+    return sendSMS(user?.phone, customerMessage(user?.name, `${body}\n${link}`), `wishlist ${type} SMS for ${product.name}`);
+};
+
+/**
+ * Send an abandoned-cart reminder
+ * Called from cartRecoveryService
+ *
+ * @param {Object} user - { name, phone }
+ * @param {Object} reminder - { itemCount, cartValue, link, coupon: { code, value, validUntil } }
+ */
+const sendCartReminderSMS = async (user, { itemCount, cartValue, link, coupon }) => {
+    const lines = [`You left ${itemCount} item${itemCount === 1 ? '' : 's'} (₹${cartValue.toLocaleString('en-IN')}) in your cart 🛍️ They're still waiting for you.`];
+    if (coupon) {
+        const until = coupon.validUntil.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        lines.push(`Use code ${coupon.code} for ${coupon.value}% off - valid till ${until}.`);
+    }
+    lines.push(`Complete your order: ${link}`);
+    return sendSMS(user?.phone, customerMessage(user?.name, lines.join('\n')), 'cart reminder SMS');
+};
+
+/**
+ * Send a one-time code or password reset link
+ * SMS_TRANSPORT=console logs it (and keeps it in the dev outbox) even when Twilio is configured
+ *
+ * @param {string} phone
+ * @param {string} message
+ * @returns {Promise<Object>} - { success, messageId?, logged_only?, error? }
+ */
+const sendVerificationSMS = (phone, message) => sendSMS(phone, message, 'verification SMS');
+
 module.exports = {
     sendUserConfirmationSMS,
     sendAdminNewOrderSMS,
     sendOrderNotificationSMS,
+    sendOrderStatusSMS,
+    sendWishlistAlertSMS,
+    sendCartReminderSMS,
+    sendVerificationSMS,
     retryOrderSMS
 };
@@ -0,0 +1,138 @@
+/**
+ * Staff Service
+ * Admin accounts and their roles (config/permissions.js)
+ *
+ * Staff are users with role 'admin' and an adminRole. There must always be
+ * at least one active owner, and nobody can change their own role or
+ * disable themselves. Disabling or removing a staff member signs them out
+ * everywhere.
+ */
+
+const User = require('../models/User');
+const { ROLES, adminRoleOf, permissionsFor } = require('../config/permissions');
+const { revokeAllSessions } = require('./sessionService');
+const { MIN_PASSWORD_LENGTH } = require('./verificationService');
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const staffView = (user) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    adminRole: adminRoleOf(user),
+    permissions: permissionsFor(user),
+    isActive: user.isActive !== false,
+    createdAt: user.createdAt
+});
+
+const checkRole = (adminRole) => {
+    if (!ROLES[adminRole]) {
+        throw httpError(400, `Role must be one of: ${Object.keys(ROLES).join(', ')}`);
+    }
+};
+
+// Admins with no adminRole predate roles and count as owners
+const OWNER_FILTER = {
+    role: 'admin',
+    isActive: { $ne: false },
+    isDeleted: { $ne: true },
+    $or: [{ adminRole: 'owner' }, { adminRole: null }]
+};
+
+const ensureAnotherOwner = async (user) => {
+    if (adminRoleOf(user) !== 'owner' || user.isActive === false) return;
+    const owners = await User.countDocuments({ ...OWNER_FILTER, _id: { $ne: user._id } });
+    if (!owners) throw httpError(400, 'The store needs at least one active owner');
+};
+
+/**
+ * All staff accounts, owners first
+ */
+const listStaff = async () => {
+    const staff = await User.find({ role: 'admin', isDeleted: { $ne: true } }).sort({ createdAt: 1 });
+    const order = Object.keys(ROLES);
+    return staff
+        .map(staffView)
+        .sort((a, b) => order.indexOf(a.adminRole) - order.indexOf(b.adminRole));
+};
+
+/**
+ * Give someone a staff role - promotes an existing customer (matched by
+ * email / phone) or creates a new account
+ *
+ * @param {Object} data - { name, email, phone, password, adminRole }
+ */
+const addStaff = async ({ name, email, phone, password, adminRole }) => {
+    checkRole(adminRole);
+    if (!email && !phone) throw httpError(400, 'Email or phone is required');
+
+    const or = [email && { email: email.toLowerCase() }, phone && { phone }].filter(Boolean);
+    let user = await User.findOne({ $or: or, isDeleted: { $ne: true } });
+    if (user) {
+        if (user.role === 'admin') throw httpError(409, `${user.email || user.phone} is already staff`);
+        user.role = 'admin';
+        user.adminRole = adminRole;
+        await user.save();
+        return { staff: staffView(user), promoted: true };
+    }
+
+    if (!name) throw httpError(400, 'Name is required for a new account');
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    user = await User.create({ name, email, phone, password, role: 'admin', adminRole });
+    return { staff: staffView(user), promoted: false };
+};
+
+/**
+ * Change a staff member's role or enable / disable them
+ *
+ * @param {Object} actor - Admin making the change
+ * @param {string} userId
+ * @param {Object} changes - { adminRole?, isActive? }
+ * @returns {Promise<Object>} - { before, staff }
+ */
+const updateStaff = async (actor, userId, { adminRole, isActive }) => {
+    if (String(actor._id) === String(userId)) throw httpError(400, 'You cannot change your own role or access');
+    const user = await User.findOne({ _id: userId, role: 'admin', isDeleted: { $ne: true } });
+    if (!user) throw httpError(404, 'Staff member not found');
+
+    const before = staffView(user);
+    if (adminRole !== undefined) checkRole(adminRole);
+    const losingOwner = (adminRole !== undefined && adminRole !== 'owner') || isActive === false;
+    if (losingOwner) await ensureAnotherOwner(user);
+
+    if (adminRole !== undefined) user.adminRole = adminRole;
+    if (typeof isActive === 'boolean') user.isActive = isActive;
+    await user.save();
+
+    if (isActive === false) await revokeAllSessions(user._id, { reason: 'account_disabled' });
+    return { before, staff: staffView(user) };
+};
+
+/**
+ * Take away staff access - the account stays as a customer
+ *
+ * @returns {Promise<Object>} - { before, staff }
+ */
+const removeStaff = async (actor, userId) => {
+    if (String(actor._id) === String(userId)) throw httpError(400, 'You cannot remove yourself');
+    const user = await User.findOne({ _id: userId, role: 'admin', isDeleted: { $ne: true } });
+    if (!user) throw httpError(404, 'Staff member not found');
+    await ensureAnotherOwner(user);
+    const before = staffView(user);
+
+    user.role = 'user';
+    user.adminRole = undefined;
+    await user.save();
+    await revokeAllSessions(user._id, { reason: 'revoked' });
+    return { before, staff: staffView(user) };
+};
+
+module.exports = {
+    listStaff,
+    addStaff,
+    updateStaff,
+    removeStaff
+};
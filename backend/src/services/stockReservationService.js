@@ -0,0 +1,229 @@
+/**
+ * Stock Reservation Service
+ * Holds stock for a checkout order while the customer pays
+ *
+ * The order is created with its stock already taken (conditional $inc per
+ * line inside one transaction), so two customers can't both pay for the
+ * last unit. The hold lasts STOCK_RESERVATION_MINUTES (default 15) and is
+ * extended each time the payment window opens. A failed / dismissed payment
+ * or an expired hold puts the stock back; payment confirms it for good
+ * (orderStatusService.reduceOrderStock).
+ *
+ * The order's coupon uses follow the hold: they are counted in the same
+ * transaction as the stock (global and per-customer limits both checked
+ * there), releasing the hold gives them back and taking the stock again
+ * counts them again, so an abandoned checkout does not use up a coupon.
+ *
+ * Order fields: stockReduced (stock is held or sold), stockReservedUntil
+ * (set while it is only a hold), couponsReleased (coupon uses given back).
+ */
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { withTransaction } = require('../utils/transactions');
+const { decrementStock, incrementStock, getAvailability } = require('../utils/inventory');
+const { redeemCoupon, exceedsPerUserLimit, releaseCoupons } = require('./couponService');
+
+// Orders released per sweep - the rest wait for the next one
+const SWEEP_BATCH_SIZE = 100;
+
+const reservationMinutes = () => Number(process.env.STOCK_RESERVATION_MINUTES) || 15;
+const holdUntil = () => new Date(Date.now() + reservationMinutes() * 60 * 1000);
+
+const lineLabel = (line) => `${line.name} (${line.size || 'Free Size'}${line.color ? ` / ${line.color}` : ''})`;
+
+/**
+ * 409 listing the lines that could not be reserved
+ * err.soldOut - [{ product, name, size, color, requested, available }]
+ */
+const soldOutError = (lines) => {
+    const names = lines.map(l => l.available > 0 ? `${lineLabel(l)} - only ${l.available} left` : lineLabel(l));
+    const message = lines.length === 1 && lines[0].available <= 0
+        ? `Sorry, ${names[0]} just sold out`
+        : `Sorry, not enough stock: ${names.join(', ')}`;
+    return Object.assign(new Error(message), { status: 409, soldOut: lines });
+};
+
+// Take stock for every line inside the caller's transaction - throws soldOutError (aborting it) if any line is short
+const takeStock = async (items, session) => {
+    const soldOut = [];
+    for (const item of items) {
+        if (!item.product) continue;
+        if (await decrementStock(item, { session })) continue;
+
+        const product = await Product.findById(item.product).session(session);
+        soldOut.push({
+            product: item.product,
+            name: item.name || product?.name,
+            size: item.size,
+            color: item.color,
+            requested: item.quantity || 1,
+            available: product ? Math.max(0, getAvailability(product, item.size, item.color).available) : 0
+        });
+    }
+    if (soldOut.length) throw soldOutError(soldOut);
+};
+
+const couponLimitError = (message) => Object.assign(new Error(message), { status: 409, couponLimit: true });
+
+// Count the order's coupon uses inside its hold transaction - throws 409 (aborting it) once a limit is reached
+const redeemOrderCoupons = async (order, { session, paid = false }) => {
+    for (const line of order.discounts || []) {
+        if (!paid && await exceedsPerUserLimit(line.code, order.user, { session })) {
+            throw couponLimitError(`You have already used coupon ${line.code}`);
+        }
+        if (await redeemCoupon(line.code, { session, ignoreLimit: paid })) continue;
+        throw couponLimitError(`Sorry, coupon ${line.code} has reached its usage limit`);
+    }
+};
+
+/**
+ * Create a checkout order with its stock held and its coupon uses counted
+ * Nothing is created when any line is sold out or a coupon has run out
+ *
+ * @param {Object} doc - Order fields
+ * @returns {Promise<Object>} - Order document
+ * @throws 409 soldOutError, 409 (err.couponLimit) when a coupon's global or per-customer limit is reached
+ */
+const createReservedOrder = (doc) => withTransaction(async (session) => {
+    const [order] = await Order.create([{
+        ...doc,
+        stockReduced: true,
+        stockReducedAt: new Date(),
+        stockReservedUntil: holdUntil()
+    }], { session });
+    await takeStock(order.items, session);
+    await redeemOrderCoupons(order, { session });
+    return order;
+});
+
+/**
+ * Make sure an order holds its stock before a payment is taken or confirmed
+ * Extends a live hold; takes the stock (and its coupon uses) again if the hold was released
+ *
+ * @param {Object} order - Order document (updated in place)
+ * @param {Object} options
+ * @param {boolean} options.paid - The customer has already paid - coupon uses are counted past their limit
+ * @returns {Promise<Object>} - order
+ * @throws 409 soldOutError when the stock has gone in the meantime,
+ *         409 (err.couponLimit) when an unpaid order's coupon has run out
+ */
+const holdOrderStock = async (order, { paid = false } = {}) => {
+    if (order.stockReduced && !order.stockReservedUntil) return order;   // already sold to this order
+
+    const until = holdUntil();
+    const extended = await Order.updateOne(
+        { _id: order._id, stockReduced: true, stockReservedUntil: { $exists: true } },
+        { $set: { stockReservedUntil: until } }
+    );
+
+    if (!extended.matchedCount) {
+        await withTransaction(async (session) => {
+            const claimed = await Order.findOneAndUpdate(
+                { _id: order._id, stockReduced: { $ne: true } },
+                { $set: { stockReduced: true, stockReducedAt: new Date(), stockReservedUntil: until }, $unset: { couponsReleased: 1 } },
+                { session }
+            );
+            // Someone else took it for this order in the meantime
+            if (!claimed) return;
+            await takeStock(order.items, session);
+            if (claimed.couponsReleased) await redeemOrderCoupons(claimed, { session, paid });
+        });
+    }
+
+    order.stockReduced = true;
+    order.stockReservedUntil = until;
+    order.couponsReleased = undefined;
+    return order;
+};
+
+/**
+ * Put back the stock and coupon uses held by an unpaid checkout order
+ * Safe to call twice - only the call that clears the hold restores them
+ *
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {string} options.reason - statusHistory note
+ * @param {boolean} options.expiredOnly - Leave holds that have not expired yet
+ * @returns {Promise<boolean>} - Whether stock was released
+ */
+const releaseOrderStock = async (order, { reason = 'Stock hold released', expiredOnly = false } = {}) => {
+    const filter = {
+        _id: order._id,
+        status: 'CREATED',
+        paymentStatus: { $ne: 'Paid' },
+        stockReduced: true,
+        stockReservedUntil: expiredOnly ? { $lte: new Date() } : { $exists: true }
+    };
+
+    const released = await withTransaction(async (session) => {
+        const claimed = await Order.findOneAndUpdate(filter, {
+            $set: { stockReduced: false, couponsReleased: true },
+            $unset: { stockReservedUntil: 1, stockReducedAt: 1 },
+            $push: { statusHistory: { status: 'STOCK_RELEASED', note: reason } }
+        }, { session });
+        if (!claimed) return false;
+
+        for (const item of claimed.items) {
+            if (item.product) await incrementStock(item, { session });
+        }
+        await releaseCoupons(claimed.discounts?.map(d => d.code), { session });
+        return true;
+    });
+
+    if (released) {
+        order.stockReduced = false;
+        order.stockReservedUntil = undefined;
+        order.couponsReleased = true;
+    }
+    return released;
+};
+
+/**
+ * Release every checkout hold that has run out
+ *
+ * @returns {Promise<number>} - orders released
+ */
+const releaseExpiredReservations = async () => {
+    const expired = await Order.find({
+        status: 'CREATED',
+        stockReduced: true,
+        stockReservedUntil: { $lte: new Date() }
+    }).select('items status paymentStatus stockReservedUntil').limit(SWEEP_BATCH_SIZE);
+
+    let released = 0;
+    for (const order of expired) {
+        try {
+            if (await releaseOrderStock(order, { reason: 'Payment not completed in time - stock released', expiredOnly: true })) released++;
+        } catch (err) {
+            console.error(`❌ Could not release stock held by order ${order._id}:`, err.message);
+        }
+    }
+    return released;
+};
+
+/**
+ * Release expired holds every minute
+ */
+const startReservationSweeper = () => {
+    const timer = setInterval(async () => {
+        try {
+            const released = await releaseExpiredReservations();
+            if (released) console.log(`📦 Released stock held by ${released} unpaid order(s)`);
+        } catch (err) {
+            console.error('❌ Stock reservation sweep failed:', err.message);
+        }
+    }, 60 * 1000);
+    timer.unref();
+    console.log(`📦 Checkout stock held for ${reservationMinutes()} min`);
+    return timer;
+};
+
+module.exports = {
+    soldOutError,
+    createReservedOrder,
+    holdOrderStock,
+    releaseOrderStock,
+    releaseExpiredReservations,
+    startReservationSweeper
+};
@@ -0,0 +1,201 @@
+/**
+ * Tax Service
+ * GST computation and tax invoice numbering
+ *
+ * - Prices on the store are GST-inclusive; tax is backed out of each line
+ * - Intra-state supply (seller state = ship-to state) → CGST + SGST (half each)
+ *   Inter-state supply → IGST
+ * - Invoice numbers come from a per-financial-year Counter inside a transaction,
+ *   so the series has no gaps: TCS/2026-27/00001, TCS/2026-27/00002, ...
+ */
+
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+const { withTransaction } = require('../utils/transactions');
+
+const DEFAULT_HSN_CODE = '6204';        // Women's suits, ensembles, dresses
+const DEFAULT_TAX_RATE = 5;             // GST % on apparel
+const SHIPPING_SAC_CODE = '996812';     // Courier services
+
+// GST state codes
+const STATE_CODES = {
+    'Jammu and Kashmir': '01', 'Himachal Pradesh': '02', 'Punjab': '03', 'Chandigarh': '04',
+    'Uttarakhand': '05', 'Haryana': '06', 'Delhi': '07', 'Rajasthan': '08', 'Uttar Pradesh': '09',
+    'Bihar': '10', 'Sikkim': '11', 'Arunachal Pradesh': '12', 'Nagaland': '13', 'Manipur': '14',
+    'Mizoram': '15', 'Tripura': '16', 'Meghalaya': '17', 'Assam': '18', 'West Bengal': '19',
+    'Jharkhand': '20', 'Odisha': '21', 'Chhattisgarh': '22', 'Madhya Pradesh': '23', 'Gujarat': '24',
+    'Dadra and Nagar Haveli and Daman and Diu': '26', 'Maharashtra': '27', 'Karnataka': '29',
+    'Goa': '30', 'Lakshadweep': '31', 'Kerala': '32', 'Tamil Nadu': '33', 'Puducherry': '34',
+    'Andaman and Nicobar Islands': '35', 'Telangana': '36', 'Andhra Pradesh': '37', 'Ladakh': '38'
+};
+
+const normaliseState = (state) => String(state || '').trim().toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ');
+
+const stateCode = (state) => {
+    const key = Object.keys(STATE_CODES).find(s => normaliseState(s) === normaliseState(state));
+    return key ? STATE_CODES[key] : '';
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Seller details printed on invoices - Settings 'seller' overrides env defaults
+ *
+ * @returns {Promise<Object>} - { name, gstin, state, stateCode, address, email, phone }
+ */
+const getSellerProfile = async () => {
+    const setting = await Settings.findOne({ key: 'seller', isDeleted: { $ne: true } });
+    const value = setting?.value || {};
+    const seller = {
+        name: value.name || process.env.SELLER_NAME || 'TCS – The Co-ord Set Studio',
+        gstin: value.gstin || process.env.SELLER_GSTIN || '',
+        state: value.state || process.env.SELLER_STATE || 'Maharashtra',
+        address: value.address || process.env.SELLER_ADDRESS || '',
+        email: value.email || 'support@tcs.com',
+        phone: value.phone || '+91 98765 43210'
+    };
+    seller.stateCode = stateCode(seller.state);
+    return seller;
+};
+
+// Financial year label (April–March), e.g. 2026-27
+const financialYear = (date = new Date()) => {
+    const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Work out GST for an order
+ * Order discounts are spread over item lines in proportion to their value;
+ * shipping / COD charges are taxed at the highest item rate
+ *
+ * @param {Object} order
+ * @param {Object} seller - From getSellerProfile()
+ * @returns {Object} - { supplyType, placeOfSupply, placeOfSupplyCode, lines, taxableValue, cgst, sgst, igst, totalTax, grandTotal }
+ */
+const computeOrderTax = (order, seller) => {
+    const placeOfSupply = order.shippingAddress?.state || seller.state;
+    const intraState = normaliseState(placeOfSupply) === normaliseState(seller.state);
+
+    const items = order.items || [];
+    const itemsGross = items.reduce((sum, i) => sum + i.price * (i.quantity || 1), 0);
+    const discountTotal = order.discountTotal || 0;
+
+    const rawLines = items.map(item => ({
+        description: `${item.name || 'Product'}${item.size ? ` (${item.size}${item.color ? ` / ${item.color}` : ''})` : ''}`,
+        hsnCode: item.hsnCode || DEFAULT_HSN_CODE,
+        quantity: item.quantity || 1,
+        rate: item.taxRate ?? DEFAULT_TAX_RATE,
+        gross: item.price * (item.quantity || 1)
+    }));
+
+    // Spread the discount; the last line takes the rounding remainder
+    let allocated = 0;
+    rawLines.forEach((line, i) => {
+        const share = i === rawLines.length - 1
+            ? discountTotal - allocated
+            : round2(itemsGross ? discountTotal * line.gross / itemsGross : 0);
+        allocated += share;
+        line.net = line.gross - share;
+    });
+
+    const charges = (order.shippingCharge || 0) + (order.codCharge || 0);
+    if (charges > 0) {
+        rawLines.push({
+            description: order.codCharge ? 'Shipping & COD charges' : 'Shipping charges',
+            hsnCode: SHIPPING_SAC_CODE,
+            quantity: 1,
+            rate: Math.max(DEFAULT_TAX_RATE, ...rawLines.map(l => l.rate)),
+            net: charges
+        });
+    }
+
+    const lines = rawLines.map(line => {
+        const taxableValue = round2(line.net / (1 + line.rate / 100));
+        const tax = round2(line.net - taxableValue);
+        const cgst = intraState ? round2(tax / 2) : 0;
+        return {
+            description: line.description,
+            hsnCode: line.hsnCode,
+            quantity: line.quantity,
+            rate: line.rate,
+            taxableValue,
+            cgst,
+            sgst: intraState ? round2(tax - cgst) : 0,
+            igst: intraState ? 0 : tax,
+            total: round2(line.net)
+        };
+    });
+
+    const sum = (field) => round2(lines.reduce((s, l) => s + l[field], 0));
+    const cgst = sum('cgst');
+    const sgst = sum('sgst');
+    const igst = sum('igst');
+
+    return {
+        supplyType: intraState ? 'intra' : 'inter',
+        placeOfSupply,
+        placeOfSupplyCode: stateCode(placeOfSupply),
+        lines,
+        taxableValue: sum('taxableValue'),
+        cgst,
+        sgst,
+        igst,
+        totalTax: round2(cgst + sgst + igst),
+        grandTotal: sum('total')
+    };
+};
+
+/**
+ * Give an order its tax invoice number (once) and store the tax summary
+ * Number + order update happen in one transaction so the series is gapless
+ *
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} - order.invoice
+ */
+const issueInvoice = async (order) => {
+    if (order.invoice?.number) return order.invoice;
+
+    const seller = await getSellerProfile();
+    const invoice = await withTransaction(async (session) => {
+        const fresh = await Order.findById(order._id).session(session);
+        if (!fresh) throw new Error('Order not found');
+        if (fresh.invoice?.number) return fresh.invoice;
+
+        const issuedAt = new Date();
+        const fy = financialYear(issuedAt);
+        const seq = await Counter.next(`invoice-${fy}`, { session });
+        const tax = computeOrderTax(fresh, seller);
+
+        fresh.invoice = {
+            number: `TCS/${fy}/${String(seq).padStart(5, '0')}`,
+            issuedAt,
+            financialYear: fy,
+            sellerGstin: seller.gstin,
+            sellerState: seller.state,
+            placeOfSupply: tax.placeOfSupply,
+            supplyType: tax.supplyType,
+            taxableValue: tax.taxableValue,
+            cgst: tax.cgst,
+            sgst: tax.sgst,
+            igst: tax.igst,
+            totalTax: tax.totalTax
+        };
+        await fresh.save({ session });
+        return fresh.invoice;
+    });
+
+    order.invoice = invoice;
+    return invoice;
+};
+
+module.exports = {
+    DEFAULT_HSN_CODE,
+    DEFAULT_TAX_RATE,
+    STATE_CODES,
+    getSellerProfile,
+    financialYear,
+    computeOrderTax,
+    issueInvoice
+};
@@ -0,0 +1,228 @@
+/**
+ * UPI Verification Service
+ * Manual UPI payments: the customer pays the store's UPI ID from their own
+ * app and reports the UTR (12-digit UPI reference), optionally with a
+ * screenshot. The order waits in PENDING, holding its stock, until an admin
+ * checks the bank statement and approves or rejects it.
+ *
+ * Only approval marks the order PAID - that transition confirms the stock,
+ * issues the invoice and sends the order SMS. Rejection cancels the order
+ * (stock and coupons restored) with the admin's reason.
+ *
+ * A UTR identifies one bank transfer, so it can only pay for one order: a
+ * UTR already pending or approved on another order is refused on
+ * submission. Approval is refused once another order is paid with it, and
+ * a unique index on approved UTRs (Order model) stops two reviewers
+ * approving the same transfer at once.
+ */
+
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { ACTORS, applyTransition, transitionOrder, cancelOrder } = require('./orderStatusService');
+const { holdOrderStock } = require('./stockReservationService');
+
+const UTR_PATTERN = /^\d{12}$/;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+const normaliseUtr = (utr) => String(utr || '').replace(/\s+/g, '');
+
+// Another order whose payment this UTR already stands for
+const findUtrInUse = (utr, orderId) => Order.findOne({
+    upiTransactionId: utr,
+    _id: { $ne: orderId },
+    $or: [{ 'upiVerification.status': { $in: ['pending', 'approved'] } }, { paymentStatus: 'Paid' }]
+}).select('orderNumber');
+
+/**
+ * Customer reports a manual UPI payment - the order moves to PENDING
+ *
+ * @param {Object} order - Order document (the customer's own)
+ * @param {Object} params
+ * @param {string} params.utr - UPI reference number from the payment app
+ * @param {string} params.screenshot - Uploaded screenshot path (optional)
+ * @returns {Promise<Object>} - The saved order
+ * @throws 400 invalid UTR / order not awaiting payment, 409 UTR used by another order or stock sold out
+ */
+const submitUpiPayment = async (order, { utr, screenshot } = {}) => {
+    if (order.paymentStatus === 'Paid') throw badRequest('Payment already confirmed');
+    if (order.status === 'PENDING') throw badRequest('Payment already submitted - awaiting verification');
+    if (order.status !== 'CREATED') throw badRequest('This order is no longer awaiting payment');
+
+    const reference = normaliseUtr(utr);
+    if (!UTR_PATTERN.test(reference)) {
+        throw badRequest('Enter the 12-digit UPI reference (UTR) number from your payment app');
+    }
+    const usedBy = await findUtrInUse(reference, order._id);
+    if (usedBy) throw conflict('This UPI reference has already been submitted for another order');
+
+    // Keep the stock for the order while the payment is verified
+    await holdOrderStock(order);
+
+    order.paymentMethod = 'UPI';
+    order.upiTransactionId = reference;
+    if (screenshot) order.paymentReceipt = screenshot;
+    order.upiVerification = { status: 'pending', submittedAt: new Date() };
+    applyTransition(order, 'PENDING', {
+        actor: ACTORS.CUSTOMER,
+        note: `UPI payment submitted (UTR ${reference}) - awaiting verification`
+    });
+    await order.save();
+    return order;
+};
+
+// Take a pending payment off the queue - only one reviewer gets it
+const claimPending = async (orderId, update) => {
+    const claimed = await Order.findOneAndUpdate(
+        { _id: orderId, status: 'PENDING', 'upiVerification.status': 'pending' },
+        { $set: update },
+        { new: true }
+    );
+    if (claimed) return claimed;
+    if (!(await Order.exists({ _id: orderId }))) throw notFound('Order not found');
+    throw badRequest('This payment is not awaiting verification');
+};
+
+/**
+ * Admin confirms the money arrived - the order becomes PAID
+ *
+ * @param {string} orderId
+ * @param {Object} params - { userId, note }
+ * @returns {Promise<Object>} - The paid order
+ */
+const approveUpiPayment = async (orderId, { userId, note } = {}) => {
+    const pending = await Order.findById(orderId).select('upiTransactionId');
+    if (!pending) throw notFound('Order not found');
+    // Another submission of the same UTR may still be pending - only a paid one blocks
+    const paidWith = pending.upiTransactionId && await Order.findOne({
+        upiTransactionId: pending.upiTransactionId,
+        _id: { $ne: orderId },
+        $or: [{ 'upiVerification.status': 'approved' }, { paymentStatus: 'Paid' }]
+    }).select('orderNumber');
+    if (paidWith) {
+        throw conflict(`UTR ${pending.upiTransactionId} already paid for order ${paidWith.orderNumber}`);
+    }
+
+    let order;
+    try {
+        order = await claimPending(orderId, {
+            'upiVerification.status': 'approved',
+            'upiVerification.reviewedBy': userId,
+            'upiVerification.reviewedAt': new Date(),
+            paymentStatus: 'Paid'
+        });
+    } catch (err) {
+        // upi_utr_approved_once - another order with this UTR was approved in the meantime
+        if (err.code !== 11000) throw err;
+        throw conflict(`UTR ${pending.upiTransactionId} has already been approved for another order`);
+    }
+
+    // ✅ PAID hooks: confirm the held stock, generate invoice, send SMS
+    await transitionOrder(order, 'PAID', {
+        actor: ACTORS.ADMIN,
+        note: `UPI payment verified (UTR ${order.upiTransactionId})${note ? ` - ${note}` : ''}`,
+        userId
+    });
+
+    await Payment.create({
+        gateway: 'manual_upi',
+        order: order._id,
+        user: order.user,
+        amount: order.totalAmount,
+        method: 'UPI',
+        methodDetails: { upiId: order.upiId },
+        status: 'PAID',
+        notes: { utr: order.upiTransactionId, screenshot: order.paymentReceipt, verifiedBy: String(userId) }
+    });
+    return order;
+};
+
+/**
+ * Admin could not find the payment - the order is cancelled with the reason
+ *
+ * @param {string} orderId
+ * @param {Object} params - { userId, reason }
+ * @returns {Promise<Object>} - The cancelled order
+ */
+const rejectUpiPayment = async (orderId, { userId, reason } = {}) => {
+    const rejectionReason = String(reason || '').trim().slice(0, 500);
+    if (!rejectionReason) throw badRequest('A reason is required to reject a payment');
+
+    const order = await claimPending(orderId, {
+        'upiVerification.status': 'rejected',
+        'upiVerification.reviewedBy': userId,
+        'upiVerification.reviewedAt': new Date(),
+        'upiVerification.rejectionReason': rejectionReason,
+        paymentStatus: 'Failed'
+    });
+
+    // Restores the held stock and coupons, and tells the customer
+    const { order: cancelled } = await cancelOrder(order, {
+        actor: ACTORS.ADMIN,
+        reason: `UPI payment rejected: ${rejectionReason}`,
+        userId
+    });
+    return cancelled;
+};
+
+/**
+ * Manual UPI payments for the admin queue, with other orders that reported the same UTR
+ *
+ * @param {Object} query - { status: 'pending' | 'approved' | 'rejected', search (order number / UTR), page, limit }
+ * @returns {Promise<Object>} - { orders, total, page, pages, counts }
+ */
+const listUpiVerifications = async ({ status = 'pending', search, page = 1, limit = 20 } = {}) => {
+    const filter = { 'upiVerification.status': status, isDeleted: { $ne: true } };
+    // A pending order the customer cancelled meanwhile has nothing left to verify
+    if (status === 'pending') filter.status = 'PENDING';
+    if (search) {
+        const term = String(search).trim();
+        filter.$or = [{ orderNumber: term }, { upiTransactionId: normaliseUtr(term) }];
+    }
+    page = Math.max(1, Number(page) || 1);
+    limit = Math.min(100, Math.max(1, Number(limit) || 20));
+
+    const [orders, total, counts] = await Promise.all([
+        Order.find(filter)
+            .select('orderNumber user totalAmount status paymentStatus upiId upiTransactionId paymentReceipt upiVerification shippingAddress.fullName shippingAddress.phone createdAt')
+            .populate('user', 'name email phone')
+            .populate('upiVerification.reviewedBy', 'name email')
+            // Oldest first while waiting, latest decisions first after
+            .sort(status === 'pending' ? { 'upiVerification.submittedAt': 1 } : { 'upiVerification.reviewedAt': -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Order.countDocuments(filter),
+        Order.aggregate([
+            { $match: { 'upiVerification.status': { $exists: true }, isDeleted: { $ne: true } } },
+            { $group: { _id: '$upiVerification.status', count: { $sum: 1 } } }
+        ])
+    ]);
+
+    const utrs = orders.map(o => o.upiTransactionId).filter(Boolean);
+    const sharing = utrs.length
+        ? await Order.find({ upiTransactionId: { $in: utrs } })
+            .select('orderNumber upiTransactionId status paymentStatus upiVerification.status')
+            .lean()
+        : [];
+
+    return {
+        orders: orders.map(order => ({
+            ...order,
+            duplicates: sharing.filter(o => o.upiTransactionId === order.upiTransactionId && String(o._id) !== String(order._id))
+        })),
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        counts: Object.fromEntries(counts.map(c => [c._id, c.count]))
+    };
+};
+
+module.exports = {
+    submitUpiPayment,
+    approveUpiPayment,
+    rejectUpiPayment,
+    listUpiVerifications
+};
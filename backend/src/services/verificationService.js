@@ -0,0 +1,337 @@
+/**
+ * Verification Service
+ * Password reset links, email / phone one-time codes and passwordless
+ * phone login
+ *
+ * Tokens are random, stored only as an HMAC (VerificationToken.tokenHash),
+ * expire, and are single-use. Requesting a new token revokes the previous
+ * one of the same purpose. OTPs allow MAX_OTP_ATTEMPTS wrong guesses.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const VerificationToken = require('../models/VerificationToken');
+const { sendEmail } = require('./emailService');
+const { sendVerificationSMS } = require('./smsService');
+const { revokeAllSessions } = require('./sessionService');
+
+const OTP_TTL_MINUTES = 10;
+const RESET_TTL_MINUTES = 30;
+const MAX_OTP_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MIN_PASSWORD_LENGTH = 6;
+const LOGIN_OTP_MAX_PER_PHONE_HOUR = 5;
+const LOGIN_OTP_MAX_PER_IP_HOUR = 20;
+
+const CHANNELS = {
+    email: { purpose: 'email_verify', field: 'email', verified: 'emailVerified', verifiedAt: 'emailVerifiedAt', transport: 'email' },
+    phone: { purpose: 'phone_verify', field: 'phone', verified: 'phoneVerified', verifiedAt: 'phoneVerifiedAt', transport: 'sms' }
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const hashToken = (purpose, token) => crypto
+    .createHmac('sha256', process.env.JWT_SECRET || 'tcs_jwt_secret')
+    .update(`${purpose}:${token}`)
+    .digest('hex');
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+const tooManyRequests = (message, retryAfter) => Object.assign(new Error(message), { status: 429, retryAfter });
+
+/**
+ * Create a token, revoking earlier unused ones of the same purpose for the
+ * same user (login codes: the same phone)
+ * Throws 429 if the last one was sent less than RESEND_COOLDOWN_SECONDS ago
+ */
+const issueToken = async (user, { purpose, channel, target, token, ttlMinutes, ip }) => {
+    const scope = purpose === 'phone_login' ? { target, purpose } : { user: user._id, purpose };
+    const last = await VerificationToken.findOne(scope).sort({ createdAt: -1 });
+    const waitSeconds = last ? Math.ceil(RESEND_COOLDOWN_SECONDS - (Date.now() - last.createdAt) / 1000) : 0;
+    if (waitSeconds > 0) {
+        throw tooManyRequests(`Please wait ${waitSeconds}s before requesting another code`, waitSeconds);
+    }
+
+    await VerificationToken.updateMany(
+        { ...scope, usedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return VerificationToken.create({
+        user: user?._id,
+        purpose,
+        channel,
+        target,
+        tokenHash: hashToken(purpose, token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+        requestIp: ip
+    });
+};
+
+const deliver = async (channel, target, { subject, text }) => {
+    const result = channel === 'email'
+        ? await sendEmail({ to: target, subject, text })
+        : await sendVerificationSMS(target, text);
+    if (!result.success) throw Object.assign(new Error(`Could not send the ${channel === 'email' ? 'email' : 'SMS'} - please try again`), { status: 502 });
+};
+
+/**
+ * Check an OTP against its token: counts wrong guesses (revoking the token
+ * after MAX_OTP_ATTEMPTS) and marks it used when it matches
+ */
+const consumeCode = async (record, code) => {
+    if (!sameHash(record.tokenHash, hashToken(record.purpose, String(code || '').trim()))) {
+        record.attempts += 1;
+        if (record.attempts >= MAX_OTP_ATTEMPTS) record.revokedAt = new Date();
+        await record.save();
+        const left = MAX_OTP_ATTEMPTS - record.attempts;
+        throw badRequest(left > 0 ? `Incorrect code - ${left} attempt${left === 1 ? '' : 's'} left` : 'Too many incorrect attempts - please request a new code');
+    }
+    // Single use even if two requests race
+    const claimed = await VerificationToken.updateOne({ _id: record._id, usedAt: null }, { $set: { usedAt: new Date() } });
+    if (!claimed.modifiedCount) throw badRequest('This code has already been used - please request a new one');
+};
+
+const newOtp = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// ─── Password reset ───────────────────────────────────────────────────────
+
+/**
+ * Email / SMS a password reset link
+ * Silently does nothing for unknown accounts so the response can't be used
+ * to find out who has an account
+ *
+ * @param {string} emailOrPhone
+ * @param {Object} params - { ip }
+ */
+const requestPasswordReset = async (emailOrPhone, { ip } = {}) => {
+    const value = String(emailOrPhone || '').trim();
+    const byEmail = isEmail(value);
+    const user = await User.findOne({
+        ...(byEmail ? { email: value.toLowerCase() } : { phone: value }),
+        isDeleted: { $ne: true },
+        isActive: { $ne: false }
+    });
+    if (!user) return;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const target = byEmail ? user.email : user.phone;
+    try {
+        await issueToken(user, { purpose: 'password_reset', channel: byEmail ? 'email' : 'sms', target, token, ttlMinutes: RESET_TTL_MINUTES, ip });
+    } catch (err) {
+        if (err.status === 429) return;  // Already sent one a moment ago
+        throw err;
+    }
+
+    const link = `${process.env.CLIENT_URL || 'http://localhost:5173'}/auth/reset-password?token=${token}`;
+    await deliver(byEmail ? 'email' : 'sms', target, {
+        subject: 'Reset your TCS password',
+        text: `Hi ${user.name || 'there'},\n\nUse this link to set a new password (valid for ${RESET_TTL_MINUTES} minutes):\n${link}\n\nIf you didn't ask for this, you can ignore this message.\n\nTCS – The Co-ord Set Studio`
+    });
+};
+
+/**
+ * Set a new password with a reset token
+ * Verifies the channel the link was sent to and signs out existing sessions
+ *
+ * @param {string} token
+ * @param {string} password
+ * @returns {Promise<Object>} - User
+ */
+const resetPassword = async (token, password) => {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        throw badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    const record = await VerificationToken.findOne({ tokenHash: hashToken('password_reset', String(token || '')), purpose: 'password_reset' });
+    if (!record || record.usedAt || record.revokedAt || record.expiresAt < new Date()) {
+        throw badRequest('This reset link is invalid or has expired - please request a new one');
+    }
+
+    const user = await User.findById(record.user);
+    if (!user || user.isDeleted) throw badRequest('This reset link is invalid or has expired - please request a new one');
+
+    // Single use even if two requests race
+    const claimed = await VerificationToken.updateOne({ _id: record._id, usedAt: null }, { $set: { usedAt: new Date() } });
+    if (!claimed.modifiedCount) throw badRequest('This reset link has already been used');
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    // Receiving the link proves the address / number
+    if (record.channel === 'email' && user.email === record.target && !user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+    }
+    if (record.channel === 'sms' && user.phone === record.target && !user.phoneVerified) {
+        user.phoneVerified = true;
+        user.phoneVerifiedAt = new Date();
+    }
+    await user.save();
+    // Whoever had the old password is signed out everywhere
+    await revokeAllSessions(user._id, { reason: 'password_change' });
+
+    console.log(`🔑 Password reset for ${user.email || user.phone}`);
+    return user;
+};
+
+// ─── Email / phone OTP ────────────────────────────────────────────────────
+
+/**
+ * Send a 6-digit code to the user's email or phone
+ *
+ * @param {Object} user - User document
+ * @param {string} channel - 'email' | 'phone'
+ * @param {Object} params - { ip }
+ * @returns {Promise<Object>} - { sentTo, expiresInMinutes }
+ */
+const sendVerificationCode = async (user, channel, { ip } = {}) => {
+    const config = CHANNELS[channel];
+    if (!config) throw badRequest('channel must be email or phone');
+    const target = user[config.field];
+    if (!target) throw badRequest(`Add a${channel === 'email' ? 'n email address' : ' phone number'} to your account first`);
+    if (user[config.verified]) throw badRequest(`Your ${channel} is already verified`);
+
+    const code = newOtp();
+    await issueToken(user, { purpose: config.purpose, channel: config.transport, target, token: code, ttlMinutes: OTP_TTL_MINUTES, ip });
+    await deliver(config.transport, target, {
+        subject: `${code} is your TCS verification code`,
+        text: `${code} is your TCS verification code. It expires in ${OTP_TTL_MINUTES} minutes. Don't share it with anyone.`
+    });
+
+    return { sentTo: target, expiresInMinutes: OTP_TTL_MINUTES };
+};
+
+/**
+ * Check a code and mark the email / phone verified
+ *
+ * @param {Object} user - User document
+ * @param {string} channel - 'email' | 'phone'
+ * @param {string} code
+ * @returns {Promise<Object>} - Updated user
+ */
+const confirmVerificationCode = async (user, channel, code) => {
+    const config = CHANNELS[channel];
+    if (!config) throw badRequest('channel must be email or phone');
+    if (user[config.verified]) return user;
+
+    const record = await VerificationToken.findOne({
+        user: user._id,
+        purpose: config.purpose,
+        usedAt: null,
+        revokedAt: null
+    }).sort({ createdAt: -1 });
+
+    if (!record || record.expiresAt < new Date() || record.target !== user[config.field]) {
+        throw badRequest('This code has expired - please request a new one');
+    }
+
+    await consumeCode(record, code);
+
+    user[config.verified] = true;
+    user[config.verifiedAt] = new Date();
+    await user.save();
+    return user;
+};
+
+// ─── Phone OTP login ──────────────────────────────────────────────────────
+
+/**
+ * Indian mobile number as 10 digits ('+91 98765-43210' → '9876543210'), or null
+ */
+const normalisePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '').replace(/^(91|0)(?=\d{10}$)/, '');
+    return /^[6-9]\d{9}$/.test(digits) ? digits : null;
+};
+
+// Accounts store phones as typed - match the common spellings of the same number
+const findUserByPhone = (phone) => User.findOne({ phone: { $in: [phone, `+91${phone}`, `91${phone}`, `0${phone}`] } });
+
+/**
+ * SMS a login code - works for new numbers too (the account is created on verify)
+ * Rate limited per phone (cooldown + hourly cap) and per IP (hourly cap)
+ *
+ * @param {string} phone
+ * @param {Object} params - { ip }
+ * @returns {Promise<Object>} - { phone, expiresInMinutes }
+ */
+const requestLoginOtp = async (phone, { ip } = {}) => {
+    const normalised = normalisePhone(phone);
+    if (!normalised) throw badRequest('Enter a valid 10-digit mobile number');
+
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const [perPhone, perIp] = await Promise.all([
+        VerificationToken.countDocuments({ purpose: 'phone_login', target: normalised, createdAt: { $gte: hourAgo } }),
+        ip ? VerificationToken.countDocuments({ purpose: 'phone_login', requestIp: ip, createdAt: { $gte: hourAgo } }) : 0
+    ]);
+    if (perPhone >= LOGIN_OTP_MAX_PER_PHONE_HOUR) throw tooManyRequests('Too many codes sent to this number - please try again in an hour', 3600);
+    if (perIp >= LOGIN_OTP_MAX_PER_IP_HOUR) throw tooManyRequests('Too many login attempts - please try again later', 3600);
+
+    const user = await findUserByPhone(normalised);
+    if (user && (user.isDeleted || user.isActive === false)) {
+        throw Object.assign(new Error('This account is disabled - please contact support'), { status: 403 });
+    }
+
+    const code = newOtp();
+    await issueToken(user, { purpose: 'phone_login', channel: 'sms', target: normalised, token: code, ttlMinutes: OTP_TTL_MINUTES, ip });
+    await deliver('sms', normalised, {
+        subject: 'TCS login code',
+        text: `${code} is your TCS login code. It expires in ${OTP_TTL_MINUTES} minutes. Don't share it with anyone.`
+    });
+
+    return { phone: normalised, expiresInMinutes: OTP_TTL_MINUTES };
+};
+
+/**
+ * Check a login code and return the account - creating it for a new number
+ *
+ * @param {string} phone
+ * @param {string} code
+ * @param {Object} params - { name } for new accounts
+ * @returns {Promise<Object>} - { user, isNewUser }
+ */
+const verifyLoginOtp = async (phone, code, { name } = {}) => {
+    const normalised = normalisePhone(phone);
+    if (!normalised) throw badRequest('Enter a valid 10-digit mobile number');
+
+    const record = await VerificationToken.findOne({
+        purpose: 'phone_login',
+        target: normalised,
+        usedAt: null,
+        revokedAt: null
+    }).sort({ createdAt: -1 });
+    if (!record || record.expiresAt < new Date()) throw badRequest('This code has expired - please request a new one');
+
+    await consumeCode(record, code);
+
+    let user = await findUserByPhone(normalised);
+    let isNewUser = false;
+    if (user && (user.isDeleted || user.isActive === false)) {
+        throw Object.assign(new Error('This account is disabled - please contact support'), { status: 403 });
+    }
+    if (!user) {
+        user = await User.create({
+            name: String(name || '').trim() || `Customer ${normalised.slice(-4)}`,
+            phone: normalised,
+            phoneVerified: true,
+            phoneVerifiedAt: new Date()
+        });
+        isNewUser = true;
+        console.log(`📱 New account created by phone login: ${normalised}`);
+    } else if (!user.phoneVerified) {
+        user.phoneVerified = true;
+        user.phoneVerifiedAt = new Date();
+        await user.save();
+    }
+
+    return { user, isNewUser };
+};
+
+module.exports = {
+    requestPasswordReset,
+    resetPassword,
+    sendVerificationCode,
+    confirmVerificationCode,
+    requestLoginOtp,
+    verifyLoginOtp,
+    MIN_PASSWORD_LENGTH
+};
@@ -0,0 +1,239 @@
+/**
+ * Webhook Service
+ * Payment gateway webhook intake: the gateway adapter checks the signature
+ * over the raw body, then an event store (models/WebhookEvent.js) and
+ * dispatch to the handler registered for each event name. Every gateway
+ * sends Razorpay-shaped events, so handlers do not care which one it was.
+ *
+ * Every verified delivery is stored. One with a bad signature is only noted
+ * (gateway, claimed event, sender IP - never its payload), is deleted after
+ * REJECTED_TTL_DAYS, and a sender past REJECTED_MAX_PER_IP_HOUR gets 429s
+ * without anything written. Razorpay redelivers until it gets a 2xx, so a
+ * repeated event id is answered from the store and only processed again
+ * if the earlier run failed. Handlers must be safe to run twice - an admin
+ * can replay any verified event.
+ *
+ * Handlers return a plain result object; `{ ignored: true, reason }` marks
+ * an event that needed nothing doing. A thrown error marks it failed and
+ * answers 500 so Razorpay tries again.
+ */
+
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getGatewayByCode } = require('./paymentGateway');
+
+const handlers = new Map();
+
+// Bad-signature deliveries noted per sender IP per hour - the rest are refused unrecorded
+const REJECTED_MAX_PER_IP_HOUR = 30;
+
+const notFound = () => Object.assign(new Error('Webhook event not found'), { status: 404 });
+
+/**
+ * Register the handler for one or more event names
+ *
+ * @param {string|Array<string>} events - e.g. 'payment.captured'
+ * @param {Function} handler - async (entities, body) => result; entities = { payment, order, refund, dispute }
+ */
+const registerWebhookHandler = (events, handler) => {
+    for (const event of [].concat(events)) handlers.set(event, handler);
+};
+
+const entitiesOf = (body = {}) => ({
+    payment: body.payload?.payment?.entity,
+    order: body.payload?.order?.entity,
+    refund: body.payload?.refund?.entity,
+    dispute: body.payload?.dispute?.entity
+});
+
+// Ids stored alongside the payload so events can be found by payment / order
+const idsOf = (body) => {
+    const { payment, order, refund, dispute } = entitiesOf(body);
+    return {
+        paymentId: payment?.id || refund?.payment_id || dispute?.payment_id,
+        razorpayOrderId: payment?.order_id || order?.id,
+        refundId: refund?.id,
+        disputeId: dispute?.id
+    };
+};
+
+/**
+ * Run the handler for an event body without storing it
+ * Used by reconciliation to heal a payment whose webhook never arrived
+ *
+ * @param {Object} body - Webhook-shaped body ({ event, payload: { payment: { entity } } })
+ * @returns {Promise<Object>} - Handler result
+ */
+const runWebhookHandler = async (body) => {
+    const handler = handlers.get(body.event);
+    if (!handler) return { ignored: true, reason: 'No handler for this event' };
+    return (await handler(entitiesOf(body), body)) || {};
+};
+
+/**
+ * Run the handler for a stored event and record the outcome
+ *
+ * @param {Object} webhookEvent - WebhookEvent document
+ * @returns {Promise<Object>} - The updated document
+ */
+const processWebhookEvent = async (webhookEvent) => {
+    webhookEvent.attempts += 1;
+
+    try {
+        const result = await runWebhookHandler(webhookEvent.payload || {});
+        webhookEvent.status = result.ignored ? 'ignored' : 'processed';
+        webhookEvent.result = result;
+        webhookEvent.error = undefined;
+        webhookEvent.processedAt = new Date();
+        if (result.orderId) webhookEvent.order = result.orderId;
+    } catch (err) {
+        webhookEvent.status = 'failed';
+        webhookEvent.error = err.message;
+        console.error(`❌ Webhook ${webhookEvent.event} (${webhookEvent.eventId}) failed:`, err.message);
+    }
+
+    if (!webhookEvent.order && (webhookEvent.paymentId || webhookEvent.razorpayOrderId)) {
+        const order = await Order.findOne({
+            $or: [
+                ...(webhookEvent.paymentId ? [{ paymentId: webhookEvent.paymentId }] : []),
+                ...(webhookEvent.razorpayOrderId ? [{ razorpayOrderId: webhookEvent.razorpayOrderId }] : [])
+            ]
+        }).select('_id');
+        if (order) webhookEvent.order = order._id;
+    }
+
+    await webhookEvent.save();
+    return webhookEvent;
+};
+
+/**
+ * Store and process one delivery
+ *
+ * @param {Object} params
+ * @param {string} [params.gateway='razorpay'] - Gateway code the delivery claims to come from
+ * @param {Buffer} params.rawBody
+ * @param {Object} params.body - Parsed JSON
+ * @param {Object} params.headers
+ * @param {string} params.ip - Sender (rate limits bad-signature deliveries)
+ * @returns {Promise<Object>} - { outcome: 'rejected' | 'rate_limited' | 'duplicate' | 'processed' | 'ignored' | 'failed', webhookEvent }
+ */
+const receiveWebhook = async ({ gateway = 'razorpay', rawBody, body = {}, headers = {}, ip }) => {
+    const adapter = getGatewayByCode(gateway);
+    const { valid, eventId: headerEventId } = adapter ? adapter.parseWebhook({ rawBody, headers }) : {};
+
+    if (!valid) {
+        const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+        if (ip && await WebhookEvent.countDocuments({ status: 'rejected', ip, createdAt: { $gte: hourAgo } }) >= REJECTED_MAX_PER_IP_HOUR) {
+            return { outcome: 'rate_limited' };
+        }
+        // Metadata only - whatever an unverified sender posts is not kept
+        const webhookEvent = await WebhookEvent.create({
+            provider: String(gateway).slice(0, 40),
+            claimedEventId: headerEventId && String(headerEventId).slice(0, 100),
+            event: typeof body.event === 'string' ? body.event.slice(0, 100) : undefined,
+            status: 'rejected',
+            error: adapter ? 'Invalid signature' : 'Unknown payment gateway',
+            ip
+        });
+        console.warn(`⚠️ Rejected ${adapter ? gateway : 'unknown gateway'} webhook from ${ip || 'unknown IP'} - invalid signature`);
+        return { outcome: 'rejected', webhookEvent };
+    }
+
+    const eventId = headerEventId || `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+    let webhookEvent;
+    try {
+        webhookEvent = await WebhookEvent.create({
+            provider: gateway,
+            eventId,
+            event: body.event,
+            signatureValid: true,
+            payload: body,
+            ...idsOf(body)
+        });
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+
+        // Redelivery - only a failed run is worth another go
+        await WebhookEvent.updateOne({ eventId }, { $inc: { deliveries: 1 }, $set: { lastDeliveryAt: new Date() } });
+        webhookEvent = await WebhookEvent.findOneAndUpdate(
+            { eventId, status: 'failed' },
+            { $set: { status: 'received' } },
+            { new: true }
+        );
+        if (!webhookEvent) {
+            return { outcome: 'duplicate', webhookEvent: await WebhookEvent.findOne({ eventId }) };
+        }
+    }
+
+    await processWebhookEvent(webhookEvent);
+    return { outcome: webhookEvent.status, webhookEvent };
+};
+
+/**
+ * Run a stored event's handler again (admin)
+ *
+ * @param {string} id - WebhookEvent id
+ * @param {string} userId - Admin replaying it
+ * @returns {Promise<Object>} - Updated WebhookEvent
+ */
+const replayWebhookEvent = async (id, userId) => {
+    const webhookEvent = await WebhookEvent.findById(id);
+    if (!webhookEvent) throw notFound();
+    if (!webhookEvent.signatureValid) {
+        throw Object.assign(new Error('Deliveries with an invalid signature cannot be replayed'), { status: 400 });
+    }
+
+    await processWebhookEvent(webhookEvent);
+    webhookEvent.replays.push({ by: userId, status: webhookEvent.status, error: webhookEvent.error });
+    await webhookEvent.save();
+    return webhookEvent;
+};
+
+/**
+ * Stored events for the admin viewer, newest first, with counts per status
+ *
+ * @param {Object} query - { status, event, search (payment / order / refund / dispute id), page, limit }
+ * @returns {Promise<Object>} - { events, total, page, pages, counts, eventNames }
+ */
+const listWebhookEvents = async ({ status, event, search, page = 1, limit = 50 } = {}) => {
+    const filter = {};
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (search) {
+        const term = String(search).trim();
+        filter.$or = ['eventId', 'paymentId', 'razorpayOrderId', 'refundId', 'disputeId'].map(field => ({ [field]: term }));
+    }
+    page = Math.max(1, Number(page) || 1);
+    limit = Math.min(100, Math.max(1, Number(limit) || 50));
+
+    const [events, total, counts, eventNames] = await Promise.all([
+        WebhookEvent.find(filter)
+            .select('-payload -replays')
+            .populate('order', 'orderNumber')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        WebhookEvent.countDocuments(filter),
+        WebhookEvent.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        WebhookEvent.distinct('event')
+    ]);
+    return {
+        events,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+        eventNames: eventNames.filter(Boolean).sort()
+    };
+};
+
+module.exports = {
+    registerWebhookHandler,
+    receiveWebhook,
+    processWebhookEvent,
+    runWebhookHandler,
+    replayWebhookEvent,
+    listWebhookEvents
+};
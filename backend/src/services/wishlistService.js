@@ -0,0 +1,180 @@
+/**
+ * Wishlist Service
+ * Saved-for-later products and their back-in-stock / price-drop alerts
+ *
+ * A line saved with a size watches that size × color; a line without a size
+ * (saved from a product card) watches the product as a whole. Each line keeps
+ * the availability and price it was last seen at, so an alert goes out once
+ * per restock (sold out → available) and once per drop below the saved price.
+ * checkWishlistAlerts() runs wherever stock or price can go up / down:
+ * product edits, cancelled orders and received returns.
+ */
+
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const { getAvailability } = require('../utils/inventory');
+const { sendWishlistAlertSMS } = require('./smsService');
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Availability and price of a wishlist line
+ *
+ * @param {Object} product - Product document
+ * @param {Object} item - { size, color }
+ * @returns {{ available: number, price: number }}
+ */
+const lineAvailability = (product, item) => {
+    if (!product || product.isDeleted || !product.isActive) return { available: 0, price: product?.price };
+    if (item.size) {
+        const { available, price } = getAvailability(product, item.size, item.color);
+        return { available, price };
+    }
+    return { available: product.stock, price: product.price };
+};
+
+const getOrCreateWishlist = async (userId) => {
+    let wishlist = await Wishlist.findOne({ user: userId });
+    if (!wishlist) wishlist = await Wishlist.create({ user: userId, items: [] });
+    return wishlist;
+};
+
+/**
+ * Wishlist with current price and stock on each line
+ *
+ * @param {string} userId
+ * @returns {Promise<Object>} - { _id, items: [{ ..., product, available, price, priceDropped }] }
+ */
+const getWishlist = async (userId) => {
+    const wishlist = await getOrCreateWishlist(userId);
+    await wishlist.populate('items.product', 'name price originalPrice images sizes colors variants stock isActive isDeleted');
+
+    const data = wishlist.toObject();
+    data.items = wishlist.items
+        .filter(i => i.product && !i.product.isDeleted)
+        .map(i => {
+            const { available, price } = lineAvailability(i.product, i);
+            const { variants, ...product } = i.product.toObject();
+            return {
+                ...i.toObject(),
+                product,
+                available,
+                price,
+                priceDropped: i.alertPrice != null && price < i.alertPrice
+            };
+        });
+    return data;
+};
+
+/**
+ * Save a product (optionally a size × color) - saving it again just refreshes the line
+ *
+ * @param {string} userId
+ * @param {Object} params - { productId, size, color }
+ * @returns {Promise<Object>} - Wishlist (see getWishlist)
+ */
+const addToWishlist = async (userId, { productId, size = '', color = '' }) => {
+    const product = await Product.findOne({ _id: productId, isDeleted: { $ne: true } });
+    if (!product) throw Object.assign(new Error('Product not found'), { status: 404 });
+    if (size && product.variants?.length && !product.findVariant(size, color)) {
+        throw badRequest(`Size ${size}${color ? ` / ${color}` : ''} is not available for this product`);
+    }
+
+    const wishlist = await getOrCreateWishlist(userId);
+    const { available, price } = lineAvailability(product, { size, color });
+    const existing = wishlist.items.find(i => i.product.toString() === String(productId) && i.size === size && i.color === color);
+
+    if (existing) {
+        existing.inStock = available > 0;
+        existing.alertPrice = price;
+    } else {
+        wishlist.items.push({ product: productId, size, color, inStock: available > 0, alertPrice: price });
+    }
+    await wishlist.save();
+    return getWishlist(userId);
+};
+
+/**
+ * Remove a line, or every line of a product (the heart toggle on product cards)
+ *
+ * @param {string} userId
+ * @param {Object} params - { itemId } or { productId }
+ * @returns {Promise<Object>} - Wishlist (see getWishlist)
+ */
+const removeFromWishlist = async (userId, { itemId, productId }) => {
+    const pull = itemId ? { _id: itemId } : { product: productId };
+    await Wishlist.updateOne({ user: userId }, { $pull: { items: pull } });
+    return getWishlist(userId);
+};
+
+/**
+ * Turn alerts for a line on / off
+ */
+const setLineAlerts = async (userId, itemId, notify) => {
+    const result = await Wishlist.updateOne(
+        { user: userId, 'items._id': itemId },
+        { $set: { 'items.$.notify': !!notify } }
+    );
+    if (!result.matchedCount) throw Object.assign(new Error('Wishlist item not found'), { status: 404 });
+    return getWishlist(userId);
+};
+
+/**
+ * Compare every wishlist line of a product with its current stock and price,
+ * SMS the owners whose line came back in stock or got cheaper
+ * Never throws - alerts must not break the stock / price change that triggered them
+ *
+ * @param {string} productId
+ * @returns {Promise<Object>} - { restocked, priceDrops }
+ */
+const checkWishlistAlerts = async (productId) => {
+    const stats = { restocked: 0, priceDrops: 0 };
+    try {
+        const product = await Product.findById(productId);
+        if (!product) return stats;
+
+        const wishlists = await Wishlist.find({ 'items.product': productId, isDeleted: { $ne: true } })
+            .populate('user', 'name phone');
+
+        for (const wishlist of wishlists) {
+            for (const item of wishlist.items.filter(i => i.product.toString() === String(productId))) {
+                const { available, price } = lineAvailability(product, item);
+                const inStock = available > 0;
+                const alerts = [];
+
+                if (inStock && !item.inStock) {
+                    alerts.push({ type: 'back_in_stock' });
+                    stats.restocked++;
+                }
+                if (item.alertPrice != null && price < item.alertPrice && inStock) {
+                    alerts.push({ type: 'price_drop', oldPrice: item.alertPrice, newPrice: price });
+                    item.alertPrice = price;
+                    stats.priceDrops++;
+                }
+                item.inStock = inStock;
+
+                if (!item.notify || !alerts.length) continue;
+                // One SMS per change - a restock at a lower price is reported as the price drop
+                const alert = alerts[alerts.length - 1];
+                await sendWishlistAlertSMS(wishlist.user, { ...alert, product, size: item.size, color: item.color });
+                item.lastAlertAt = new Date();
+            }
+            if (wishlist.isModified()) await wishlist.save();
+        }
+
+        if (stats.restocked || stats.priceDrops) {
+            console.log(`💛 Wishlist alerts for ${product.name}: ${stats.restocked} restock, ${stats.priceDrops} price drop`);
+        }
+    } catch (err) {
+        console.error('❌ Wishlist alert check failed:', err.message);
+    }
+    return stats;
+};
+
+module.exports = {
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    setLineAlerts,
+    checkWishlistAlerts
+};
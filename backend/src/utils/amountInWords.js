@@ -0,0 +1,55 @@
+// ══════════════════════════════════════════════════════════════════════════════
+// AMOUNT IN WORDS - Indian numbering (thousand, lakh, crore) for tax invoices
+// ══════════════════════════════════════════════════════════════════════════════
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// 0-99
+const twoDigits = (n) => n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`;
+
+// 0-999
+const threeDigits = (n) => {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? twoDigits(rest) : ''].filter(Boolean).join(' ');
+};
+
+/**
+ * Whole number in words, Indian system
+ *
+ * @param {number} n - Non-negative integer
+ * @returns {string} - e.g. 125000 → 'One Lakh Twenty Five Thousand'
+ */
+const numberToWords = (n) => {
+    n = Math.floor(Math.abs(n));
+    if (n === 0) return 'Zero';
+
+    const crore = Math.floor(n / 10000000);
+    const lakh = Math.floor((n % 10000000) / 100000);
+    const thousand = Math.floor((n % 100000) / 1000);
+    const rest = n % 1000;
+
+    return [
+        crore ? `${numberToWords(crore)} Crore` : '',
+        lakh ? `${twoDigits(lakh)} Lakh` : '',
+        thousand ? `${twoDigits(thousand)} Thousand` : '',
+        rest ? threeDigits(rest) : ''
+    ].filter(Boolean).join(' ');
+};
+
+/**
+ * Rupee amount in words for invoices
+ *
+ * @param {number} amount - e.g. 1299.5
+ * @returns {string} - 'Rupees One Thousand Two Hundred Ninety Nine and Fifty Paise Only'
+ */
+const amountInWords = (amount) => {
+    const rounded = Math.round((Number(amount) || 0) * 100);
+    const rupees = Math.floor(rounded / 100);
+    const paise = rounded % 100;
+    return `Rupees ${numberToWords(rupees)}${paise ? ` and ${twoDigits(paise)} Paise` : ''} Only`;
+};
+
+module.exports = { numberToWords, amountInWords };
@@ -0,0 +1,30 @@
+/**
+ * Dev Outbox
+ * Messages "sent" by the console email / SMS transports are kept here (last 50)
+ * so OTPs and reset links can be read without a real provider
+ */
+
+const MAX_MESSAGES = 50;
+const outbox = [];
+
+/**
+ * @param {Object} message - { channel: 'email' | 'sms', to, subject, body }
+ */
+const recordMessage = (message) => {
+    outbox.unshift({ ...message, sentAt: new Date() });
+    outbox.length = Math.min(outbox.length, MAX_MESSAGES);
+};
+
+/**
+ * Messages, newest first - optionally only those to one address / number
+ *
+ * @param {Object} params - { to, channel }
+ * @returns {Array<Object>}
+ */
+const getOutbox = ({ to, channel } = {}) => outbox.filter(m =>
+    (!to || m.to === to) && (!channel || m.channel === channel)
+);
+
+const clearOutbox = () => { outbox.length = 0; };
+
+module.exports = { recordMessage, getOutbox, clearOutbox };
@@ -0,0 +1,115 @@
+// ══════════════════════════════════════════════════════════════════════════════
+// INVENTORY UTILITIES - Variant-aware stock movements
+// ══════════════════════════════════════════════════════════════════════════════
+// Provides:
+// - SKU resolution for cart/order lines (size × color → variant)
+// - Conditional stock decrement (never goes below zero)
+// - Stock restoration for cancellations / returns
+// Products without variants keep using the product-level `stock` field.
+// ══════════════════════════════════════════════════════════════════════════════
+
+const Product = require('../models/Product');
+
+/**
+ * Work out which SKU a cart/order line draws stock from
+ * Falls back to size/color matching for lines created before variants existed
+ *
+ * @param {Object} item - Cart or order line ({ product, sku, size, color })
+ * @param {Object} options
+ * @param {Object} options.session - Optional MongoDB session
+ * @returns {Promise<string|null>} - SKU or null when the product has no variants
+ */
+const resolveSku = async (item, { session } = {}) => {
+    if (item.sku) return item.sku;
+    if (!item.product) return null;
+
+    const product = await Product.findById(item.product).select('variants').session(session || null);
+    const variant = product?.findVariant(item.size, item.color);
+    return variant ? variant.sku : null;
+};
+
+/**
+ * Reduce stock for a single line, only if enough stock is available
+ * A deactivated variant has nothing to sell, whatever its stock count
+ *
+ * @param {Object} item - Cart or order line
+ * @param {Object} options
+ * @param {Object} options.session - Optional MongoDB session
+ * @returns {Promise<Object|null>} - { product, remaining } or null if insufficient stock
+ */
+const decrementStock = async (item, { session } = {}) => {
+    const qty = item.quantity || 1;
+    const sku = await resolveSku(item, { session });
+
+    const filter = sku
+        ? { _id: item.product, variants: { $elemMatch: { sku, stock: { $gte: qty }, isActive: { $ne: false } } } }
+        : { _id: item.product, stock: { $gte: qty } };
+    const update = sku
+        ? { $inc: { 'variants.$.stock': -qty, stock: -qty } }
+        : { $inc: { stock: -qty } };
+
+    const product = await Product.findOneAndUpdate(filter, update, { new: true, session });
+    if (!product) return null;
+
+    const remaining = sku ? product.variants.find(v => v.sku === sku)?.stock : product.stock;
+    return { product, sku, remaining };
+};
+
+/**
+ * Put stock back for a single line (cancellation, failed payment, return received)
+ *
+ * @param {Object} item - Cart or order line
+ * @param {Object} options
+ * @param {Object} options.session - Optional MongoDB session
+ * @returns {Promise<boolean>} - Whether a product was updated
+ */
+const incrementStock = async (item, { session } = {}) => {
+    const qty = item.quantity || 1;
+    const sku = await resolveSku(item, { session });
+
+    if (sku) {
+        const result = await Product.updateOne(
+            { _id: item.product, 'variants.sku': sku },
+            { $inc: { 'variants.$.stock': qty, stock: qty } },
+            { session }
+        );
+        if (result.modifiedCount > 0) return true;
+    }
+
+    const result = await Product.updateOne(
+        { _id: item.product },
+        { $inc: { stock: qty } },
+        { session }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Stock available for a size/color pair (or the whole product without variants)
+ *
+ * @param {Object} product - Product document
+ * @param {string} size
+ * @param {string} color
+ * @returns {{ variant: Object|null, available: number, price: number }}
+ */
+const getAvailability = (product, size, color) => {
+    const variant = product.findVariant(size, color);
+    if (product.variants?.length && !variant) {
+        return { variant: null, available: 0, price: product.price };
+    }
+    if (variant) {
+        return {
+            variant,
+            available: variant.isActive === false ? 0 : variant.stock,
+            price: variant.price ?? product.price
+        };
+    }
+    return { variant: null, available: product.stock, price: product.price };
+};
+
+module.exports = {
+    resolveSku,
+    decrementStock,
+    incrementStock,
+    getAvailability
+};
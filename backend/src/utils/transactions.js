@@ -81,9 +81,8 @@ const withTransaction = async (fn, options = {}) => {
  * @returns {Promise<Object>} - Updated order and payment record
  */
 const executePaymentTransaction = async ({ order, paymentData, reduceStock = true }) => {
-    const Order = require('../models/Order');
-    const Product = require('../models/Product');
     const Payment = require('../models/Payment');
+    const { decrementStock } = require('./inventory');
     
     return withTransaction(async (session) => {
         // 1. Update order status
@@ -105,13 +104,9 @@ const executePaymentTransaction = async ({ order, paymentData, reduceStock = tru
         if (reduceStock && !order.stockReduced && order.items?.length > 0) {
             for (const item of order.items) {
                 if (item.product) {
-                    const result = await Product.updateOne(
-                        { _id: item.product, stock: { $gte: item.quantity || 1 } },
-                        { $inc: { stock: -(item.quantity || 1) } },
-                        { session }
-                    );
+                    const result = await decrementStock(item, { session });
                     
-                    if (result.modifiedCount === 0) {
+                    if (!result) {
                         console.log(`   ⚠️ Could not reduce stock for product ${item.product}`);
                     } else {
                         console.log(`   ✅ Stock reduced for product ${item.name || item.product}`);
@@ -166,7 +161,8 @@ const executePaymentTransaction = async ({ order, paymentData, reduceStock = tru
  */
 const cancelOrderWithStockRestore = async (orderId, reason, cancelledBy) => {
     const Order = require('../models/Order');
-    const Product = require('../models/Product');
+    const { incrementStock } = require('./inventory');
+    const { releaseCoupons } = require('../services/couponService');
     
     return withTransaction(async (session) => {
         // Find and update order
@@ -184,16 +180,18 @@ const cancelOrderWithStockRestore = async (orderId, reason, cancelledBy) => {
         if (order.stockReduced && order.items?.length > 0) {
             for (const item of order.items) {
                 if (item.product) {
-                    await Product.updateOne(
-                        { _id: item.product },
-                        { $inc: { stock: item.quantity || 1 } },
-                        { session }
-                    );
+                    // Goes back to the same size × color variant it was sold from
+                    await incrementStock(item, { session });
                     console.log(`   ✅ Stock restored for product ${item.name || item.product}`);
                 }
             }
         }
         
+        // Give back coupon uses so the customer can use them again (unless a released hold already did)
+        if (!order.couponsReleased) {
+            await releaseCoupons(order.discounts?.map(d => d.code), { session });
+        }
+        
         // Update order status
         order.status = 'CANCELLED';
         order.statusHistory.push({
@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Coupon = require('../src/models/Coupon');
+const Order = require('../src/models/Order');
+const { evaluateCoupon, redeemCoupon, exceedsPerUserLimit, releaseCoupons } = require('../src/services/couponService');
+
+const userId = objectId();
+const items = [{ product: objectId(), price: 500, quantity: 2 }];
+
+const stubCoupon = (t, fields) => t.mock.method(Coupon, 'findOne', () => query(new Coupon({
+    code: 'SAVE10', type: 'percentage', value: 10, ...fields
+})));
+
+describe('evaluateCoupon', () => {
+    it('accepts a coupon within its limits', async (t) => {
+        stubCoupon(t, { usageLimit: 5, usedCount: 4, perUserLimit: 1 });
+        t.mock.method(Order, 'countDocuments', () => query(0));
+
+        const result = await evaluateCoupon('save10', { userId, items });
+        assert.equal(result.valid, true);
+        assert.equal(result.discount, 100);
+    });
+
+    it('refuses a coupon that reached its usage limit', async (t) => {
+        stubCoupon(t, { usageLimit: 5, usedCount: 5 });
+        const result = await evaluateCoupon('SAVE10', { userId, items });
+        assert.deepEqual(result, { valid: false, message: 'This coupon has reached its usage limit' });
+    });
+
+    it('refuses a customer who used up their own limit', async (t) => {
+        stubCoupon(t, { perUserLimit: 2 });
+        const counted = t.mock.method(Order, 'countDocuments', () => query(2));
+
+        const result = await evaluateCoupon('SAVE10', { userId, items });
+        assert.equal(result.message, 'You have already used this coupon');
+        // Released checkout holds and cancelled orders don't count as uses
+        const [filter] = counted.mock.calls[0].arguments;
+        assert.deepEqual(filter.status, { $ne: 'CANCELLED' });
+        assert.deepEqual(filter.couponsReleased, { $ne: true });
+    });
+
+    it('refuses a coupon generated for another customer', async (t) => {
+        stubCoupon(t, { assignedTo: objectId(), perUserLimit: 0 });
+        const result = await evaluateCoupon('SAVE10', { userId, items });
+        assert.equal(result.message, 'Invalid coupon code');
+    });
+
+    it('refuses an expired coupon and one below its minimum order', async (t) => {
+        stubCoupon(t, { validUntil: new Date(Date.now() - 1000), perUserLimit: 0 });
+        assert.equal((await evaluateCoupon('SAVE10', { userId, items })).message, 'This coupon has expired');
+
+        t.mock.restoreAll();
+        stubCoupon(t, { minOrderValue: 1500, perUserLimit: 0 });
+        assert.match((await evaluateCoupon('SAVE10', { userId, items })).message, /Add items worth ₹500 more/);
+    });
+});
+
+describe('redeemCoupon', () => {
+    it('only counts a use while the coupon is under its limit', async (t) => {
+        const updated = t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+        assert.equal(await redeemCoupon('SAVE10'), false);
+        const [filter, update] = updated.mock.calls[0].arguments;
+        assert.equal(filter.code, 'SAVE10');
+        assert.ok(filter.$or.some(clause => clause.$expr), 'usedCount is compared with usageLimit in the update');
+        assert.deepEqual(update, { $inc: { usedCount: 1 } });
+    });
+
+    it('counts a paid use past the limit', async (t) => {
+        const updated = t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+        assert.equal(await redeemCoupon('SAVE10', { ignoreLimit: true }), true);
+        assert.deepEqual(updated.mock.calls[0].arguments[0], { code: 'SAVE10' });
+    });
+
+    it('gives uses back without going below zero', async (t) => {
+        const updated = t.mock.method(Coupon, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+        await releaseCoupons(['SAVE10']);
+        assert.deepEqual(updated.mock.calls[0].arguments[0], { code: { $in: ['SAVE10'] }, usedCount: { $gt: 0 } });
+        await releaseCoupons([]);
+        assert.equal(updated.mock.callCount(), 1);
+    });
+});
+
+describe('exceedsPerUserLimit', () => {
+    it('counts the order being placed, inside its transaction', async (t) => {
+        const session = {};
+        stubCoupon(t, { perUserLimit: 1 });
+        const counted = t.mock.method(Order, 'countDocuments', () => ({ session: (s) => query(s === session ? 1 : 0) }));
+
+        // The new order is the customer's first use
+        assert.equal(await exceedsPerUserLimit('SAVE10', userId, { session }), false);
+        assert.equal(counted.mock.callCount(), 1);
+
+        // Another checkout committed first
+        counted.mock.mockImplementation(() => ({ session: () => query(2) }));
+        assert.equal(await exceedsPerUserLimit('SAVE10', userId, { session }), true);
+    });
+
+    it('ignores coupons without a per-customer limit', async (t) => {
+        stubCoupon(t, { perUserLimit: 0 });
+        const counted = t.mock.method(Order, 'countDocuments', () => query(10));
+
+        assert.equal(await exceedsPerUserLimit('SAVE10', userId), false);
+        assert.equal(counted.mock.callCount(), 0);
+    });
+});
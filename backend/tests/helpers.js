@@ -0,0 +1,65 @@
+// ══════════════════════════════════════════════════════════════════════════════
+// TEST HELPERS - Run services without a database
+// ══════════════════════════════════════════════════════════════════════════════
+// Tests stub the model statics a service calls (node:test mock.method) and
+// assert on what it does with the results. Require this file before any
+// model: a call that was not stubbed then fails at once instead of waiting
+// for a connection.
+// ══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+// Keep the services' progress logs out of the test output
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+
+/**
+ * Stand-in for a Mongoose query: chainable like one, resolves to the value
+ *
+ * @param {*} value - Result, or a function returning it (called when awaited)
+ * @returns {Object}
+ */
+const query = (value) => {
+    const q = {
+        then: (resolve, reject) => Promise.resolve()
+            .then(() => (typeof value === 'function' ? value() : value))
+            .then(resolve, reject)
+    };
+    for (const method of ['select', 'session', 'lean', 'sort', 'skip', 'limit', 'populate']) q[method] = () => q;
+    return q;
+};
+
+/**
+ * Make withTransaction (utils/transactions.js) run without a replica set
+ *
+ * @param {Object} mock - The test's mock tracker (t.mock)
+ * @returns {Object} - { sessions } - every session started, with committed / aborted flags
+ */
+const fakeTransactions = (mock) => {
+    const sessions = [];
+    mock.method(mongoose, 'startSession', async () => {
+        const session = {
+            committed: false,
+            aborted: false,
+            startTransaction() {},
+            async commitTransaction() { session.committed = true; },
+            async abortTransaction() { session.aborted = true; },
+            endSession() {}
+        };
+        sessions.push(session);
+        return session;
+    });
+    return { sessions };
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+    query,
+    fakeTransactions,
+    objectId
+};
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, fakeTransactions, objectId } = require('./helpers');
+const Order = require('../src/models/Order');
+const Product = require('../src/models/Product');
+const Job = require('../src/models/Job');
+const {
+    ACTORS,
+    normaliseStatus,
+    allowedTransitions,
+    assertTransition,
+    applyTransition,
+    transitionOrder
+} = require('../src/services/orderStatusService');
+
+const { CUSTOMER, ADMIN, SYSTEM } = ACTORS;
+
+const newOrder = (fields = {}) => ({
+    _id: objectId(),
+    orderNumber: 'TCS-1042',
+    status: 'CREATED',
+    paymentStatus: 'Pending',
+    paymentMethod: 'Razorpay',
+    items: [{ product: objectId(), name: 'Linen Co-ord', sku: 'LINEN-M', size: 'M', quantity: 1, price: 1999 }],
+    statusHistory: [],
+    saved: 0,
+    async save() { this.saved++; return this; },
+    ...fields
+});
+
+describe('normaliseStatus', () => {
+    it('maps legacy values onto the state machine', () => {
+        assert.equal(normaliseStatus('Confirmed', 'Paid'), 'PAID');
+        assert.equal(normaliseStatus('Processing', 'Pending'), 'PLACED');
+        assert.equal(normaliseStatus('Placed', 'Refunded'), 'PAID');
+        assert.equal(normaliseStatus('shipped'), 'SHIPPED');
+        assert.equal(normaliseStatus('Lost'), null);
+    });
+});
+
+describe('allowed transitions', () => {
+    it('lets each actor make only its own moves', () => {
+        assert.deepEqual(allowedTransitions('PAID', CUSTOMER), ['CANCELLED']);
+        assert.deepEqual(allowedTransitions('PAID', ADMIN), ['SHIPPED', 'CANCELLED']);
+        assert.deepEqual(allowedTransitions('SHIPPED', SYSTEM), ['DELIVERED']);
+        assert.deepEqual(allowedTransitions('DELIVERED', ADMIN), []);
+    });
+
+    it('answers 400 for a move that does not exist and 403 for one the actor may not make', () => {
+        assert.throws(() => assertTransition('DELIVERED', 'SHIPPED', ADMIN), { status: 400 });
+        assert.throws(() => assertTransition('SHIPPED', 'CANCELLED', ADMIN), { status: 400 });
+        assert.throws(() => assertTransition('CREATED', 'PAID', CUSTOMER), { status: 403 });
+        assert.doesNotThrow(() => assertTransition('PENDING', 'PAID', ADMIN));
+    });
+});
+
+describe('applyTransition', () => {
+    it('records the new status in the history', () => {
+        const order = newOrder({ status: 'PAID', paymentStatus: 'Paid' });
+        assert.equal(applyTransition(order, 'shipped', { actor: ADMIN, note: 'AWB 123' }), 'PAID');
+        assert.equal(order.status, 'SHIPPED');
+        assert.deepEqual(order.statusHistory, [{ status: 'SHIPPED', note: 'AWB 123' }]);
+    });
+
+    it('marks cash on delivery paid when it is delivered', () => {
+        const order = newOrder({ status: 'SHIPPED', paymentMethod: 'COD' });
+        applyTransition(order, 'DELIVERED', { actor: SYSTEM });
+        assert.equal(order.paymentStatus, 'Paid');
+    });
+
+    it('refuses an unknown status', () => {
+        assert.throws(() => applyTransition(newOrder(), 'LOST', { actor: ADMIN }), /Unknown order status/);
+    });
+});
+
+describe('transitionOrder', () => {
+    it('confirms a held checkout when it is paid and queues the confirmation', async (t) => {
+        const orderUpdates = t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+        const queued = t.mock.method(Job, 'create', async (doc) => ({ _id: objectId(), ...doc }));
+        const order = newOrder({ stockReduced: true, stockReservedUntil: new Date(Date.now() + 60 * 1000) });
+
+        await transitionOrder(order, 'PAID', { actor: SYSTEM, note: 'Payment captured' });
+
+        assert.equal(order.status, 'PAID');
+        assert.equal(order.saved, 1);
+        assert.equal(order.stockReservedUntil, undefined);
+        // Hold extended, then made permanent
+        assert.deepEqual(orderUpdates.mock.calls[1].arguments[1], { $unset: { stockReservedUntil: 1 } });
+        assert.deepEqual(queued.mock.calls.map(c => c.arguments[0].name), ['order.invoice', 'order.notify_sms']);
+    });
+
+    it('keeps the status and saves nothing when the stock sold out', async (t) => {
+        fakeTransactions(t.mock);
+        // The hold was released and someone else bought the last one
+        t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 0 }));
+        t.mock.method(Order, 'findOneAndUpdate', async () => ({ _id: objectId() }));
+        t.mock.method(Product, 'findOneAndUpdate', async () => null);
+        t.mock.method(Product, 'findById', () => query(null));
+        const order = newOrder({ stockReduced: false });
+
+        await assert.rejects(transitionOrder(order, 'PAID', { actor: SYSTEM }), { status: 409 });
+        assert.equal(order.status, 'CREATED');
+        assert.equal(order.saved, 0);
+    });
+
+    it('checks the actor before taking any stock', async (t) => {
+        const updated = t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+        const order = newOrder({ stockReduced: false });
+
+        await assert.rejects(transitionOrder(order, 'PAID', { actor: CUSTOMER }), { status: 403 });
+        assert.equal(updated.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Product = require('../src/models/Product');
+const Coupon = require('../src/models/Coupon');
+const Order = require('../src/models/Order');
+const Settings = require('../src/models/Settings');
+const {
+    priceOrder,
+    buildOrderLines,
+    signQuote,
+    verifyQuote,
+    assertQuoteCurrent
+} = require('../src/services/pricingService');
+
+const userId = objectId();
+const orderId = objectId();
+const lines = [{ product: objectId(), sku: 'TCS-1-M-BLACK', size: 'M', color: 'Black', quantity: 2, price: 400 }];
+const address = { pincode: '400001', state: 'Maharashtra' };
+
+// Default shipping rules: ₹49, free above ₹999
+const stubShipping = (t) => t.mock.method(Settings, 'findOne', () => query(null));
+
+describe('priceOrder', () => {
+    beforeEach((t) => stubShipping(t));
+
+    it('adds shipping below the free-shipping threshold', async () => {
+        const pricing = await priceOrder({ userId, items: lines, shippingAddress: address });
+        assert.equal(pricing.subtotal, 800);
+        assert.equal(pricing.shippingCharge, 49);
+        assert.equal(pricing.totalAmount, 849);
+    });
+
+    it('takes a valid coupon off the total', async (t) => {
+        t.mock.method(Coupon, 'findOne', () => query(new Coupon({ code: 'SAVE10', type: 'percentage', value: 10 })));
+        t.mock.method(Order, 'countDocuments', () => query(0));
+
+        const pricing = await priceOrder({ userId, items: lines, shippingAddress: address, couponCode: 'save10' });
+        assert.equal(pricing.discountTotal, 80);
+        assert.deepEqual(pricing.discounts.map(d => d.code), ['SAVE10']);
+        assert.equal(pricing.totalAmount, 800 - 80 + 49);
+        assert.equal(pricing.couponError, null);
+    });
+
+    it('prices without an invalid coupon and says why', async (t) => {
+        t.mock.method(Coupon, 'findOne', () => query(null));
+
+        const pricing = await priceOrder({ userId, items: lines, shippingAddress: address, couponCode: 'NOPE' });
+        assert.equal(pricing.discountTotal, 0);
+        assert.equal(pricing.couponError, 'Invalid coupon code');
+        assert.equal(pricing.totalAmount, 849);
+    });
+});
+
+describe('buildOrderLines', () => {
+    it('prices lines from the catalogue, not from the client', async (t) => {
+        const product = new Product({
+            name: 'Linen Co-ord', description: 'Set', price: 2499, category: 'Co-ord Sets', gender: 'Women',
+            variants: [{ sku: 'LINEN-M', size: 'M', color: 'Sage', price: 1999, stock: 5 }]
+        });
+        t.mock.method(Product, 'find', () => query([product]));
+
+        const [line] = await buildOrderLines([{ product: String(product._id), size: 'M', color: 'Sage', quantity: 2, price: 1 }]);
+        assert.equal(line.price, 1999);
+        assert.equal(line.sku, 'LINEN-M');
+        assert.equal(line.quantity, 2);
+    });
+
+    it('refuses a line that is not a product id', async () => {
+        await assert.rejects(buildOrderLines([{ product: 'not-an-id', quantity: 1 }]), { status: 400 });
+    });
+
+    it('refuses an inactive product', async (t) => {
+        const product = new Product({ name: 'Old Set', description: 'Set', price: 999, category: 'Tops', gender: 'Men', isActive: false });
+        t.mock.method(Product, 'find', () => query([product]));
+        await assert.rejects(buildOrderLines([{ product: String(product._id), quantity: 1 }]), /no longer available/);
+    });
+});
+
+describe('checkout quotes', () => {
+    const pricing = { subtotal: 800, discountTotal: 0, shippingCharge: 49, totalAmount: 849, shipping: { codSurcharge: 0 } };
+
+    it('verifies a quote for the same customer and order', () => {
+        const { quote, expiresAt } = signQuote({ userId, orderId, lines, pricing, shippingAddress: address });
+        assert.ok(expiresAt > new Date());
+
+        const payload = verifyQuote(quote, { userId, orderId });
+        assert.equal(payload.totalAmount, 849);
+        assert.doesNotThrow(() => assertQuoteCurrent(payload, { lines, pricing, shippingAddress: address }));
+    });
+
+    it('refuses a quote for another customer or order', () => {
+        const { quote } = signQuote({ userId, orderId, lines, pricing, shippingAddress: address });
+        assert.throws(() => verifyQuote(quote, { userId: objectId(), orderId }), { status: 400 });
+        assert.throws(() => verifyQuote(quote, { userId, orderId: objectId() }), { status: 400 });
+        // A cart quote can't pay for an order either
+        assert.throws(() => verifyQuote(quote, { userId }), { status: 400 });
+    });
+
+    it('refuses a tampered or missing quote', () => {
+        const { quote } = signQuote({ userId, orderId, lines, pricing, shippingAddress: address });
+        const [header, body, signature] = quote.split('.');
+        const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url')), totalAmount: 1 })).toString('base64url');
+
+        assert.throws(() => verifyQuote(`${header}.${forged}.${signature}`, { userId, orderId }), /Invalid price quote/);
+        assert.throws(() => verifyQuote(undefined, { userId, orderId }), { status: 400 });
+    });
+
+    it('flags an expired quote', (t) => {
+        const { quote } = signQuote({ userId, orderId, lines, pricing, shippingAddress: address });
+        const later = Date.now() + 2 * 60 * 60 * 1000;
+        t.mock.method(Date, 'now', () => later);
+        assert.throws(() => verifyQuote(quote, { userId, orderId }), { status: 409, quoteExpired: true });
+    });
+
+    it('fails when the checkout prices differently now', () => {
+        const { quote } = signQuote({ userId, orderId, lines, pricing, shippingAddress: address });
+        const payload = verifyQuote(quote, { userId, orderId });
+
+        const repriced = [{ ...lines[0], price: 450 }];
+        assert.throws(
+            () => assertQuoteCurrent(payload, { lines: repriced, pricing: { ...pricing, subtotal: 900, totalAmount: 949 }, shippingAddress: address }),
+            { status: 409, priceChanged: true }
+        );
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Product = require('../src/models/Product');
+
+const newProduct = (variants) => new Product({
+    name: 'Linen Co-ord',
+    description: 'Two-piece set',
+    price: 2499,
+    category: 'Co-ord Sets',
+    gender: 'Women',
+    variants
+});
+
+describe('Product.buildSku', () => {
+    it('uses 12 characters of the product id, the size and the whole colour', () => {
+        const id = objectId();
+        assert.equal(
+            Product.buildSku(id, 'm', 'Maroon Red'),
+            `TCS-${String(id).slice(-12).toUpperCase()}-M-MAROONRED`
+        );
+    });
+
+    it('keeps colours that only differ after six letters apart', () => {
+        const id = objectId();
+        assert.notEqual(Product.buildSku(id, 'M', 'Maroon Red'), Product.buildSku(id, 'M', 'Maroon Rose'));
+    });
+
+    it('falls back to FS without a size and leaves out an empty colour', () => {
+        const id = objectId();
+        assert.equal(Product.buildSku(id, '', ''), `TCS-${String(id).slice(-12).toUpperCase()}-FS`);
+    });
+});
+
+describe('Product SKU generation on validate', () => {
+    it('fills missing SKUs and sums the variant stock', async (t) => {
+        t.mock.method(Product, 'exists', () => query(null));
+        const product = newProduct([
+            { size: 'S', color: 'Black', stock: 3 },
+            { size: 'M', color: 'Black', stock: 4 }
+        ]);
+        await product.validate();
+
+        assert.equal(product.variants[0].sku, Product.buildSku(product._id, 'S', 'Black'));
+        assert.equal(product.variants[1].sku, Product.buildSku(product._id, 'M', 'Black'));
+        assert.equal(product.stock, 7);
+    });
+
+    it('suffixes a generated SKU that clashes within the product', async (t) => {
+        t.mock.method(Product, 'exists', () => query(null));
+        // Same size and colour once punctuation is dropped
+        const product = newProduct([
+            { size: 'M', color: 'Off-White', stock: 1 },
+            { size: 'M', color: 'Off White', stock: 1 }
+        ]);
+        await product.validate();
+
+        const base = Product.buildSku(product._id, 'M', 'Off White');
+        assert.deepEqual(product.variants.map(v => v.sku), [base, `${base}-2`]);
+    });
+
+    it('suffixes a generated SKU another product already uses', async (t) => {
+        const product = newProduct([{ size: 'L', color: 'Navy', stock: 2 }]);
+        const base = Product.buildSku(product._id, 'L', 'Navy');
+        const usedElsewhere = new Set([base, `${base}-2`]);
+        t.mock.method(Product, 'exists', (filter) => query(usedElsewhere.has(filter['variants.sku']) ? { _id: objectId() } : null));
+
+        await product.validate();
+        assert.equal(product.variants[0].sku, `${base}-3`);
+    });
+
+    it('refuses a SKU given to two variants', async (t) => {
+        t.mock.method(Product, 'exists', () => query(null));
+        const product = newProduct([
+            { size: 'S', color: 'Red', sku: 'CUSTOM-1', stock: 1 },
+            { size: 'M', color: 'Red', sku: 'CUSTOM-1', stock: 1 }
+        ]);
+        await assert.rejects(product.validate(), /CUSTOM-1 is used by more than one variant/);
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const { getGatewayByCode } = require('../src/services/paymentGateway');
+const { createRefund, applyRefundWebhook, getRefundableAmount } = require('../src/services/refundService');
+
+process.env.RAZORPAY_REFUND_STUB = 'true';
+
+const paidOrder = () => ({
+    _id: objectId(),
+    orderNumber: 'TCS-1042',
+    paymentMethod: 'UPI',
+    paymentStatus: 'Paid',
+    statusHistory: [],
+    async save() { return this; }
+});
+
+/**
+ * One payment "in the database": reads return copies, and the conditional
+ * updates refundService makes are applied the way MongoDB would
+ */
+const paymentStore = (t, fields = {}) => {
+    const stored = new Payment({
+        razorpayPaymentId: 'pay_1',
+        gateway: 'razorpay',
+        order: objectId(),
+        user: objectId(),
+        amount: 1000,
+        method: 'UPI',
+        status: 'PAID',
+        ...fields
+    });
+    const read = () => Payment.hydrate(stored.toObject());
+    const entry = (id) => stored.refunds.find(r => String(r._id) === String(id));
+
+    t.mock.method(Payment, 'findOne', (filter) => query(() => {
+        if (filter['refunds.refundId']) return stored.refunds.some(r => r.refundId === filter['refunds.refundId']) ? read() : null;
+        return read();
+    }));
+    t.mock.method(Payment, 'findById', () => query(read));
+    t.mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+        if (filter.$expr) {
+            // Reservation - only while that much is still unrefunded
+            const { amount } = update.$push.refunds;
+            if (amount > getRefundableAmount(stored) + 0.005) return null;
+            stored.refunds.push(update.$push.refunds);
+            return read();
+        }
+        if (filter['refunds.refundId']) {
+            // Dashboard refund seen for the first time
+            if (stored.refunds.some(r => r.refundId === update.$push.refunds.refundId)) return null;
+            stored.refunds.push(update.$push.refunds);
+            return read();
+        }
+        const match = filter.refunds.$elemMatch;
+        const target = entry(match._id);
+        if (!target || ('status' in match && target.status !== match.status) || ('refundId' in match && target.refundId)) return null;
+        for (const [path, value] of Object.entries(update.$set)) target[path.replace('refunds.$.', '')] = value;
+        return read();
+    });
+    t.mock.method(Payment.prototype, 'save', async function () {
+        stored.status = this.status;
+        for (const refund of this.refunds) {
+            const target = entry(refund._id);
+            if (target) Object.assign(target, { status: refund.status, processedAt: refund.processedAt, error: refund.error });
+        }
+        return this;
+    });
+    const order = paidOrder();
+    t.mock.method(Order, 'findById', () => query(order));
+    return { get: () => stored, order };
+};
+
+describe('createRefund', () => {
+    let razorpay;
+    beforeEach(() => { razorpay = getGatewayByCode('razorpay'); });
+
+    it('refunds part of a payment and records it', async (t) => {
+        const store = paymentStore(t);
+        const order = paidOrder();
+
+        const { refund } = await createRefund({ order, amount: 400, reason: 'Damaged' });
+
+        assert.match(refund.refundId, /^rfnd_/);
+        assert.equal(refund.status, 'processed');
+        assert.equal(getRefundableAmount(store.get()), 600);
+        assert.equal(order.refundStatus, 'Partial');
+        assert.equal(order.refundedAmount, 400);
+    });
+
+    it('never lets concurrent refunds exceed the payment', async (t) => {
+        const store = paymentStore(t);
+        const refunded = t.mock.method(razorpay, 'refund');
+
+        const results = await Promise.allSettled([
+            createRefund({ order: paidOrder(), amount: 600 }),
+            createRefund({ order: paidOrder(), amount: 600 })
+        ]);
+
+        assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+        const refused = results.find(r => r.status === 'rejected').reason;
+        assert.equal(refused.status, 400);
+        assert.match(refused.message, /Only ₹400 can still be refunded/);
+        assert.equal(refunded.mock.callCount(), 1);
+        assert.equal(getRefundableAmount(store.get()), 400);
+    });
+
+    it('gives the amount back when the gateway refuses', async (t) => {
+        const store = paymentStore(t);
+        t.mock.method(razorpay, 'refund', async () => { throw Object.assign(new Error('Bad request'), { error: { description: 'Refund amount exceeds balance' } }); });
+        const order = paidOrder();
+
+        await assert.rejects(createRefund({ order, amount: 300 }), { status: 502 });
+        assert.equal(store.get().refunds[0].status, 'failed');
+        assert.equal(store.get().refunds[0].error, 'Refund amount exceeds balance');
+        assert.equal(getRefundableAmount(store.get()), 1000);
+        assert.equal(order.refundStatus, 'Failed');
+    });
+
+    it('refuses more than is left and unpaid or cash orders', async (t) => {
+        paymentStore(t, { refunds: [{ refundId: 'rfnd_old', amount: 900, status: 'processed' }] });
+
+        await assert.rejects(createRefund({ order: paidOrder(), amount: 200 }), /Only ₹100 can still be refunded/);
+        await assert.rejects(createRefund({ order: { ...paidOrder(), paymentMethod: 'COD' } }), /refunded offline/);
+        await assert.rejects(createRefund({ order: { ...paidOrder(), paymentStatus: 'Pending' } }), /has not been paid/);
+    });
+});
+
+describe('applyRefundWebhook', () => {
+    const entity = (fields = {}) => ({ id: 'rfnd_dash', payment_id: 'pay_1', amount: 25000, notes: {}, ...fields });
+
+    it('records a dashboard refund once however often it is delivered', async (t) => {
+        const store = paymentStore(t);
+
+        await Promise.all([
+            applyRefundWebhook('refund.created', entity()),
+            applyRefundWebhook('refund.created', entity())
+        ]);
+        await applyRefundWebhook('refund.processed', entity());
+        await applyRefundWebhook('refund.processed', entity());
+
+        const refunds = store.get().refunds.filter(r => r.refundId === 'rfnd_dash');
+        assert.equal(refunds.length, 1);
+        assert.equal(refunds[0].amount, 250);
+        assert.equal(refunds[0].status, 'processed');
+        assert.equal(refunds[0].reason, 'Issued from Razorpay dashboard');
+        assert.equal(store.order.refundedAmount, 250);
+    });
+
+    it('matches a refund issued here before its gateway id was saved', async (t) => {
+        const reservedId = objectId();
+        const store = paymentStore(t, { refunds: [{ _id: reservedId, amount: 250, status: 'pending', reason: 'Damaged' }] });
+
+        await applyRefundWebhook('refund.processed', entity({ id: 'rfnd_here', notes: { refundEntry: String(reservedId) } }));
+
+        assert.equal(store.get().refunds.length, 1);
+        assert.equal(store.get().refunds[0].refundId, 'rfnd_here');
+        assert.equal(store.get().refunds[0].status, 'processed');
+    });
+
+    it('ignores refunds of unknown payments', async (t) => {
+        t.mock.method(Payment, 'findOne', () => query(null));
+        assert.equal(await applyRefundWebhook('refund.processed', entity()), null);
+    });
+});
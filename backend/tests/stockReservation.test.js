@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, fakeTransactions, objectId } = require('./helpers');
+const Order = require('../src/models/Order');
+const Product = require('../src/models/Product');
+const Coupon = require('../src/models/Coupon');
+const {
+    createReservedOrder,
+    holdOrderStock,
+    releaseOrderStock,
+    releaseExpiredReservations
+} = require('../src/services/stockReservationService');
+
+const line = (fields = {}) => ({ product: objectId(), name: 'Linen Co-ord', sku: 'LINEN-M', size: 'M', color: 'Sage', quantity: 2, price: 1999, ...fields });
+
+// Orders come back from Order.create as they were given
+const stubCreate = (t) => t.mock.method(Order, 'create', async ([doc]) => [{ _id: objectId(), ...doc }]);
+
+describe('createReservedOrder', () => {
+    it('takes every line\'s stock in one transaction', async (t) => {
+        const { sessions } = fakeTransactions(t.mock);
+        stubCreate(t);
+        const decremented = t.mock.method(Product, 'findOneAndUpdate', async () => ({ variants: [{ sku: 'LINEN-M', stock: 3 }] }));
+
+        const order = await createReservedOrder({ user: objectId(), items: [line(), line({ sku: 'LINEN-L', size: 'L' })] });
+
+        assert.equal(order.stockReduced, true);
+        assert.ok(order.stockReservedUntil > new Date());
+        assert.equal(decremented.mock.callCount(), 2);
+        const [filter, update] = decremented.mock.calls[0].arguments;
+        assert.deepEqual(filter.variants.$elemMatch, { sku: 'LINEN-M', stock: { $gte: 2 }, isActive: { $ne: false } });
+        assert.deepEqual(update.$inc, { 'variants.$.stock': -2, stock: -2 });
+        assert.equal(sessions[0].committed, true);
+    });
+
+    it('creates nothing when a line has sold out', async (t) => {
+        const { sessions } = fakeTransactions(t.mock);
+        stubCreate(t);
+        t.mock.method(Product, 'findOneAndUpdate', async () => null);
+        t.mock.method(Product, 'findById', () => query(new Product({
+            name: 'Linen Co-ord', description: 'Set', price: 1999, category: 'Co-ord Sets', gender: 'Women',
+            variants: [{ sku: 'LINEN-M', size: 'M', color: 'Sage', stock: 1 }]
+        })));
+
+        await assert.rejects(createReservedOrder({ user: objectId(), items: [line()] }), (err) => {
+            assert.equal(err.status, 409);
+            assert.deepEqual(err.soldOut.map(l => [l.requested, l.available]), [[2, 1]]);
+            return true;
+        });
+        assert.equal(sessions[0].aborted, true);
+        assert.equal(sessions[0].committed, false);
+    });
+
+    it('counts the order\'s coupon in the same transaction', async (t) => {
+        fakeTransactions(t.mock);
+        stubCreate(t);
+        t.mock.method(Product, 'findOneAndUpdate', async () => ({ variants: [{ sku: 'LINEN-M', stock: 3 }] }));
+        t.mock.method(Coupon, 'findOne', () => query({ code: 'SAVE10', perUserLimit: 1 }));
+        t.mock.method(Order, 'countDocuments', () => query(1));
+        const redeemed = t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+        await createReservedOrder({ user: objectId(), items: [line()], discounts: [{ code: 'SAVE10', amount: 100 }] });
+        assert.equal(redeemed.mock.callCount(), 1);
+        assert.ok(redeemed.mock.calls[0].arguments[2].session, 'redeemed inside the transaction');
+    });
+
+    it('refuses a coupon the customer already used', async (t) => {
+        const { sessions } = fakeTransactions(t.mock);
+        stubCreate(t);
+        t.mock.method(Product, 'findOneAndUpdate', async () => ({ variants: [{ sku: 'LINEN-M', stock: 3 }] }));
+        t.mock.method(Coupon, 'findOne', () => query({ code: 'SAVE10', perUserLimit: 1 }));
+        // Their earlier order and this one
+        t.mock.method(Order, 'countDocuments', () => query(2));
+        const redeemed = t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+        await assert.rejects(
+            createReservedOrder({ user: objectId(), items: [line()], discounts: [{ code: 'SAVE10', amount: 100 }] }),
+            { status: 409, couponLimit: true }
+        );
+        assert.equal(redeemed.mock.callCount(), 0);
+        assert.equal(sessions[0].aborted, true);
+    });
+
+    it('refuses a coupon that ran out meanwhile', async (t) => {
+        fakeTransactions(t.mock);
+        stubCreate(t);
+        t.mock.method(Product, 'findOneAndUpdate', async () => ({ variants: [{ sku: 'LINEN-M', stock: 3 }] }));
+        t.mock.method(Coupon, 'findOne', () => query({ code: 'SAVE10', perUserLimit: 0 }));
+        t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+        await assert.rejects(
+            createReservedOrder({ user: objectId(), items: [line()], discounts: [{ code: 'SAVE10', amount: 100 }] }),
+            /reached its usage limit/
+        );
+    });
+});
+
+describe('holdOrderStock', () => {
+    it('extends a live hold without taking stock again', async (t) => {
+        const extended = t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+        const decremented = t.mock.method(Product, 'findOneAndUpdate', async () => null);
+        const order = { _id: objectId(), items: [line()], stockReduced: true, stockReservedUntil: new Date(Date.now() + 1000) };
+
+        await holdOrderStock(order);
+        assert.equal(extended.mock.callCount(), 1);
+        assert.equal(decremented.mock.callCount(), 0);
+        assert.ok(order.stockReservedUntil > new Date(Date.now() + 60 * 1000));
+    });
+
+    it('leaves stock already sold to the order alone', async (t) => {
+        const updated = t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+        await holdOrderStock({ _id: objectId(), items: [line()], stockReduced: true });
+        assert.equal(updated.mock.callCount(), 0);
+    });
+
+    it('takes the stock and coupon uses of a released hold again', async (t) => {
+        fakeTransactions(t.mock);
+        t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 0 }));
+        const order = { _id: objectId(), user: objectId(), items: [line()], discounts: [{ code: 'SAVE10' }], stockReduced: false, couponsReleased: true };
+        t.mock.method(Order, 'findOneAndUpdate', async () => ({ ...order }));
+        const decremented = t.mock.method(Product, 'findOneAndUpdate', async () => ({ variants: [{ sku: 'LINEN-M', stock: 3 }] }));
+        const redeemed = t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+        // Already paid - the coupon is counted past its limit, the per-customer check is skipped
+        await holdOrderStock(order, { paid: true });
+        assert.equal(decremented.mock.callCount(), 1);
+        assert.deepEqual(redeemed.mock.calls[0].arguments[0], { code: 'SAVE10' });
+        assert.equal(order.stockReduced, true);
+        assert.equal(order.couponsReleased, undefined);
+    });
+});
+
+describe('releaseOrderStock', () => {
+    it('puts back stock and coupon uses once', async (t) => {
+        fakeTransactions(t.mock);
+        const order = { _id: objectId(), items: [line()], discounts: [{ code: 'SAVE10' }], stockReduced: true, stockReservedUntil: new Date() };
+        const claimed = t.mock.method(Order, 'findOneAndUpdate', async () => ({ ...order }));
+        const restored = t.mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+        const released = t.mock.method(Coupon, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+        assert.equal(await releaseOrderStock(order, { expiredOnly: true }), true);
+        const [filter, update] = claimed.mock.calls[0].arguments;
+        assert.ok(filter.stockReservedUntil.$lte instanceof Date, 'only an expired hold is claimed');
+        assert.deepEqual(filter.paymentStatus, { $ne: 'Paid' });
+        assert.equal(update.$set.couponsReleased, true);
+        assert.deepEqual(restored.mock.calls[0].arguments[1], { $inc: { 'variants.$.stock': 2, stock: 2 } });
+        assert.equal(released.mock.callCount(), 1);
+        assert.equal(order.stockReduced, false);
+
+        // Released elsewhere in the meantime - nothing is restored twice
+        claimed.mock.mockImplementation(async () => null);
+        assert.equal(await releaseOrderStock({ ...order, stockReduced: true }), false);
+        assert.equal(restored.mock.callCount(), 1);
+        assert.equal(released.mock.callCount(), 1);
+    });
+});
+
+describe('releaseExpiredReservations', () => {
+    it('releases every expired hold it finds', async (t) => {
+        fakeTransactions(t.mock);
+        const expired = [{ _id: objectId(), items: [line()] }, { _id: objectId(), items: [line()] }];
+        const found = t.mock.method(Order, 'find', () => query(expired));
+        t.mock.method(Order, 'findOneAndUpdate', async (filter) => (String(filter._id) === String(expired[0]._id) ? { ...expired[0] } : null));
+        t.mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+        t.mock.method(Coupon, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+        // The second was paid or released between the sweep's read and its claim
+        assert.equal(await releaseExpiredReservations(), 1);
+        assert.ok(found.mock.calls[0].arguments[0].stockReservedUntil.$lte instanceof Date);
+    });
+});
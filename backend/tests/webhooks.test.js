@@ -0,0 +1,119 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { query } = require('./helpers');
+const WebhookEvent = require('../src/models/WebhookEvent');
+const { registerWebhookHandler, receiveWebhook } = require('../src/services/webhookService');
+
+process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec_test';
+
+const handled = [];
+registerWebhookHandler('test.event', async (entities, body) => {
+    handled.push(body.id);
+    if (body.fail) throw new Error('Handler failed');
+    return { ok: true };
+});
+
+const delivery = (body, { eventId = 'evt_1', secret = 'whsec_test' } = {}) => {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return {
+        rawBody,
+        body,
+        headers: {
+            'x-razorpay-signature': crypto.createHmac('sha256', secret).update(rawBody).digest('hex'),
+            'x-razorpay-event-id': eventId
+        },
+        ip: '203.0.113.7'
+    };
+};
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('receiveWebhook', () => {
+    beforeEach((t) => {
+        handled.length = 0;
+        t.mock.method(WebhookEvent.prototype, 'save', async function () { return this; });
+    });
+
+    it('stores and processes a first delivery', async (t) => {
+        const created = t.mock.method(WebhookEvent, 'create', async (doc) => new WebhookEvent(doc));
+
+        const { outcome, webhookEvent } = await receiveWebhook(delivery({ event: 'test.event', id: 1 }));
+
+        assert.equal(outcome, 'processed');
+        assert.deepEqual(handled, [1]);
+        assert.equal(created.mock.calls[0].arguments[0].eventId, 'evt_1');
+        assert.equal(webhookEvent.attempts, 1);
+    });
+
+    it('does not process a redelivery of a handled event', async (t) => {
+        t.mock.method(WebhookEvent, 'create', async () => { throw duplicateKey(); });
+        const counted = t.mock.method(WebhookEvent, 'updateOne', async () => ({ modifiedCount: 1 }));
+        const retried = t.mock.method(WebhookEvent, 'findOneAndUpdate', async () => null);
+        t.mock.method(WebhookEvent, 'findOne', () => query({ eventId: 'evt_1', status: 'processed' }));
+
+        const { outcome } = await receiveWebhook(delivery({ event: 'test.event', id: 1 }));
+
+        assert.equal(outcome, 'duplicate');
+        assert.deepEqual(handled, []);
+        assert.deepEqual(counted.mock.calls[0].arguments[1].$inc, { deliveries: 1 });
+        // Only a failed run is taken back
+        assert.deepEqual(retried.mock.calls[0].arguments[0], { eventId: 'evt_1', status: 'failed' });
+    });
+
+    it('runs a failed event again when it is redelivered', async (t) => {
+        t.mock.method(WebhookEvent, 'create', async () => { throw duplicateKey(); });
+        t.mock.method(WebhookEvent, 'updateOne', async () => ({ modifiedCount: 1 }));
+        t.mock.method(WebhookEvent, 'findOneAndUpdate', async () => new WebhookEvent({
+            eventId: 'evt_1', event: 'test.event', status: 'received', attempts: 1, payload: { event: 'test.event', id: 2 }
+        }));
+
+        const { outcome, webhookEvent } = await receiveWebhook(delivery({ event: 'test.event', id: 2 }));
+
+        assert.equal(outcome, 'processed');
+        assert.deepEqual(handled, [2]);
+        assert.equal(webhookEvent.attempts, 2);
+    });
+
+    it('keeps a failing handler\'s event for a retry', async (t) => {
+        t.mock.method(WebhookEvent, 'create', async (doc) => new WebhookEvent(doc));
+
+        const { outcome, webhookEvent } = await receiveWebhook(delivery({ event: 'test.event', id: 3, fail: true }));
+
+        assert.equal(outcome, 'failed');
+        assert.equal(webhookEvent.error, 'Handler failed');
+    });
+
+    it('falls back to a hash of the body when the event id header is missing', async (t) => {
+        const created = t.mock.method(WebhookEvent, 'create', async (doc) => new WebhookEvent(doc));
+        const first = delivery({ event: 'test.event', id: 4 });
+        delete first.headers['x-razorpay-event-id'];
+
+        await receiveWebhook(first);
+        assert.equal(created.mock.calls[0].arguments[0].eventId, `sha256:${crypto.createHash('sha256').update(first.rawBody).digest('hex')}`);
+    });
+
+    it('keeps only metadata of a delivery with a bad signature', async (t) => {
+        t.mock.method(WebhookEvent, 'countDocuments', () => query(0));
+        const created = t.mock.method(WebhookEvent, 'create', async (doc) => doc);
+
+        const { outcome } = await receiveWebhook(delivery({ event: 'test.event', id: 5, payload: { secret: 'x' } }, { secret: 'wrong' }));
+
+        assert.equal(outcome, 'rejected');
+        assert.deepEqual(handled, []);
+        const [stored] = created.mock.calls[0].arguments;
+        assert.equal(stored.status, 'rejected');
+        assert.equal(stored.ip, '203.0.113.7');
+        assert.equal(stored.payload, undefined);
+    });
+
+    it('stops recording bad signatures from a flooding sender', async (t) => {
+        t.mock.method(WebhookEvent, 'countDocuments', () => query(30));
+        const created = t.mock.method(WebhookEvent, 'create', async (doc) => doc);
+
+        const { outcome } = await receiveWebhook(delivery({ event: 'test.event' }, { secret: 'wrong' }));
+
+        assert.equal(outcome, 'rate_limited');
+        assert.equal(created.mock.callCount(), 0);
+    });
+});
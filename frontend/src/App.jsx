@@ -1,17 +1,22 @@
-import { BrowserRouter, Routes, Route, Navigate, useSearchParams } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate, useSearchParams, useLocation } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { useEffect } from 'react';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { CartProvider } from './context/CartContext';
+import { WishlistProvider } from './context/WishlistContext';
 
 import Navbar from './components/Navbar';
 import Footer from './components/Footer';
 import LandingPage from './pages/LandingPage';
 import ProductPage from './pages/ProductPage';
+import SearchPage from './pages/SearchPage';
 import CartPage from './pages/CartPage';
 import AuthPage from './pages/AuthPage';
 import AdminLogin from './pages/AdminLogin';
 import OrdersPage from './pages/OrdersPage';
+import WishlistPage from './pages/WishlistPage';
+import AccountSecurityPage from './pages/AccountSecurityPage';
+import CartRestorePage from './pages/CartRestorePage';
 import AdminDashboard from './pages/AdminDashboard';
 import CheckoutSuccessPage from './pages/CheckoutSuccessPage';
 import PaymentCallbackPage from './pages/PaymentCallbackPage';
@@ -23,7 +28,7 @@ function OAuthCallback() {
     const { handleOAuthCallback } = useAuth();
     useEffect(() => {
         const token = params.get('token');
-        if (token) handleOAuthCallback(token);
+        if (token) handleOAuthCallback(token, params.get('refreshToken'));
         window.location.href = '/';
     }, []);
     return <div className="flex h-screen items-center justify-center"><div className="animate-spin rounded-full h-12 w-12 border-b-2 border-gold"></div></div>;
@@ -31,7 +36,8 @@ function OAuthCallback() {
 
 function ProtectedRoute({ children, adminOnly = false }) {
     const { user, isAdmin } = useAuth();
-    if (!user) return <Navigate to="/auth" replace />;
+    const location = useLocation();
+    if (!user) return <Navigate to="/auth" replace state={{ from: location.pathname }} />;
     if (adminOnly && !isAdmin) return <Navigate to="/" replace />;
     return children;
 }
@@ -51,28 +57,36 @@ export default function App() {
         <BrowserRouter>
             <AuthProvider>
                 <CartProvider>
-                    <Toaster
-                        position="top-right"
-                        toastOptions={{
-                            style: { fontFamily: 'Inter', background: '#FAF7F0', color: '#2C1810', border: '1px solid #D4A574' },
-                            success: { iconTheme: { primary: '#D4A574', secondary: '#FAF7F0' } }
-                        }}
-                    />
-                    <Routes>
-                        <Route path="/" element={<Layout><LandingPage /></Layout>} />
-                        <Route path="/product/:id" element={<Layout><ProductPage /></Layout>} />
-                        <Route path="/auth" element={<AuthPage />} />
-                        <Route path="/auth/callback" element={<OAuthCallback />} />
-                        <Route path="/cart" element={<Layout><ProtectedRoute><CartPage /></ProtectedRoute></Layout>} />
-                        <Route path="/orders" element={<Layout><ProtectedRoute><OrdersPage /></ProtectedRoute></Layout>} />
-                        <Route path="/order-success/:orderId" element={<ProtectedRoute><CheckoutSuccessPage /></ProtectedRoute>} />
-                        <Route path="/checkout-success/:orderId" element={<ProtectedRoute><CheckoutSuccessPage /></ProtectedRoute>} />
-                        <Route path="/payment-callback/:orderId" element={<PaymentCallbackPage />} />
-                        <Route path="/payment-failed/:orderId" element={<PaymentFailurePage />} />
-                        <Route path="/admin/login" element={<AdminLogin />} />
-                        <Route path="/admin" element={<ProtectedRoute adminOnly><AdminDashboard /></ProtectedRoute>} />
-                        <Route path="*" element={<Navigate to="/" replace />} />
-                    </Routes>
+                    <WishlistProvider>
+                        <Toaster
+                            position="top-right"
+                            toastOptions={{
+                                style: { fontFamily: 'Inter', background: '#FAF7F0', color: '#2C1810', border: '1px solid #D4A574' },
+                                success: { iconTheme: { primary: '#D4A574', secondary: '#FAF7F0' } }
+                            }}
+                        />
+                        <Routes>
+                            <Route path="/" element={<Layout><LandingPage /></Layout>} />
+                            <Route path="/product/:id" element={<Layout><ProductPage /></Layout>} />
+                            <Route path="/search" element={<Layout><SearchPage /></Layout>} />
+                            <Route path="/auth" element={<AuthPage />} />
+                            <Route path="/auth/callback" element={<OAuthCallback />} />
+                            <Route path="/auth/reset-password" element={<AuthPage initialMode="reset" />} />
+                            <Route path="/auth/verify" element={<ProtectedRoute><AuthPage initialMode="verify" /></ProtectedRoute>} />
+                            <Route path="/cart" element={<Layout><ProtectedRoute><CartPage /></ProtectedRoute></Layout>} />
+                            <Route path="/cart/restore/:token" element={<Layout><ProtectedRoute><CartRestorePage /></ProtectedRoute></Layout>} />
+                            <Route path="/wishlist" element={<Layout><ProtectedRoute><WishlistPage /></ProtectedRoute></Layout>} />
+                            <Route path="/account/security" element={<Layout><ProtectedRoute><AccountSecurityPage /></ProtectedRoute></Layout>} />
+                            <Route path="/orders" element={<Layout><ProtectedRoute><OrdersPage /></ProtectedRoute></Layout>} />
+                            <Route path="/order-success/:orderId" element={<ProtectedRoute><CheckoutSuccessPage /></ProtectedRoute>} />
+                            <Route path="/checkout-success/:orderId" element={<ProtectedRoute><CheckoutSuccessPage /></ProtectedRoute>} />
+                            <Route path="/payment-callback/:orderId" element={<PaymentCallbackPage />} />
+                            <Route path="/payment-failed/:orderId" element={<PaymentFailurePage />} />
+                            <Route path="/admin/login" element={<AdminLogin />} />
+                            <Route path="/admin" element={<ProtectedRoute adminOnly><AdminDashboard /></ProtectedRoute>} />
+                            <Route path="*" element={<Navigate to="/" replace />} />
+                        </Routes>
+                    </WishlistProvider>
                 </CartProvider>
             </AuthProvider>
         </BrowserRouter>
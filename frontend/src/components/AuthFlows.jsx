@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiMail, FiLock, FiEye, FiEyeOff, FiCheckCircle, FiPhone } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+// Forms for the AuthPage flows other than sign in / sign up
+
+const ErrorText = ({ error }) => error ? (
+    <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }}
+        className="text-red-600 text-sm font-sans bg-red-50 px-4 py-2 rounded-xl">{error}</motion.p>
+) : null;
+
+const SubmitButton = ({ loading, children }) => (
+    <motion.button type="submit" whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }} disabled={loading}
+        className="btn-primary w-full flex items-center justify-center gap-2 text-base py-4 disabled:opacity-70">
+        {loading ? <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-cream-100" /> : null}
+        {children}
+    </motion.button>
+);
+
+export function ForgotPasswordForm({ onBack }) {
+    const [emailOrPhone, setEmailOrPhone] = useState('');
+    const [sent, setSent] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!emailOrPhone.trim()) return setError('Enter your email or phone number');
+        setError('');
+        setLoading(true);
+        try {
+            const { data } = await api.post('/auth/forgot-password', { emailOrPhone: emailOrPhone.trim() });
+            setSent(data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send the reset link');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <motion.form initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} onSubmit={handleSubmit} className="space-y-4">
+            <div className="mb-4">
+                <h2 className="font-serif text-3xl text-charcoal mb-2">Forgot password?</h2>
+                <p className="font-sans text-sm text-charcoal-muted">We'll send a reset link to your email or phone.</p>
+            </div>
+            {sent ? (
+                <div className="bg-green-50 text-green-700 font-sans text-sm px-4 py-3 rounded-xl flex gap-3">
+                    <FiCheckCircle className="w-5 h-5 flex-shrink-0" /> {sent}
+                </div>
+            ) : (
+                <>
+                    <div className="relative">
+                        <FiMail className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
+                        <input className="input-field pl-12" placeholder="Email or Phone" value={emailOrPhone}
+                            onChange={e => setEmailOrPhone(e.target.value)} autoFocus />
+                    </div>
+                    <ErrorText error={error} />
+                    <SubmitButton loading={loading}>Send Reset Link</SubmitButton>
+                </>
+            )}
+            <p className="text-center font-sans text-sm text-charcoal-muted">
+                <button type="button" onClick={onBack} className="text-gold font-medium hover:text-gold-dark transition-colors">Back to sign in</button>
+            </p>
+        </motion.form>
+    );
+}
+
+export function PhoneOtpLoginForm({ onBack, onDone }) {
+    const { otpLogin, loading } = useAuth();
+    const [phone, setPhone] = useState('');
+    const [name, setName] = useState('');
+    const [code, setCode] = useState('');
+    const [sentTo, setSentTo] = useState('');
+    const [cooldown, setCooldown] = useState(0);
+    const [sending, setSending] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (cooldown <= 0) return;
+        const timer = setTimeout(() => setCooldown(c => c - 1), 1000);
+        return () => clearTimeout(timer);
+    }, [cooldown]);
+
+    const requestCode = async (e) => {
+        e?.preventDefault();
+        setError('');
+        setSending(true);
+        try {
+            const { data } = await api.post('/auth/otp/request', { phone });
+            setSentTo(data.phone);
+            setCooldown(60);
+            toast.success(data.message);
+        } catch (err) {
+            const retry = Number(err.response?.headers?.['retry-after']);
+            if (retry && retry <= 60) setCooldown(retry);
+            setError(err.response?.data?.message || 'Could not send the code');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const verify = async (e) => {
+        e.preventDefault();
+        setError('');
+        const result = await otpLogin(sentTo, code, name);
+        if (!result.success) return setError(result.message);
+        if (result.data.isNewUser) toast.success('Welcome to TCS! Your account is ready.');
+        onDone();
+    };
+
+    return (
+        <motion.form initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} onSubmit={sentTo ? verify : requestCode} className="space-y-4">
+            <div className="mb-4">
+                <h2 className="font-serif text-3xl text-charcoal mb-2">Sign in with OTP</h2>
+                <p className="font-sans text-sm text-charcoal-muted">No password needed — we'll text you a 6-digit code. New here? We'll create your account.</p>
+            </div>
+            {!sentTo ? (
+                <>
+                    <div className="relative">
+                        <FiPhone className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
+                        <input className="input-field pl-12" placeholder="Mobile Number *" type="tel" inputMode="numeric" autoComplete="tel"
+                            value={phone} onChange={e => setPhone(e.target.value)} required autoFocus />
+                    </div>
+                    <ErrorText error={error} />
+                    <SubmitButton loading={sending}>Send Code</SubmitButton>
+                </>
+            ) : (
+                <>
+                    <p className="font-sans text-sm text-charcoal">
+                        Code sent to <strong>{sentTo}</strong>{' '}
+                        <button type="button" onClick={() => { setSentTo(''); setCode(''); setError(''); }} className="text-gold text-xs font-medium">Change</button>
+                    </p>
+                    <input className="input-field tracking-[0.5em] text-center font-mono" placeholder="••••••" inputMode="numeric" autoComplete="one-time-code"
+                        maxLength={6} value={code} onChange={e => setCode(e.target.value.replace(/\D/g, ''))} autoFocus />
+                    <input className="input-field" placeholder="Your name (new accounts)" value={name} onChange={e => setName(e.target.value)} />
+                    <ErrorText error={error} />
+                    <SubmitButton loading={loading}>Verify & Sign In</SubmitButton>
+                    <button type="button" onClick={requestCode} disabled={cooldown > 0 || sending}
+                        className="font-sans text-xs text-gold font-medium hover:text-gold-dark disabled:text-charcoal-muted">
+                        {cooldown > 0 ? `Resend code in ${cooldown}s` : 'Resend code'}
+                    </button>
+                </>
+            )}
+            <p className="text-center font-sans text-sm text-charcoal-muted">
+                <button type="button" onClick={onBack} className="text-gold font-medium hover:text-gold-dark transition-colors">Sign in with password instead</button>
+            </p>
+        </motion.form>
+    );
+}
+
+export function ResetPasswordForm({ token, onDone }) {
+    const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [showPass, setShowPass] = useState(false);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (password.length < 6) return setError('Password must be at least 6 characters');
+        if (password !== confirm) return setError('Passwords do not match');
+        setError('');
+        setLoading(true);
+        try {
+            const { data } = await api.post('/auth/reset-password', { token, password });
+            toast.success(data.message);
+            onDone();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not reset password');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <motion.form initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} onSubmit={handleSubmit} className="space-y-4">
+            <div className="mb-4">
+                <h2 className="font-serif text-3xl text-charcoal mb-2">Set a new password</h2>
+                <p className="font-sans text-sm text-charcoal-muted">You'll be signed out on your other devices.</p>
+            </div>
+            {!token ? (
+                <ErrorText error="This reset link is incomplete - please request a new one." />
+            ) : (
+                <>
+                    <div className="relative">
+                        <FiLock className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
+                        <input className="input-field pl-12 pr-12" placeholder="New Password *" type={showPass ? 'text' : 'password'}
+                            value={password} onChange={e => setPassword(e.target.value)} minLength={6} required autoFocus />
+                        <button type="button" onClick={() => setShowPass(s => !s)} className="absolute right-4 top-3.5 text-charcoal-muted hover:text-charcoal">
+                            {showPass ? <FiEyeOff className="w-5 h-5" /> : <FiEye className="w-5 h-5" />}
+                        </button>
+                    </div>
+                    <div className="relative">
+                        <FiLock className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
+                        <input className="input-field pl-12" placeholder="Confirm Password *" type={showPass ? 'text' : 'password'}
+                            value={confirm} onChange={e => setConfirm(e.target.value)} required />
+                    </div>
+                    <ErrorText error={error} />
+                    <SubmitButton loading={loading}>Update Password</SubmitButton>
+                </>
+            )}
+        </motion.form>
+    );
+}
+
+// One row per unverified channel: send / resend code, enter it, done
+function VerifyChannel({ channel, target, autoSent }) {
+    const { updateUser } = useAuth();
+    const [code, setCode] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [cooldown, setCooldown] = useState(autoSent ? 60 : 0);
+    const [sent, setSent] = useState(autoSent);
+
+    useEffect(() => {
+        if (cooldown <= 0) return;
+        const timer = setTimeout(() => setCooldown(c => c - 1), 1000);
+        return () => clearTimeout(timer);
+    }, [cooldown]);
+
+    const sendCode = async () => {
+        setError('');
+        try {
+            const { data } = await api.post('/auth/verify/send', { channel });
+            toast.success(data.message);
+            setSent(true);
+            setCooldown(60);
+        } catch (err) {
+            const retry = Number(err.response?.headers?.['retry-after']);
+            if (retry) setCooldown(retry);
+            setError(err.response?.data?.message || 'Could not send the code');
+        }
+    };
+
+    const confirmCode = async (e) => {
+        e.preventDefault();
+        if (!code.trim()) return;
+        setError('');
+        setLoading(true);
+        try {
+            const { data } = await api.post('/auth/verify/confirm', { channel, code: code.trim() });
+            updateUser({ emailVerified: data.user.emailVerified, phoneVerified: data.user.phoneVerified });
+            toast.success(data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Verification failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const Icon = channel === 'email' ? FiMail : FiPhone;
+    return (
+        <form onSubmit={confirmCode} className="card p-5 space-y-3">
+            <div className="flex items-center gap-3">
+                <Icon className="w-5 h-5 text-gold" />
+                <div>
+                    <p className="font-sans text-sm font-medium text-charcoal">{channel === 'email' ? 'Email' : 'Phone'}</p>
+                    <p className="font-sans text-xs text-charcoal-muted">{target}</p>
+                </div>
+            </div>
+            {sent && (
+                <div className="flex gap-3">
+                    <input className="input-field tracking-[0.5em] text-center font-mono" placeholder="••••••" inputMode="numeric"
+                        maxLength={6} value={code} onChange={e => setCode(e.target.value.replace(/\D/g, ''))} />
+                    <button type="submit" disabled={loading || code.length !== 6} className="btn-primary px-5 disabled:opacity-60">Verify</button>
+                </div>
+            )}
+            <ErrorText error={error} />
+            <button type="button" onClick={sendCode} disabled={cooldown > 0}
+                className="font-sans text-xs text-gold font-medium hover:text-gold-dark disabled:text-charcoal-muted">
+                {cooldown > 0 ? `Resend code in ${cooldown}s` : sent ? 'Resend code' : 'Send code'}
+            </button>
+        </form>
+    );
+}
+
+export function VerifyAccountForm({ autoSent = [], onDone }) {
+    const { user } = useAuth();
+    const pending = ['email', 'phone'].filter(c => user?.[c] && !user[`${c}Verified`]);
+
+    return (
+        <motion.div initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} className="space-y-4">
+            <div className="mb-4">
+                <h2 className="font-serif text-3xl text-charcoal mb-2">Verify your account</h2>
+                <p className="font-sans text-sm text-charcoal-muted">
+                    {pending.length ? 'Enter the 6-digit code we sent you.' : 'All set — your contact details are verified.'}
+                </p>
+            </div>
+            {pending.map(channel => (
+                <VerifyChannel key={channel} channel={channel} target={user[channel]} autoSent={autoSent.includes(channel)} />
+            ))}
+            <button onClick={onDone} className={pending.length ? 'btn-secondary w-full' : 'btn-primary w-full'}>
+                {pending.length ? 'Skip for now' : 'Continue shopping'}
+            </button>
+        </motion.div>
+    );
+}
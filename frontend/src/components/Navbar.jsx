@@ -1,13 +1,16 @@
 import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FiShoppingBag, FiUser, FiMenu, FiX, FiSearch } from 'react-icons/fi';
+import { FiShoppingBag, FiUser, FiMenu, FiX, FiSearch, FiHeart } from 'react-icons/fi';
 import { useAuth } from '../context/AuthContext';
 import { useCart } from '../context/CartContext';
+import { useWishlist } from '../context/WishlistContext';
+import SearchBar from './SearchBar';
 
 export default function Navbar() {
     const { user, logout, isAdmin } = useAuth();
     const { totalItems } = useCart();
+    const { count: wishlistCount } = useWishlist();
     const navigate = useNavigate();
     const [menuOpen, setMenuOpen] = useState(false);
     const [scrolled, setScrolled] = useState(false);
@@ -57,6 +60,21 @@ export default function Navbar() {
 
                     {/* Actions */}
                     <div className="flex items-center gap-3">
+                        {/* Search */}
+                        <SearchBar className="hidden md:block w-56 xl:w-72" />
+
+                        {/* Wishlist */}
+                        {user && (
+                            <Link to="/wishlist" className="relative p-2 rounded-full hover:bg-cream-300 transition-colors duration-200">
+                                <FiHeart className="w-5 h-5 text-charcoal" />
+                                {wishlistCount > 0 && (
+                                    <span className="absolute -top-1 -right-1 w-5 h-5 bg-gold text-charcoal text-xs font-bold rounded-full flex items-center justify-center font-sans">
+                                        {wishlistCount}
+                                    </span>
+                                )}
+                            </Link>
+                        )}
+
                         {/* Cart */}
                         <Link to="/cart" className="relative p-2 rounded-full hover:bg-cream-300 transition-colors duration-200">
                             <FiShoppingBag className="w-5 h-5 text-charcoal" />
@@ -99,6 +117,14 @@ export default function Navbar() {
                                         <Link to="/orders" onClick={() => setUserMenuOpen(false)} className="block px-4 py-3 text-sm font-sans text-charcoal hover:bg-cream-200 transition-colors">
                                             📦 My Orders
                                         </Link>
+                                        <Link to="/account/security" onClick={() => setUserMenuOpen(false)} className="block px-4 py-3 text-sm font-sans text-charcoal hover:bg-cream-200 transition-colors">
+                                            🔐 Login & Security
+                                        </Link>
+                                        {((user.email && !user.emailVerified) || (user.phone && !user.phoneVerified)) && (
+                                            <Link to="/auth/verify" onClick={() => setUserMenuOpen(false)} className="block px-4 py-3 text-sm font-sans text-charcoal hover:bg-cream-200 transition-colors">
+                                                ✅ Verify Account
+                                            </Link>
+                                        )}
                                         <button onClick={() => { logout(); setUserMenuOpen(false); }} className="w-full text-left px-4 py-3 text-sm font-sans text-red-600 hover:bg-cream-200 transition-colors border-t border-cream-300">
                                             Sign Out
                                         </button>
@@ -132,6 +158,7 @@ export default function Navbar() {
                             className="lg:hidden overflow-hidden"
                         >
                             <div className="pt-4 pb-2 flex flex-col gap-2">
+                                <SearchBar className="md:hidden px-1 mb-2" onDone={() => setMenuOpen(false)} />
                                 {navLinks.map(link => (
                                     <Link key={link.label} to={link.href} onClick={() => setMenuOpen(false)} className="px-4 py-3 rounded-xl font-sans text-charcoal hover:bg-cream-200 transition-colors">
                                         {link.label}
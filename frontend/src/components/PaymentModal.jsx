@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FiX, FiCreditCard, FiSmartphone, FiCheckCircle, FiShield, FiLock, FiTruck } from 'react-icons/fi';
+import { FiX, FiCreditCard, FiSmartphone, FiCheckCircle, FiShield, FiLock, FiTruck, FiSend } from 'react-icons/fi';
 import api from '../utils/api';
 import toast from 'react-hot-toast';
 
@@ -12,51 +12,77 @@ const UPI_APPS = [
 ];
 
 export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount }) {
-    const [method, setMethod] = useState('razorpay'); // Default to Razorpay for UPI
+    const [method, setMethod] = useState('razorpay'); // Default to UPI
     const [adminUpi, setAdminUpi] = useState('');
     const [loading, setLoading] = useState(false);
-    const [razorpayLoaded, setRazorpayLoaded] = useState(false);
-    const [razorpayKey, setRazorpayKey] = useState('');
+    const [checkoutReady, setCheckoutReady] = useState(false);
+    const [gateway, setGateway] = useState({}); // { key, gateway, name, checkout: 'razorpay' | 'hosted' }
+    const [codSurcharge, setCodSurcharge] = useState(0);
+    const [utr, setUtr] = useState('');
+    const [screenshot, setScreenshot] = useState(null);
+
+    const gatewayName = gateway.name || 'Razorpay';
 
     useEffect(() => {
-        // Fetch admin UPI and Razorpay key
+        // Fetch admin UPI and the active payment gateway
         const fetchData = async () => {
             try {
-                const [upiRes, keyRes] = await Promise.all([
+                const [upiRes, keyRes, shippingRes] = await Promise.all([
                     api.get('/payment/upi-id').catch(() => ({ data: {} })),
-                    api.get('/payment/key').catch(() => ({ data: {} }))
+                    api.get('/payment/key').catch(() => ({ data: {} })),
+                    api.get('/shipping/config').catch(() => ({ data: {} }))
                 ]);
                 if (upiRes.data?.upiId) setAdminUpi(upiRes.data.upiId);
-                if (keyRes.data?.key) setRazorpayKey(keyRes.data.key);
+                if (shippingRes.data?.codSurcharge) setCodSurcharge(shippingRes.data.codSurcharge);
+                if (keyRes.data?.gateway) {
+                    setGateway(keyRes.data);
+                    // Hosted checkouts are a redirect - only Razorpay needs its script
+                    if (keyRes.data.checkout === 'razorpay') loadRazorpayScript();
+                    else setCheckoutReady(true);
+                }
             } catch {}
         };
         fetchData();
-
-        // Load Razorpay script
-        if (!window.Razorpay) {
-            const script = document.createElement('script');
-            script.src = 'https://checkout.razorpay.com/v1/checkout.js';
-            script.onload = () => setRazorpayLoaded(true);
-            script.onerror = () => toast.error('Payment service unavailable');
-            document.body.appendChild(script);
-        } else {
-            setRazorpayLoaded(true);
-        }
     }, []);
 
-    // Razorpay UPI Payment (RECOMMENDED - Real payment via Razorpay)
+    const loadRazorpayScript = () => {
+        if (window.Razorpay) return setCheckoutReady(true);
+        const script = document.createElement('script');
+        script.src = 'https://checkout.razorpay.com/v1/checkout.js';
+        script.onload = () => setCheckoutReady(true);
+        script.onerror = () => toast.error('Payment service unavailable');
+        document.body.appendChild(script);
+    };
+
+    // Hosted checkout (fake gateway) - the page sends the customer back to /payment-callback
+    const openHostedCheckout = (checkoutUrl) => {
+        const callbackUrl = `${window.location.origin}/payment-callback/${order._id}`;
+        window.location.href = `${api.defaults.baseURL}${checkoutUrl}?callback_url=${encodeURIComponent(callbackUrl)}`;
+    };
+
+    // Stock is held for the order while paying - give it back if the customer backs out or the payment fails
+    const releaseStock = (reason) => api.post('/payment/release', { orderId: order._id, reason }).catch(() => { });
+
+    // 409 = an item sold out or the quoted total no longer holds (any payment already taken is refunded by the server)
+    const handleConflict = (err) => {
+        toast.error(err.response.data.message, { duration: 8000 });
+        onClose();
+    };
+
+    // UPI Payment through the active gateway (RECOMMENDED)
     const handleRazorpayUPI = async () => {
-        if (!razorpayLoaded || !razorpayKey) {
+        if (!checkoutReady) {
             toast.error('Payment gateway loading, please wait...');
             return;
         }
         
         setLoading(true);
         try {
-            // Create Razorpay order for this specific order
+            // Create a gateway order for this specific order
             const { data: rpOrder } = await api.post('/payment/create-upi-order', {
                 orderId: order._id,
-                amount: amount
+                amount: amount,
+                quote: order.quote
             });
 
             // Save shipping address to sessionStorage for mobile callback recovery
@@ -65,6 +91,8 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                 sessionStorage.setItem('pendingOrderAmount', String(amount));
             }
 
+            if (rpOrder.checkoutUrl) return openHostedCheckout(rpOrder.checkoutUrl);
+
             // Detect if mobile device
             const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
             
@@ -73,7 +101,7 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
             const callbackUrl = `${baseUrl}/payment-callback/${order._id}`;
 
             const options = {
-                key: razorpayKey,
+                key: gateway.key,
                 amount: rpOrder.amount,
                 currency: 'INR',
                 name: 'TCS – The Co-ord Set Studio',
@@ -113,6 +141,7 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                     confirm_close: true,
                     ondismiss: () => {
                         setLoading(false);
+                        releaseStock('cancelled');
                         toast.error('Payment cancelled');
                     }
                 },
@@ -137,6 +166,7 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                             toast.error('Payment verification failed');
                         }
                     } catch (err) {
+                        if (err.response?.status === 409) return handleConflict(err);
                         toast.error(err.response?.data?.message || 'Payment verification failed');
                         console.error('Verify error:', err);
                     } finally {
@@ -148,18 +178,20 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
             const rzp = new window.Razorpay(options);
             rzp.on('payment.failed', (response) => {
                 toast.error(`Payment failed: ${response.error.description}`);
+                releaseStock('failed');
                 setLoading(false);
             });
             rzp.open();
         } catch (err) {
-            toast.error(err.response?.data?.message || 'Could not initiate payment');
             setLoading(false);
+            if (err.response?.status === 409) return handleConflict(err);
+            toast.error(err.response?.data?.message || 'Could not initiate payment');
         }
     };
 
-    // Razorpay Full Payment (Cards, Net Banking, Wallets, UPI)
+    // Full Payment through the active gateway (Cards, Net Banking, Wallets, UPI)
     const handleRazorpayFull = async () => {
-        if (!razorpayLoaded || !razorpayKey) {
+        if (!checkoutReady) {
             toast.error('Payment gateway loading, please wait...');
             return;
         }
@@ -168,7 +200,8 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
         try {
             const { data: rpOrder } = await api.post('/payment/create-upi-order', {
                 orderId: order._id,
-                amount: amount
+                amount: amount,
+                quote: order.quote
             });
 
             // Save shipping address to sessionStorage for mobile callback recovery
@@ -177,6 +210,8 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                 sessionStorage.setItem('pendingOrderAmount', String(amount));
             }
 
+            if (rpOrder.checkoutUrl) return openHostedCheckout(rpOrder.checkoutUrl);
+
             // Detect if mobile device
             const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
             
@@ -185,7 +220,7 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
             const callbackUrl = `${baseUrl}/payment-callback/${order._id}`;
 
             const options = {
-                key: razorpayKey,
+                key: gateway.key,
                 amount: rpOrder.amount,
                 currency: 'INR',
                 name: 'TCS – The Co-ord Set Studio',
@@ -208,6 +243,7 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                     confirm_close: true,
                     ondismiss: () => {
                         setLoading(false);
+                        releaseStock('cancelled');
                         toast.error('Payment cancelled');
                     }
                 },
@@ -226,6 +262,7 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                         toast.success('Payment successful! 🎉');
                         onSuccess(verifyRes.data.orderId);
                     } catch (err) {
+                        if (err.response?.status === 409) return handleConflict(err);
                         toast.error('Payment verification failed. Contact support.');
                     } finally {
                         setLoading(false);
@@ -236,11 +273,39 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
             const rzp = new window.Razorpay(options);
             rzp.on('payment.failed', (response) => {
                 toast.error(`Payment failed: ${response.error.description}`);
+                releaseStock('failed');
                 setLoading(false);
             });
             rzp.open();
         } catch (err) {
+            setLoading(false);
+            if (err.response?.status === 409) return handleConflict(err);
             toast.error(err.response?.data?.message || 'Could not initiate payment');
+        }
+    };
+
+    // Manual UPI transfer to the store's UPI ID - the order is confirmed once an admin verifies the UTR
+    const handleManualUpi = async () => {
+        const reference = utr.replace(/\s+/g, '');
+        if (!/^\d{12}$/.test(reference)) {
+            toast.error('Enter the 12-digit UPI reference (UTR) number from your payment app');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const formData = new FormData();
+            formData.append('upiTransactionId', reference);
+            if (screenshot) formData.append('screenshot', screenshot);
+            await api.put(`/orders/${order._id}/confirm-payment`, formData, {
+                headers: { 'Content-Type': 'multipart/form-data' }
+            });
+            toast.success('Payment submitted! We\'ll confirm your order once it\'s verified.');
+            onSuccess(order._id);
+        } catch (err) {
+            if (err.response?.status === 409 && err.response.data.soldOut) return handleConflict(err);
+            toast.error(err.response?.data?.message || 'Could not submit payment');
+        } finally {
             setLoading(false);
         }
     };
@@ -255,7 +320,8 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
         setLoading(true);
         try {
             const { data } = await api.post('/payment/cod', {
-                orderId: order._id
+                orderId: order._id,
+                quote: order.quote
             });
             
             if (data.success) {
@@ -265,6 +331,7 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                 toast.error(data.message || 'Could not place COD order');
             }
         } catch (err) {
+            if (err.response?.status === 409) return handleConflict(err);
             toast.error(err.response?.data?.message || 'Could not place COD order');
         } finally {
             setLoading(false);
@@ -340,7 +407,7 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                             <div className="bg-amber-50 border border-amber-200 rounded-2xl p-4">
                                 <p className="font-sans text-xs text-amber-700 font-bold uppercase tracking-wider mb-1">💰 Payment goes to:</p>
                                 <p className="font-sans text-lg font-bold text-amber-900">{adminUpi}</p>
-                                <p className="font-sans text-xs text-amber-700 mt-1">via Razorpay secure gateway</p>
+                                <p className="font-sans text-xs text-amber-700 mt-1">{method === 'manual' ? 'by direct UPI transfer' : `via ${gatewayName} secure gateway`}</p>
                             </div>
                         )}
 
@@ -349,8 +416,9 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                             {[
                                 { id: 'razorpay', label: 'UPI', icon: FiSmartphone },
                                 { id: 'all', label: 'Cards/Banks', icon: FiCreditCard },
+                                adminUpi && { id: 'manual', label: 'UPI ID', icon: FiSend },
                                 { id: 'cod', label: 'Cash on Delivery', icon: FiTruck },
-                            ].map(({ id, label, icon: Icon }) => (
+                            ].filter(Boolean).map(({ id, label, icon: Icon }) => (
                                 <button key={id} onClick={() => setMethod(id)}
                                     className={`flex-1 flex items-center justify-center gap-2 py-3 rounded-xl font-sans text-xs font-medium transition-all ${method === id ? 'bg-white text-charcoal shadow-soft' : 'text-charcoal-muted hover:text-charcoal'}`}>
                                     <Icon className="w-4 h-4" /> {label}
@@ -358,7 +426,7 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                             ))}
                         </div>
 
-                        {/* UPI Method (via Razorpay) */}
+                        {/* UPI Method (via the gateway) */}
                         {method === 'razorpay' && (
                             <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-4">
                                 <div className="bg-cream-100 rounded-2xl p-5 space-y-4">
@@ -376,13 +444,13 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
 
                                     <div className="flex items-center gap-2 justify-center text-xs font-sans text-green-700 bg-green-100 px-4 py-2 rounded-full">
                                         <FiCheckCircle className="w-4 h-4" />
-                                        <span>Powered by Razorpay • Money goes directly to seller</span>
+                                        <span>Powered by {gatewayName} • Money goes directly to seller</span>
                                     </div>
                                 </div>
 
                                 <motion.button 
                                     onClick={handleRazorpayUPI} 
-                                    disabled={loading || !razorpayLoaded}
+                                    disabled={loading || !checkoutReady}
                                     whileHover={{ scale: loading ? 1 : 1.02 }} 
                                     whileTap={{ scale: loading ? 1 : 0.98 }}
                                     className="btn-primary w-full flex items-center justify-center gap-3 py-4 text-lg disabled:opacity-70"
@@ -396,12 +464,12 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                                 </motion.button>
 
                                 <p className="text-xs text-center text-charcoal-muted">
-                                    You'll be redirected to Razorpay to complete payment
+                                    You'll be redirected to {gatewayName} to complete payment
                                 </p>
                             </motion.div>
                         )}
 
-                        {/* All Payment Methods (via Razorpay) */}
+                        {/* All Payment Methods (via the gateway) */}
                         {method === 'all' && (
                             <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-4">
                                 <div className="bg-cream-100 rounded-2xl p-5 space-y-3">
@@ -420,12 +488,12 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                                 </div>
                                 
                                 <div className="text-xs font-sans text-charcoal-muted text-center flex items-center justify-center gap-2">
-                                    <FiLock className="w-4 h-4" /> Secured by Razorpay — PCI DSS Compliant
+                                    <FiLock className="w-4 h-4" /> Secured by {gatewayName} — PCI DSS Compliant
                                 </div>
 
                                 <motion.button 
                                     onClick={handleRazorpayFull} 
-                                    disabled={loading || !razorpayLoaded}
+                                    disabled={loading || !checkoutReady}
                                     whileHover={{ scale: loading ? 1 : 1.02 }} 
                                     whileTap={{ scale: loading ? 1 : 0.98 }}
                                     className="btn-primary w-full flex items-center justify-center gap-3 py-4 text-lg disabled:opacity-70"
@@ -435,11 +503,60 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                                     ) : (
                                         <FiCreditCard className="w-5 h-5" />
                                     )}
-                                    {loading ? 'Opening Razorpay...' : `Pay ₹${amount?.toLocaleString()}`}
+                                    {loading ? `Opening ${gatewayName}...` : `Pay ₹${amount?.toLocaleString()}`}
                                 </motion.button>
                             </motion.div>
                         )}
 
+                        {/* Manual UPI transfer - verified by the store */}
+                        {method === 'manual' && adminUpi && (
+                            <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-4">
+                                <div className="bg-cream-100 rounded-2xl p-5 space-y-3">
+                                    <p className="font-sans text-sm font-bold text-charcoal">Pay from any UPI app:</p>
+                                    {[
+                                        `1. Send exactly ₹${amount?.toLocaleString()} to ${adminUpi}`,
+                                        '2. Copy the 12-digit UTR / UPI reference from the payment receipt',
+                                        '3. Enter it below - a screenshot helps us verify faster'
+                                    ].map(m => (
+                                        <p key={m} className="text-sm font-sans text-charcoal-muted">{m}</p>
+                                    ))}
+                                    <a href={`upi://pay?pa=${encodeURIComponent(adminUpi)}&pn=${encodeURIComponent('TCS – The Co-ord Set Studio')}&am=${amount}&cu=INR&tn=${encodeURIComponent(`Order ${order?.orderNumber}`)}`}
+                                        className="md:hidden block text-center font-sans text-sm text-gold-dark underline">
+                                        Open UPI app
+                                    </a>
+                                </div>
+
+                                <div className="space-y-3">
+                                    <input value={utr} onChange={e => setUtr(e.target.value)} inputMode="numeric" maxLength={14}
+                                        className="input-field font-mono" placeholder="12-digit UTR (e.g. 412345678901)" />
+                                    <label className="block font-sans text-xs text-charcoal-muted">
+                                        Payment screenshot (optional)
+                                        <input type="file" accept="image/*" onChange={e => setScreenshot(e.target.files[0] || null)}
+                                            className="block w-full mt-1 text-sm" />
+                                    </label>
+                                </div>
+
+                                <motion.button 
+                                    onClick={handleManualUpi} 
+                                    disabled={loading}
+                                    whileHover={{ scale: loading ? 1 : 1.02 }} 
+                                    whileTap={{ scale: loading ? 1 : 0.98 }}
+                                    className="btn-primary w-full flex items-center justify-center gap-3 py-4 text-lg disabled:opacity-70"
+                                >
+                                    {loading ? (
+                                        <span className="animate-spin rounded-full h-5 w-5 border-b-2 border-white" />
+                                    ) : (
+                                        <FiSend className="w-5 h-5" />
+                                    )}
+                                    {loading ? 'Submitting...' : 'Submit Payment Details'}
+                                </motion.button>
+
+                                <p className="text-xs text-center text-charcoal-muted">
+                                    Your order is confirmed once we match the UTR with our bank statement
+                                </p>
+                            </motion.div>
+                        )}
+
                         {/* Cash on Delivery */}
                         {method === 'cod' && (
                             <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-4">
@@ -464,6 +581,12 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                                     ))}
                                 </div>
                                 
+                                {codSurcharge > 0 && (
+                                    <p className="font-sans text-xs text-center text-charcoal-muted">
+                                        A ₹{codSurcharge} cash handling charge applies to COD orders
+                                    </p>
+                                )}
+
                                 {amount > 5000 && (
                                     <div className="bg-amber-50 border border-amber-200 rounded-xl p-3 text-center">
                                         <p className="font-sans text-xs text-amber-700">
@@ -484,7 +607,7 @@ export default function PaymentModal({ isOpen, onClose, onSuccess, order, amount
                                     ) : (
                                         <FiTruck className="w-5 h-5" />
                                     )}
-                                    {loading ? 'Placing Order...' : `Place COD Order — ₹${amount?.toLocaleString()}`}
+                                    {loading ? 'Placing Order...' : `Place COD Order — ₹${(amount + codSurcharge)?.toLocaleString()}`}
                                 </motion.button>
                                 
                                 <p className="text-xs text-center text-charcoal-muted">
@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { FiHeart, FiShoppingBag, FiStar, FiZap } from 'react-icons/fi';
 import { useCart } from '../context/CartContext';
+import { useWishlist } from '../context/WishlistContext';
 
 const API_URL = 'http://localhost:5000';
 
@@ -15,7 +16,8 @@ const gradeClass = {
 export default function ProductCard({ product, index = 0 }) {
     const { addToCart } = useCart();
     const navigate = useNavigate();
-    const [liked, setLiked] = useState(false);
+    const { isWishlisted, toggleWishlist } = useWishlist();
+    const liked = isWishlisted(product._id);
     const [imgIdx, setImgIdx] = useState(0);
     const [adding, setAdding] = useState(false);
 
@@ -34,10 +36,10 @@ export default function ProductCard({ product, index = 0 }) {
         setTimeout(() => setAdding(false), 800);
     };
 
-    const handleBuyNow = (e) => {
+    const handleBuyNow = async (e) => {
         e.preventDefault();
         // Clear cart first? Or just add. Let's just add and go.
-        addToCart(product);
+        await addToCart(product);
         navigate('/cart');
     };
 
@@ -104,7 +106,7 @@ export default function ProductCard({ product, index = 0 }) {
                     <div className="flex items-center justify-center lg:justify-between mb-1">
                         <h3 className="font-serif text-charcoal text-base leading-tight line-clamp-1">{product.name}</h3>
                         <button
-                            onClick={e => { e.preventDefault(); setLiked(!liked); }}
+                            onClick={e => { e.preventDefault(); toggleWishlist(product); }}
                             className="hidden lg:block ml-2 p-1 text-charcoal-muted hover:text-red-400 transition-colors"
                         >
                             <FiHeart className={`w-4 h-4 ${liked ? 'fill-red-400 text-red-400' : ''}`} />
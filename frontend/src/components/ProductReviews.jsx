@@ -0,0 +1,276 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiStar, FiThumbsUp, FiCamera, FiX, FiCheckCircle } from 'react-icons/fi';
+import api, { getMediaUrl } from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const SORT_OPTIONS = [
+    { id: 'recent', label: 'Most recent' },
+    { id: 'helpful', label: 'Most helpful' },
+    { id: 'rating_high', label: 'Highest rated' },
+    { id: 'rating_low', label: 'Lowest rated' }
+];
+const MAX_PHOTOS = 5;
+const PAGE_SIZE = 5;
+
+export const Stars = ({ rating, size = 'w-4 h-4', onPick }) => (
+    <span className="flex items-center gap-0.5">
+        {[1, 2, 3, 4, 5].map(n => (
+            <FiStar key={n} onClick={onPick ? () => onPick(n) : undefined}
+                className={`${size} ${n <= Math.round(rating) ? 'fill-gold text-gold' : 'text-cream-400'} ${onPick ? 'cursor-pointer' : ''}`} />
+        ))}
+    </span>
+);
+
+// Reviews section of the product page: rating summary, filters, list and the review form
+export default function ProductReviews({ productId }) {
+    const { user } = useAuth();
+    const [data, setData] = useState({ reviews: [], total: 0, pages: 0, summary: { average: 0, count: 0, distribution: {} } });
+    const [sort, setSort] = useState('recent');
+    const [ratingFilter, setRatingFilter] = useState(null);
+    const [withPhotos, setWithPhotos] = useState(false);
+    const [page, setPage] = useState(1);
+    const [mine, setMine] = useState({ canReview: false, review: null });
+    const [voted, setVoted] = useState({});
+    const [showForm, setShowForm] = useState(false);
+    const [form, setForm] = useState({ rating: 0, title: '', comment: '' });
+    const [photos, setPhotos] = useState([]);
+    const [submitting, setSubmitting] = useState(false);
+
+    const fetchReviews = async (nextPage = 1) => {
+        try {
+            const { data: res } = await api.get(`/reviews/product/${productId}`, {
+                params: { sort, rating: ratingFilter || undefined, withPhotos: withPhotos || undefined, page: nextPage, limit: PAGE_SIZE }
+            });
+            setData(d => ({ ...res, reviews: nextPage === 1 ? res.reviews : [...d.reviews, ...res.reviews] }));
+            setPage(nextPage);
+        } catch { toast.error('Could not load reviews'); }
+    };
+
+    useEffect(() => { fetchReviews(1); }, [productId, sort, ratingFilter, withPhotos]);
+
+    useEffect(() => {
+        if (!user) return;
+        api.get(`/reviews/product/${productId}/mine`).then(({ data: res }) => setMine(res)).catch(() => {});
+    }, [productId, user?._id]);
+
+    const openForm = () => {
+        setForm(mine.review
+            ? { rating: mine.review.rating, title: mine.review.title || '', comment: mine.review.comment || '' }
+            : { rating: 0, title: '', comment: '' });
+        setPhotos([]);
+        setShowForm(true);
+    };
+
+    const handlePhotos = (e) => {
+        const files = Array.from(e.target.files || []);
+        setPhotos(p => [...p, ...files].slice(0, MAX_PHOTOS));
+        e.target.value = '';
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.rating) return toast.error('Please choose a star rating');
+        setSubmitting(true);
+        try {
+            const fd = new FormData();
+            fd.append('rating', form.rating);
+            fd.append('title', form.title);
+            fd.append('comment', form.comment);
+            photos.forEach(p => fd.append('photos', p));
+            const { data: res } = await api.post(`/reviews/product/${productId}`, fd, { headers: { 'Content-Type': 'multipart/form-data' } });
+            toast.success(res.message);
+            setMine(m => ({ ...m, review: res.review }));
+            setShowForm(false);
+            fetchReviews(1);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not submit review');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const markHelpful = async (review) => {
+        if (!user) return toast.error('Log in to vote');
+        try {
+            const { data: res } = await api.post(`/reviews/${review._id}/helpful`);
+            setVoted(v => ({ ...v, [review._id]: res.voted }));
+            setData(d => ({ ...d, reviews: d.reviews.map(r => (r._id === review._id ? { ...r, helpfulCount: res.helpfulCount } : r)) }));
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not record vote');
+        }
+    };
+
+    const { summary } = data;
+
+    return (
+        <section id="reviews" className="mt-16 border-t border-cream-300 pt-10">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-8">
+                <h2 className="font-serif text-3xl text-charcoal">Customer Reviews</h2>
+                {mine.canReview && (
+                    <button onClick={openForm} className="btn-secondary text-sm">
+                        {mine.review ? 'Edit your review' : 'Write a review'}
+                    </button>
+                )}
+            </div>
+
+            {mine.review && mine.review.status !== 'approved' && (
+                <p className="mb-6 font-sans text-sm text-charcoal-muted bg-cream-200 rounded-2xl px-4 py-3">
+                    {mine.review.status === 'pending'
+                        ? 'Your review is waiting for approval.'
+                        : 'Your review was not published. You can edit and resubmit it.'}
+                </p>
+            )}
+
+            <div className="grid md:grid-cols-3 gap-10">
+                {/* Summary */}
+                <div>
+                    <div className="flex items-end gap-3 mb-2">
+                        <span className="font-serif text-5xl text-charcoal">{summary.count ? summary.average.toFixed(1) : '–'}</span>
+                        <span className="font-sans text-sm text-charcoal-muted mb-2">out of 5</span>
+                    </div>
+                    <Stars rating={summary.average} size="w-5 h-5" />
+                    <p className="font-sans text-sm text-charcoal-muted mt-1 mb-5">{summary.count} verified review{summary.count === 1 ? '' : 's'}</p>
+                    <div className="space-y-2">
+                        {[5, 4, 3, 2, 1].map(star => {
+                            const count = summary.distribution?.[star] || 0;
+                            const pct = summary.count ? Math.round((count / summary.count) * 100) : 0;
+                            return (
+                                <button key={star} onClick={() => setRatingFilter(ratingFilter === star ? null : star)}
+                                    className={`w-full flex items-center gap-2 font-sans text-xs rounded-lg px-1 py-0.5 transition-colors ${ratingFilter === star ? 'bg-cream-200' : 'hover:bg-cream-200'}`}>
+                                    <span className="w-8 text-charcoal">{star} ★</span>
+                                    <span className="flex-1 h-2 bg-cream-300 rounded-full overflow-hidden">
+                                        <span className="block h-full bg-gold" style={{ width: `${pct}%` }} />
+                                    </span>
+                                    <span className="w-8 text-right text-charcoal-muted">{count}</span>
+                                </button>
+                            );
+                        })}
+                    </div>
+                </div>
+
+                {/* List */}
+                <div className="md:col-span-2">
+                    <div className="flex flex-wrap items-center gap-3 mb-6">
+                        <select value={sort} onChange={e => setSort(e.target.value)} className="input-field py-2 text-sm w-auto">
+                            {SORT_OPTIONS.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                        </select>
+                        <button onClick={() => setWithPhotos(w => !w)}
+                            className={`px-3 py-1.5 text-xs font-sans border rounded-full flex items-center gap-1 transition-colors ${withPhotos ? 'bg-charcoal text-white border-charcoal' : 'border-cream-300 text-charcoal hover:border-charcoal'}`}>
+                            <FiCamera className="w-3 h-3" /> With photos
+                        </button>
+                        {ratingFilter && (
+                            <button onClick={() => setRatingFilter(null)}
+                                className="px-3 py-1.5 text-xs font-sans border rounded-full flex items-center gap-1 bg-charcoal text-white border-charcoal">
+                                {ratingFilter} ★ only <FiX className="w-3 h-3" />
+                            </button>
+                        )}
+                    </div>
+
+                    {data.reviews.length === 0 ? (
+                        <p className="font-sans text-charcoal-muted">
+                            {summary.count ? 'No reviews match these filters.' : 'No reviews yet. Customers who bought this can review it once it is delivered.'}
+                        </p>
+                    ) : (
+                        <div className="space-y-6">
+                            {data.reviews.map(r => (
+                                <div key={r._id} className="border-b border-cream-300 pb-6">
+                                    <div className="flex items-center gap-3 mb-2">
+                                        <Stars rating={r.rating} />
+                                        {r.title && <p className="font-sans text-sm font-semibold text-charcoal">{r.title}</p>}
+                                    </div>
+                                    <p className="font-sans text-xs text-charcoal-muted mb-3 flex items-center gap-1">
+                                        {r.user?.name || 'Customer'}
+                                        {' • '}{new Date(r.createdAt).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}
+                                        {' • '}<FiCheckCircle className="w-3 h-3 text-green-600" /> <span className="text-green-600">Verified purchase</span>
+                                        {r.size && ` • Size ${r.size}`}
+                                    </p>
+                                    {r.comment && <p className="font-sans text-sm text-charcoal leading-relaxed whitespace-pre-line">{r.comment}</p>}
+                                    {r.photos?.length > 0 && (
+                                        <div className="flex flex-wrap gap-2 mt-3">
+                                            {r.photos.map(p => (
+                                                <a key={p} href={getMediaUrl(p)} target="_blank" rel="noreferrer">
+                                                    <img src={getMediaUrl(p)} alt="" className="w-20 h-20 rounded-xl object-cover" />
+                                                </a>
+                                            ))}
+                                        </div>
+                                    )}
+                                    {r.user?._id !== user?._id && (
+                                        <button onClick={() => markHelpful(r)}
+                                            className={`mt-3 flex items-center gap-1.5 font-sans text-xs transition-colors ${voted[r._id] ? 'text-charcoal font-medium' : 'text-charcoal-muted hover:text-charcoal'}`}>
+                                            <FiThumbsUp className="w-3.5 h-3.5" /> Helpful{r.helpfulCount > 0 && ` (${r.helpfulCount})`}
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                            {page < data.pages && (
+                                <button onClick={() => fetchReviews(page + 1)} className="btn-secondary text-sm">Show more reviews</button>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* Review form */}
+            <AnimatePresence>
+                {showForm && (
+                    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+                        className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+                        <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }}
+                            className="bg-white rounded-2xl w-full max-w-md max-h-[90vh] overflow-y-auto">
+                            <div className="flex items-center justify-between p-6 border-b border-cream-200">
+                                <h2 className="font-serif text-2xl text-charcoal">{mine.review ? 'Edit Review' : 'Write a Review'}</h2>
+                                <button onClick={() => setShowForm(false)} className="p-2 hover:bg-cream-100 rounded-full"><FiX /></button>
+                            </div>
+                            <form onSubmit={handleSubmit} className="p-6 space-y-5">
+                                <div>
+                                    <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Rating *</label>
+                                    <Stars rating={form.rating} size="w-7 h-7" onPick={n => setForm(f => ({ ...f, rating: n }))} />
+                                </div>
+                                <div>
+                                    <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Title</label>
+                                    <input value={form.title} onChange={e => setForm(f => ({ ...f, title: e.target.value }))}
+                                        className="input-field" maxLength={120} placeholder="Sum it up in a few words" />
+                                </div>
+                                <div>
+                                    <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Review</label>
+                                    <textarea value={form.comment} onChange={e => setForm(f => ({ ...f, comment: e.target.value }))}
+                                        className="input-field" rows={4} maxLength={2000} placeholder="Fit, fabric, colour..." />
+                                </div>
+                                <div>
+                                    <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">
+                                        Photos ({photos.length}/{MAX_PHOTOS}){mine.review?.photos?.length > 0 && ' - replaces your current photos'}
+                                    </label>
+                                    <div className="flex flex-wrap gap-2">
+                                        {photos.map((p, i) => (
+                                            <div key={i} className="relative w-16 h-16">
+                                                <img src={URL.createObjectURL(p)} alt="" className="w-16 h-16 rounded-lg object-cover" />
+                                                <button type="button" onClick={() => setPhotos(list => list.filter((_, j) => j !== i))}
+                                                    className="absolute -top-2 -right-2 w-5 h-5 bg-red-500 text-white rounded-full flex items-center justify-center">
+                                                    <FiX className="w-3 h-3" />
+                                                </button>
+                                            </div>
+                                        ))}
+                                        {photos.length < MAX_PHOTOS && (
+                                            <label className="w-16 h-16 rounded-lg border-2 border-dashed border-cream-400 flex items-center justify-center cursor-pointer hover:border-charcoal">
+                                                <FiCamera className="text-charcoal-muted" />
+                                                <input type="file" accept="image/*" multiple onChange={handlePhotos} className="hidden" />
+                                            </label>
+                                        )}
+                                    </div>
+                                </div>
+                                <div className="flex gap-4 pt-2">
+                                    <button type="button" onClick={() => setShowForm(false)} className="btn-secondary flex-1">Cancel</button>
+                                    <button type="submit" disabled={submitting} className="btn-primary flex-1 disabled:opacity-70">
+                                        {submitting ? 'Submitting...' : 'Submit'}
+                                    </button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </section>
+    );
+}
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiX } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const REFUND_STYLES = {
+    processed: 'bg-green-100 text-green-700',
+    pending: 'bg-amber-100 text-amber-700',
+    failed: 'bg-red-100 text-red-700'
+};
+
+// Admin: full / partial Razorpay refund of an order, with the refunds issued so far
+export default function RefundModal({ isOpen, order, onClose, onRefunded }) {
+    const [history, setHistory] = useState({ refunds: [], paid: 0, refundable: 0 });
+    const [full, setFull] = useState(true);
+    const [amount, setAmount] = useState('');
+    const [reason, setReason] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen || !order) return;
+        setFull(true);
+        setAmount('');
+        setReason('');
+        api.get(`/payment/admin/orders/${order._id}/refunds`)
+            .then(({ data }) => setHistory(data))
+            .catch(() => toast.error('Could not load refunds'));
+    }, [isOpen, order?._id]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!full && !(Number(amount) > 0)) return toast.error('Enter the amount to refund');
+        if (!confirm(`Refund ₹${full ? history.refundable : amount} to the customer? This cannot be undone.`)) return;
+
+        setSubmitting(true);
+        try {
+            const { data } = await api.post(`/payment/admin/orders/${order._id}/refund`, {
+                amount: full ? undefined : Number(amount),
+                reason
+            });
+            toast.success(data.message);
+            onRefunded?.(data);
+            onClose();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Refund failed');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && order && (
+                <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+                    className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+                    <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }}
+                        className="bg-white rounded-2xl w-full max-w-md max-h-[90vh] overflow-y-auto">
+                        <div className="flex items-center justify-between p-6 border-b border-cream-200">
+                            <div>
+                                <h2 className="font-serif text-2xl text-charcoal">Refund</h2>
+                                <p className="font-sans text-xs text-charcoal-muted">Order #{order.orderNumber} • Paid ₹{history.paid.toLocaleString()}</p>
+                            </div>
+                            <button onClick={onClose} className="p-2 hover:bg-cream-100 rounded-full"><FiX /></button>
+                        </div>
+
+                        <div className="p-6 space-y-5">
+                            {history.refunds.length > 0 && (
+                                <div className="space-y-2">
+                                    {history.refunds.map(r => (
+                                        <div key={r._id} className="flex items-center justify-between bg-cream-100 rounded-xl p-3 text-sm font-sans">
+                                            <div>
+                                                <p className="text-charcoal font-medium">₹{r.amount.toLocaleString()} <span className="text-xs text-charcoal-muted">{r.refundId}</span></p>
+                                                <p className="text-xs text-charcoal-muted">{new Date(r.createdAt).toLocaleString('en-IN')}{r.reason ? ` • ${r.reason}` : ''}</p>
+                                                {r.error && <p className="text-xs text-red-600">{r.error}</p>}
+                                            </div>
+                                            <span className={`text-xs px-2 py-1 rounded-full ${REFUND_STYLES[r.status]}`}>{r.status}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {history.refundable > 0 ? (
+                                <form onSubmit={handleSubmit} className="space-y-4">
+                                    <div className="grid grid-cols-2 gap-3">
+                                        {[{ id: true, label: `Full (₹${history.refundable.toLocaleString()})` }, { id: false, label: 'Partial' }].map(o => (
+                                            <button type="button" key={String(o.id)} onClick={() => setFull(o.id)}
+                                                className={`py-2.5 rounded-xl border font-sans text-sm transition-colors ${full === o.id ? 'bg-charcoal text-white border-charcoal' : 'border-cream-300 text-charcoal hover:border-charcoal'}`}>
+                                                {o.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    {!full && (
+                                        <div>
+                                            <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Amount (₹)</label>
+                                            <input type="number" min="1" step="0.01" max={history.refundable} value={amount}
+                                                onChange={e => setAmount(e.target.value)} className="input-field" required />
+                                        </div>
+                                    )}
+                                    <div>
+                                        <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Reason</label>
+                                        <input value={reason} onChange={e => setReason(e.target.value)} className="input-field" placeholder="e.g. Item out of stock" />
+                                    </div>
+                                    <div className="flex gap-4 pt-2">
+                                        <button type="button" onClick={onClose} className="btn-secondary flex-1">Cancel</button>
+                                        <button type="submit" disabled={submitting} className="btn-primary flex-1 disabled:opacity-70">
+                                            {submitting ? 'Refunding...' : 'Refund'}
+                                        </button>
+                                    </div>
+                                </form>
+                            ) : (
+                                <p className="font-sans text-sm text-charcoal-muted text-center">Nothing left to refund on this order.</p>
+                            )}
+                        </div>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
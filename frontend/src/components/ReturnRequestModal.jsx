@@ -0,0 +1,192 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiX, FiCamera, FiRefreshCw, FiRotateCcw } from 'react-icons/fi';
+import api, { getMediaUrl } from '../utils/api';
+import toast from 'react-hot-toast';
+
+const REASONS = ['Size too small', 'Size too large', 'Damaged / defective', 'Wrong item received', 'Not as described', 'Other'];
+const MAX_PHOTOS = 5;
+
+export default function ReturnRequestModal({ isOpen, order, onClose, onCreated }) {
+    const [type, setType] = useState('exchange');
+    const [reason, setReason] = useState(REASONS[0]);
+    const [comment, setComment] = useState('');
+    const [selected, setSelected] = useState({});   // itemId → { quantity, exchangeSize, exchangeColor }
+    const [products, setProducts] = useState({});   // productId → product (sizes/colors for exchanges)
+    const [photos, setPhotos] = useState([]);
+    const [submitting, setSubmitting] = useState(false);
+
+    const returnableItems = (order?.items || []).filter(i => i.product);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setSelected({});
+        setPhotos([]);
+        setComment('');
+        // Load size / color options for the exchange picker
+        Promise.all(returnableItems.map(i => api.get(`/products/${i.product}`).then(r => r.data).catch(() => null)))
+            .then(list => setProducts(Object.fromEntries(list.filter(Boolean).map(p => [p._id, p]))));
+    }, [isOpen, order?._id]);
+
+    const toggleItem = (item) => setSelected(s => {
+        if (s[item._id]) {
+            const { [item._id]: _, ...rest } = s;
+            return rest;
+        }
+        return { ...s, [item._id]: { quantity: 1, exchangeSize: '', exchangeColor: item.color || '' } };
+    });
+
+    const updateItem = (id, field, value) => setSelected(s => ({ ...s, [id]: { ...s[id], [field]: value } }));
+
+    const handlePhotos = (e) => {
+        const files = Array.from(e.target.files || []);
+        setPhotos(p => [...p, ...files].slice(0, MAX_PHOTOS));
+        e.target.value = '';
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const items = Object.entries(selected).map(([itemId, v]) => ({ itemId, ...v }));
+        if (!items.length) return toast.error('Select at least one item');
+        if (type === 'exchange' && items.some(i => !i.exchangeSize)) return toast.error('Choose the size you want instead');
+
+        setSubmitting(true);
+        try {
+            const fd = new FormData();
+            fd.append('orderId', order._id);
+            fd.append('type', type);
+            fd.append('reason', reason);
+            fd.append('comment', comment);
+            fd.append('items', JSON.stringify(items));
+            photos.forEach(p => fd.append('photos', p));
+            const { data } = await api.post('/returns', fd, { headers: { 'Content-Type': 'multipart/form-data' } });
+            toast.success(`Request ${data.rmaNumber} submitted!`);
+            onCreated?.(data);
+            onClose();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not submit request');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+                    className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+                    <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }}
+                        className="bg-white rounded-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+                        <div className="flex items-center justify-between p-6 border-b border-cream-200">
+                            <div>
+                                <h2 className="font-serif text-2xl text-charcoal">Return or Exchange</h2>
+                                <p className="font-sans text-xs text-charcoal-muted">Order #{order?.orderNumber}</p>
+                            </div>
+                            <button onClick={onClose} className="p-2 hover:bg-cream-100 rounded-full"><FiX /></button>
+                        </div>
+
+                        <form onSubmit={handleSubmit} className="p-6 space-y-5">
+                            {/* Type */}
+                            <div className="grid grid-cols-2 gap-3">
+                                {[
+                                    { id: 'exchange', label: 'Exchange size', icon: FiRefreshCw },
+                                    { id: 'return', label: 'Return for refund', icon: FiRotateCcw }
+                                ].map(t => (
+                                    <button type="button" key={t.id} onClick={() => setType(t.id)}
+                                        className={`flex items-center justify-center gap-2 py-3 rounded-xl border font-sans text-sm transition-colors ${type === t.id ? 'bg-charcoal text-white border-charcoal' : 'border-cream-300 text-charcoal hover:border-charcoal'}`}>
+                                        <t.icon className="w-4 h-4" /> {t.label}
+                                    </button>
+                                ))}
+                            </div>
+
+                            {/* Items */}
+                            <div className="space-y-3">
+                                {returnableItems.map(item => {
+                                    const sel = selected[item._id];
+                                    const product = products[item.product];
+                                    return (
+                                        <div key={item._id} className={`rounded-2xl p-3 border ${sel ? 'border-gold bg-gold/5' : 'border-cream-200 bg-cream-100'}`}>
+                                            <label className="flex items-center gap-3 cursor-pointer">
+                                                <input type="checkbox" checked={!!sel} onChange={() => toggleItem(item)} className="accent-gold w-4 h-4" />
+                                                <img src={getMediaUrl(item.image) || `https://placehold.co/40x48/F5F0E8/4A3728?text=${encodeURIComponent(item.name || 'Item')}`}
+                                                    alt={item.name} className="w-10 h-12 rounded-lg object-cover" />
+                                                <div className="flex-1">
+                                                    <p className="font-serif text-sm text-charcoal">{item.name}</p>
+                                                    <p className="font-sans text-xs text-charcoal-muted">Size: {item.size}{item.color ? ` | ${item.color}` : ''} | Qty: {item.quantity}</p>
+                                                </div>
+                                            </label>
+                                            {sel && (
+                                                <div className="flex flex-wrap gap-3 mt-3 pl-7">
+                                                    {item.quantity > 1 && (
+                                                        <select className="input-field py-1.5 text-sm w-24" value={sel.quantity}
+                                                            onChange={e => updateItem(item._id, 'quantity', Number(e.target.value))}>
+                                                            {Array.from({ length: item.quantity }, (_, n) => <option key={n + 1} value={n + 1}>Qty {n + 1}</option>)}
+                                                        </select>
+                                                    )}
+                                                    {type === 'exchange' && (
+                                                        <>
+                                                            <select className="input-field py-1.5 text-sm w-32" value={sel.exchangeSize}
+                                                                onChange={e => updateItem(item._id, 'exchangeSize', e.target.value)}>
+                                                                <option value="">New size…</option>
+                                                                {(product?.sizes || []).map(s => <option key={s} value={s}>{s}</option>)}
+                                                            </select>
+                                                            {product?.colors?.length > 1 && (
+                                                                <select className="input-field py-1.5 text-sm w-32" value={sel.exchangeColor}
+                                                                    onChange={e => updateItem(item._id, 'exchangeColor', e.target.value)}>
+                                                                    {product.colors.map(c => <option key={c} value={c}>{c}</option>)}
+                                                                </select>
+                                                            )}
+                                                        </>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+
+                            {/* Reason */}
+                            <div>
+                                <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Reason</label>
+                                <select className="input-field" value={reason} onChange={e => setReason(e.target.value)}>
+                                    {REASONS.map(r => <option key={r} value={r}>{r}</option>)}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Details (optional)</label>
+                                <textarea className="input-field" rows={3} maxLength={1000} value={comment} onChange={e => setComment(e.target.value)} />
+                            </div>
+
+                            {/* Photos */}
+                            <div>
+                                <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Photos ({photos.length}/{MAX_PHOTOS})</label>
+                                <div className="flex flex-wrap gap-2">
+                                    {photos.map((p, i) => (
+                                        <div key={i} className="relative w-16 h-16">
+                                            <img src={URL.createObjectURL(p)} alt="" className="w-16 h-16 rounded-lg object-cover" />
+                                            <button type="button" onClick={() => setPhotos(ps => ps.filter((_, idx) => idx !== i))}
+                                                className="absolute -top-1 -right-1 bg-charcoal text-white rounded-full p-0.5"><FiX size={10} /></button>
+                                        </div>
+                                    ))}
+                                    {photos.length < MAX_PHOTOS && (
+                                        <label className="w-16 h-16 rounded-lg border-2 border-dashed border-cream-300 flex items-center justify-center cursor-pointer hover:border-gold text-charcoal-muted">
+                                            <FiCamera />
+                                            <input type="file" accept="image/*" multiple className="hidden" onChange={handlePhotos} />
+                                        </label>
+                                    )}
+                                </div>
+                            </div>
+
+                            <div className="flex gap-4 pt-2">
+                                <button type="button" onClick={onClose} className="btn-secondary flex-1">Cancel</button>
+                                <button type="submit" disabled={submitting} className="btn-primary flex-1 disabled:opacity-70">
+                                    {submitting ? 'Submitting...' : 'Submit Request'}
+                                </button>
+                            </div>
+                        </form>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,123 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiSearch, FiX } from 'react-icons/fi';
+import api, { getMediaUrl } from '../utils/api';
+
+// Search box with autocomplete - Enter / a suggestion opens /search?q=...
+export default function SearchBar({ className = '', onDone }) {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [params] = useSearchParams();
+    const [text, setText] = useState('');
+    const [open, setOpen] = useState(false);
+    const [results, setResults] = useState({ suggestions: [], products: [] });
+    const [highlight, setHighlight] = useState(-1);
+    const boxRef = useRef(null);
+
+    // Keep the box in step with the results page
+    useEffect(() => {
+        if (location.pathname === '/search') setText(params.get('q') || '');
+    }, [location.pathname, params]);
+
+    // Debounced suggestions
+    useEffect(() => {
+        const q = text.trim();
+        if (q.length < 2) { setResults({ suggestions: [], products: [] }); return; }
+        const timer = setTimeout(() => {
+            api.get('/products/search/suggest', { params: { q, limit: 5 } })
+                .then(({ data }) => { setResults(data); setHighlight(-1); })
+                .catch(() => { });
+        }, 200);
+        return () => clearTimeout(timer);
+    }, [text]);
+
+    useEffect(() => {
+        const close = (e) => { if (!boxRef.current?.contains(e.target)) setOpen(false); };
+        document.addEventListener('mousedown', close);
+        return () => document.removeEventListener('mousedown', close);
+    }, []);
+
+    const go = (q) => {
+        if (!q.trim()) return;
+        setText(q);
+        setOpen(false);
+        navigate(`/search?q=${encodeURIComponent(q.trim())}`);
+        onDone?.();
+    };
+
+    const openProduct = (id) => {
+        setOpen(false);
+        navigate(`/product/${id}`);
+        onDone?.();
+    };
+
+    const options = [
+        ...results.suggestions.map(s => ({ type: 'query', value: s })),
+        ...results.products.map(p => ({ type: 'product', value: p }))
+    ];
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') { e.preventDefault(); setOpen(true); setHighlight(h => Math.min(options.length - 1, h + 1)); }
+        else if (e.key === 'ArrowUp') { e.preventDefault(); setHighlight(h => Math.max(-1, h - 1)); }
+        else if (e.key === 'Escape') setOpen(false);
+        else if (e.key === 'Enter') {
+            e.preventDefault();
+            const option = options[highlight];
+            if (option?.type === 'product') openProduct(option.value._id);
+            else go(option?.value || text);
+        }
+    };
+
+    const showDropdown = open && text.trim().length >= 2 && options.length > 0;
+
+    return (
+        <div ref={boxRef} className={`relative ${className}`}>
+            <div className="flex items-center gap-2 bg-white/70 border border-cream-300 rounded-full px-4 py-2 focus-within:border-gold transition-colors">
+                <FiSearch className="w-4 h-4 text-charcoal-muted flex-shrink-0" />
+                <input
+                    value={text}
+                    onChange={e => { setText(e.target.value); setOpen(true); }}
+                    onFocus={() => setOpen(true)}
+                    onKeyDown={handleKeyDown}
+                    placeholder="Search co-ords, dresses, linen…"
+                    className="w-full bg-transparent font-sans text-sm text-charcoal placeholder:text-charcoal-muted focus:outline-none"
+                    aria-label="Search products"
+                />
+                {text && (
+                    <button onClick={() => { setText(''); setOpen(false); }} className="text-charcoal-muted hover:text-charcoal" aria-label="Clear search">
+                        <FiX className="w-4 h-4" />
+                    </button>
+                )}
+            </div>
+
+            <AnimatePresence>
+                {showDropdown && (
+                    <motion.div
+                        initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 6 }}
+                        className="absolute left-0 right-0 top-12 bg-cream-50 rounded-2xl shadow-medium border border-cream-300 overflow-hidden z-50"
+                    >
+                        {options.map((option, i) => option.type === 'query' ? (
+                            <button key={`q-${option.value}`} onMouseDown={() => go(option.value)}
+                                className={`w-full flex items-center gap-3 px-4 py-2.5 text-left font-sans text-sm text-charcoal ${highlight === i ? 'bg-cream-200' : 'hover:bg-cream-200'}`}>
+                                <FiSearch className="w-3.5 h-3.5 text-charcoal-muted" />
+                                {option.value}
+                            </button>
+                        ) : (
+                            <button key={option.value._id} onMouseDown={() => openProduct(option.value._id)}
+                                className={`w-full flex items-center gap-3 px-4 py-2 text-left border-t border-cream-200 ${highlight === i ? 'bg-cream-200' : 'hover:bg-cream-200'}`}>
+                                <div className="w-9 h-11 rounded-lg overflow-hidden bg-cream-200 flex-shrink-0">
+                                    {option.value.image && <img src={getMediaUrl(option.value.image)} alt="" className="w-full h-full object-cover" />}
+                                </div>
+                                <div className="min-w-0">
+                                    <p className="font-sans text-sm text-charcoal truncate">{option.value.name}</p>
+                                    <p className="font-sans text-xs text-charcoal-muted">{option.value.category} · ₹{option.value.price?.toLocaleString()}</p>
+                                </div>
+                            </button>
+                        ))}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiX, FiPlus, FiTrash2, FiRefreshCw } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const emptyPackage = { awbNumber: '', weight: '', description: '' };
+
+// Admin: courier + AWB numbers for an order, optionally marking it shipped
+export default function ShipmentModal({ isOpen, order, onClose, onSaved }) {
+    const [couriers, setCouriers] = useState([]);
+    const [form, setForm] = useState({ courier: '', courierName: '', trackingUrlTemplate: '', expectedDeliveryDate: '' });
+    const [packages, setPackages] = useState([emptyPackage]);
+    const [saving, setSaving] = useState(false);
+    const [syncing, setSyncing] = useState(false);
+
+    const canShip = ['PAID', 'PLACED'].includes(order?.status);
+    const selectedCourier = couriers.find(c => c.code === form.courier);
+
+    useEffect(() => {
+        if (!isOpen || !order) return;
+        api.get('/orders/couriers').then(({ data }) => {
+            setCouriers(data);
+            const shipment = order.shipment;
+            setForm({
+                courier: shipment?.courier || data[0]?.code || 'other',
+                courierName: shipment?.courierName || '',
+                trackingUrlTemplate: shipment?.trackingUrlTemplate || '',
+                expectedDeliveryDate: shipment?.expectedDeliveryDate ? shipment.expectedDeliveryDate.slice(0, 10) : ''
+            });
+        }).catch(() => toast.error('Could not load couriers'));
+        setPackages(order.shipment?.packages?.length
+            ? order.shipment.packages.map(p => ({ awbNumber: p.awbNumber, weight: p.weight || '', description: p.description || '' }))
+            : [emptyPackage]);
+    }, [isOpen, order?._id]);
+
+    // Picking a courier with an adapter fills its name and tracking link
+    const selectCourier = (code) => {
+        const courier = couriers.find(c => c.code === code);
+        setForm(f => ({
+            ...f,
+            courier: code,
+            courierName: courier?.trackable ? courier.name : '',
+            trackingUrlTemplate: courier?.trackingUrlTemplate || ''
+        }));
+    };
+
+    const updatePackage = (idx, field, value) => setPackages(list => list.map((p, i) => (i === idx ? { ...p, [field]: value } : p)));
+
+    const save = async (markShipped) => {
+        if (packages.some(p => !p.awbNumber.trim())) return toast.error('Enter an AWB number for every package');
+        setSaving(true);
+        try {
+            const { data } = await api.put(`/orders/${order._id}/shipment`, { ...form, packages, markShipped });
+            toast.success(markShipped ? 'Order marked as SHIPPED' : 'Shipment saved');
+            onSaved?.(data);
+            onClose();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not save shipment');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const syncTracking = async () => {
+        setSyncing(true);
+        try {
+            const { data } = await api.post(`/orders/${order._id}/shipment/sync`);
+            toast.success(data.shipment?.syncError ? `Courier error: ${data.shipment.syncError}` : `Tracking: ${data.shipment?.status || 'no updates'}`);
+            onSaved?.(data);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not refresh tracking');
+        } finally {
+            setSyncing(false);
+        }
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && order && (
+                <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+                    className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+                    <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }}
+                        className="bg-white rounded-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+                        <div className="flex items-center justify-between p-6 border-b border-cream-200">
+                            <div>
+                                <h2 className="font-serif text-2xl text-charcoal">Shipment</h2>
+                                <p className="font-sans text-xs text-charcoal-muted">
+                                    Order #{order.orderNumber} • {order.shippingAddress?.city} {order.shippingAddress?.pincode}
+                                    {order.shipment?.status && ` • Tracking: ${order.shipment.status}`}
+                                </p>
+                            </div>
+                            <button onClick={onClose} className="p-2 hover:bg-cream-100 rounded-full"><FiX /></button>
+                        </div>
+
+                        <form onSubmit={e => { e.preventDefault(); save(canShip); }} className="p-6 space-y-5">
+                            <div className="grid grid-cols-2 gap-3">
+                                <div>
+                                    <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Courier</label>
+                                    <select value={form.courier} onChange={e => selectCourier(e.target.value)} className="input-field">
+                                        {couriers.map(c => <option key={c.code} value={c.code}>{c.name}</option>)}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Expected Delivery</label>
+                                    <input type="date" value={form.expectedDeliveryDate}
+                                        onChange={e => setForm(f => ({ ...f, expectedDeliveryDate: e.target.value }))} className="input-field" />
+                                </div>
+                            </div>
+
+                            {!selectedCourier?.trackable && (
+                                <>
+                                    <div>
+                                        <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Courier Name</label>
+                                        <input value={form.courierName} onChange={e => setForm(f => ({ ...f, courierName: e.target.value }))}
+                                            className="input-field" placeholder="e.g. Delhivery" required />
+                                    </div>
+                                    <div>
+                                        <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Tracking URL</label>
+                                        <input value={form.trackingUrlTemplate} onChange={e => setForm(f => ({ ...f, trackingUrlTemplate: e.target.value }))}
+                                            className="input-field" placeholder="https://courier.example/track?awb={awb}" />
+                                        <p className="font-sans text-xs text-charcoal-muted mt-1">{'{awb}'} is replaced with each package's AWB number</p>
+                                    </div>
+                                </>
+                            )}
+
+                            <div>
+                                <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Packages</label>
+                                <div className="space-y-2">
+                                    {packages.map((p, idx) => (
+                                        <div key={idx} className="grid grid-cols-12 gap-2 items-center">
+                                            <input value={p.awbNumber} onChange={e => updatePackage(idx, 'awbNumber', e.target.value)}
+                                                className="input-field col-span-5 py-2 text-sm" placeholder="AWB number" required />
+                                            <input type="number" min="0" step="0.01" value={p.weight} onChange={e => updatePackage(idx, 'weight', e.target.value)}
+                                                className="input-field col-span-2 py-2 text-sm" placeholder="kg" />
+                                            <input value={p.description} onChange={e => updatePackage(idx, 'description', e.target.value)}
+                                                className="input-field col-span-4 py-2 text-sm" placeholder="Contents" />
+                                            <button type="button" onClick={() => setPackages(list => list.filter((_, i) => i !== idx))}
+                                                disabled={packages.length === 1}
+                                                className="col-span-1 p-2 text-red-500 hover:bg-red-50 rounded-full disabled:opacity-30">
+                                                <FiTrash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                                <button type="button" onClick={() => setPackages(list => [...list, emptyPackage])}
+                                    className="mt-2 flex items-center gap-1 font-sans text-sm text-charcoal hover:text-gold-dark">
+                                    <FiPlus className="w-4 h-4" /> Add package
+                                </button>
+                            </div>
+
+                            {order.shipment?.syncError && (
+                                <p className="font-sans text-xs text-red-600">Last tracking sync failed: {order.shipment.syncError}</p>
+                            )}
+
+                            <div className="flex gap-4 pt-2">
+                                {order.shipment?.awbNumber && selectedCourier?.trackable && order.status === 'SHIPPED' && (
+                                    <button type="button" onClick={syncTracking} disabled={syncing}
+                                        className="btn-secondary flex items-center justify-center gap-2 disabled:opacity-70">
+                                        <FiRefreshCw className={`w-4 h-4 ${syncing ? 'animate-spin' : ''}`} /> Sync
+                                    </button>
+                                )}
+                                {canShip && (
+                                    <button type="button" onClick={() => save(false)} disabled={saving} className="btn-secondary flex-1 disabled:opacity-70">
+                                        Save only
+                                    </button>
+                                )}
+                                <button type="submit" disabled={saving} className="btn-primary flex-1 disabled:opacity-70">
+                                    {saving ? 'Saving...' : canShip ? 'Save & Mark Shipped' : 'Save'}
+                                </button>
+                            </div>
+                        </form>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
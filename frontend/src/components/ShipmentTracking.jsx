@@ -0,0 +1,86 @@
+import { useState, useEffect } from 'react';
+import { FiTruck, FiExternalLink, FiMapPin } from 'react-icons/fi';
+import api from '../utils/api';
+
+const TRACKING_LABELS = {
+    SHIPPED: 'Shipped', PICKED_UP: 'Picked up', IN_TRANSIT: 'In transit',
+    OUT_FOR_DELIVERY: 'Out for delivery', DELIVERED: 'Delivered', EXCEPTION: 'Delivery issue'
+};
+
+const label = (status) => TRACKING_LABELS[status] || String(status || '').replace(/_/g, ' ').toLowerCase();
+
+// Customer: courier, AWB links and the tracking timeline of a shipped order
+export default function ShipmentTracking({ orderId }) {
+    const [tracking, setTracking] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        setLoading(true);
+        api.get(`/orders/${orderId}/tracking`)
+            .then(({ data }) => setTracking(data))
+            .catch(() => setTracking(null))
+            .finally(() => setLoading(false));
+    }, [orderId]);
+
+    if (loading) return <p className="mb-4 font-sans text-sm text-charcoal-muted">Loading tracking...</p>;
+    const shipment = tracking?.shipment;
+    if (!shipment) return null;
+
+    const events = [...(shipment.events || [])].reverse();
+    const multiPackage = shipment.packages.length > 1;
+
+    return (
+        <div className="mb-4 p-4 bg-cream-100 rounded-2xl font-sans">
+            <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+                <div>
+                    <p className="text-sm text-charcoal font-semibold flex items-center gap-2">
+                        <FiTruck className="w-4 h-4" /> {shipment.courierName}
+                        {shipment.status && (
+                            <span className={`text-xs px-2 py-0.5 rounded-full ${shipment.status === 'EXCEPTION' ? 'bg-red-100 text-red-700' : 'bg-blue-100 text-blue-700'}`}>
+                                {label(shipment.status)}
+                            </span>
+                        )}
+                    </p>
+                    {shipment.expectedDeliveryDate && tracking.status !== 'DELIVERED' && (
+                        <p className="text-xs text-charcoal-muted mt-1">
+                            Expected by {new Date(shipment.expectedDeliveryDate).toLocaleDateString('en-IN', { weekday: 'short', day: '2-digit', month: 'short' })}
+                        </p>
+                    )}
+                </div>
+                <div className="space-y-1 text-right">
+                    {shipment.packages.map((p, i) => (
+                        <p key={p.awbNumber} className="text-xs text-charcoal-muted">
+                            {multiPackage && `Package ${i + 1} • `}AWB{' '}
+                            {p.trackingUrl ? (
+                                <a href={p.trackingUrl} target="_blank" rel="noopener noreferrer" className="text-charcoal font-medium underline inline-flex items-center gap-1">
+                                    {p.awbNumber} <FiExternalLink className="w-3 h-3" />
+                                </a>
+                            ) : <span className="text-charcoal font-medium">{p.awbNumber}</span>}
+                            {multiPackage && ` • ${label(p.status)}`}
+                        </p>
+                    ))}
+                </div>
+            </div>
+
+            {events.length > 0 ? (
+                <ol className="relative border-l-2 border-cream-300 ml-2 space-y-3">
+                    {events.map((e, i) => (
+                        <li key={`${e.awbNumber}-${e.status}-${e.timestamp}`} className="relative ml-4">
+                            <span className={`absolute -left-[23px] top-1.5 w-3 h-3 rounded-full ${i === 0 ? 'bg-charcoal' : 'bg-cream-400'}`} />
+                            <p className={`text-sm ${i === 0 ? 'text-charcoal font-medium' : 'text-charcoal-muted'}`}>
+                                {e.description || label(e.status)}
+                            </p>
+                            <p className="text-xs text-charcoal-muted flex items-center gap-1">
+                                {new Date(e.timestamp).toLocaleString('en-IN', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                                {e.location && <><FiMapPin className="w-3 h-3 ml-1" /> {e.location}</>}
+                                {multiPackage && ` • ${e.awbNumber}`}
+                            </p>
+                        </li>
+                    ))}
+                </ol>
+            ) : (
+                <p className="text-sm text-charcoal-muted">Tracking updates will appear here once the courier scans your package.</p>
+            )}
+        </div>
+    );
+}
@@ -9,13 +9,34 @@ export function AuthProvider({ children }) {
     });
     const [loading, setLoading] = useState(false);
 
+    // Keep the token pair + user from a sign-in response
+    const saveSession = (data) => {
+        localStorage.setItem('tcs_token', data.token);
+        localStorage.setItem('tcs_refresh', data.refreshToken);
+        const { token, refreshToken, ...profile } = data;
+        localStorage.setItem('tcs_user', JSON.stringify(profile));
+        setUser(profile);
+    };
+
     const login = async (emailOrPhone, password) => {
         setLoading(true);
         try {
             const { data } = await api.post('/auth/login', { emailOrPhone, password });
-            localStorage.setItem('tcs_token', data.token);
-            localStorage.setItem('tcs_user', JSON.stringify(data));
-            setUser(data);
+            saveSession(data);
+            return { success: true, data };
+        } catch (err) {
+            return { success: false, message: err.response?.data?.message || 'Login failed' };
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Passwordless: verify the SMS code (creates the account for a new number)
+    const otpLogin = async (phone, code, name) => {
+        setLoading(true);
+        try {
+            const { data } = await api.post('/auth/otp/verify', { phone, code, name });
+            saveSession(data);
             return { success: true, data };
         } catch (err) {
             return { success: false, message: err.response?.data?.message || 'Login failed' };
@@ -28,9 +49,7 @@ export function AuthProvider({ children }) {
         setLoading(true);
         try {
             const { data } = await api.post('/auth/register', { name, email, phone, password });
-            localStorage.setItem('tcs_token', data.token);
-            localStorage.setItem('tcs_user', JSON.stringify(data));
-            setUser(data);
+            saveSession(data);
             return { success: true, data };
         } catch (err) {
             return { success: false, message: err.response?.data?.message || 'Registration failed' };
@@ -43,12 +62,10 @@ export function AuthProvider({ children }) {
         setLoading(true);
         try {
             const { data } = await api.post('/auth/admin/login', { email, password });
-            localStorage.setItem('tcs_token', data.token);
-            localStorage.setItem('tcs_user', JSON.stringify(data));
+            saveSession(data);
             if (data.adminSettings) {
                 localStorage.setItem('tcs_admin_settings', JSON.stringify(data.adminSettings));
             }
-            setUser(data);
             return { success: true, data };
         } catch (err) {
             return { success: false, message: err.response?.data?.message || 'Admin login failed' };
@@ -57,24 +74,54 @@ export function AuthProvider({ children }) {
         }
     };
 
-    const logout = () => {
+    const clearLocalSession = () => {
         localStorage.removeItem('tcs_token');
+        localStorage.removeItem('tcs_refresh');
         localStorage.removeItem('tcs_user');
         localStorage.removeItem('tcs_admin_settings');
         setUser(null);
     };
 
+    // Revoke this device's session on the server too (best effort)
+    const logout = () => {
+        const refreshToken = localStorage.getItem('tcs_refresh');
+        if (refreshToken) api.post('/auth/logout', { refreshToken }).catch(() => { });
+        clearLocalSession();
+    };
+
+    const logoutAll = async () => {
+        try {
+            await api.post('/auth/logout-all');
+        } finally {
+            clearLocalSession();
+        }
+    };
+
+    // Merge fresh fields (e.g. verification flags) into the stored user
+    const updateUser = (fields) => {
+        setUser(prev => {
+            const next = { ...prev, ...fields };
+            localStorage.setItem('tcs_user', JSON.stringify(next));
+            return next;
+        });
+    };
+
     // Handle OAuth callback
-    const handleOAuthCallback = (token) => {
+    const handleOAuthCallback = (token, refreshToken) => {
         localStorage.setItem('tcs_token', token);
+        if (refreshToken) localStorage.setItem('tcs_refresh', refreshToken);
         api.get('/auth/me').then(({ data }) => {
             localStorage.setItem('tcs_user', JSON.stringify(data));
             setUser(data);
         });
     };
 
+    // Admin permissions come with the admin sign-in / `GET /auth/me`
+    // (admins signed in before roles existed have no list - the server still checks)
+    const can = (permission) => user?.role === 'admin' && (!user.permissions || user.permissions.includes(permission));
+
     return (
-        <AuthContext.Provider value={{ user, loading, login, register, adminLogin, logout, handleOAuthCallback, isAdmin: user?.role === 'admin' }}>
+        <AuthContext.Provider value={{ user, loading, login, otpLogin, register, adminLogin, logout, logoutAll, updateUser, handleOAuthCallback, can, isAdmin: user?.role === 'admin' }}>
             {children}
         </AuthContext.Provider>
     );
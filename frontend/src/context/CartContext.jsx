@@ -1,28 +1,119 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useRef } from 'react';
 import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from './AuthContext';
 
 const CartContext = createContext(null);
 
+// Guest cart lives in localStorage until login, then merges into the server cart
+const readGuestCart = () => {
+    try {
+        // Older carts keyed lines by `key`
+        return (JSON.parse(localStorage.getItem('tcs_cart')) || []).map(i => ({ ...i, id: i.id || i.key }));
+    } catch { return []; }
+};
+
+// Server lines → shape used by the UI (stable `id` for update/remove)
+const fromServer = (cart) => (cart?.items || []).map(i => ({
+    id: i._id,
+    product: typeof i.product === 'object' ? i.product?._id : i.product,
+    name: i.name,
+    price: i.price,
+    image: i.image,
+    size: i.size,
+    color: i.color,
+    sku: i.sku,
+    quantity: i.quantity,
+    available: i.available
+}));
+
 export function CartProvider({ children }) {
-    const [items, setItems] = useState(() => {
-        try { return JSON.parse(localStorage.getItem('tcs_cart')) || []; } catch { return []; }
-    });
+    const { user } = useAuth();
+    const [items, setItems] = useState(() => user ? [] : readGuestCart());
+    // A signed-in user's cart is loaded on mount - start out syncing
+    const [syncing, setSyncing] = useState(() => !!user);
+    const [coupon, setCoupon] = useState(null);
+    const [shippingConfig, setShippingConfig] = useState(null);
+    const [quote, setQuote] = useState(null);
+    const syncedUser = useRef(null);
+
+    const applyServerCart = (cart) => {
+        setItems(fromServer(cart));
+        setCoupon(cart?.coupon || null);
+        cart?.notices?.forEach(n => toast(n, { icon: 'ℹ️' }));
+    };
+
+    // On login: merge the guest cart into the server cart, then load it
+    useEffect(() => {
+        if (!user) {
+            syncedUser.current = null;
+            setItems(readGuestCart());
+            setCoupon(null);
+            return;
+        }
+        if (syncedUser.current === user._id) return;
+        syncedUser.current = user._id;
+
+        const guestItems = readGuestCart();
+        setSyncing(true);
+        const request = guestItems.length
+            ? api.post('/cart/merge', { items: guestItems.map(i => ({ productId: i.product, size: i.size, color: i.color, quantity: i.quantity })) })
+            : api.get('/cart');
+        request
+            .then(({ data }) => {
+                localStorage.removeItem('tcs_cart');
+                applyServerCart(data);
+            })
+            .catch(() => toast.error('Could not load your cart'))
+            .finally(() => setSyncing(false));
+    }, [user?._id]);
 
+    // Shipping rules - used for the estimate shown before the server quote
     useEffect(() => {
-        localStorage.setItem('tcs_cart', JSON.stringify(items));
-    }, [items]);
+        api.get('/shipping/config').then(({ data }) => setShippingConfig(data)).catch(() => { });
+    }, []);
+
+    // Real fee for the logged-in cart (zone from the saved address, coupon, slabs)
+    useEffect(() => {
+        if (!user || !items.length) { setQuote(null); return; }
+        api.post('/shipping/quote', {}).then(({ data }) => setQuote(data)).catch(() => setQuote(null));
+    }, [user?._id, items, coupon]);
+
+    // Guest cart persistence
+    useEffect(() => {
+        if (!user) localStorage.setItem('tcs_cart', JSON.stringify(items));
+    }, [items, user]);
+
+    const refreshCart = async () => {
+        if (!user) return;
+        try {
+            const { data } = await api.get('/cart');
+            applyServerCart(data);
+        } catch { }
+    };
+
+    const addToCart = async (product, size = product.sizes?.[0] || 'Free Size', color = product.colors?.[0] || '', quantity = 1) => {
+        if (user) {
+            try {
+                const { data } = await api.post('/cart/add', { productId: product._id, size, color, quantity });
+                applyServerCart(data);
+                toast.success(`${product.name} added to cart!`);
+            } catch (err) {
+                toast.error(err.response?.data?.message || 'Could not add to cart');
+            }
+            return;
+        }
 
-    const addToCart = (product, size = 'Free Size', color = '', quantity = 1) => {
         setItems(prev => {
-            const key = `${product._id}-${size}-${color}`;
-            const existing = prev.find(i => i.key === key);
+            const id = `${product._id}-${size}-${color}`;
+            const existing = prev.find(i => i.id === id);
             if (existing) {
                 toast.success('Quantity updated!');
-                return prev.map(i => i.key === key ? { ...i, quantity: i.quantity + quantity } : i);
+                return prev.map(i => i.id === id ? { ...i, quantity: i.quantity + quantity } : i);
             }
             toast.success(`${product.name} added to cart!`);
             return [...prev, {
-                key,
+                id,
                 product: product._id,
                 name: product.name,
                 price: product.price,
@@ -34,25 +125,91 @@ export function CartProvider({ children }) {
         });
     };
 
-    const removeFromCart = (key) => {
-        setItems(prev => prev.filter(i => i.key !== key));
+    const removeFromCart = async (id) => {
+        if (user) {
+            try {
+                const { data } = await api.delete(`/cart/item/${id}`);
+                applyServerCart(data);
+            } catch (err) {
+                toast.error(err.response?.data?.message || 'Could not remove item');
+                return;
+            }
+        } else {
+            setItems(prev => prev.filter(i => i.id !== id));
+        }
         toast('Item removed from cart', { icon: '🗑️' });
     };
 
-    const updateQuantity = (key, qty) => {
-        if (qty < 1) return removeFromCart(key);
-        setItems(prev => prev.map(i => i.key === key ? { ...i, quantity: qty } : i));
+    const updateQuantity = async (id, qty) => {
+        if (qty < 1) return removeFromCart(id);
+        if (user) {
+            try {
+                const { data } = await api.put(`/cart/item/${id}`, { quantity: qty });
+                applyServerCart(data);
+            } catch (err) {
+                toast.error(err.response?.data?.message || 'Could not update quantity');
+            }
+            return;
+        }
+        setItems(prev => prev.map(i => i.id === id ? { ...i, quantity: qty } : i));
+    };
+
+    // Coupons are validated by the server, so they need a logged-in cart
+    const applyCoupon = async (code) => {
+        if (!user) {
+            toast.error('Please login to apply a coupon');
+            return false;
+        }
+        try {
+            const { data } = await api.post('/cart/coupon', { code });
+            applyServerCart(data);
+            toast.success(`Coupon ${data.coupon?.code || code} applied!`);
+            return true;
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not apply coupon');
+            return false;
+        }
     };
 
-    const clearCart = () => setItems([]);
+    const removeCoupon = async () => {
+        if (!user) return;
+        try {
+            const { data } = await api.delete('/cart/coupon');
+            applyServerCart(data);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not remove coupon');
+        }
+    };
+
+    // Abandoned-cart SMS link - refills the cart and applies the reminder's coupon
+    const restoreCart = async (token) => {
+        const { data } = await api.post('/cart/recover', { token });
+        applyServerCart(data);
+        return data;
+    };
+
+    const clearCart = async () => {
+        setItems([]);
+        setCoupon(null);
+        if (user) {
+            try { await api.delete('/cart'); } catch { }
+        }
+    };
 
     const totalItems = items.reduce((s, i) => s + i.quantity, 0);
     const totalAmount = items.reduce((s, i) => s + i.price * i.quantity, 0);
-    const shippingCharge = totalAmount > 999 ? 0 : 49;
-    const grandTotal = totalAmount + shippingCharge;
+    const discount = coupon?.amount || 0;
+    const freeShippingAbove = shippingConfig ? shippingConfig.defaultZone?.freeAbove : 999;
+    const estimateShipping = (subtotal) => {
+        if (!subtotal) return 0;
+        const zone = shippingConfig?.defaultZone || { baseRate: 49, freeAbove: 999 };
+        return zone.freeAbove !== null && subtotal > zone.freeAbove ? 0 : zone.baseRate;
+    };
+    const shippingCharge = quote ? quote.shippingCharge : (coupon?.freeShipping ? 0 : estimateShipping(totalAmount));
+    const grandTotal = totalAmount - discount + shippingCharge;
 
     return (
-        <CartContext.Provider value={{ items, addToCart, removeFromCart, updateQuantity, clearCart, totalItems, totalAmount, shippingCharge, grandTotal }}>
+        <CartContext.Provider value={{ items, syncing, addToCart, removeFromCart, updateQuantity, clearCart, refreshCart, restoreCart, coupon, applyCoupon, removeCoupon, totalItems, totalAmount, discount, shippingCharge, grandTotal, quote, shippingConfig, freeShippingAbove, estimateShipping }}>
             {children}
         </CartContext.Provider>
     );
@@ -0,0 +1,89 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from './AuthContext';
+
+const WishlistContext = createContext(null);
+
+// Wishlist is server-only (alerts go to the account's phone), so it needs a login
+export function WishlistProvider({ children }) {
+    const { user } = useAuth();
+    const navigate = useNavigate();
+    const [items, setItems] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (!user) { setItems([]); return; }
+        refreshWishlist();
+    }, [user?._id]);
+
+    const refreshWishlist = async () => {
+        if (!user) return;
+        setLoading(true);
+        try {
+            const { data } = await api.get('/wishlist');
+            setItems(data.items || []);
+        } catch { }
+        finally { setLoading(false); }
+    };
+
+    const isWishlisted = (productId) => items.some(i => i.product?._id === productId);
+
+    const addToWishlist = async (product, size = '', color = '') => {
+        if (!user) {
+            toast('Please login to save items', { icon: '💛' });
+            navigate('/auth');
+            return;
+        }
+        if (String(product._id).startsWith('demo-')) {
+            toast('Demo products can\'t be saved', { icon: 'ℹ️' });
+            return;
+        }
+        try {
+            const { data } = await api.post('/wishlist', { productId: product._id, size, color });
+            setItems(data.items || []);
+            toast.success(`${product.name} saved to your wishlist`);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not save item');
+        }
+    };
+
+    const removeFromWishlist = async (itemId) => {
+        try {
+            const { data } = await api.delete(`/wishlist/${itemId}`);
+            setItems(data.items || []);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not remove item');
+        }
+    };
+
+    // Heart toggle: saved → remove every line of the product, else save it
+    const toggleWishlist = async (product, size = '', color = '') => {
+        if (!isWishlisted(product._id)) return addToWishlist(product, size, color);
+        try {
+            const { data } = await api.delete(`/wishlist/product/${product._id}`);
+            setItems(data.items || []);
+            toast('Removed from wishlist', { icon: '🤍' });
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not remove item');
+        }
+    };
+
+    const setAlerts = async (itemId, notify) => {
+        try {
+            const { data } = await api.put(`/wishlist/${itemId}`, { notify });
+            setItems(data.items || []);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not update alerts');
+        }
+    };
+
+    return (
+        <WishlistContext.Provider value={{ items, loading, count: items.length, isWishlisted, addToWishlist, removeFromWishlist, toggleWishlist, setAlerts, refreshWishlist }}>
+            {children}
+        </WishlistContext.Provider>
+    );
+}
+
+export const useWishlist = () => useContext(WishlistContext);
@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiMonitor, FiSmartphone, FiLogOut, FiLock } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+
+const isMobile = (session) => /Android|iOS/.test(session.device || '');
+
+const timeAgo = (date) => {
+    const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+};
+
+// Signed-in devices + change password
+export default function AccountSecurityPage() {
+    const { logout, logoutAll } = useAuth();
+    const navigate = useNavigate();
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '' });
+    const [saving, setSaving] = useState(false);
+
+    const loadSessions = () => api.get('/auth/sessions')
+        .then(({ data }) => setSessions(data))
+        .catch(() => toast.error('Could not load your devices'))
+        .finally(() => setLoading(false));
+
+    useEffect(() => { loadSessions(); }, []);
+
+    const signOutSession = async (session) => {
+        if (session.current) {
+            logout();
+            return navigate('/auth');
+        }
+        try {
+            await api.delete(`/auth/sessions/${session._id}`);
+            setSessions(list => list.filter(s => s._id !== session._id));
+            toast.success(`Signed out ${session.device}`);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not sign out that device');
+        }
+    };
+
+    const signOutEverywhere = async () => {
+        if (!window.confirm('Sign out of every device, including this one?')) return;
+        await logoutAll().catch(() => { });
+        toast.success('Signed out everywhere');
+        navigate('/auth');
+    };
+
+    const changePassword = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { data } = await api.put('/auth/password', passwords);
+            localStorage.setItem('tcs_token', data.token);
+            setPasswords({ currentPassword: '', newPassword: '' });
+            toast.success(data.signedOut ? `Password updated - ${data.signedOut} other device(s) signed out` : 'Password updated');
+            loadSessions();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not update password');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen pt-24 bg-cream-100">
+            <div className="max-w-3xl mx-auto px-4 sm:px-6 py-8 space-y-8">
+                <h1 className="font-serif text-4xl text-charcoal">Login & Security</h1>
+
+                <section className="card p-6">
+                    <div className="flex items-center justify-between mb-4">
+                        <h2 className="font-serif text-2xl text-charcoal">Where you're signed in</h2>
+                        {sessions.length > 0 && (
+                            <button onClick={signOutEverywhere} className="font-sans text-sm text-red-600 hover:underline">Sign out everywhere</button>
+                        )}
+                    </div>
+                    {loading ? (
+                        <div className="flex justify-center py-8"><div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gold"></div></div>
+                    ) : (
+                        <ul className="divide-y divide-cream-300">
+                            {sessions.map(session => {
+                                const Icon = isMobile(session) ? FiSmartphone : FiMonitor;
+                                return (
+                                    <motion.li key={session._id} layout className="flex items-center gap-4 py-4">
+                                        <Icon className="w-6 h-6 text-charcoal-muted flex-shrink-0" />
+                                        <div className="flex-1 min-w-0">
+                                            <p className="font-sans text-sm font-medium text-charcoal">
+                                                {session.device}
+                                                {session.current && <span className="ml-2 text-xs text-green-700 bg-green-50 px-2 py-0.5 rounded-full">This device</span>}
+                                            </p>
+                                            <p className="font-sans text-xs text-charcoal-muted">
+                                                {session.lastIp || session.ip || 'Unknown IP'} · active {timeAgo(session.lastUsedAt)} · signed in {timeAgo(session.createdAt)}
+                                            </p>
+                                        </div>
+                                        <button onClick={() => signOutSession(session)} title="Sign out"
+                                            className="p-2 rounded-full text-charcoal-muted hover:text-red-600 hover:bg-cream-200 transition-colors">
+                                            <FiLogOut className="w-4 h-4" />
+                                        </button>
+                                    </motion.li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </section>
+
+                <section className="card p-6">
+                    <h2 className="font-serif text-2xl text-charcoal mb-1">Password</h2>
+                    <p className="font-sans text-sm text-charcoal-muted mb-4">Changing it signs out every other device.</p>
+                    <form onSubmit={changePassword} className="space-y-4 max-w-sm">
+                        <div className="relative">
+                            <FiLock className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
+                            <input type="password" className="input-field pl-12" placeholder="Current password (blank if you never set one)" autoComplete="current-password"
+                                value={passwords.currentPassword} onChange={e => setPasswords(p => ({ ...p, currentPassword: e.target.value }))} />
+                        </div>
+                        <div className="relative">
+                            <FiLock className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
+                            <input type="password" className="input-field pl-12" placeholder="New password" autoComplete="new-password" minLength={6} required
+                                value={passwords.newPassword} onChange={e => setPasswords(p => ({ ...p, newPassword: e.target.value }))} />
+                        </div>
+                        <button type="submit" disabled={saving} className="btn-primary disabled:opacity-70">{saving ? 'Saving…' : 'Update Password'}</button>
+                    </form>
+                </section>
+            </div>
+        </div>
+    );
+}
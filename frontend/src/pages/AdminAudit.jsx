@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiDownload, FiClock, FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const emptyFilters = { action: '', entity: '', actor: '', from: '', to: '' };
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '∅';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// Read-only history of admin changes (backend /api/admin/audit)
+export default function AdminAudit() {
+    const [filters, setFilters] = useState(emptyFilters);
+    const [applied, setApplied] = useState(emptyFilters);
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ logs: [], total: 0, pages: 0, facets: { actions: [], entities: [] } });
+    const [loading, setLoading] = useState(false);
+    const [downloading, setDownloading] = useState(false);
+
+    const params = () => Object.fromEntries(Object.entries(applied).filter(([, v]) => v));
+
+    useEffect(() => {
+        setLoading(true);
+        api.get('/admin/audit', { params: { ...params(), page, limit: 50 } })
+            .then(({ data }) => setResult(data))
+            .catch(err => toast.error(err.response?.data?.message || 'Failed to load audit log'))
+            .finally(() => setLoading(false));
+    }, [applied, page]);
+
+    const applyFilters = (e) => {
+        e.preventDefault();
+        setPage(1);
+        setApplied(filters);
+    };
+
+    const resetFilters = () => {
+        setFilters(emptyFilters);
+        setPage(1);
+        setApplied(emptyFilters);
+    };
+
+    const handleExport = async () => {
+        setDownloading(true);
+        try {
+            const response = await api.get('/admin/export/audit', { params: params(), responseType: 'blob' });
+            const url = URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `TCS_Audit_Log_${new Date().toISOString().split('T')[0]}.csv`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch {
+            toast.error('Export failed');
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    const setFilter = (key) => (e) => setFilters(f => ({ ...f, [key]: e.target.value }));
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <form onSubmit={applyFilters} className="card p-5 mb-6 grid sm:grid-cols-2 lg:grid-cols-6 gap-3 items-end">
+                <select value={filters.action} onChange={setFilter('action')} className="input-field py-2 text-sm">
+                    <option value="">All actions</option>
+                    {result.facets.actions.map(a => <option key={a} value={a}>{a}</option>)}
+                </select>
+                <select value={filters.entity} onChange={setFilter('entity')} className="input-field py-2 text-sm">
+                    <option value="">All records</option>
+                    {result.facets.entities.map(e => <option key={e} value={e}>{e}</option>)}
+                </select>
+                <input value={filters.actor} onChange={setFilter('actor')} placeholder="Staff email" className="input-field py-2 text-sm" />
+                <input type="date" value={filters.from} onChange={setFilter('from')} className="input-field py-2 text-sm" title="From" />
+                <input type="date" value={filters.to} onChange={setFilter('to')} className="input-field py-2 text-sm" title="To" />
+                <div className="flex gap-2">
+                    <button type="submit" className="btn-primary text-sm py-2 flex-1">Filter</button>
+                    <button type="button" onClick={resetFilters} className="btn-secondary text-sm py-2">Reset</button>
+                </div>
+            </form>
+
+            <div className="flex items-center justify-between mb-4">
+                <p className="font-sans text-sm text-charcoal-muted">{result.total} entries · entries can't be edited or deleted</p>
+                <button onClick={handleExport} disabled={downloading} className="btn-secondary text-sm py-2 flex items-center gap-2 disabled:opacity-70">
+                    <FiDownload /> {downloading ? 'Exporting…' : 'Export CSV'}
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="flex items-center justify-center p-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gold"></div>
+                </div>
+            ) : result.logs.length === 0 ? (
+                <div className="card p-12 text-center">
+                    <FiClock className="w-10 h-10 text-charcoal-muted mx-auto mb-3" />
+                    <p className="font-sans text-charcoal-muted">No audit entries</p>
+                </div>
+            ) : (
+                <div className="card divide-y divide-cream-200">
+                    {result.logs.map(log => (
+                        <div key={log._id} className="p-5">
+                            <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                                <span className="text-xs px-2 py-1 rounded-full font-mono bg-cream-200 text-charcoal">{log.action}</span>
+                                <span className="font-sans text-sm text-charcoal font-medium">{log.entityLabel || `${log.entity} ${log.entityId || ''}`}</span>
+                                <span className="font-sans text-xs text-charcoal-muted ml-auto">
+                                    {new Date(log.createdAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}
+                                </span>
+                            </div>
+                            <p className="font-sans text-xs text-charcoal-muted mt-1">
+                                {log.actorName || 'Unknown'} ({log.actorEmail || '—'}{log.actorRole ? ` · ${log.actorRole}` : ''}){log.ip ? ` · ${log.ip}` : ''}
+                            </p>
+                            {log.note && <p className="font-sans text-sm text-charcoal mt-2">{log.note}</p>}
+                            {log.changes?.length > 0 && (
+                                <table className="mt-3 w-full text-xs font-sans">
+                                    <tbody>
+                                        {log.changes.map(change => (
+                                            <tr key={change.field} className="align-top">
+                                                <td className="py-1 pr-4 text-charcoal-muted whitespace-nowrap">{change.field}</td>
+                                                <td className="py-1 pr-2 text-red-600 line-through break-all">{formatValue(change.from)}</td>
+                                                <td className="py-1 text-green-700 break-all">{formatValue(change.to)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {result.pages > 1 && (
+                <div className="flex items-center justify-center gap-4 mt-6">
+                    <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="p-2 rounded-full hover:bg-cream-200 disabled:opacity-40"><FiChevronLeft /></button>
+                    <span className="font-sans text-sm text-charcoal-muted">Page {page} of {result.pages}</span>
+                    <button onClick={() => setPage(p => p + 1)} disabled={page >= result.pages} className="p-2 rounded-full hover:bg-cream-200 disabled:opacity-40"><FiChevronRight /></button>
+                </div>
+            )}
+        </motion.div>
+    );
+}
@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiSave, FiPlus, FiTrash2, FiPlay } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+
+const PERIODS = [7, 30, 90];
+
+const formatMoney = (amount) => `₹${Math.round(amount || 0).toLocaleString('en-IN')}`;
+
+function StatCard({ label, value, hint }) {
+    return (
+        <div className="card p-5">
+            <p className="font-sans text-xs text-charcoal-muted uppercase tracking-wide">{label}</p>
+            <p className="font-serif text-3xl text-charcoal mt-1">{value}</p>
+            {hint && <p className="font-sans text-xs text-charcoal-muted mt-1">{hint}</p>}
+        </div>
+    );
+}
+
+// Abandoned-cart reminders - conversion report + reminder steps
+export default function AdminCartRecovery() {
+    const { can } = useAuth();
+    const canEdit = can('settings:manage');
+    const [days, setDays] = useState(30);
+    const [stats, setStats] = useState(null);
+    const [config, setConfig] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [running, setRunning] = useState(false);
+
+    const loadStats = () => api.get('/admin/cart-recovery/stats', { params: { days } })
+        .then(({ data }) => setStats(data))
+        .catch(() => toast.error('Failed to load recovery report'));
+
+    useEffect(() => { loadStats(); }, [days]);
+    useEffect(() => {
+        api.get('/admin/cart-recovery/config').then(({ data }) => setConfig(data)).catch(() => { });
+    }, []);
+
+    const set = (field, value) => setConfig(c => ({ ...c, [field]: value }));
+    const setStep = (i, field, value) => set('steps', config.steps.map((s, idx) => idx === i ? { ...s, [field]: value } : s));
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { data } = await api.put('/admin/cart-recovery/config', config);
+            setConfig(data);
+            toast.success('Reminder settings saved');
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to save');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRun = async () => {
+        setRunning(true);
+        try {
+            const { data } = await api.post('/admin/cart-recovery/run');
+            toast.success(`${data.sent} reminder(s) sent, ${data.recovered} new recoveries`);
+            loadStats();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Run failed');
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-8">
+            <div className="flex items-center justify-between">
+                <p className="font-sans text-sm text-charcoal-muted">Orders placed within 7 days of a reminder count as recovered.</p>
+                <div className="flex gap-2">
+                    {PERIODS.map(p => (
+                        <button key={p} onClick={() => setDays(p)}
+                            className={`px-3 py-1.5 rounded-full font-sans text-sm ${days === p ? 'bg-charcoal text-cream-100' : 'bg-cream-200 text-charcoal'}`}>
+                            {p} days
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {stats && (
+                <>
+                    <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <StatCard label="Carts reminded" value={stats.carts} hint={`${stats.reminders} SMS · ${formatMoney(stats.abandonedValue)} left in carts`} />
+                        <StatCard label="Link opened" value={`${stats.clickRate}%`} hint={`${stats.clicked} cart(s)`} />
+                        <StatCard label="Recovered" value={`${stats.conversionRate}%`} hint={`${stats.recovered} order(s)`} />
+                        <StatCard label="Recovered revenue" value={formatMoney(stats.revenue)} hint={`${stats.couponsRedeemed} coupon(s) redeemed`} />
+                    </div>
+
+                    <div className="card overflow-hidden">
+                        <table className="w-full font-sans text-sm">
+                            <thead className="bg-cream-200 text-charcoal-muted text-xs uppercase">
+                                <tr>
+                                    {['Reminder', 'Sent', 'Failed', 'Opened', 'Recovered', 'Conversion', 'Revenue'].map(h => <th key={h} className="text-left px-4 py-3">{h}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-cream-200">
+                                {stats.steps.length === 0 ? (
+                                    <tr><td colSpan={7} className="px-4 py-8 text-center text-charcoal-muted">No reminders sent in this period</td></tr>
+                                ) : stats.steps.map(s => (
+                                    <tr key={s.step}>
+                                        <td className="px-4 py-3">#{s.step}</td>
+                                        <td className="px-4 py-3">{s.sent}</td>
+                                        <td className="px-4 py-3">{s.failed}</td>
+                                        <td className="px-4 py-3">{s.clicked}</td>
+                                        <td className="px-4 py-3">{s.recovered}</td>
+                                        <td className="px-4 py-3">{s.conversionRate}%</td>
+                                        <td className="px-4 py-3">{formatMoney(s.revenue)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            {config && (
+                <form onSubmit={handleSave} className="card p-6 space-y-5">
+                    <div className="flex items-center justify-between">
+                        <h3 className="font-serif text-2xl text-charcoal">Reminder Steps</h3>
+                        <label className="flex items-center gap-2 font-sans text-sm text-charcoal">
+                            <input type="checkbox" checked={config.enabled} disabled={!canEdit} onChange={e => set('enabled', e.target.checked)} />
+                            Send reminders
+                        </label>
+                    </div>
+                    <div className="space-y-2">
+                        {config.steps.map((step, i) => (
+                            <div key={i} className="flex items-center gap-3">
+                                <span className="font-sans text-sm text-charcoal-muted w-8">#{i + 1}</span>
+                                <div className="flex-1">
+                                    <label className="block font-sans text-xs text-charcoal-muted mb-1">Hours after last cart change</label>
+                                    <input className="input-field py-1.5 text-sm" type="number" min="1" value={step.afterHours} disabled={!canEdit} onChange={e => setStep(i, 'afterHours', e.target.value)} />
+                                </div>
+                                <div className="flex-1">
+                                    <label className="block font-sans text-xs text-charcoal-muted mb-1">Coupon % off (0 = none)</label>
+                                    <input className="input-field py-1.5 text-sm" type="number" min="0" max="90" value={step.discountPercent} disabled={!canEdit} onChange={e => setStep(i, 'discountPercent', e.target.value)} />
+                                </div>
+                                {canEdit && (
+                                    <button type="button" onClick={() => set('steps', config.steps.filter((_, idx) => idx !== i))} className="p-2 mt-5 text-charcoal-muted hover:text-red-500"><FiTrash2 size={14} /></button>
+                                )}
+                            </div>
+                        ))}
+                        {canEdit && config.steps.length < 5 && (
+                            <button type="button" onClick={() => set('steps', [...config.steps, { afterHours: '', discountPercent: 0 }])} className="font-sans text-xs text-gold hover:text-gold-dark flex items-center gap-1">
+                                <FiPlus size={12} /> Add step
+                            </button>
+                        )}
+                    </div>
+                    <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                        {[
+                            ['maxDiscount', 'Coupon cap (₹, 0 = none)'],
+                            ['couponValidHours', 'Coupon valid for (hours)'],
+                            ['minCartValue', 'Minimum cart value (₹)'],
+                            ['maxIdleDays', 'Give up after (days idle)']
+                        ].map(([field, label]) => (
+                            <div key={field}>
+                                <label className="block font-sans text-xs text-charcoal-muted mb-1">{label}</label>
+                                <input className="input-field" type="number" min="0" value={config[field]} disabled={!canEdit} onChange={e => set(field, e.target.value)} />
+                            </div>
+                        ))}
+                    </div>
+                    {canEdit && (
+                        <div className="flex gap-3">
+                            <button type="submit" disabled={saving} className="btn-primary flex items-center gap-2 disabled:opacity-70">
+                                <FiSave /> {saving ? 'Saving…' : 'Save'}
+                            </button>
+                            <button type="button" onClick={handleRun} disabled={running} className="btn-secondary flex items-center gap-2 disabled:opacity-70">
+                                <FiPlay /> {running ? 'Running…' : 'Run now'}
+                            </button>
+                        </div>
+                    )}
+                </form>
+            )}
+        </motion.div>
+    );
+}
@@ -0,0 +1,291 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiPlus, FiEdit2, FiTrash2, FiTag, FiX } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const CATEGORIES = ['Co-ord Sets', 'Tops', 'Bottoms', 'Dresses', 'New Arrivals', 'Sale'];
+const GENDERS = ['Men', 'Women', 'Kids', 'Unisex'];
+const COUPON_TYPES = [
+    { id: 'percentage', label: '% Off' },
+    { id: 'flat', label: '₹ Off' },
+    { id: 'free_shipping', label: 'Free Shipping' }
+];
+
+const emptyForm = {
+    code: '', description: '', type: 'percentage', value: '', maxDiscount: '', minOrderValue: 0,
+    categories: [], genders: [], usageLimit: 0, perUserLimit: 1, validFrom: '', validUntil: '', isActive: true
+};
+
+const toDateInput = (date) => date ? new Date(date).toISOString().slice(0, 10) : '';
+
+const describe = (c) => {
+    if (c.type === 'percentage') return `${c.value}% off${c.maxDiscount ? ` (max ₹${c.maxDiscount})` : ''}`;
+    if (c.type === 'flat') return `₹${c.value} off`;
+    return 'Free shipping';
+};
+
+export default function AdminCoupons() {
+    const [coupons, setCoupons] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [showForm, setShowForm] = useState(false);
+    const [editCoupon, setEditCoupon] = useState(null);
+    const [form, setForm] = useState(emptyForm);
+
+    useEffect(() => { fetchCoupons(); }, []);
+
+    const fetchCoupons = async () => {
+        setLoading(true);
+        try {
+            const { data } = await api.get('/coupons');
+            setCoupons(data || []);
+        } catch { toast.error('Failed to load coupons'); }
+        finally { setLoading(false); }
+    };
+
+    const openForm = (coupon = null) => {
+        setEditCoupon(coupon);
+        setForm(coupon ? {
+            code: coupon.code,
+            description: coupon.description || '',
+            type: coupon.type,
+            value: coupon.value ?? '',
+            maxDiscount: coupon.maxDiscount ?? '',
+            minOrderValue: coupon.minOrderValue || 0,
+            categories: coupon.scope?.categories || [],
+            genders: coupon.scope?.genders || [],
+            usageLimit: coupon.usageLimit || 0,
+            perUserLimit: coupon.perUserLimit ?? 1,
+            validFrom: toDateInput(coupon.validFrom),
+            validUntil: toDateInput(coupon.validUntil),
+            isActive: coupon.isActive
+        } : emptyForm);
+        setShowForm(true);
+    };
+
+    const toggleIn = (key, value) => setForm(f => ({
+        ...f,
+        [key]: f[key].includes(value) ? f[key].filter(v => v !== value) : [...f[key], value]
+    }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const payload = {
+                code: form.code,
+                description: form.description,
+                type: form.type,
+                value: form.type === 'free_shipping' ? 0 : Number(form.value),
+                maxDiscount: form.type === 'percentage' && form.maxDiscount !== '' ? Number(form.maxDiscount) : '',
+                minOrderValue: Number(form.minOrderValue) || 0,
+                scope: { categories: form.categories, genders: form.genders },
+                usageLimit: Number(form.usageLimit) || 0,
+                perUserLimit: Number(form.perUserLimit) || 0,
+                validFrom: form.validFrom || undefined,
+                validUntil: form.validUntil ? `${form.validUntil}T23:59:59` : '',
+                isActive: form.isActive
+            };
+            if (editCoupon) {
+                await api.put(`/coupons/${editCoupon._id}`, payload);
+                toast.success('Coupon updated!');
+            } else {
+                await api.post('/coupons', payload);
+                toast.success('Coupon created!');
+            }
+            setShowForm(false);
+            fetchCoupons();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to save coupon');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!confirm('Delete this coupon? Past orders keep their discount.')) return;
+        try {
+            await api.delete(`/coupons/${id}`);
+            toast.success('Coupon deleted');
+            fetchCoupons();
+        } catch { toast.error('Failed to delete'); }
+    };
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <div className="flex justify-end mb-6">
+                <button onClick={() => openForm()} className="btn-primary flex items-center gap-2">
+                    <FiPlus /> Add Coupon
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="flex items-center justify-center p-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gold"></div>
+                </div>
+            ) : coupons.length === 0 ? (
+                <div className="card p-12 text-center">
+                    <FiTag className="w-10 h-10 text-charcoal-muted mx-auto mb-3" />
+                    <p className="font-sans text-charcoal-muted">No coupons yet</p>
+                </div>
+            ) : (
+                <div className="card overflow-hidden">
+                    <table className="w-full">
+                        <thead className="bg-cream-100">
+                            <tr>
+                                {['Code', 'Offer', 'Min Order', 'Scope', 'Used', 'Valid Until', 'Status', 'Actions'].map(h => (
+                                    <th key={h} className="text-left px-4 py-3 font-sans text-xs font-medium text-charcoal-muted uppercase tracking-wider">{h}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-cream-200">
+                            {coupons.map(c => {
+                                const expired = c.validUntil && new Date(c.validUntil) < new Date();
+                                return (
+                                    <tr key={c._id} className="hover:bg-cream-50 transition-colors">
+                                        <td className="px-4 py-3">
+                                            <p className="font-sans text-sm font-bold text-charcoal">{c.code}</p>
+                                            {c.description && <p className="font-sans text-xs text-charcoal-muted">{c.description}</p>}
+                                        </td>
+                                        <td className="px-4 py-3 font-sans text-sm text-charcoal">{describe(c)}</td>
+                                        <td className="px-4 py-3 font-sans text-sm text-charcoal">{c.minOrderValue ? `₹${c.minOrderValue}` : '—'}</td>
+                                        <td className="px-4 py-3 font-sans text-xs text-charcoal-muted">
+                                            {[...(c.scope?.categories || []), ...(c.scope?.genders || [])].join(', ') || 'All products'}
+                                        </td>
+                                        <td className="px-4 py-3 font-sans text-sm text-charcoal">
+                                            {c.usedCount}{c.usageLimit ? ` / ${c.usageLimit}` : ''}
+                                            <p className="text-xs text-charcoal-muted">{c.perUserLimit ? `${c.perUserLimit} per customer` : 'No per-customer limit'}</p>
+                                        </td>
+                                        <td className="px-4 py-3 font-sans text-sm text-charcoal">
+                                            {c.validUntil ? new Date(c.validUntil).toLocaleDateString('en-IN') : 'No expiry'}
+                                        </td>
+                                        <td className="px-4 py-3">
+                                            <span className={`text-xs px-2 py-1 rounded-full font-sans ${expired ? 'bg-gray-100 text-gray-600' : c.isActive ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                                                {expired ? 'Expired' : c.isActive ? 'Active' : 'Inactive'}
+                                            </span>
+                                        </td>
+                                        <td className="px-4 py-3">
+                                            <div className="flex gap-2">
+                                                <button onClick={() => openForm(c)} className="p-2 text-charcoal-muted hover:text-gold transition-colors"><FiEdit2 size={16} /></button>
+                                                <button onClick={() => handleDelete(c._id)} className="p-2 text-charcoal-muted hover:text-red-500 transition-colors"><FiTrash2 size={16} /></button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {/* Coupon Form Modal */}
+            <AnimatePresence>
+                {showForm && (
+                    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+                        className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+                        <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }}
+                            className="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+                            <div className="flex items-center justify-between p-6 border-b border-cream-200">
+                                <h2 className="font-serif text-2xl text-charcoal">{editCoupon ? 'Edit Coupon' : 'Add Coupon'}</h2>
+                                <button onClick={() => setShowForm(false)} className="p-2 hover:bg-cream-100 rounded-full"><FiX /></button>
+                            </div>
+                            <form onSubmit={handleSubmit} className="p-6 space-y-5">
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Code *</label>
+                                        <input value={form.code} onChange={e => setForm(f => ({ ...f, code: e.target.value.toUpperCase() }))} className="input-field uppercase" required />
+                                    </div>
+                                    <div>
+                                        <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Type *</label>
+                                        <select value={form.type} onChange={e => setForm(f => ({ ...f, type: e.target.value }))} className="input-field">
+                                            {COUPON_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                                        </select>
+                                    </div>
+                                </div>
+
+                                <div>
+                                    <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Description</label>
+                                    <input value={form.description} onChange={e => setForm(f => ({ ...f, description: e.target.value }))} className="input-field" placeholder="Shown to customers in the cart" />
+                                </div>
+
+                                <div className="grid grid-cols-3 gap-4">
+                                    {form.type !== 'free_shipping' && (
+                                        <div>
+                                            <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">{form.type === 'percentage' ? 'Percent *' : 'Amount (₹) *'}</label>
+                                            <input type="number" min="1" max={form.type === 'percentage' ? 100 : undefined} value={form.value} onChange={e => setForm(f => ({ ...f, value: e.target.value }))} className="input-field" required />
+                                        </div>
+                                    )}
+                                    {form.type === 'percentage' && (
+                                        <div>
+                                            <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Max Discount (₹)</label>
+                                            <input type="number" min="0" value={form.maxDiscount} onChange={e => setForm(f => ({ ...f, maxDiscount: e.target.value }))} className="input-field" placeholder="No cap" />
+                                        </div>
+                                    )}
+                                    <div>
+                                        <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Min Order (₹)</label>
+                                        <input type="number" min="0" value={form.minOrderValue} onChange={e => setForm(f => ({ ...f, minOrderValue: e.target.value }))} className="input-field" />
+                                    </div>
+                                </div>
+
+                                <div>
+                                    <label className="block font-sans text-xs font-medium text-charcoal-muted mb-2 uppercase tracking-wider">Categories (empty = all)</label>
+                                    <div className="flex flex-wrap gap-2">
+                                        {CATEGORIES.map(c => (
+                                            <button type="button" key={c} onClick={() => toggleIn('categories', c)}
+                                                className={`px-3 py-1.5 text-xs font-sans border rounded-full transition-colors ${form.categories.includes(c) ? 'bg-charcoal text-white border-charcoal' : 'border-cream-300 text-charcoal hover:border-charcoal'}`}>
+                                                {c}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div>
+                                    <label className="block font-sans text-xs font-medium text-charcoal-muted mb-2 uppercase tracking-wider">Gender (empty = all)</label>
+                                    <div className="flex flex-wrap gap-2">
+                                        {GENDERS.map(g => (
+                                            <button type="button" key={g} onClick={() => toggleIn('genders', g)}
+                                                className={`px-3 py-1.5 text-xs font-sans border rounded-full transition-colors ${form.genders.includes(g) ? 'bg-charcoal text-white border-charcoal' : 'border-cream-300 text-charcoal hover:border-charcoal'}`}>
+                                                {g}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Total Uses (0 = unlimited)</label>
+                                        <input type="number" min="0" value={form.usageLimit} onChange={e => setForm(f => ({ ...f, usageLimit: e.target.value }))} className="input-field" />
+                                    </div>
+                                    <div>
+                                        <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Uses per Customer (0 = unlimited)</label>
+                                        <input type="number" min="0" value={form.perUserLimit} onChange={e => setForm(f => ({ ...f, perUserLimit: e.target.value }))} className="input-field" />
+                                    </div>
+                                    <div>
+                                        <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Valid From</label>
+                                        <input type="date" value={form.validFrom} onChange={e => setForm(f => ({ ...f, validFrom: e.target.value }))} className="input-field" />
+                                    </div>
+                                    <div>
+                                        <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Valid Until</label>
+                                        <input type="date" value={form.validUntil} onChange={e => setForm(f => ({ ...f, validUntil: e.target.value }))} className="input-field" />
+                                    </div>
+                                </div>
+
+                                <label className="flex items-center gap-2 cursor-pointer">
+                                    <input type="checkbox" checked={form.isActive} onChange={e => setForm(f => ({ ...f, isActive: e.target.checked }))} className="w-4 h-4 accent-gold" />
+                                    <span className="font-sans text-sm text-charcoal">Active</span>
+                                </label>
+
+                                <div className="flex gap-4 pt-2">
+                                    <button type="button" onClick={() => setShowForm(false)} className="btn-secondary flex-1">Cancel</button>
+                                    <button type="submit" disabled={saving} className="btn-primary flex-1 disabled:opacity-70">
+                                        {saving ? 'Saving...' : editCoupon ? 'Update Coupon' : 'Create Coupon'}
+                                    </button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </motion.div>
+    );
+}
@@ -1,16 +1,48 @@
 import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FiPlus, FiEdit2, FiTrash2, FiPackage, FiShoppingBag, FiUsers, FiX, FiUpload, FiLogOut, FiSettings, FiDownload, FiDollarSign, FiAlertTriangle } from 'react-icons/fi';
+import { FiPlus, FiEdit2, FiTrash2, FiPackage, FiShoppingBag, FiUsers, FiX, FiUpload, FiLogOut, FiSettings, FiDownload, FiDollarSign, FiAlertTriangle, FiTag, FiRefreshCw, FiTruck, FiStar, FiShield, FiClock, FiShoppingCart, FiLayers, FiMessageSquare, FiActivity, FiCheckSquare, FiSmartphone } from 'react-icons/fi';
 import api from '../utils/api';
 import { useAuth } from '../context/AuthContext';
 import toast from 'react-hot-toast';
 import AdminSettings from './AdminSettings';
+import AdminCoupons from './AdminCoupons';
+import AdminReturns from './AdminReturns';
+import AdminReviews from './AdminReviews';
+import AdminShippingSettings from './AdminShippingSettings';
+import AdminTaxSettings from './AdminTaxSettings';
+import AdminStaff from './AdminStaff';
+import AdminAudit from './AdminAudit';
+import AdminCartRecovery from './AdminCartRecovery';
+import AdminJobs from './AdminJobs';
+import AdminWebhooks from './AdminWebhooks';
+import AdminReconciliation from './AdminReconciliation';
+import AdminUpiVerifications from './AdminUpiVerifications';
+import RefundModal from '../components/RefundModal';
+import ShipmentModal from '../components/ShipmentModal';
 
 const CATEGORIES = ['Co-ord Sets', 'Tops', 'Bottoms', 'Dresses', 'New Arrivals', 'Sale'];
 const GRADES = ['Premium', 'Export', 'Regular'];
 const GENDERS = ['Men', 'Women', 'Kids', 'Unisex'];
+const GST_RATES = [0, 5, 12, 18, 28];
 const SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size'];
-const ORDER_STATUSES = ['CREATED', 'PENDING', 'PAID', 'PLACED', 'SHIPPED', 'DELIVERED', 'CANCELLED'];
+
+// Sidebar tabs and the permission each needs (backend config/permissions.js)
+const TABS = [
+    { id: 'products', label: 'Products', title: 'Product Management', icon: FiShoppingBag, permission: 'inventory:read' },
+    { id: 'orders', label: 'Orders', title: 'Order Management', icon: FiPackage, permission: 'orders:read' },
+    { id: 'payments', label: 'Payments', title: 'Payment Management', icon: FiDollarSign, permission: 'payments:read' },
+    { id: 'upi', label: 'UPI Verification', title: 'Manual UPI Payments', icon: FiSmartphone, permission: 'payments:verify' },
+    { id: 'reconciliation', label: 'Reconciliation', title: 'Payment Reconciliation', icon: FiCheckSquare, permission: 'payments:read' },
+    { id: 'returns', label: 'Returns', title: 'Returns & Exchanges', icon: FiRefreshCw, permission: 'returns:read' },
+    { id: 'reviews', label: 'Reviews', title: 'Review Moderation', icon: FiStar, permission: 'reviews:moderate' },
+    { id: 'coupons', label: 'Coupons', title: 'Coupons & Promotions', icon: FiTag, permission: 'coupons:manage' },
+    { id: 'recovery', label: 'Cart Recovery', title: 'Abandoned Cart Recovery', icon: FiShoppingCart, permission: 'reports:read' },
+    { id: 'staff', label: 'Staff', title: 'Staff & Roles', icon: FiShield, permission: 'users:read' },
+    { id: 'audit', label: 'Audit Log', title: 'Audit Log', icon: FiClock, permission: 'audit:read' },
+    { id: 'jobs', label: 'Jobs', title: 'Background Jobs', icon: FiLayers, permission: 'jobs:manage' },
+    { id: 'webhooks', label: 'Webhooks', title: 'Payment Webhooks', icon: FiActivity, permission: 'webhooks:manage' },
+    { id: 'settings', label: 'Settings', title: 'Store Settings', icon: FiSettings, permission: 'settings:manage' },
+];
 
 const statusClass = {
     CREATED: 'bg-gray-100 text-gray-700',
@@ -23,8 +55,9 @@ const statusClass = {
 };
 
 export default function AdminDashboard() {
-    const { user, logout } = useAuth();
-    const [tab, setTab] = useState('products');
+    const { user, logout, can, updateUser } = useAuth();
+    const tabs = TABS.filter(t => can(t.permission));
+    const [tab, setTab] = useState(() => tabs[0]?.id);
     const [products, setProducts] = useState([]);
     const [orders, setOrders] = useState([]);
     const [payments, setPayments] = useState([]);
@@ -36,12 +69,29 @@ export default function AdminDashboard() {
     const [loading, setLoading] = useState(false);
     const [imagePreviews, setImagePreviews] = useState([]);
     const [downloadingInvoice, setDownloadingInvoice] = useState(null);
+    const [refundOrder, setRefundOrder] = useState(null);
+    const [shipmentOrder, setShipmentOrder] = useState(null);
     const fileInputRef = useRef();
 
-    const emptyForm = { name: '', price: '', originalPrice: '', gender: 'Women', qualityGrade: 'Regular', description: '', category: 'Co-ord Sets', sizes: [], stock: 10, isFeatured: false, isNewArrival: true, images: [] };
+    const emptyForm = { name: '', price: '', originalPrice: '', gender: 'Women', qualityGrade: 'Regular', description: '', category: 'Co-ord Sets', sizes: [], colorsText: '', variants: [], stock: 10, weight: '', hsnCode: '6204', taxRate: 5, isFeatured: false, isNewArrival: true, images: [] };
     const [form, setForm] = useState(emptyForm);
 
-    useEffect(() => { fetchProducts(); fetchOrders(); fetchPayments(); fetchStockAlerts(); }, []);
+    // Role may have changed since sign-in
+    useEffect(() => {
+        api.get('/auth/me').then(({ data }) => updateUser({ adminRole: data.adminRole, permissions: data.permissions })).catch(() => { });
+    }, []);
+
+    // Only load what this role can see
+    useEffect(() => {
+        fetchProducts();
+        if (can('orders:read')) fetchOrders();
+        if (can('payments:read')) fetchPayments();
+        if (can('inventory:read')) fetchStockAlerts();
+    }, [user?.adminRole]);
+
+    useEffect(() => {
+        if (tab && !tabs.some(t => t.id === tab)) setTab(tabs[0]?.id);
+    }, [user?.permissions]);
 
     const fetchProducts = async () => {
         try {
@@ -55,7 +105,7 @@ export default function AdminDashboard() {
         try {
             const { data } = await api.get('/orders');
             setOrders(data.orders || []);
-            const revenue = (data.orders || []).reduce((s, o) => s + (o.paymentStatus === 'Paid' ? o.totalAmount : 0), 0);
+            const revenue = (data.orders || []).reduce((s, o) => s + (o.paymentStatus === 'Paid' ? o.totalAmount - (o.refundedAmount || 0) : 0), 0);
             setStats(s => ({ ...s, orders: data.total || 0, revenue }));
         } catch { }
     };
@@ -80,6 +130,35 @@ export default function AdminDashboard() {
         }
     };
 
+    // ─── Variant grid (size × color) ─────────────────
+    const formColors = () => form.colorsText.split(',').map(c => c.trim()).filter(Boolean);
+    const variantRows = () => {
+        const colors = formColors().length ? formColors() : [''];
+        return form.sizes.flatMap(size => colors.map(color => ({ size, color })));
+    };
+    const getVariant = (size, color) => form.variants.find(v => v.size === size && (v.color || '') === color) || {};
+    const setVariantField = (size, color, field, value) => {
+        setForm(f => {
+            const exists = f.variants.some(v => v.size === size && (v.color || '') === color);
+            const variants = exists
+                ? f.variants.map(v => v.size === size && (v.color || '') === color ? { ...v, [field]: value } : v)
+                : [...f.variants, { size, color, stock: 0, [field]: value }];
+            return { ...f, variants };
+        });
+    };
+    const buildVariants = () => variantRows().map(({ size, color }) => {
+        const v = getVariant(size, color);
+        return {
+            ...(v.sku && { sku: v.sku }),
+            size,
+            color,
+            stock: Number(v.stock) || 0,
+            ...(v.price !== undefined && v.price !== '' && v.price !== null && { price: Number(v.price) }),
+            ...(v.barcode && { barcode: v.barcode })
+        };
+    });
+    const variantTotal = () => buildVariants().reduce((s, v) => s + v.stock, 0);
+
     const handleImageChange = (e) => {
         const files = Array.from(e.target.files);
         setForm(f => ({ ...f, images: files }));
@@ -100,9 +179,14 @@ export default function AdminDashboard() {
             fd.append('description', form.description);
             fd.append('category', form.category);
             fd.append('stock', form.stock);
+            fd.append('weight', Number(form.weight) || 0);
+            fd.append('hsnCode', form.hsnCode || '');
+            fd.append('taxRate', form.taxRate);
             fd.append('isFeatured', form.isFeatured);
             fd.append('isNewArrival', form.isNewArrival);
             fd.append('sizes', JSON.stringify(form.sizes));
+            fd.append('colors', JSON.stringify(formColors()));
+            fd.append('variants', JSON.stringify(buildVariants()));
             if (form.images?.length) {
                 form.images.forEach(img => { if (img instanceof File) fd.append('images', img); });
             }
@@ -127,7 +211,7 @@ export default function AdminDashboard() {
 
     const handleEdit = (product) => {
         setEditProduct(product);
-        setForm({ ...product, images: [], sizes: product.sizes || [] });
+        setForm({ ...product, images: [], sizes: product.sizes || [], colorsText: (product.colors || []).join(', '), variants: product.variants || [] });
         setImagePreviews([]);
         setShowProductForm(true);
     };
@@ -138,18 +222,32 @@ export default function AdminDashboard() {
         catch { toast.error('Delete failed'); }
     };
 
+    // Confirmation SMS that never went out - resent by a background job
+    const handleRetrySMS = async (order) => {
+        try {
+            await api.post(`/orders/${order._id}/retry-sms`);
+            toast.success(`SMS resend queued for ${order.orderNumber}`);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not queue SMS');
+        }
+    };
+
     const handleStatusUpdate = async (orderId, status) => {
+        // Shipping needs the courier and AWB numbers first
+        if (status === 'SHIPPED') return setShipmentOrder(orders.find(o => o._id === orderId));
+        if (status === 'CANCELLED' && !confirm('Cancel this order? Stock is restored and prepaid orders are refunded.')) return;
         try {
             await api.put(`/orders/${orderId}/status`, { status });
             toast.success(`Order marked as ${status}`);
             fetchOrders();
-        } catch { toast.error('Update failed'); }
+        } catch (err) { toast.error(err.response?.data?.message || 'Update failed'); }
     };
 
-    const handleDownloadInvoice = async (orderId, orderNumber) => {
+    // Tax invoice once one has been issued, otherwise the order receipt
+    const handleDownloadInvoice = async (orderId, orderNumber, hasInvoice) => {
         setDownloadingInvoice(orderId);
         try {
-            const response = await api.get(`/orders/${orderId}/receipt`, { responseType: 'blob' });
+            const response = await api.get(`/orders/${orderId}/${hasInvoice ? 'invoice' : 'receipt'}`, { responseType: 'blob' });
             const url = URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
             const a = document.createElement('a');
             a.href = url;
@@ -182,12 +280,7 @@ export default function AdminDashboard() {
                         </div>
                     </div>
                     <nav className="flex-1 p-4 space-y-2">
-                        {[
-                            { id: 'products', label: 'Products', icon: FiShoppingBag },
-                            { id: 'orders', label: 'Orders', icon: FiPackage },
-                            { id: 'payments', label: 'Payments', icon: FiDollarSign },
-                            { id: 'settings', label: 'Settings', icon: FiSettings },
-                        ].map(item => (
+                        {tabs.map(item => (
                             <button key={item.id} onClick={() => setTab(item.id)}
                                 className={`w-full flex items-center gap-3 px-4 py-3 rounded-xl font-sans text-sm transition-all ${tab === item.id ? 'bg-gold text-charcoal font-medium' : 'text-cream-300 hover:bg-charcoal-light hover:text-cream-100'}`}>
                                 <item.icon className="w-5 h-5" />
@@ -211,9 +304,9 @@ export default function AdminDashboard() {
                     <div className="bg-white border-b border-cream-200 px-8 py-6">
                         <div className="flex items-center justify-between">
                             <h1 className="font-serif text-2xl text-charcoal">
-                                {tab === 'products' ? 'Product Management' : tab === 'orders' ? 'Order Management' : tab === 'payments' ? 'Payment Management' : 'Store Settings'}
+                                {TABS.find(t => t.id === tab)?.title || 'Admin Panel'}
                             </h1>
-                            {tab === 'products' && (
+                            {tab === 'products' && can('products:create') && (
                                 <button onClick={() => { setShowProductForm(true); setEditProduct(null); setForm(emptyForm); setImagePreviews([]); }}
                                     className="btn-primary flex items-center gap-2">
                                     <FiPlus /> Add Product
@@ -254,7 +347,7 @@ export default function AdminDashboard() {
                         )}
                         
                         {/* Stock Alerts Banner */}
-                        {tab === 'products' && (stockAlerts.outOfStock?.length > 0 || stockAlerts.criticalStock?.length > 0) && (
+                        {tab === 'products' && (stockAlerts.outOfStock?.length > 0 || stockAlerts.criticalStock?.length > 0 || stockAlerts.variants?.outOfStock?.length > 0 || stockAlerts.variants?.criticalStock?.length > 0) && (
                             <div className="mt-4 bg-red-50 border border-red-200 rounded-2xl p-4">
                                 <div className="flex items-center gap-2 text-red-700 font-sans text-sm font-bold mb-2">
                                     <FiAlertTriangle className="w-5 h-5" />
@@ -271,6 +364,16 @@ export default function AdminDashboard() {
                                             {p.name}: {p.stock} left
                                         </span>
                                     ))}
+                                    {stockAlerts.variants?.outOfStock?.map(v => (
+                                        <span key={v.sku} className="bg-red-100 text-red-700 text-xs px-3 py-1 rounded-full font-sans">
+                                            {v.name} ({v.size}{v.color ? ` / ${v.color}` : ''}): OUT OF STOCK
+                                        </span>
+                                    ))}
+                                    {stockAlerts.variants?.criticalStock?.map(v => (
+                                        <span key={v.sku} className="bg-amber-100 text-amber-700 text-xs px-3 py-1 rounded-full font-sans">
+                                            {v.name} ({v.size}{v.color ? ` / ${v.color}` : ''}): {v.stock} left
+                                        </span>
+                                    ))}
                                 </div>
                             </div>
                         )}
@@ -278,7 +381,17 @@ export default function AdminDashboard() {
 
                     {/* Content */}
                     <div className="p-8">
-                        {tab === 'settings' && <AdminSettings />}
+                        {tab === 'settings' && <><AdminSettings /><AdminShippingSettings /><AdminTaxSettings /></>}
+                        {tab === 'coupons' && <AdminCoupons />}
+                        {tab === 'returns' && <AdminReturns />}
+                        {tab === 'reviews' && <AdminReviews />}
+                        {tab === 'staff' && <AdminStaff />}
+                        {tab === 'audit' && <AdminAudit />}
+                        {tab === 'recovery' && <AdminCartRecovery />}
+                        {tab === 'jobs' && <AdminJobs />}
+                        {tab === 'webhooks' && <AdminWebhooks />}
+                        {tab === 'reconciliation' && <AdminReconciliation />}
+                        {tab === 'upi' && <AdminUpiVerifications />}
 
                         {/* Products Tab */}
                         {tab === 'products' && (
@@ -291,8 +404,8 @@ export default function AdminDashboard() {
                                                 alt={product.name} className="w-full h-full object-cover"
                                             />
                                             <div className="absolute inset-0 bg-charcoal/60 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center gap-3">
-                                                <button onClick={() => handleEdit(product)} className="w-10 h-10 bg-gold rounded-full flex items-center justify-center hover:bg-gold-dark transition-colors"><FiEdit2 className="w-4 h-4 text-charcoal" /></button>
-                                                <button onClick={() => handleDelete(product._id)} className="w-10 h-10 bg-red-500 rounded-full flex items-center justify-center hover:bg-red-600 transition-colors"><FiTrash2 className="w-4 h-4 text-white" /></button>
+                                                {can('products:update') && <button onClick={() => handleEdit(product)} className="w-10 h-10 bg-gold rounded-full flex items-center justify-center hover:bg-gold-dark transition-colors"><FiEdit2 className="w-4 h-4 text-charcoal" /></button>}
+                                                {can('products:delete') && <button onClick={() => handleDelete(product._id)} className="w-10 h-10 bg-red-500 rounded-full flex items-center justify-center hover:bg-red-600 transition-colors"><FiTrash2 className="w-4 h-4 text-white" /></button>}
                                             </div>
                                         </div>
                                         <div className="p-3">
@@ -319,21 +432,31 @@ export default function AdminDashboard() {
                                             <div>
                                                 <div className="flex items-center gap-3 mb-1">
                                                     <h3 className="font-serif text-lg text-charcoal font-bold">#{order.orderNumber}</h3>
+                                                    {order.invoice?.number && (
+                                                        <span className="font-sans text-xs text-charcoal-muted">Invoice {order.invoice.number}</span>
+                                                    )}
                                                     <span className={`badge-${order.status.toLowerCase()} text-xs font-bold`}>{order.status}</span>
                                                     <span className={`font-sans text-xs px-3 py-1 rounded-full font-bold ${order.paymentStatus === 'Paid' ? 'bg-green-100 text-green-700' : order.paymentStatus === 'Failed' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'}`}>
                                                         {order.paymentStatus}
                                                     </span>
+                                                    {order.refundStatus && order.refundStatus !== 'None' && order.refundStatus !== 'Refunded' && (
+                                                        <span className={`font-sans text-xs px-3 py-1 rounded-full font-bold ${order.refundStatus === 'Failed' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'}`}>
+                                                            Refund {order.refundStatus.toLowerCase()}
+                                                        </span>
+                                                    )}
                                                 </div>
                                                 <p className="font-sans text-sm text-charcoal-muted">
                                                     {new Date(order.createdAt).toLocaleDateString('en-IN')} at {new Date(order.createdAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
                                                 </p>
                                             </div>
+                                            {/* Only the moves the order state machine allows from here */}
                                             <select
                                                 value={order.status}
                                                 onChange={e => handleStatusUpdate(order._id, e.target.value)}
-                                                className="input-field py-2 text-sm font-sans font-medium"
+                                                disabled={!order.allowedStatuses?.length || !can('orders:update')}
+                                                className="input-field py-2 text-sm font-sans font-medium disabled:opacity-60"
                                             >
-                                                {ORDER_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                                                {[order.status, ...(order.allowedStatuses || [])].map(s => <option key={s} value={s}>{s}</option>)}
                                             </select>
                                         </div>
 
@@ -368,6 +491,18 @@ export default function AdminDashboard() {
                                             </div>
                                         </div>
 
+                                        {/* Shipment */}
+                                        {order.shipment?.awbNumber && (
+                                            <div className="flex flex-wrap items-center gap-x-4 gap-y-1 bg-cream-100 rounded-xl p-3 font-sans text-sm">
+                                                <span className="text-charcoal font-medium"><FiTruck className="inline w-4 h-4 mr-1" />{order.shipment.courierName}</span>
+                                                <span className="text-charcoal-muted">AWB {order.shipment.packages.map(p => p.awbNumber).join(', ')}</span>
+                                                {order.shipment.status && <span className="text-xs px-2 py-1 rounded-full bg-blue-100 text-blue-700">{order.shipment.status.replace(/_/g, ' ')}</span>}
+                                                {order.shipment.expectedDeliveryDate && (
+                                                    <span className="text-charcoal-muted">ETA {new Date(order.shipment.expectedDeliveryDate).toLocaleDateString('en-IN')}</span>
+                                                )}
+                                            </div>
+                                        )}
+
                                         {/* Items */}
                                         <div>
                                             <p className="font-sans text-xs text-charcoal-muted uppercase font-bold tracking-widest mb-2">Items ({order.items?.length})</p>
@@ -394,19 +529,55 @@ export default function AdminDashboard() {
                                             <div className="text-left sm:text-right flex-1">
                                                 <div className="flex justify-between gap-8 text-sm font-sans mb-1">
                                                     <span className="text-charcoal-muted">Subtotal:</span>
-                                                    <span className="text-charcoal font-medium">₹{(order.totalAmount - order.shippingCharge).toLocaleString()}</span>
+                                                    <span className="text-charcoal font-medium">₹{(order.totalAmount - order.shippingCharge - (order.codCharge || 0) + (order.discountTotal || 0)).toLocaleString()}</span>
                                                 </div>
+                                                {order.discounts?.map(d => (
+                                                    <div key={d.code} className="flex justify-between gap-8 text-sm font-sans mb-1">
+                                                        <span className="text-green-600">Coupon {d.code}:</span>
+                                                        <span className="text-green-600 font-medium">{d.type === 'free_shipping' ? 'Free shipping' : `-₹${d.amount.toLocaleString()}`}</span>
+                                                    </div>
+                                                ))}
                                                 <div className="flex justify-between gap-8 text-sm font-sans mb-2">
                                                     <span className={`${order.shippingCharge === 0 ? 'text-green-600' : 'text-charcoal-muted'}`}>Shipping:</span>
                                                     <span className={`font-medium ${order.shippingCharge === 0 ? 'text-green-600' : 'text-charcoal'}`}>{order.shippingCharge === 0 ? 'FREE' : `₹${order.shippingCharge}`}</span>
                                                 </div>
+                                                {order.codCharge > 0 && (
+                                                    <div className="flex justify-between gap-8 text-sm font-sans mb-2">
+                                                        <span className="text-charcoal-muted">COD Charge:</span>
+                                                        <span className="font-medium text-charcoal">₹{order.codCharge}</span>
+                                                    </div>
+                                                )}
                                                 <div className="flex justify-between gap-8 text-base font-sans border-t border-cream-300 pt-2">
                                                     <span className="font-serif text-charcoal">Total:</span>
                                                     <span className="font-serif text-lg text-charcoal font-bold">₹{order.totalAmount.toLocaleString()}</span>
                                                 </div>
+                                                {order.refundedAmount > 0 && (
+                                                    <div className="flex justify-between gap-8 text-sm font-sans mt-1">
+                                                        <span className="text-green-600">Refunded:</span>
+                                                        <span className="text-green-600 font-medium">-₹{order.refundedAmount.toLocaleString()}</span>
+                                                    </div>
+                                                )}
                                             </div>
+                                            {can('orders:update') && ['PAID', 'PLACED', 'SHIPPED', 'DELIVERED'].includes(order.status) && (
+                                                <button onClick={() => setShipmentOrder(order)}
+                                                    className="btn-secondary flex items-center gap-2 px-4 py-2 text-sm whitespace-nowrap">
+                                                    <FiTruck className="w-4 h-4" /> {order.shipment?.awbNumber ? 'Shipment' : 'Ship'}
+                                                </button>
+                                            )}
+                                            {can('orders:update') && ['PAID', 'PLACED'].includes(order.status) && !order.smsSent && (
+                                                <button onClick={() => handleRetrySMS(order)} title={order.smsError || 'Confirmation SMS not sent'}
+                                                    className="btn-secondary flex items-center gap-2 px-4 py-2 text-sm whitespace-nowrap">
+                                                    <FiMessageSquare className="w-4 h-4" /> Resend SMS
+                                                </button>
+                                            )}
+                                            {can('payments:refund') && ['Paid', 'Refunded'].includes(order.paymentStatus) && order.paymentMethod !== 'COD' && (
+                                                <button onClick={() => setRefundOrder(order)}
+                                                    className="btn-secondary px-4 py-2 text-sm whitespace-nowrap">
+                                                    Refund
+                                                </button>
+                                            )}
                                             <motion.button
-                                                onClick={() => handleDownloadInvoice(order._id, order.orderNumber)}
+                                                onClick={() => handleDownloadInvoice(order._id, order.orderNumber, !!order.invoicePath)}
                                                 disabled={downloadingInvoice === order._id}
                                                 whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}
                                                 className="btn-primary flex items-center gap-2 px-4 py-2 text-sm disabled:opacity-70 whitespace-nowrap"
@@ -561,8 +732,24 @@ export default function AdminDashboard() {
                                         </select>
                                     </div>
                                     <div>
-                                        <label className="block font-sans text-sm text-charcoal-muted mb-1">Stock</label>
-                                        <input className="input-field" type="number" value={form.stock} onChange={e => setForm(f => ({ ...f, stock: Number(e.target.value) }))} />
+                                        <label className="block font-sans text-sm text-charcoal-muted mb-1">Stock{variantRows().length > 0 && ' (sum of variants)'}</label>
+                                        {variantRows().length > 0
+                                            ? <input className="input-field bg-cream-100" type="number" value={variantTotal()} readOnly />
+                                            : <input className="input-field" type="number" value={form.stock} onChange={e => setForm(f => ({ ...f, stock: Number(e.target.value) }))} />}
+                                    </div>
+                                    <div>
+                                        <label className="block font-sans text-sm text-charcoal-muted mb-1">Weight (grams)</label>
+                                        <input className="input-field" type="number" min="0" value={form.weight || ''} placeholder="For weight-based shipping" onChange={e => setForm(f => ({ ...f, weight: e.target.value }))} />
+                                    </div>
+                                    <div>
+                                        <label className="block font-sans text-sm text-charcoal-muted mb-1">HSN Code</label>
+                                        <input className="input-field" value={form.hsnCode || ''} onChange={e => setForm(f => ({ ...f, hsnCode: e.target.value }))} />
+                                    </div>
+                                    <div>
+                                        <label className="block font-sans text-sm text-charcoal-muted mb-1">GST Rate (incl. in price)</label>
+                                        <select className="input-field" value={form.taxRate ?? 5} onChange={e => setForm(f => ({ ...f, taxRate: Number(e.target.value) }))}>
+                                            {GST_RATES.map(r => <option key={r} value={r}>{r}%</option>)}
+                                        </select>
                                     </div>
                                     <div className="flex items-center gap-6 pt-2">
                                         <label className="flex items-center gap-2 cursor-pointer font-sans text-sm text-charcoal">
@@ -590,6 +777,38 @@ export default function AdminDashboard() {
                                     </div>
                                 </div>
 
+                                {/* Colors */}
+                                <div>
+                                    <label className="block font-sans text-sm text-charcoal-muted mb-1">Colors (comma separated)</label>
+                                    <input className="input-field" value={form.colorsText} onChange={e => setForm(f => ({ ...f, colorsText: e.target.value }))} placeholder="e.g. Maroon, Beige" />
+                                </div>
+
+                                {/* Variant stock (size × color) */}
+                                {variantRows().length > 0 && (
+                                    <div>
+                                        <label className="block font-sans text-sm text-charcoal-muted mb-2">Variant Stock</label>
+                                        <div className="border border-cream-300 rounded-2xl overflow-hidden">
+                                            <div className="grid grid-cols-4 gap-2 bg-cream-100 px-3 py-2 font-sans text-xs text-charcoal-muted uppercase tracking-widest">
+                                                <span>Variant</span><span>Stock</span><span>Price (₹)</span><span>Barcode</span>
+                                            </div>
+                                            {variantRows().map(({ size, color }) => {
+                                                const v = getVariant(size, color);
+                                                return (
+                                                    <div key={`${size}-${color}`} className="grid grid-cols-4 gap-2 px-3 py-2 border-t border-cream-200 items-center">
+                                                        <span className="font-sans text-sm text-charcoal">{size}{color && ` / ${color}`}</span>
+                                                        <input className="input-field py-1.5 text-sm" type="number" min="0" value={v.stock ?? 0}
+                                                            onChange={e => setVariantField(size, color, 'stock', e.target.value)} />
+                                                        <input className="input-field py-1.5 text-sm" type="number" min="0" value={v.price ?? ''} placeholder={form.price || 'Same'}
+                                                            onChange={e => setVariantField(size, color, 'price', e.target.value)} />
+                                                        <input className="input-field py-1.5 text-sm" value={v.barcode || ''} placeholder="Optional"
+                                                            onChange={e => setVariantField(size, color, 'barcode', e.target.value)} />
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                    </div>
+                                )}
+
                                 {/* Description */}
                                 <div>
                                     <label className="block font-sans text-sm text-charcoal-muted mb-1">Description *</label>
@@ -643,6 +862,20 @@ export default function AdminDashboard() {
                     </motion.div>
                 )}
             </AnimatePresence>
+
+            <RefundModal
+                isOpen={!!refundOrder}
+                order={refundOrder}
+                onClose={() => setRefundOrder(null)}
+                onRefunded={() => { fetchOrders(); fetchPayments(); }}
+            />
+
+            <ShipmentModal
+                isOpen={!!shipmentOrder}
+                order={shipmentOrder}
+                onClose={() => setShipmentOrder(null)}
+                onSaved={fetchOrders}
+            />
         </div>
     );
 }
@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiRefreshCw, FiTrash2, FiLayers, FiChevronLeft, FiChevronRight, FiRotateCcw } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+const STATUS_STYLES = {
+    queued: 'bg-blue-100 text-blue-700',
+    running: 'bg-purple-100 text-purple-700',
+    completed: 'bg-green-100 text-green-700',
+    dead: 'bg-red-100 text-red-700'
+};
+
+const formatTime = (date) => date ? new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'medium' }) : '—';
+
+// Background job queue (backend services/jobQueue.js) - dead jobs can be retried or discarded
+export default function AdminJobs() {
+    const [status, setStatus] = useState('dead');
+    const [name, setName] = useState('');
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ jobs: [], total: 0, pages: 0, counts: {}, names: [] });
+    const [loading, setLoading] = useState(false);
+    const [expanded, setExpanded] = useState(null);
+
+    const fetchJobs = () => {
+        setLoading(true);
+        return api.get('/admin/jobs', { params: { status: status || undefined, name: name || undefined, page } })
+            .then(({ data }) => setResult(data))
+            .catch(() => toast.error('Failed to load jobs'))
+            .finally(() => setLoading(false));
+    };
+
+    useEffect(() => { fetchJobs(); }, [status, name, page]);
+
+    const handleRetry = async (job) => {
+        try {
+            await api.post(`/admin/jobs/${job._id}/retry`);
+            toast.success(`${job.name} re-queued`);
+            fetchJobs();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Retry failed');
+        }
+    };
+
+    const handleDiscard = async (job) => {
+        if (!confirm(`Discard this ${job.name} job? It will not run again.`)) return;
+        try {
+            await api.delete(`/admin/jobs/${job._id}`);
+            toast.success('Job discarded');
+            fetchJobs();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Discard failed');
+        }
+    };
+
+    const filterBy = (next) => { setStatus(next); setPage(1); };
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+                <button onClick={() => filterBy('')}
+                    className={`px-4 py-2 rounded-full font-sans text-sm ${!status ? 'bg-charcoal text-cream-100' : 'bg-cream-200 text-charcoal'}`}>
+                    All
+                </button>
+                {STATUSES.map(s => (
+                    <button key={s} onClick={() => filterBy(s)}
+                        className={`px-4 py-2 rounded-full font-sans text-sm capitalize ${status === s ? 'bg-charcoal text-cream-100' : 'bg-cream-200 text-charcoal'}`}>
+                        {s} ({result.counts[s] || 0})
+                    </button>
+                ))}
+                <select value={name} onChange={e => { setName(e.target.value); setPage(1); }} className="input-field w-auto py-2 text-sm ml-auto">
+                    <option value="">All job types</option>
+                    {result.names.map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+                <button onClick={fetchJobs} className="p-2 rounded-full hover:bg-cream-200" title="Refresh">
+                    <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                </button>
+            </div>
+
+            {loading && result.jobs.length === 0 ? (
+                <div className="flex items-center justify-center p-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gold"></div>
+                </div>
+            ) : result.jobs.length === 0 ? (
+                <div className="card p-12 text-center">
+                    <FiLayers className="w-10 h-10 text-charcoal-muted mx-auto mb-3" />
+                    <p className="font-sans text-charcoal-muted">{status === 'dead' ? 'No dead jobs - everything went through' : 'No jobs'}</p>
+                </div>
+            ) : (
+                <div className="card divide-y divide-cream-200">
+                    {result.jobs.map(job => (
+                        <div key={job._id} className="p-5">
+                            <div className="flex flex-wrap items-center gap-3">
+                                <span className={`text-xs px-2 py-1 rounded-full font-sans capitalize ${STATUS_STYLES[job.status]}`}>{job.status}</span>
+                                <button onClick={() => setExpanded(expanded === job._id ? null : job._id)} className="font-mono text-sm text-charcoal hover:underline">
+                                    {job.name}
+                                </button>
+                                <span className="font-sans text-xs text-charcoal-muted">
+                                    attempt {job.attempts}/{job.maxAttempts} · queued {formatTime(job.createdAt)}
+                                    {job.status === 'queued' && job.attempts > 0 && ` · next try ${formatTime(job.runAt)}`}
+                                </span>
+                                {job.status === 'dead' && (
+                                    <div className="ml-auto flex gap-2">
+                                        <button onClick={() => handleRetry(job)} className="btn-secondary text-sm py-1.5 flex items-center gap-1">
+                                            <FiRotateCcw className="w-4 h-4" /> Retry
+                                        </button>
+                                        <button onClick={() => handleDiscard(job)} className="p-2 text-red-500 hover:bg-red-50 rounded-full" title="Discard">
+                                            <FiTrash2 className="w-4 h-4" />
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+                            {job.lastError && <p className="font-sans text-sm text-red-600 mt-2">{job.lastError}</p>}
+                            {expanded === job._id && (
+                                <div className="mt-3 grid md:grid-cols-2 gap-4 text-xs">
+                                    <div>
+                                        <p className="font-sans text-charcoal-muted mb-1">Payload</p>
+                                        <pre className="bg-cream-100 rounded-lg p-3 overflow-x-auto">{JSON.stringify(job.payload, null, 2)}</pre>
+                                        {job.result !== undefined && job.result !== null && (
+                                            <>
+                                                <p className="font-sans text-charcoal-muted mt-3 mb-1">Result</p>
+                                                <pre className="bg-cream-100 rounded-lg p-3 overflow-x-auto">{JSON.stringify(job.result, null, 2)}</pre>
+                                            </>
+                                        )}
+                                    </div>
+                                    <div>
+                                        <p className="font-sans text-charcoal-muted mb-1">Failures</p>
+                                        {job.failures?.length ? (
+                                            <ul className="space-y-1 font-sans">
+                                                {job.failures.map((f, i) => (
+                                                    <li key={i}><span className="text-charcoal-muted">#{f.attempt} · {formatTime(f.at)}</span> — {f.message}</li>
+                                                ))}
+                                            </ul>
+                                        ) : <p className="font-sans text-charcoal-muted">None</p>}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {result.pages > 1 && (
+                <div className="flex items-center justify-center gap-4 mt-6">
+                    <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="p-2 rounded-full hover:bg-cream-200 disabled:opacity-40"><FiChevronLeft /></button>
+                    <span className="font-sans text-sm text-charcoal-muted">Page {page} of {result.pages}</span>
+                    <button onClick={() => setPage(p => p + 1)} disabled={page >= result.pages} className="p-2 rounded-full hover:bg-cream-200 disabled:opacity-40"><FiChevronRight /></button>
+                </div>
+            )}
+        </motion.div>
+    );
+}
@@ -0,0 +1,257 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiRefreshCw, FiPlay, FiCheckCircle, FiCheck, FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+
+const MISMATCH_LABELS = {
+    missing_order: 'Missing order',
+    duplicate_payment: 'Paid twice',
+    missing_payment_record: 'No payment record',
+    amount_mismatch: 'Amount differs',
+    refund_mismatch: 'Refund differs',
+    status_mismatch: 'Failed at gateway',
+    not_captured: 'Not captured',
+    missing_at_gateway: 'Not at gateway'
+};
+
+const RUN_STYLES = {
+    running: 'bg-purple-100 text-purple-700',
+    completed: 'bg-green-100 text-green-700',
+    failed: 'bg-red-100 text-red-700'
+};
+
+const formatMoney = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatDay = (date) => new Date(date).toLocaleDateString('en-IN', { dateStyle: 'medium' });
+const formatTime = (date) => date ? new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+const yesterday = () => {
+    const d = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+function StatCard({ label, value, hint }) {
+    return (
+        <div className="card p-5">
+            <p className="font-sans text-xs text-charcoal-muted uppercase tracking-wide">{label}</p>
+            <p className="font-serif text-2xl text-charcoal mt-1">{value}</p>
+            {hint && <p className="font-sans text-xs text-charcoal-muted mt-1">{hint}</p>}
+        </div>
+    );
+}
+
+// Gateway payments and settlements vs our orders (backend services/reconciliationService.js)
+export default function AdminReconciliation() {
+    const { can } = useAuth();
+    const canRun = can('payments:reconcile');
+    const [range, setRange] = useState({ from: yesterday(), to: yesterday() });
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ runs: [], total: 0, pages: 0, gateway: null });
+    const [loading, setLoading] = useState(false);
+    const [starting, setStarting] = useState(false);
+    const [selected, setSelected] = useState(null);
+    const [run, setRun] = useState(null);
+    const [showResolved, setShowResolved] = useState(false);
+
+    // latest - open the newest run's report
+    const fetchRuns = (latest = false) => {
+        setLoading(true);
+        return api.get('/admin/reconciliation', { params: { page } })
+            .then(({ data }) => {
+                setResult(data);
+                if (data.runs[0] && (latest || !selected)) setSelected(data.runs[0]._id);
+            })
+            .catch(() => toast.error('Failed to load reconciliation runs'))
+            .finally(() => setLoading(false));
+    };
+
+    const fetchRun = (id) => api.get(`/admin/reconciliation/${id}`)
+        .then(({ data }) => setRun(data))
+        .catch(() => toast.error('Failed to load report'));
+
+    useEffect(() => { fetchRuns(); }, [page]);
+    useEffect(() => { if (selected) fetchRun(selected); }, [selected]);
+
+    const handleRun = async (e) => {
+        e.preventDefault();
+        setStarting(true);
+        try {
+            await api.post('/admin/reconciliation', range);
+            toast.success('Reconciliation started - the report appears when it finishes');
+            // The job starts right away; give it a moment before reloading
+            setPage(1);
+            setTimeout(() => fetchRuns(true), 3000);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not start reconciliation');
+        } finally {
+            setStarting(false);
+        }
+    };
+
+    const handleResolve = async (mismatch) => {
+        const note = prompt('What was done about it? (optional)');
+        if (note === null) return;
+        try {
+            await api.put(`/admin/reconciliation/${run._id}/mismatches/${mismatch._id}/resolve`, { note });
+            toast.success('Marked as resolved');
+            fetchRun(run._id);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not resolve');
+        }
+    };
+
+    const mismatches = (run?.mismatches || []).filter(m => showResolved || !(m.resolved || m.healed));
+    const summary = run?.summary;
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-6">
+            <div className="flex flex-wrap items-end gap-3">
+                {canRun && (
+                    <form onSubmit={handleRun} className="flex flex-wrap items-end gap-2">
+                        <div>
+                            <label className="block font-sans text-xs text-charcoal-muted mb-1">From</label>
+                            <input type="date" value={range.from} max={yesterday()} onChange={e => setRange(r => ({ ...r, from: e.target.value }))} className="input-field py-2 text-sm" />
+                        </div>
+                        <div>
+                            <label className="block font-sans text-xs text-charcoal-muted mb-1">To</label>
+                            <input type="date" value={range.to} onChange={e => setRange(r => ({ ...r, to: e.target.value }))} className="input-field py-2 text-sm" />
+                        </div>
+                        <button type="submit" disabled={starting} className="btn-primary text-sm py-2 flex items-center gap-2 disabled:opacity-50">
+                            <FiPlay className="w-4 h-4" /> {starting ? 'Starting...' : 'Reconcile'}
+                        </button>
+                    </form>
+                )}
+                {result.gateway && <span className="font-sans text-xs text-charcoal-muted">Gateway: {result.gateway.name}</span>}
+                <button onClick={() => { fetchRuns(); if (selected) fetchRun(selected); }} className="p-2 rounded-full hover:bg-cream-200 ml-auto" title="Refresh">
+                    <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                </button>
+            </div>
+
+            {result.runs.length === 0 ? (
+                <div className="card p-12 text-center">
+                    <FiCheckCircle className="w-10 h-10 text-charcoal-muted mx-auto mb-3" />
+                    <p className="font-sans text-charcoal-muted">No reconciliation runs yet - yesterday is reconciled automatically each morning</p>
+                </div>
+            ) : (
+                <div className="card overflow-x-auto">
+                    <table className="w-full font-sans text-sm">
+                        <thead className="bg-cream-200 text-charcoal-muted text-xs uppercase">
+                            <tr>
+                                {['Period', 'Status', 'Payments', 'Captured', 'Mismatches', 'Healed', 'Run'].map(h => <th key={h} className="text-left px-4 py-3">{h}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-cream-200">
+                            {result.runs.map(r => (
+                                <tr key={r._id} onClick={() => setSelected(r._id)}
+                                    className={`cursor-pointer hover:bg-cream-100 ${selected === r._id ? 'bg-cream-100' : ''}`}>
+                                    <td className="px-4 py-3">{formatDay(r.from)}{formatDay(r.to) !== formatDay(r.from) && ` – ${formatDay(r.to)}`}</td>
+                                    <td className="px-4 py-3"><span className={`text-xs px-2 py-1 rounded-full capitalize ${RUN_STYLES[r.status]}`}>{r.status}</span></td>
+                                    <td className="px-4 py-3">{r.summary?.gatewayPayments ?? '—'}</td>
+                                    <td className="px-4 py-3">{formatMoney(r.summary?.capturedAmount)}</td>
+                                    <td className={`px-4 py-3 ${r.summary?.mismatches - r.summary?.healed > 0 ? 'text-red-600 font-medium' : ''}`}>{r.summary?.mismatches ?? 0}</td>
+                                    <td className="px-4 py-3">{r.summary?.healed ?? 0}</td>
+                                    <td className="px-4 py-3 text-xs text-charcoal-muted">
+                                        {formatTime(r.createdAt)} · {r.trigger === 'schedule' ? 'daily' : r.startedBy?.name || 'manual'} · {r.gateway}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {result.pages > 1 && (
+                        <div className="flex items-center justify-center gap-4 py-3 border-t border-cream-200">
+                            <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="p-2 rounded-full hover:bg-cream-200 disabled:opacity-40"><FiChevronLeft /></button>
+                            <span className="text-sm text-charcoal-muted">Page {page} of {result.pages}</span>
+                            <button onClick={() => setPage(p => p + 1)} disabled={page >= result.pages} className="p-2 rounded-full hover:bg-cream-200 disabled:opacity-40"><FiChevronRight /></button>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {run && run.status === 'failed' && (
+                <div className="card p-5 font-sans text-sm text-red-600">Run failed: {run.error}</div>
+            )}
+
+            {run && summary && run.status === 'completed' && (
+                <>
+                    <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <StatCard label="Captured" value={formatMoney(summary.capturedAmount)} hint={`${summary.captured} of ${summary.gatewayPayments} payment(s) · ${summary.matched} matched`} />
+                        <StatCard label="Gateway fees" value={formatMoney(summary.fees)} hint={`incl. ${formatMoney(summary.tax)} GST`} />
+                        <StatCard label="Refunded" value={formatMoney(summary.refundedAmount)} />
+                        <StatCard label="Net settlement" value={formatMoney(summary.settledAmount)}
+                            hint={`expected ${formatMoney(summary.expectedNet)}${summary.unsettled ? ` · ${summary.unsettled} not settled yet` : ''}`} />
+                    </div>
+
+                    {run.settlements.length > 0 && (
+                        <div className="card overflow-x-auto">
+                            <table className="w-full font-sans text-sm">
+                                <thead className="bg-cream-200 text-charcoal-muted text-xs uppercase">
+                                    <tr>
+                                        {['Settlement', 'UTR', 'Settled', 'Payments', 'Fees', 'Amount', 'Status'].map(h => <th key={h} className="text-left px-4 py-3">{h}</th>)}
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-cream-200">
+                                    {run.settlements.map(s => (
+                                        <tr key={s.settlementId}>
+                                            <td className="px-4 py-3 font-mono text-xs">{s.settlementId}</td>
+                                            <td className="px-4 py-3 font-mono text-xs">{s.utr || '—'}</td>
+                                            <td className="px-4 py-3">{formatDay(s.settledAt)}</td>
+                                            <td className="px-4 py-3">{s.payments}</td>
+                                            <td className="px-4 py-3">{formatMoney(s.fees)}</td>
+                                            <td className="px-4 py-3 font-medium">{formatMoney(s.amount)}</td>
+                                            <td className="px-4 py-3 capitalize">{s.status}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    <div className="card">
+                        <div className="flex items-center justify-between p-5 border-b border-cream-200">
+                            <h3 className="font-serif text-lg text-charcoal">Mismatches</h3>
+                            <label className="flex items-center gap-2 font-sans text-sm text-charcoal-muted">
+                                <input type="checkbox" checked={showResolved} onChange={e => setShowResolved(e.target.checked)} />
+                                Show healed / resolved
+                            </label>
+                        </div>
+                        {mismatches.length === 0 ? (
+                            <p className="p-8 text-center font-sans text-charcoal-muted">
+                                {run.mismatches.length ? 'Everything left has been healed or resolved' : 'Everything matches'}
+                            </p>
+                        ) : (
+                            <div className="divide-y divide-cream-200">
+                                {mismatches.map(m => (
+                                    <div key={m._id} className="p-5 flex flex-wrap items-start gap-3">
+                                        <span className="text-xs px-2 py-1 rounded-full font-sans bg-amber-100 text-amber-700">{MISMATCH_LABELS[m.type] || m.type}</span>
+                                        <div className="flex-1 min-w-[16rem]">
+                                            <p className="font-sans text-sm text-charcoal">{m.message}</p>
+                                            <p className="font-sans text-xs text-charcoal-muted mt-1">
+                                                {m.paymentId && <span className="font-mono">{m.paymentId}</span>}
+                                                {m.order?.orderNumber && ` · order ${m.order.orderNumber}`}
+                                                {m.gatewayStatus && ` · gateway ${m.gatewayStatus}`}
+                                                {m.gatewayAmount != null && ` ${formatMoney(m.gatewayAmount)}`}
+                                                {m.localAmount != null && ` · ours ${formatMoney(m.localAmount)}`}
+                                            </p>
+                                            {m.resolved && (
+                                                <p className="font-sans text-xs text-green-700 mt-1">
+                                                    Resolved by {m.resolvedBy?.name || 'admin'} {formatTime(m.resolvedAt)}{m.resolutionNote && ` - ${m.resolutionNote}`}
+                                                </p>
+                                            )}
+                                        </div>
+                                        {m.healed && <span className="text-xs px-2 py-1 rounded-full font-sans bg-green-100 text-green-700">Healed</span>}
+                                        {canRun && !m.healed && !m.resolved && (
+                                            <button onClick={() => handleResolve(m)} className="btn-secondary text-sm py-1.5 flex items-center gap-1">
+                                                <FiCheck className="w-4 h-4" /> Resolve
+                                            </button>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </motion.div>
+    );
+}
@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiRefreshCw, FiX } from 'react-icons/fi';
+import api, { getMediaUrl } from '../utils/api';
+import toast from 'react-hot-toast';
+
+const STATUS_FILTERS = ['', 'REQUESTED', 'APPROVED', 'PICKUP_SCHEDULED', 'PICKED_UP', 'RECEIVED', 'REFUNDED', 'EXCHANGED', 'REJECTED', 'CANCELLED'];
+
+const STATUS_STYLES = {
+    REQUESTED: 'bg-yellow-100 text-yellow-700',
+    APPROVED: 'bg-blue-100 text-blue-700',
+    PICKUP_SCHEDULED: 'bg-blue-100 text-blue-700',
+    PICKED_UP: 'bg-purple-100 text-purple-700',
+    RECEIVED: 'bg-purple-100 text-purple-700',
+    REFUNDED: 'bg-green-100 text-green-700',
+    EXCHANGED: 'bg-green-100 text-green-700',
+    REJECTED: 'bg-red-100 text-red-700',
+    CANCELLED: 'bg-gray-100 text-gray-600'
+};
+
+const label = (status) => status.replace(/_/g, ' ').toLowerCase().replace(/^\w/, c => c.toUpperCase());
+
+// Next actions offered for each status - mirrors TRANSITIONS in returnService
+const nextActions = (r) => {
+    switch (r.status) {
+        case 'REQUESTED': return [{ status: 'APPROVED', label: 'Approve' }, { status: 'REJECTED', label: 'Reject', danger: true }];
+        case 'APPROVED': return [{ status: 'PICKUP_SCHEDULED', label: 'Schedule Pickup' }, { status: 'RECEIVED', label: 'Mark Received (self-shipped)' }];
+        case 'PICKUP_SCHEDULED': return [{ status: 'PICKED_UP', label: 'Mark Picked Up' }];
+        case 'PICKED_UP': return [{ status: 'RECEIVED', label: 'Mark Received & Restock' }];
+        case 'RECEIVED': return r.type === 'exchange'
+            ? [{ status: 'EXCHANGED', label: 'Create Exchange Order' }]
+            : [{ status: 'REFUNDED', label: `Refund ₹${r.refundAmount?.toLocaleString()}` }];
+        default: return [];
+    }
+};
+
+export default function AdminReturns() {
+    const [requests, setRequests] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [statusFilter, setStatusFilter] = useState('REQUESTED');
+    const [action, setAction] = useState(null);   // { request, status, label }
+    const [note, setNote] = useState('');
+    const [pickup, setPickup] = useState({ courier: '', trackingNumber: '', scheduledAt: '' });
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => { fetchRequests(); }, [statusFilter]);
+
+    const fetchRequests = async () => {
+        setLoading(true);
+        try {
+            const { data } = await api.get('/returns', { params: { status: statusFilter || undefined, limit: 50 } });
+            setRequests(data.requests || []);
+        } catch { toast.error('Failed to load return requests'); }
+        finally { setLoading(false); }
+    };
+
+    const openAction = (request, next) => {
+        setAction({ request, ...next });
+        setNote('');
+        setPickup({ courier: '', trackingNumber: '', scheduledAt: '' });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await api.put(`/returns/${action.request._id}/status`, {
+                status: action.status,
+                note,
+                pickup: action.status === 'PICKUP_SCHEDULED' ? pickup : undefined
+            });
+            toast.success(`${action.request.rmaNumber}: ${label(action.status)}`);
+            setAction(null);
+            fetchRequests();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to update request');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <div className="flex flex-wrap gap-2 mb-6">
+                {STATUS_FILTERS.map(s => (
+                    <button key={s || 'all'} onClick={() => setStatusFilter(s)}
+                        className={`px-3 py-1.5 text-xs font-sans border rounded-full transition-colors ${statusFilter === s ? 'bg-charcoal text-white border-charcoal' : 'border-cream-300 text-charcoal hover:border-charcoal'}`}>
+                        {s ? label(s) : 'All'}
+                    </button>
+                ))}
+            </div>
+
+            {loading ? (
+                <div className="flex items-center justify-center p-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gold"></div>
+                </div>
+            ) : requests.length === 0 ? (
+                <div className="card p-12 text-center">
+                    <FiRefreshCw className="w-10 h-10 text-charcoal-muted mx-auto mb-3" />
+                    <p className="font-sans text-charcoal-muted">No return requests</p>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {requests.map(r => (
+                        <div key={r._id} className="card p-5">
+                            <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-4">
+                                <div>
+                                    <div className="flex items-center gap-3 mb-1">
+                                        <h3 className="font-serif text-lg text-charcoal">{r.rmaNumber}</h3>
+                                        <span className={`text-xs px-2 py-1 rounded-full font-sans ${STATUS_STYLES[r.status]}`}>{label(r.status)}</span>
+                                        <span className="text-xs px-2 py-1 rounded-full font-sans bg-cream-200 text-charcoal">{r.type === 'exchange' ? 'Exchange' : 'Return'}</span>
+                                    </div>
+                                    <p className="font-sans text-sm text-charcoal-muted">
+                                        Order #{r.order?.orderNumber} • {r.user?.name} ({r.user?.phone || r.user?.email})
+                                        {' • '}{new Date(r.createdAt).toLocaleDateString('en-IN')}
+                                    </p>
+                                </div>
+                                <div className="flex flex-wrap gap-2">
+                                    {nextActions(r).map(a => (
+                                        <button key={a.status} onClick={() => openAction(r, a)}
+                                            className={a.danger ? 'px-4 py-2 rounded-full border border-red-300 text-sm font-sans text-red-600 hover:bg-red-50' : 'btn-secondary text-sm py-2'}>
+                                            {a.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div className="space-y-1">
+                                    {r.items.map(i => (
+                                        <p key={i._id} className="font-sans text-sm text-charcoal">
+                                            {i.name} ({i.size}{i.color ? ` / ${i.color}` : ''}) × {i.quantity}
+                                            {r.type === 'exchange' && <span className="text-gold"> → {i.exchangeSize}{i.exchangeColor ? ` / ${i.exchangeColor}` : ''}</span>}
+                                        </p>
+                                    ))}
+                                    <p className="font-sans text-xs text-charcoal-muted pt-1">Reason: {r.reason}{r.comment ? ` — ${r.comment}` : ''}</p>
+                                    {r.pickup?.courier && <p className="font-sans text-xs text-charcoal-muted">Pickup: {r.pickup.courier} {r.pickup.trackingNumber}</p>}
+                                    {r.exchangeOrder && <p className="font-sans text-xs text-charcoal-muted">Exchange order #{r.exchangeOrder.orderNumber}</p>}
+                                    {r.type === 'return' && <p className="font-sans text-xs text-charcoal-muted">Refund due: ₹{r.refundAmount?.toLocaleString()}</p>}
+                                </div>
+                                {r.photos?.length > 0 && (
+                                    <div className="flex flex-wrap gap-2">
+                                        {r.photos.map(p => (
+                                            <a key={p} href={getMediaUrl(p)} target="_blank" rel="noreferrer">
+                                                <img src={getMediaUrl(p)} alt="" className="w-16 h-16 rounded-lg object-cover" />
+                                            </a>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Action Modal */}
+            <AnimatePresence>
+                {action && (
+                    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+                        className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+                        <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }}
+                            className="bg-white rounded-2xl w-full max-w-md">
+                            <div className="flex items-center justify-between p-6 border-b border-cream-200">
+                                <h2 className="font-serif text-2xl text-charcoal">{action.label}</h2>
+                                <button onClick={() => setAction(null)} className="p-2 hover:bg-cream-100 rounded-full"><FiX /></button>
+                            </div>
+                            <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                                {action.status === 'PICKUP_SCHEDULED' && (
+                                    <>
+                                        <div className="grid grid-cols-2 gap-4">
+                                            <div>
+                                                <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Courier *</label>
+                                                <input value={pickup.courier} onChange={e => setPickup(p => ({ ...p, courier: e.target.value }))} className="input-field" required />
+                                            </div>
+                                            <div>
+                                                <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Tracking No.</label>
+                                                <input value={pickup.trackingNumber} onChange={e => setPickup(p => ({ ...p, trackingNumber: e.target.value }))} className="input-field" />
+                                            </div>
+                                        </div>
+                                        <div>
+                                            <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">Pickup Date</label>
+                                            <input type="date" value={pickup.scheduledAt} onChange={e => setPickup(p => ({ ...p, scheduledAt: e.target.value }))} className="input-field" />
+                                        </div>
+                                    </>
+                                )}
+                                <div>
+                                    <label className="block font-sans text-xs font-medium text-charcoal-muted mb-1.5 uppercase tracking-wider">
+                                        {['APPROVED', 'REJECTED'].includes(action.status) ? 'Note to customer' : 'Note'}{action.status === 'REJECTED' ? ' *' : ''}
+                                    </label>
+                                    <textarea value={note} onChange={e => setNote(e.target.value)} className="input-field" rows={3} required={action.status === 'REJECTED'} />
+                                </div>
+                                <div className="flex gap-4 pt-2">
+                                    <button type="button" onClick={() => setAction(null)} className="btn-secondary flex-1">Cancel</button>
+                                    <button type="submit" disabled={saving} className="btn-primary flex-1 disabled:opacity-70">
+                                        {saving ? 'Saving...' : 'Confirm'}
+                                    </button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </motion.div>
+    );
+}
@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiStar, FiTrash2 } from 'react-icons/fi';
+import api, { getMediaUrl } from '../utils/api';
+import toast from 'react-hot-toast';
+import { Stars } from '../components/ProductReviews';
+
+const STATUS_FILTERS = ['pending', 'approved', 'rejected', ''];
+
+const STATUS_STYLES = {
+    pending: 'bg-yellow-100 text-yellow-700',
+    approved: 'bg-green-100 text-green-700',
+    rejected: 'bg-red-100 text-red-700'
+};
+
+export default function AdminReviews() {
+    const [reviews, setReviews] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [statusFilter, setStatusFilter] = useState('pending');
+    const [savingId, setSavingId] = useState(null);
+
+    useEffect(() => { fetchReviews(); }, [statusFilter]);
+
+    const fetchReviews = async () => {
+        setLoading(true);
+        try {
+            const { data } = await api.get('/reviews', { params: { status: statusFilter || undefined, limit: 50 } });
+            setReviews(data.reviews || []);
+        } catch { toast.error('Failed to load reviews'); }
+        finally { setLoading(false); }
+    };
+
+    const moderate = async (review, status) => {
+        const note = status === 'rejected' ? prompt('Reason for rejecting (internal note):') : '';
+        if (note === null) return;
+        setSavingId(review._id);
+        try {
+            await api.put(`/reviews/${review._id}/moderate`, { status, note });
+            toast.success(status === 'approved' ? 'Review published' : 'Review rejected');
+            fetchReviews();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to update review');
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    const handleDelete = async (review) => {
+        if (!confirm('Delete this review?')) return;
+        try {
+            await api.delete(`/reviews/${review._id}`);
+            toast.success('Review deleted');
+            fetchReviews();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Delete failed');
+        }
+    };
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <div className="flex flex-wrap gap-2 mb-6">
+                {STATUS_FILTERS.map(s => (
+                    <button key={s || 'all'} onClick={() => setStatusFilter(s)}
+                        className={`px-3 py-1.5 text-xs font-sans border rounded-full capitalize transition-colors ${statusFilter === s ? 'bg-charcoal text-white border-charcoal' : 'border-cream-300 text-charcoal hover:border-charcoal'}`}>
+                        {s || 'All'}
+                    </button>
+                ))}
+            </div>
+
+            {loading ? (
+                <div className="flex items-center justify-center p-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gold"></div>
+                </div>
+            ) : reviews.length === 0 ? (
+                <div className="card p-12 text-center">
+                    <FiStar className="w-10 h-10 text-charcoal-muted mx-auto mb-3" />
+                    <p className="font-sans text-charcoal-muted">No reviews</p>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {reviews.map(r => (
+                        <div key={r._id} className="card p-5">
+                            <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-4">
+                                <div className="flex gap-4">
+                                    {r.product?.images?.[0] && (
+                                        <img src={getMediaUrl(r.product.images[0])} alt="" className="w-14 h-16 rounded-lg object-cover flex-shrink-0" />
+                                    )}
+                                    <div>
+                                        <div className="flex items-center gap-3 mb-1">
+                                            <h3 className="font-serif text-lg text-charcoal">{r.product?.name || 'Deleted product'}</h3>
+                                            <span className={`text-xs px-2 py-1 rounded-full font-sans capitalize ${STATUS_STYLES[r.status]}`}>{r.status}</span>
+                                        </div>
+                                        <p className="font-sans text-sm text-charcoal-muted">
+                                            {r.user?.name} ({r.user?.phone || r.user?.email}) • Order #{r.order?.orderNumber}
+                                            {' • '}{new Date(r.updatedAt).toLocaleDateString('en-IN')}
+                                        </p>
+                                    </div>
+                                </div>
+                                <div className="flex flex-wrap gap-2">
+                                    {r.status !== 'approved' && (
+                                        <button onClick={() => moderate(r, 'approved')} disabled={savingId === r._id} className="btn-secondary text-sm py-2 disabled:opacity-60">
+                                            Approve
+                                        </button>
+                                    )}
+                                    {r.status !== 'rejected' && (
+                                        <button onClick={() => moderate(r, 'rejected')} disabled={savingId === r._id}
+                                            className="px-4 py-2 rounded-full border border-red-300 text-sm font-sans text-red-600 hover:bg-red-50 disabled:opacity-60">
+                                            Reject
+                                        </button>
+                                    )}
+                                    <button onClick={() => handleDelete(r)} className="p-2 text-red-500 hover:bg-red-50 rounded-full" title="Delete">
+                                        <FiTrash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            </div>
+
+                            <div className="mt-4 space-y-2">
+                                <div className="flex items-center gap-3">
+                                    <Stars rating={r.rating} />
+                                    {r.title && <p className="font-sans text-sm font-semibold text-charcoal">{r.title}</p>}
+                                </div>
+                                {r.comment && <p className="font-sans text-sm text-charcoal whitespace-pre-line">{r.comment}</p>}
+                                {r.photos?.length > 0 && (
+                                    <div className="flex flex-wrap gap-2">
+                                        {r.photos.map(p => (
+                                            <a key={p} href={getMediaUrl(p)} target="_blank" rel="noreferrer">
+                                                <img src={getMediaUrl(p)} alt="" className="w-16 h-16 rounded-lg object-cover" />
+                                            </a>
+                                        ))}
+                                    </div>
+                                )}
+                                <p className="font-sans text-xs text-charcoal-muted">
+                                    {r.size && `Size ${r.size}`}{r.color && ` / ${r.color}`}
+                                    {r.helpfulCount > 0 && ` • ${r.helpfulCount} found this helpful`}
+                                    {r.moderationNote && ` • Note: ${r.moderationNote}`}
+                                </p>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </motion.div>
+    );
+}
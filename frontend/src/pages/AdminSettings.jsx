@@ -9,6 +9,9 @@ export default function AdminSettings() {
     const [loading, setLoading] = useState(false);
     const [saving, setSaving] = useState(false);
     const [upiValid, setUpiValid] = useState(null);
+    const [gateways, setGateways] = useState(null); // { active, default, gateways: [{ code, name, checkout }] }
+    const [gateway, setGateway] = useState('');
+    const [savingGateway, setSavingGateway] = useState(false);
 
     useEffect(() => {
         const fetchSettings = async () => {
@@ -18,6 +21,13 @@ export default function AdminSettings() {
                 if (data.value) setUpiId(data.value);
             } catch (err) {
                 // Not found is fine
+            }
+            try {
+                const { data } = await api.get('/payment/admin/gateways');
+                setGateways(data);
+                setGateway(data.active);
+            } catch (err) {
+                toast.error(err.response?.data?.message || 'Could not load payment gateways');
             } finally {
                 setLoading(false);
             }
@@ -25,6 +35,19 @@ export default function AdminSettings() {
         fetchSettings();
     }, []);
 
+    const handleGatewaySave = async () => {
+        setSavingGateway(true);
+        try {
+            const { data } = await api.put('/payment/admin/gateway', { gateway });
+            setGateways(data);
+            toast.success('Payment gateway updated - new checkouts will use it');
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to update payment gateway');
+        } finally {
+            setSavingGateway(false);
+        }
+    };
+
     // Validate UPI ID format
     const validateUpiId = (id) => {
         if (!id) return false;
@@ -79,6 +102,67 @@ export default function AdminSettings() {
                 </div>
             </div>
 
+            {/* Payment Gateway */}
+            {gateways && (
+                <div className="card p-8 max-w-2xl mb-8">
+                    <h2 className="font-serif text-xl text-charcoal mb-2 flex items-center gap-2">
+                        🔌 Payment Gateway
+                    </h2>
+                    <p className="font-sans text-sm text-charcoal-muted mb-6">
+                        Gateway used for new online checkouts. Payments already taken stay with the gateway that took them.
+                    </p>
+
+                    <div className="space-y-3">
+                        {gateways.gateways.map(g => (
+                            <label key={g.code} className={`flex items-center gap-3 p-4 rounded-xl border cursor-pointer transition-colors ${gateway === g.code ? 'border-gold bg-gold/5' : 'border-cream-300 hover:bg-cream-100'}`}>
+                                <input
+                                    type="radio"
+                                    name="gateway"
+                                    value={g.code}
+                                    checked={gateway === g.code}
+                                    onChange={() => setGateway(g.code)}
+                                />
+                                <div className="flex-1">
+                                    <p className="font-sans text-sm font-bold text-charcoal">{g.name}</p>
+                                    <p className="font-sans text-xs text-charcoal-muted">
+                                        {g.checkout === 'hosted' ? 'Hosted test checkout page - no real money moves' : 'Razorpay checkout'}
+                                        {g.code === gateways.default && ' · environment default'}
+                                    </p>
+                                </div>
+                                {g.code === gateways.active && (
+                                    <span className="font-sans text-xs font-bold text-green-700 bg-green-100 px-2 py-1 rounded-full">Active</span>
+                                )}
+                            </label>
+                        ))}
+                    </div>
+
+                    {gateway === 'fake' && (
+                        <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 mt-4 flex gap-3">
+                            <FiAlertCircle className="w-5 h-5 text-amber-600 flex-shrink-0 mt-0.5" />
+                            <p className="font-sans text-xs text-amber-700">
+                                Customers can mark their own payments as successful on the fake gateway. Use it for development and testing only.
+                            </p>
+                        </div>
+                    )}
+
+                    <div className="flex justify-end pt-6">
+                        <button
+                            type="button"
+                            onClick={handleGatewaySave}
+                            disabled={savingGateway || gateway === gateways.active}
+                            className="btn-primary flex items-center gap-2 px-8 disabled:opacity-60"
+                        >
+                            {savingGateway ? (
+                                <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></span>
+                            ) : (
+                                <FiSave className="w-4 h-4" />
+                            )}
+                            {savingGateway ? 'Saving...' : 'Save Gateway'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
             <form onSubmit={handleSave} className="max-w-2xl space-y-8">
                 {/* UPI Settings */}
                 <div className="card p-8">
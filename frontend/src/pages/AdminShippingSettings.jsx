@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiSave, FiTruck, FiPlus, FiTrash2 } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const emptyZone = { name: '', pincodePrefixes: [], states: [], baseRate: 49, freeAbove: 999, slabs: [] };
+
+// Comma-separated text ↔ array for the prefix / state inputs
+const splitList = (text) => text.split(',').map(s => s.trim()).filter(Boolean);
+
+function ZoneEditor({ zone, basis, onChange, onRemove, isDefault }) {
+    const set = (field, value) => onChange({ ...zone, [field]: value });
+    const setSlab = (i, field, value) => set('slabs', zone.slabs.map((s, idx) => idx === i ? { ...s, [field]: value } : s));
+    const unit = basis === 'weight' ? 'kg' : 'items';
+
+    return (
+        <div className="border border-cream-300 rounded-xl p-4 space-y-3">
+            <div className="flex items-center gap-3">
+                <input className="input-field flex-1" placeholder="Zone name" value={zone.name} onChange={e => set('name', e.target.value)} disabled={isDefault} />
+                {!isDefault && (
+                    <button type="button" onClick={onRemove} className="p-2 text-charcoal-muted hover:text-red-500"><FiTrash2 /></button>
+                )}
+            </div>
+            {!isDefault && (
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label className="block font-sans text-xs text-charcoal-muted mb-1">Pincode prefixes</label>
+                        <input className="input-field" placeholder="110, 400, 5600" value={zone.pincodePrefixesText ?? zone.pincodePrefixes.join(', ')}
+                            onChange={e => onChange({ ...zone, pincodePrefixesText: e.target.value, pincodePrefixes: splitList(e.target.value) })} />
+                    </div>
+                    <div>
+                        <label className="block font-sans text-xs text-charcoal-muted mb-1">States</label>
+                        <input className="input-field" placeholder="Delhi, Maharashtra" value={zone.statesText ?? zone.states.join(', ')}
+                            onChange={e => onChange({ ...zone, statesText: e.target.value, states: splitList(e.target.value) })} />
+                    </div>
+                </div>
+            )}
+            <div className="grid grid-cols-2 gap-3">
+                <div>
+                    <label className="block font-sans text-xs text-charcoal-muted mb-1">Flat rate (₹){zone.slabs.length > 0 && ' — slabs override'}</label>
+                    <input className="input-field" type="number" min="0" value={zone.baseRate} onChange={e => set('baseRate', e.target.value)} />
+                </div>
+                <div>
+                    <label className="block font-sans text-xs text-charcoal-muted mb-1">Free above (₹, empty = never)</label>
+                    <input className="input-field" type="number" min="0" value={zone.freeAbove ?? ''} onChange={e => set('freeAbove', e.target.value === '' ? null : e.target.value)} />
+                </div>
+            </div>
+            <div>
+                <label className="block font-sans text-xs text-charcoal-muted mb-1">Slabs (up to N {unit} → rate)</label>
+                {zone.slabs.map((slab, i) => (
+                    <div key={i} className="flex items-center gap-2 mb-2">
+                        <input className="input-field py-1.5 text-sm" type="number" min="0" step="any" placeholder={`Up to (${unit})`} value={slab.upTo} onChange={e => setSlab(i, 'upTo', e.target.value)} />
+                        <input className="input-field py-1.5 text-sm" type="number" min="0" placeholder="Rate ₹" value={slab.rate} onChange={e => setSlab(i, 'rate', e.target.value)} />
+                        <button type="button" onClick={() => set('slabs', zone.slabs.filter((_, idx) => idx !== i))} className="p-2 text-charcoal-muted hover:text-red-500"><FiTrash2 size={14} /></button>
+                    </div>
+                ))}
+                <button type="button" onClick={() => set('slabs', [...zone.slabs, { upTo: '', rate: '' }])} className="font-sans text-xs text-gold hover:text-gold-dark flex items-center gap-1">
+                    <FiPlus size={12} /> Add slab
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default function AdminShippingSettings() {
+    const [config, setConfig] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        api.get('/shipping/config')
+            .then(({ data }) => setConfig(data))
+            .catch(() => toast.error('Failed to load shipping rules'));
+    }, []);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { data } = await api.put('/shipping/config', config);
+            setConfig(data);
+            toast.success('Shipping rules saved!');
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to save shipping rules');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!config) return null;
+
+    const setZone = (i, zone) => setConfig(c => ({ ...c, zones: c.zones.map((z, idx) => idx === i ? zone : z) }));
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="p-6 pt-0">
+            <form onSubmit={handleSave} className="max-w-2xl space-y-6">
+                <div className="card p-8 space-y-6">
+                    <div>
+                        <h2 className="font-serif text-xl text-charcoal mb-2 flex items-center gap-2">
+                            <FiTruck className="text-gold" /> Shipping Rates
+                        </h2>
+                        <p className="font-sans text-sm text-charcoal-muted">
+                            Zones are matched by the longest pincode prefix, then by state. Anything else uses the default zone.
+                        </p>
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-4">
+                        <div>
+                            <label className="block font-sans text-xs font-bold text-charcoal-muted uppercase tracking-widest mb-2">Slabs by</label>
+                            <select className="input-field" value={config.basis} onChange={e => setConfig(c => ({ ...c, basis: e.target.value }))}>
+                                <option value="items">Item count</option>
+                                <option value="weight">Weight (kg)</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block font-sans text-xs font-bold text-charcoal-muted uppercase tracking-widest mb-2">Default weight (g)</label>
+                            <input className="input-field" type="number" min="0" value={config.defaultItemWeight} onChange={e => setConfig(c => ({ ...c, defaultItemWeight: e.target.value }))} />
+                        </div>
+                        <div>
+                            <label className="block font-sans text-xs font-bold text-charcoal-muted uppercase tracking-widest mb-2">COD charge (₹)</label>
+                            <input className="input-field" type="number" min="0" value={config.codSurcharge} onChange={e => setConfig(c => ({ ...c, codSurcharge: e.target.value }))} />
+                        </div>
+                    </div>
+
+                    <div>
+                        <p className="font-sans text-xs font-bold text-charcoal-muted uppercase tracking-widest mb-2">Default zone</p>
+                        <ZoneEditor zone={config.defaultZone} basis={config.basis} isDefault
+                            onChange={zone => setConfig(c => ({ ...c, defaultZone: zone }))} />
+                    </div>
+
+                    <div className="space-y-3">
+                        <p className="font-sans text-xs font-bold text-charcoal-muted uppercase tracking-widest">Zones</p>
+                        {config.zones.map((zone, i) => (
+                            <ZoneEditor key={i} zone={zone} basis={config.basis}
+                                onChange={z => setZone(i, z)}
+                                onRemove={() => setConfig(c => ({ ...c, zones: c.zones.filter((_, idx) => idx !== i) }))} />
+                        ))}
+                        <button type="button" onClick={() => setConfig(c => ({ ...c, zones: [...c.zones, { ...emptyZone }] }))}
+                            className="btn-secondary flex items-center gap-2 text-sm">
+                            <FiPlus /> Add Zone
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex justify-end">
+                    <button type="submit" disabled={saving} className="btn-primary flex items-center gap-2 px-8 disabled:opacity-60">
+                        {saving ? (
+                            <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></span>
+                        ) : (
+                            <FiSave className="w-4 h-4" />
+                        )}
+                        {saving ? 'Saving...' : 'Save Shipping Rules'}
+                    </button>
+                </div>
+            </form>
+        </motion.div>
+    );
+}
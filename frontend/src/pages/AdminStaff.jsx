@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiUserPlus, FiUsers, FiX, FiTrash2 } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+
+const ROLE_STYLES = {
+    owner: 'bg-amber-100 text-amber-700',
+    catalog_manager: 'bg-blue-100 text-blue-700',
+    order_fulfilment: 'bg-purple-100 text-purple-700',
+    finance: 'bg-green-100 text-green-700'
+};
+
+const emptyForm = { name: '', email: '', phone: '', password: '', adminRole: 'order_fulfilment' };
+
+export default function AdminStaff() {
+    const { user, can } = useAuth();
+    const [staff, setStaff] = useState([]);
+    const [roles, setRoles] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [showForm, setShowForm] = useState(false);
+    const [form, setForm] = useState(emptyForm);
+    const [saving, setSaving] = useState(false);
+    const canManage = can('users:manage');
+
+    useEffect(() => {
+        fetchStaff();
+        api.get('/admin/users/roles').then(({ data }) => setRoles(data.roles)).catch(() => { });
+    }, []);
+
+    const fetchStaff = async () => {
+        setLoading(true);
+        try {
+            const { data } = await api.get('/admin/users');
+            setStaff(data);
+        } catch { toast.error('Failed to load staff'); }
+        finally { setLoading(false); }
+    };
+
+    const roleLabel = (id) => roles.find(r => r.id === id)?.label || id;
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { data } = await api.post('/admin/users', form);
+            toast.success(data.promoted ? `${data.name} is now ${roleLabel(data.adminRole)}` : 'Staff account created');
+            setShowForm(false);
+            setForm(emptyForm);
+            fetchStaff();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to add staff');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const update = async (member, changes) => {
+        try {
+            await api.put(`/admin/users/${member._id}`, changes);
+            toast.success('Staff updated');
+            fetchStaff();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Update failed');
+        }
+    };
+
+    const handleRemove = async (member) => {
+        if (!confirm(`Remove staff access for ${member.name}? Their customer account stays.`)) return;
+        try {
+            await api.delete(`/admin/users/${member._id}`);
+            toast.success('Staff access removed');
+            fetchStaff();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Remove failed');
+        }
+    };
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <div className="flex items-center justify-between mb-6">
+                <p className="font-sans text-sm text-charcoal-muted">Each role only sees the parts of the admin panel it needs.</p>
+                {canManage && (
+                    <button onClick={() => setShowForm(true)} className="btn-primary flex items-center gap-2">
+                        <FiUserPlus /> Add Staff
+                    </button>
+                )}
+            </div>
+
+            {/* Role reference */}
+            <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
+                {roles.map(role => (
+                    <div key={role.id} className="card p-4">
+                        <span className={`text-xs px-2 py-1 rounded-full font-sans ${ROLE_STYLES[role.id]}`}>{role.label}</span>
+                        <p className="font-sans text-xs text-charcoal-muted mt-2">{role.description}</p>
+                    </div>
+                ))}
+            </div>
+
+            {loading ? (
+                <div className="flex items-center justify-center p-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gold"></div>
+                </div>
+            ) : staff.length === 0 ? (
+                <div className="card p-12 text-center">
+                    <FiUsers className="w-10 h-10 text-charcoal-muted mx-auto mb-3" />
+                    <p className="font-sans text-charcoal-muted">No staff accounts</p>
+                </div>
+            ) : (
+                <div className="card divide-y divide-cream-200">
+                    {staff.map(member => {
+                        const isSelf = member._id === user?._id;
+                        return (
+                            <div key={member._id} className={`flex flex-wrap items-center gap-4 p-5 ${member.isActive ? '' : 'opacity-60'}`}>
+                                <div className="flex-1 min-w-[12rem]">
+                                    <p className="font-sans font-medium text-charcoal">
+                                        {member.name}{isSelf && <span className="text-charcoal-muted font-normal"> (you)</span>}
+                                        {!member.isActive && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700">Disabled</span>}
+                                    </p>
+                                    <p className="font-sans text-sm text-charcoal-muted">{member.email || member.phone}</p>
+                                </div>
+                                {canManage && !isSelf ? (
+                                    <>
+                                        <select value={member.adminRole} onChange={e => update(member, { adminRole: e.target.value })}
+                                            className="input-field w-auto py-2 text-sm">
+                                            {roles.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                                        </select>
+                                        <button onClick={() => update(member, { isActive: !member.isActive })} className="btn-secondary text-sm py-2">
+                                            {member.isActive ? 'Disable' : 'Enable'}
+                                        </button>
+                                        <button onClick={() => handleRemove(member)} className="p-2 text-red-500 hover:bg-red-50 rounded-full" title="Remove staff access">
+                                            <FiTrash2 className="w-4 h-4" />
+                                        </button>
+                                    </>
+                                ) : (
+                                    <span className={`text-xs px-3 py-1 rounded-full font-sans ${ROLE_STYLES[member.adminRole]}`}>{roleLabel(member.adminRole)}</span>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <AnimatePresence>
+                {showForm && (
+                    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+                        className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+                        <motion.form onSubmit={handleAdd} initial={{ scale: 0.95 }} animate={{ scale: 1 }} exit={{ scale: 0.95 }}
+                            className="bg-white rounded-3xl p-8 w-full max-w-md space-y-4">
+                            <div className="flex items-center justify-between">
+                                <h2 className="font-serif text-2xl text-charcoal">Add Staff</h2>
+                                <button type="button" onClick={() => setShowForm(false)} className="p-2 rounded-full hover:bg-cream-200"><FiX /></button>
+                            </div>
+                            <p className="font-sans text-xs text-charcoal-muted">An existing customer with this email / phone is given the role; otherwise a new account is created.</p>
+                            <select value={form.adminRole} onChange={e => setForm(f => ({ ...f, adminRole: e.target.value }))} className="input-field">
+                                {roles.map(r => <option key={r.id} value={r.id}>{r.label} - {r.description}</option>)}
+                            </select>
+                            <input className="input-field" placeholder="Email" type="email" value={form.email} onChange={e => setForm(f => ({ ...f, email: e.target.value }))} />
+                            <input className="input-field" placeholder="Phone" value={form.phone} onChange={e => setForm(f => ({ ...f, phone: e.target.value }))} />
+                            <input className="input-field" placeholder="Name (new accounts)" value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} />
+                            <input className="input-field" placeholder="Password (new accounts)" type="password" autoComplete="new-password" value={form.password} onChange={e => setForm(f => ({ ...f, password: e.target.value }))} />
+                            <button type="submit" disabled={saving} className="btn-primary w-full disabled:opacity-70">{saving ? 'Saving…' : 'Add Staff'}</button>
+                        </motion.form>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </motion.div>
+    );
+}
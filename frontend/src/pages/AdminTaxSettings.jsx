@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiSave, FiFileText } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const STATES = [
+    'Andaman and Nicobar Islands', 'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chandigarh',
+    'Chhattisgarh', 'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Goa', 'Gujarat', 'Haryana',
+    'Himachal Pradesh', 'Jammu and Kashmir', 'Jharkhand', 'Karnataka', 'Kerala', 'Ladakh', 'Lakshadweep',
+    'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Odisha', 'Puducherry',
+    'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu', 'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal'
+];
+
+// GSTIN: 2-digit state code, PAN, entity number, 'Z', checksum
+const GSTIN_REGEX = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const emptySeller = { name: '', gstin: '', state: 'Maharashtra', address: '', email: '', phone: '' };
+
+export default function AdminTaxSettings() {
+    const [seller, setSeller] = useState(emptySeller);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        api.get('/settings/seller')
+            .then(({ data }) => setSeller({ ...emptySeller, ...data.value }))
+            .catch(() => { }); // Not configured yet
+    }, []);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        if (seller.gstin && !GSTIN_REGEX.test(seller.gstin)) {
+            toast.error('Please enter a valid 15-character GSTIN');
+            return;
+        }
+        setSaving(true);
+        try {
+            await api.post('/settings', { key: 'seller', value: seller });
+            toast.success('Invoice details saved!');
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to save invoice details');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const field = (key, label, props = {}) => (
+        <div>
+            <label className="block font-sans text-xs font-bold text-charcoal-muted uppercase tracking-widest mb-2">{label}</label>
+            <input className="input-field" value={seller[key]} onChange={e => setSeller(s => ({ ...s, [key]: e.target.value }))} {...props} />
+        </div>
+    );
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="p-6 pt-0">
+            <form onSubmit={handleSave} className="max-w-2xl space-y-6">
+                <div className="card p-8 space-y-5">
+                    <div>
+                        <h2 className="font-serif text-xl text-charcoal mb-2 flex items-center gap-2">
+                            <FiFileText className="text-gold" /> GST Invoice Details
+                        </h2>
+                        <p className="font-sans text-sm text-charcoal-muted">
+                            Printed on every tax invoice. Orders shipped within your state get CGST + SGST, other states get IGST.
+                        </p>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        {field('name', 'Legal Name')}
+                        <div>
+                            <label className="block font-sans text-xs font-bold text-charcoal-muted uppercase tracking-widest mb-2">GSTIN</label>
+                            <input className="input-field uppercase" value={seller.gstin} maxLength={15}
+                                onChange={e => setSeller(s => ({ ...s, gstin: e.target.value.toUpperCase() }))} placeholder="27AAAAA0000A1Z5" />
+                        </div>
+                        <div>
+                            <label className="block font-sans text-xs font-bold text-charcoal-muted uppercase tracking-widest mb-2">State</label>
+                            <select className="input-field" value={seller.state} onChange={e => setSeller(s => ({ ...s, state: e.target.value }))}>
+                                {STATES.map(s => <option key={s} value={s}>{s}</option>)}
+                            </select>
+                        </div>
+                        {field('phone', 'Support Phone')}
+                    </div>
+                    {field('address', 'Registered Address')}
+                    {field('email', 'Support Email', { type: 'email' })}
+                </div>
+
+                <div className="flex justify-end">
+                    <button type="submit" disabled={saving} className="btn-primary flex items-center gap-2 px-8 disabled:opacity-60">
+                        {saving ? (
+                            <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></span>
+                        ) : (
+                            <FiSave className="w-4 h-4" />
+                        )}
+                        {saving ? 'Saving...' : 'Save Invoice Details'}
+                    </button>
+                </div>
+            </form>
+        </motion.div>
+    );
+}
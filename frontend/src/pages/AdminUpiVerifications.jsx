@@ -0,0 +1,188 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiRefreshCw, FiSmartphone, FiChevronLeft, FiChevronRight, FiCheck, FiX, FiSearch, FiAlertTriangle } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const STATUS_STYLES = {
+    pending: 'bg-amber-100 text-amber-700',
+    approved: 'bg-green-100 text-green-700',
+    rejected: 'bg-red-100 text-red-700'
+};
+
+const formatTime = (date) => date ? new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+// Screenshots are private - fetched with the admin's token rather than linked from /uploads
+function PaymentScreenshot({ orderId }) {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        let objectUrl;
+        api.get(`/admin/upi-verifications/${orderId}/screenshot`, { responseType: 'blob' })
+            .then(({ data }) => setUrl(objectUrl = URL.createObjectURL(data)))
+            .catch(() => setUrl(''));
+        return () => objectUrl && URL.revokeObjectURL(objectUrl);
+    }, [orderId]);
+
+    if (url === '') return <p className="font-sans text-xs text-charcoal-muted self-center">Screenshot unavailable</p>;
+    if (!url) return <div className="w-20 h-20 rounded-lg bg-cream-200 animate-pulse" />;
+    return (
+        <a href={url} target="_blank" rel="noreferrer" title="Payment screenshot">
+            <img src={url} alt="Payment screenshot" className="w-20 h-20 rounded-lg object-cover" />
+        </a>
+    );
+}
+
+// Manual UPI payments reported by customers (backend services/upiVerificationService.js) -
+// check the UTR against the bank statement, then approve (order paid) or reject (order cancelled)
+export default function AdminUpiVerifications() {
+    const [status, setStatus] = useState('pending');
+    const [search, setSearch] = useState('');
+    const [query, setQuery] = useState('');
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ orders: [], total: 0, pages: 0, counts: {} });
+    const [loading, setLoading] = useState(false);
+    const [savingId, setSavingId] = useState(null);
+
+    const fetchOrders = () => {
+        setLoading(true);
+        return api.get('/admin/upi-verifications', { params: { status, search: query || undefined, page } })
+            .then(({ data }) => setResult(data))
+            .catch(() => toast.error('Failed to load UPI payments'))
+            .finally(() => setLoading(false));
+    };
+
+    useEffect(() => { fetchOrders(); }, [status, query, page]);
+
+    const handleApprove = async (order) => {
+        if (!confirm(`Approve ₹${order.totalAmount?.toLocaleString()} for order #${order.orderNumber}? Only do this once UTR ${order.upiTransactionId} is on the bank statement.`)) return;
+        setSavingId(order._id);
+        try {
+            await api.put(`/admin/upi-verifications/${order._id}/approve`);
+            toast.success(`Order #${order.orderNumber} marked paid`);
+            fetchOrders();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to approve payment');
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    const handleReject = async (order) => {
+        const reason = prompt(`Reason for rejecting order #${order.orderNumber} (shown to the customer; the order is cancelled):`);
+        if (reason === null) return;
+        if (!reason.trim()) return toast.error('A reason is required');
+        setSavingId(order._id);
+        try {
+            await api.put(`/admin/upi-verifications/${order._id}/reject`, { reason });
+            toast.success(`Order #${order.orderNumber} rejected`);
+            fetchOrders();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to reject payment');
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    const filterBy = (next) => { setStatus(next); setPage(1); };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setQuery(search.trim());
+        setPage(1);
+    };
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                {STATUSES.map(s => (
+                    <button key={s} onClick={() => filterBy(s)}
+                        className={`px-4 py-2 rounded-full font-sans text-sm capitalize ${status === s ? 'bg-charcoal text-cream-100' : 'bg-cream-200 text-charcoal'}`}>
+                        {s} ({result.counts[s] || 0})
+                    </button>
+                ))}
+                <button onClick={fetchOrders} className="p-2 rounded-full hover:bg-cream-200 ml-auto" title="Refresh">
+                    <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                </button>
+            </div>
+
+            <form onSubmit={handleSearch} className="relative mb-6">
+                <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-charcoal-muted" />
+                <input value={search} onChange={e => setSearch(e.target.value)} className="input-field pl-10"
+                    placeholder="Order number or 12-digit UTR" />
+            </form>
+
+            {loading && result.orders.length === 0 ? (
+                <div className="flex items-center justify-center p-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gold"></div>
+                </div>
+            ) : result.orders.length === 0 ? (
+                <div className="card p-12 text-center">
+                    <FiSmartphone className="w-10 h-10 text-charcoal-muted mx-auto mb-3" />
+                    <p className="font-sans text-charcoal-muted">{status === 'pending' ? 'No UPI payments waiting for verification' : `No ${status} UPI payments`}</p>
+                </div>
+            ) : (
+                <div className="card divide-y divide-cream-200">
+                    {result.orders.map(o => (
+                        <div key={o._id} className="p-5 flex flex-wrap gap-4">
+                            <div className="flex-1 min-w-[240px] space-y-1">
+                                <div className="flex flex-wrap items-center gap-3">
+                                    <span className={`text-xs px-2 py-1 rounded-full font-sans capitalize ${STATUS_STYLES[o.upiVerification?.status]}`}>{o.upiVerification?.status}</span>
+                                    <span className="font-sans font-medium text-charcoal">#{o.orderNumber}</span>
+                                    <span className="font-sans font-semibold text-charcoal">₹{o.totalAmount?.toLocaleString()}</span>
+                                </div>
+                                <p className="font-mono text-sm text-charcoal">UTR {o.upiTransactionId}</p>
+                                <p className="font-sans text-xs text-charcoal-muted">
+                                    {o.user?.name || o.shippingAddress?.fullName} · {o.user?.phone || o.shippingAddress?.phone || o.user?.email}
+                                    {o.upiId && ` · paid to ${o.upiId}`}
+                                </p>
+                                <p className="font-sans text-xs text-charcoal-muted">
+                                    Submitted {formatTime(o.upiVerification?.submittedAt)}
+                                    {o.upiVerification?.reviewedAt && ` · ${o.upiVerification.status} ${formatTime(o.upiVerification.reviewedAt)} by ${o.upiVerification.reviewedBy?.name || 'admin'}`}
+                                </p>
+                                {o.upiVerification?.rejectionReason && (
+                                    <p className="font-sans text-sm text-red-600">{o.upiVerification.rejectionReason}</p>
+                                )}
+                                {o.duplicates?.length > 0 && (
+                                    <div className="flex items-start gap-2 bg-amber-50 text-amber-800 rounded-lg p-2 mt-2">
+                                        <FiAlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                                        <p className="font-sans text-xs">
+                                            Same UTR reported on {o.duplicates.map(d => `#${d.orderNumber} (${d.upiVerification?.status || d.paymentStatus}, ${d.status})`).join(', ')}
+                                        </p>
+                                    </div>
+                                )}
+                            </div>
+                            {o.paymentReceipt ? (
+                                <PaymentScreenshot orderId={o._id} />
+                            ) : (
+                                <p className="font-sans text-xs text-charcoal-muted self-center">No screenshot</p>
+                            )}
+                            {o.upiVerification?.status === 'pending' && (
+                                <div className="flex flex-col gap-2 self-center">
+                                    <button onClick={() => handleApprove(o)} disabled={savingId === o._id}
+                                        className="btn-primary text-sm py-1.5 flex items-center gap-1 disabled:opacity-50">
+                                        <FiCheck className="w-4 h-4" /> Approve
+                                    </button>
+                                    <button onClick={() => handleReject(o)} disabled={savingId === o._id}
+                                        className="btn-secondary text-sm py-1.5 flex items-center gap-1 text-red-600 disabled:opacity-50">
+                                        <FiX className="w-4 h-4" /> Reject
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {result.pages > 1 && (
+                <div className="flex items-center justify-center gap-4 mt-6">
+                    <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="p-2 rounded-full hover:bg-cream-200 disabled:opacity-40"><FiChevronLeft /></button>
+                    <span className="font-sans text-sm text-charcoal-muted">Page {page} of {result.pages}</span>
+                    <button onClick={() => setPage(p => p + 1)} disabled={page >= result.pages} className="p-2 rounded-full hover:bg-cream-200 disabled:opacity-40"><FiChevronRight /></button>
+                </div>
+            )}
+        </motion.div>
+    );
+}
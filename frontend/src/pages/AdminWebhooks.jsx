@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiRefreshCw, FiActivity, FiChevronLeft, FiChevronRight, FiRotateCcw, FiSearch } from 'react-icons/fi';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const STATUSES = ['failed', 'processed', 'ignored', 'rejected'];
+
+const STATUS_STYLES = {
+    received: 'bg-blue-100 text-blue-700',
+    processed: 'bg-green-100 text-green-700',
+    ignored: 'bg-gray-100 text-gray-700',
+    failed: 'bg-red-100 text-red-700',
+    rejected: 'bg-amber-100 text-amber-700'
+};
+
+const formatTime = (date) => date ? new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'medium' }) : '—';
+
+// Payment gateway webhook deliveries (backend services/webhookService.js) - verified events can be replayed
+export default function AdminWebhooks() {
+    const [status, setStatus] = useState('');
+    const [event, setEvent] = useState('');
+    const [search, setSearch] = useState('');
+    const [query, setQuery] = useState('');
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ events: [], total: 0, pages: 0, counts: {}, eventNames: [] });
+    const [loading, setLoading] = useState(false);
+    const [expanded, setExpanded] = useState(null);
+    const [detail, setDetail] = useState(null);
+    const [replaying, setReplaying] = useState(null);
+
+    const fetchEvents = () => {
+        setLoading(true);
+        return api.get('/admin/webhooks', { params: { status: status || undefined, event: event || undefined, search: query || undefined, page } })
+            .then(({ data }) => setResult(data))
+            .catch(() => toast.error('Failed to load webhooks'))
+            .finally(() => setLoading(false));
+    };
+
+    useEffect(() => { fetchEvents(); }, [status, event, query, page]);
+
+    // The list leaves out payloads - load the full delivery when it is opened
+    const toggle = async (id) => {
+        if (expanded === id) return setExpanded(null);
+        setExpanded(id);
+        setDetail(null);
+        try {
+            const { data } = await api.get(`/admin/webhooks/${id}`);
+            setDetail(data);
+        } catch {
+            toast.error('Failed to load webhook');
+        }
+    };
+
+    const handleReplay = async (webhookEvent) => {
+        if (!confirm(`Run ${webhookEvent.event} again? Handlers skip work that is already done.`)) return;
+        setReplaying(webhookEvent._id);
+        try {
+            const { data } = await api.post(`/admin/webhooks/${webhookEvent._id}/replay`);
+            if (data.status === 'failed') toast.error(`Replay failed: ${data.error}`);
+            else toast.success(`${data.event} ${data.status}`);
+            setExpanded(null);
+            fetchEvents();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Replay failed');
+        } finally {
+            setReplaying(null);
+        }
+    };
+
+    const filterBy = (next) => { setStatus(next); setPage(1); };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setQuery(search.trim());
+        setPage(1);
+    };
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                <button onClick={() => filterBy('')}
+                    className={`px-4 py-2 rounded-full font-sans text-sm ${!status ? 'bg-charcoal text-cream-100' : 'bg-cream-200 text-charcoal'}`}>
+                    All
+                </button>
+                {STATUSES.map(s => (
+                    <button key={s} onClick={() => filterBy(s)}
+                        className={`px-4 py-2 rounded-full font-sans text-sm capitalize ${status === s ? 'bg-charcoal text-cream-100' : 'bg-cream-200 text-charcoal'}`}>
+                        {s} ({result.counts[s] || 0})
+                    </button>
+                ))}
+                <select value={event} onChange={e => { setEvent(e.target.value); setPage(1); }} className="input-field w-auto py-2 text-sm ml-auto">
+                    <option value="">All events</option>
+                    {result.eventNames.map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+                <button onClick={fetchEvents} className="p-2 rounded-full hover:bg-cream-200" title="Refresh">
+                    <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                </button>
+            </div>
+
+            <form onSubmit={handleSearch} className="relative mb-6">
+                <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-charcoal-muted" />
+                <input value={search} onChange={e => setSearch(e.target.value)} className="input-field pl-10"
+                    placeholder="Event id, payment (pay_…), order (order_…), refund (rfnd_…) or dispute id" />
+            </form>
+
+            {loading && result.events.length === 0 ? (
+                <div className="flex items-center justify-center p-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gold"></div>
+                </div>
+            ) : result.events.length === 0 ? (
+                <div className="card p-12 text-center">
+                    <FiActivity className="w-10 h-10 text-charcoal-muted mx-auto mb-3" />
+                    <p className="font-sans text-charcoal-muted">{status === 'failed' ? 'No failed webhooks' : 'No webhooks received yet'}</p>
+                </div>
+            ) : (
+                <div className="card divide-y divide-cream-200">
+                    {result.events.map(w => (
+                        <div key={w._id} className="p-5">
+                            <div className="flex flex-wrap items-center gap-3">
+                                <span className={`text-xs px-2 py-1 rounded-full font-sans capitalize ${STATUS_STYLES[w.status]}`}>{w.status}</span>
+                                <button onClick={() => toggle(w._id)} className="font-mono text-sm text-charcoal hover:underline">
+                                    {w.event || '(no event)'}
+                                </button>
+                                <span className="font-sans text-xs text-charcoal-muted">
+                                    {formatTime(w.createdAt)}
+                                    {w.provider && w.provider !== 'razorpay' && ` · ${w.provider} gateway`}
+                                    {w.deliveries > 1 && ` · delivered ${w.deliveries}×`}
+                                    {w.order?.orderNumber && ` · order ${w.order.orderNumber}`}
+                                    {w.paymentId && ` · ${w.paymentId}`}
+                                </span>
+                                {w.signatureValid && (
+                                    <button onClick={() => handleReplay(w)} disabled={replaying === w._id}
+                                        className="ml-auto btn-secondary text-sm py-1.5 flex items-center gap-1 disabled:opacity-50">
+                                        <FiRotateCcw className={`w-4 h-4 ${replaying === w._id ? 'animate-spin' : ''}`} /> Replay
+                                    </button>
+                                )}
+                            </div>
+                            {w.error && <p className="font-sans text-sm text-red-600 mt-2">{w.error}</p>}
+                            {!w.error && w.result?.reason && <p className="font-sans text-sm text-charcoal-muted mt-2">{w.result.reason}</p>}
+                            {expanded === w._id && (
+                                !detail ? (
+                                    <div className="flex justify-center p-4">
+                                        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-gold"></div>
+                                    </div>
+                                ) : (
+                                    <div className="mt-3 grid md:grid-cols-2 gap-4 text-xs">
+                                        <div>
+                                            <p className="font-sans text-charcoal-muted mb-1">Payload · {detail.eventId || detail.claimedEventId || 'no event id'}</p>
+                                            <pre className="bg-cream-100 rounded-lg p-3 overflow-x-auto max-h-96">{JSON.stringify(detail.payload, null, 2)}</pre>
+                                        </div>
+                                        <div>
+                                            <p className="font-sans text-charcoal-muted mb-1">Result</p>
+                                            {detail.result
+                                                ? <pre className="bg-cream-100 rounded-lg p-3 overflow-x-auto">{JSON.stringify(detail.result, null, 2)}</pre>
+                                                : <p className="font-sans text-charcoal-muted">None</p>}
+                                            <p className="font-sans text-charcoal-muted mt-3 mb-1">Replays</p>
+                                            {detail.replays?.length ? (
+                                                <ul className="space-y-1 font-sans">
+                                                    {detail.replays.map((r, i) => (
+                                                        <li key={i}>
+                                                            <span className="text-charcoal-muted">{formatTime(r.at)} · {r.by?.name || 'admin'}</span> — {r.status}{r.error && `: ${r.error}`}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            ) : <p className="font-sans text-charcoal-muted">None</p>}
+                                        </div>
+                                    </div>
+                                )
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {result.pages > 1 && (
+                <div className="flex items-center justify-center gap-4 mt-6">
+                    <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="p-2 rounded-full hover:bg-cream-200 disabled:opacity-40"><FiChevronLeft /></button>
+                    <span className="font-sans text-sm text-charcoal-muted">Page {page} of {result.pages}</span>
+                    <button onClick={() => setPage(p => p + 1)} disabled={page >= result.pages} className="p-2 rounded-full hover:bg-cream-200 disabled:opacity-40"><FiChevronRight /></button>
+                </div>
+            )}
+        </motion.div>
+    );
+}
@@ -1,16 +1,21 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FiMail, FiPhone, FiLock, FiUser, FiEye, FiEyeOff } from 'react-icons/fi';
 import { useAuth } from '../context/AuthContext';
+import { ForgotPasswordForm, ResetPasswordForm, VerifyAccountForm, PhoneOtpLoginForm } from '../components/AuthFlows';
 
-export default function AuthPage() {
-    const [mode, setMode] = useState('login'); // 'login' | 'register'
+export default function AuthPage({ initialMode = 'login' }) {
+    const [mode, setMode] = useState(initialMode); // 'login' | 'register' | 'otp' | 'forgot' | 'reset' | 'verify'
+    const [autoSent, setAutoSent] = useState([]);
+    const [params] = useSearchParams();
     const [showPass, setShowPass] = useState(false);
     const [form, setForm] = useState({ name: '', email: '', phone: '', password: '' });
     const [error, setError] = useState('');
     const { login, register, loading } = useAuth();
     const navigate = useNavigate();
+    // Protected pages send people here with the page to come back to
+    const returnTo = useLocation().state?.from || '/';
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -23,8 +28,14 @@ export default function AuthPage() {
             if (!form.email && !form.phone) return setError('Email or phone is required');
             result = await register(form.name, form.email, form.phone, form.password);
         }
-        if (result.success) navigate('/');
-        else setError(result.message);
+        if (!result.success) return setError(result.message);
+        // New accounts were sent their first codes - verify before shopping
+        if (mode === 'register' && result.data.pendingVerification?.length) {
+            setAutoSent(result.data.pendingVerification);
+            setMode('verify');
+            return;
+        }
+        navigate(returnTo);
     };
 
     const handleFacebook = () => {
@@ -66,88 +77,113 @@ export default function AuthPage() {
                         <h1 className="font-serif text-3xl text-charcoal">The Co-ord Set Studio</h1>
                     </div>
 
-                    {/* Tabs */}
-                    <div className="flex bg-cream-200 rounded-2xl p-1 mb-8">
-                        {['login', 'register'].map(tab => (
-                            <button key={tab} onClick={() => { setMode(tab); setError(''); }}
-                                className={`flex-1 py-3 rounded-xl font-sans text-sm font-medium transition-all duration-300 capitalize ${mode === tab ? 'bg-white shadow-soft text-charcoal' : 'text-charcoal-muted hover:text-charcoal'}`}>
-                                {tab === 'login' ? 'Sign In' : 'Create Account'}
-                            </button>
-                        ))}
-                    </div>
-
-                    <AnimatePresence mode="wait">
-                        <motion.form key={mode} initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -20 }}
-                            onSubmit={handleSubmit} className="space-y-4">
-
-                            {mode === 'register' && (
-                                <div className="relative">
-                                    <FiUser className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
-                                    <input className="input-field pl-12" placeholder="Full Name *" value={form.name}
-                                        onChange={e => setForm(f => ({ ...f, name: e.target.value }))} />
-                                </div>
-                            )}
-
-                            <div className="relative">
-                                <FiMail className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
-                                <input className="input-field pl-12" placeholder={mode === 'register' ? 'Email Address' : 'Email or Phone'}
-                                    type="email" value={form.email} onChange={e => setForm(f => ({ ...f, email: e.target.value }))} />
-                            </div>
-
-                            {mode === 'register' && (
-                                <div className="relative">
-                                    <FiPhone className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
-                                    <input className="input-field pl-12" placeholder="Phone Number"
-                                        type="tel" value={form.phone} onChange={e => setForm(f => ({ ...f, phone: e.target.value }))} />
-                                </div>
-                            )}
-
-                            <div className="relative">
-                                <FiLock className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
-                                <input className="input-field pl-12 pr-12" placeholder="Password *"
-                                    type={showPass ? 'text' : 'password'} value={form.password}
-                                    onChange={e => setForm(f => ({ ...f, password: e.target.value }))} minLength={6} required />
-                                <button type="button" onClick={() => setShowPass(s => !s)}
-                                    className="absolute right-4 top-3.5 text-charcoal-muted hover:text-charcoal">
-                                    {showPass ? <FiEyeOff className="w-5 h-5" /> : <FiEye className="w-5 h-5" />}
-                                </button>
-                            </div>
-
-                            {error && (
-                                <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }}
-                                    className="text-red-600 text-sm font-sans bg-red-50 px-4 py-2 rounded-xl">{error}</motion.p>
-                            )}
-
-                            <motion.button type="submit" whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}
-                                disabled={loading}
-                                className="btn-primary w-full flex items-center justify-center gap-2 text-base py-4 disabled:opacity-70">
-                                {loading ? <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-cream-100" /> : null}
-                                {mode === 'login' ? 'Sign In' : 'Create Account'}
-                            </motion.button>
-
-                            {/* Divider */}
-                            <div className="flex items-center gap-4 py-2">
-                                <div className="flex-1 h-px bg-cream-400"></div>
-                                <span className="font-sans text-xs text-charcoal-muted">or continue with</span>
-                                <div className="flex-1 h-px bg-cream-400"></div>
+                    {mode === 'otp' && <PhoneOtpLoginForm onBack={() => setMode('login')} onDone={() => navigate(returnTo)} />}
+                    {mode === 'forgot' && <ForgotPasswordForm onBack={() => setMode('login')} />}
+                    {mode === 'reset' && <ResetPasswordForm token={params.get('token')} onDone={() => { setMode('login'); navigate('/auth', { replace: true }); }} />}
+                    {mode === 'verify' && <VerifyAccountForm autoSent={autoSent} onDone={() => navigate(returnTo)} />}
+
+                    {['login', 'register'].includes(mode) && (
+                        <>
+                            {/* Tabs */}
+                            <div className="flex bg-cream-200 rounded-2xl p-1 mb-8">
+                                {['login', 'register'].map(tab => (
+                                    <button key={tab} onClick={() => { setMode(tab); setError(''); }}
+                                        className={`flex-1 py-3 rounded-xl font-sans text-sm font-medium transition-all duration-300 capitalize ${mode === tab ? 'bg-white shadow-soft text-charcoal' : 'text-charcoal-muted hover:text-charcoal'}`}>
+                                        {tab === 'login' ? 'Sign In' : 'Create Account'}
+                                    </button>
+                                ))}
                             </div>
 
-                            {/* Social login */}
-                            <motion.button type="button" onClick={handleFacebook} whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}
-                                className="w-full flex items-center justify-center gap-3 py-3 rounded-2xl border-2 border-cream-400 bg-cream-50 hover:bg-cream-200 transition-all duration-200 font-sans text-sm font-medium text-charcoal">
-                                <svg className="w-5 h-5" fill="#1877F2" viewBox="0 0 24 24"><path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z" /></svg>
-                                Continue with Facebook
-                            </motion.button>
-
-                            <p className="text-center font-sans text-sm text-charcoal-muted">
-                                {mode === 'login' ? "Don't have an account? " : 'Already a member? '}
-                                <button type="button" onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(''); }}
-                                    className="text-gold font-medium hover:text-gold-dark transition-colors">
-                                    {mode === 'login' ? 'Sign up free' : 'Sign in'}
-                                </button>
-                            </p>
-                        </motion.form>
-                    </AnimatePresence>
+                            <AnimatePresence mode="wait">
+                                <motion.form key={mode} initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -20 }}
+                                    onSubmit={handleSubmit} className="space-y-4">
+
+                                    {mode === 'register' && (
+                                        <div className="relative">
+                                            <FiUser className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
+                                            <input className="input-field pl-12" placeholder="Full Name *" value={form.name}
+                                                onChange={e => setForm(f => ({ ...f, name: e.target.value }))} />
+                                        </div>
+                                    )}
+
+                                    <div className="relative">
+                                        <FiMail className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
+                                        <input className="input-field pl-12" placeholder={mode === 'register' ? 'Email Address' : 'Email or Phone'}
+                                            type="email" value={form.email} onChange={e => setForm(f => ({ ...f, email: e.target.value }))} />
+                                    </div>
+
+                                    {mode === 'register' && (
+                                        <div className="relative">
+                                            <FiPhone className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
+                                            <input className="input-field pl-12" placeholder="Phone Number"
+                                                type="tel" value={form.phone} onChange={e => setForm(f => ({ ...f, phone: e.target.value }))} />
+                                        </div>
+                                    )}
+
+                                    <div className="relative">
+                                        <FiLock className="absolute left-4 top-3.5 text-charcoal-muted w-5 h-5" />
+                                        <input className="input-field pl-12 pr-12" placeholder="Password *"
+                                            type={showPass ? 'text' : 'password'} value={form.password}
+                                            onChange={e => setForm(f => ({ ...f, password: e.target.value }))} minLength={6} required />
+                                        <button type="button" onClick={() => setShowPass(s => !s)}
+                                            className="absolute right-4 top-3.5 text-charcoal-muted hover:text-charcoal">
+                                            {showPass ? <FiEyeOff className="w-5 h-5" /> : <FiEye className="w-5 h-5" />}
+                                        </button>
+                                    </div>
+
+                                    {mode === 'login' && (
+                                        <div className="text-right -mt-2">
+                                            <button type="button" onClick={() => { setMode('forgot'); setError(''); }}
+                                                className="font-sans text-xs text-charcoal-muted hover:text-gold transition-colors">
+                                                Forgot password?
+                                            </button>
+                                        </div>
+                                    )}
+
+                                    {error && (
+                                        <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }}
+                                            className="text-red-600 text-sm font-sans bg-red-50 px-4 py-2 rounded-xl">{error}</motion.p>
+                                    )}
+
+                                    <motion.button type="submit" whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}
+                                        disabled={loading}
+                                        className="btn-primary w-full flex items-center justify-center gap-2 text-base py-4 disabled:opacity-70">
+                                        {loading ? <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-cream-100" /> : null}
+                                        {mode === 'login' ? 'Sign In' : 'Create Account'}
+                                    </motion.button>
+
+                                    {/* Divider */}
+                                    <div className="flex items-center gap-4 py-2">
+                                        <div className="flex-1 h-px bg-cream-400"></div>
+                                        <span className="font-sans text-xs text-charcoal-muted">or continue with</span>
+                                        <div className="flex-1 h-px bg-cream-400"></div>
+                                    </div>
+
+                                    {/* Passwordless */}
+                                <motion.button type="button" onClick={() => { setMode('otp'); setError(''); }} whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}
+                                    className="w-full flex items-center justify-center gap-3 py-3 rounded-2xl border-2 border-cream-400 bg-cream-50 hover:bg-cream-200 transition-all duration-200 font-sans text-sm font-medium text-charcoal">
+                                    <FiPhone className="w-5 h-5 text-gold" />
+                                    Sign in with OTP
+                                </motion.button>
+
+                                {/* Social login */}
+                                    <motion.button type="button" onClick={handleFacebook} whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}
+                                        className="w-full flex items-center justify-center gap-3 py-3 rounded-2xl border-2 border-cream-400 bg-cream-50 hover:bg-cream-200 transition-all duration-200 font-sans text-sm font-medium text-charcoal">
+                                        <svg className="w-5 h-5" fill="#1877F2" viewBox="0 0 24 24"><path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z" /></svg>
+                                        Continue with Facebook
+                                    </motion.button>
+
+                                    <p className="text-center font-sans text-sm text-charcoal-muted">
+                                        {mode === 'login' ? "Don't have an account? " : 'Already a member? '}
+                                        <button type="button" onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(''); }}
+                                            className="text-gold font-medium hover:text-gold-dark transition-colors">
+                                            {mode === 'login' ? 'Sign up free' : 'Sign in'}
+                                        </button>
+                                    </p>
+                                </motion.form>
+                            </AnimatePresence>
+                        </>
+                    )}
                 </div>
             </div>
         </div>
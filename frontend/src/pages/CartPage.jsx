@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { FiTrash2, FiMinus, FiPlus } from 'react-icons/fi';
+import { FiTrash2, FiMinus, FiPlus, FiTag, FiX } from 'react-icons/fi';
 import { useCart } from '../context/CartContext';
 import { useAuth } from '../context/AuthContext';
 import api, { getMediaUrl } from '../utils/api';
@@ -10,7 +10,7 @@ import AddressModal from '../components/AddressModal';
 import PaymentModal from '../components/PaymentModal';
 
 export default function CartPage() {
-    const { items, removeFromCart, updateQuantity, clearCart, totalAmount, shippingCharge, grandTotal } = useCart();
+    const { items, syncing, removeFromCart, updateQuantity, clearCart, refreshCart, coupon, applyCoupon, removeCoupon, totalAmount, discount, shippingCharge, grandTotal, quote } = useCart();
     const { user } = useAuth();
     const navigate = useNavigate();
     
@@ -20,22 +20,36 @@ export default function CartPage() {
     const [address, setAddress] = useState(null);
     const [currentOrder, setCurrentOrder] = useState(null);
     const [loading, setLoading] = useState(false);
+    const [couponInput, setCouponInput] = useState('');
+    const [applyingCoupon, setApplyingCoupon] = useState(false);
 
     useEffect(() => {
         if (!user) navigate('/auth');
     }, [user, navigate]);
 
+    // Re-price / re-validate stock against the server cart whenever the page opens
+    useEffect(() => {
+        if (user) refreshCart();
+    }, [user?._id]);
+
+    const handleApplyCoupon = async (e) => {
+        e.preventDefault();
+        if (!couponInput.trim()) return;
+        setApplyingCoupon(true);
+        if (await applyCoupon(couponInput.trim())) setCouponInput('');
+        setApplyingCoupon(false);
+    };
+
     const handleAddressSubmit = async (addressData) => {
         setLoading(true);
         try {
             const orderData = {
+                // Prices are set by the server from the catalogue
                 items: items.map(i => ({ 
                     product: i.product, 
-                    name: i.name, 
-                    price: i.price, 
-                    image: i.image, 
                     quantity: i.quantity, 
-                    size: i.size 
+                    size: i.size,
+                    color: i.color
                 })),
                 shippingAddress: {
                     fullName: addressData.fullName,
@@ -58,6 +72,7 @@ export default function CartPage() {
                     ipRegion: addressData.ipRegion,
                     ipCountry: addressData.ipCountry
                 },
+                couponCode: coupon?.code,
                 paymentMethod: 'Pending', // Will be set during payment
                 saveAddress: true // Save address to user profile
             };
@@ -70,6 +85,13 @@ export default function CartPage() {
             setShowPaymentModal(true);
             toast.success('Address saved! Now choose payment method.');
         } catch (err) {
+            // Sold out while checking out - back to the cart so the customer can change it
+            if (err.response?.status === 409) {
+                setShowAddressModal(false);
+                refreshCart();
+                toast.error(err.response.data.message, { duration: 8000 });
+                return;
+            }
             toast.error(err.response?.data?.message || 'Failed to save address');
         } finally {
             setLoading(false);
@@ -82,6 +104,12 @@ export default function CartPage() {
         navigate(`/checkout-success/${orderId}`);
     };
 
+    if (syncing && items.length === 0) return (
+        <div className="min-h-screen flex items-center justify-center pt-20">
+            <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-gold"></div>
+        </div>
+    );
+
     if (items.length === 0) return (
         <div className="min-h-screen flex flex-col items-center justify-center pt-20 bg-cream-100">
             <motion.div initial={{ opacity: 0, scale: 0.9 }} animate={{ opacity: 1, scale: 1 }} className="text-center">
@@ -108,7 +136,7 @@ export default function CartPage() {
                 onClose={() => setShowPaymentModal(false)}
                 onSuccess={handlePaymentSuccess}
                 order={currentOrder}
-                amount={grandTotal}
+                amount={currentOrder?.totalAmount || grandTotal}
             />
             <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
                 <header className="mb-12">
@@ -120,7 +148,7 @@ export default function CartPage() {
                     <div className="lg:col-span-2">
                         <div className="space-y-6">
                             {items.map(item => (
-                                <motion.div key={item.key} layout initial={{ opacity: 0 }} animate={{ opacity: 1 }}
+                                <motion.div key={item.id} layout initial={{ opacity: 0 }} animate={{ opacity: 1 }}
                                     className="flex gap-6 pb-6 border-b border-cream-300 last:border-0">
                                     <div className="w-24 h-32 rounded-2xl overflow-hidden flex-shrink-0 bg-cream-200 shadow-sm">
                                         <img src={item.image ? getMediaUrl(item.image) : `https://placehold.co/120x160/F5F0E8/4A3728?text=${encodeURIComponent(item.name)}`}
@@ -130,17 +158,20 @@ export default function CartPage() {
                                         <div>
                                             <div className="flex justify-between items-start mb-1">
                                                 <h3 className="font-serif text-charcoal text-xl leading-tight">{item.name}</h3>
-                                                <button onClick={() => removeFromCart(item.key)} className="text-charcoal-muted hover:text-red-500 transition-colors p-1">
+                                                <button onClick={() => removeFromCart(item.id)} className="text-charcoal-muted hover:text-red-500 transition-colors p-1">
                                                     <FiTrash2 className="w-4 h-4" />
                                                 </button>
                                             </div>
-                                            <p className="font-sans text-charcoal-muted text-xs uppercase tracking-widest mb-4">Size: {item.size}</p>
+                                            <p className="font-sans text-charcoal-muted text-xs uppercase tracking-widest mb-4">
+                                                Size: {item.size}{item.color && ` · Color: ${item.color}`}
+                                                {item.available !== undefined && item.available <= 5 && <span className="text-amber-600 normal-case tracking-normal"> — only {item.available} left</span>}
+                                            </p>
                                             <div className="flex items-center gap-4">
                                                 <p className="font-sans font-bold text-charcoal text-lg">₹{item.price.toLocaleString()}</p>
                                                 <div className="flex items-center gap-3 bg-white rounded-full px-2 py-1 border border-cream-300">
-                                                    <button onClick={() => updateQuantity(item.key, item.quantity - 1)} className="w-6 h-6 rounded-full hover:bg-cream-100 flex items-center justify-center"><FiMinus className="w-3 h-3" /></button>
+                                                    <button onClick={() => updateQuantity(item.id, item.quantity - 1)} className="w-6 h-6 rounded-full hover:bg-cream-100 flex items-center justify-center"><FiMinus className="w-3 h-3" /></button>
                                                     <span className="font-sans text-xs font-bold w-4 text-center">{item.quantity}</span>
-                                                    <button onClick={() => updateQuantity(item.key, item.quantity + 1)} className="w-6 h-6 rounded-full hover:bg-cream-100 flex items-center justify-center"><FiPlus className="w-3 h-3" /></button>
+                                                    <button onClick={() => updateQuantity(item.id, item.quantity + 1)} disabled={item.available !== undefined && item.quantity >= item.available} className="w-6 h-6 rounded-full hover:bg-cream-100 flex items-center justify-center disabled:opacity-30"><FiPlus className="w-3 h-3" /></button>
                                                 </div>
                                             </div>
                                         </div>
@@ -159,10 +190,22 @@ export default function CartPage() {
                                     <span className="text-charcoal-muted">Subtotal</span>
                                     <span className="text-charcoal font-bold">₹{totalAmount.toLocaleString()}</span>
                                 </div>
+                                {coupon && discount > 0 && (
+                                    <div className="flex justify-between font-sans text-sm">
+                                        <span className="text-green-600">Discount ({coupon.code})</span>
+                                        <span className="text-green-600 font-bold">-₹{discount.toLocaleString()}</span>
+                                    </div>
+                                )}
                                 <div className="flex justify-between font-sans text-sm">
-                                    <span className="text-charcoal-muted">Shipping</span>
+                                    <span className="text-charcoal-muted">
+                                        Shipping
+                                        {quote?.pincode && <span className="block text-[10px] uppercase tracking-wider">to {quote.pincode} · {quote.zone}</span>}
+                                    </span>
                                     <span className={`font-bold ${shippingCharge === 0 ? 'text-green-600' : 'text-charcoal'}`}>{shippingCharge === 0 ? 'FREE' : `₹${shippingCharge}`}</span>
                                 </div>
+                                {quote?.amountToFreeShipping > 0 && shippingCharge > 0 && (
+                                    <p className="font-sans text-xs text-gold-dark">Add ₹{quote.amountToFreeShipping.toLocaleString()} more for free shipping</p>
+                                )}
                                 <div className="pt-4 border-t border-cream-300 flex justify-between items-end">
                                     <span className="font-serif text-2xl text-charcoal">Total</span>
                                     <div className="text-right">
@@ -172,6 +215,34 @@ export default function CartPage() {
                                 </div>
                             </div>
 
+                            {/* Coupon */}
+                            {coupon ? (
+                                <div className="flex items-center justify-between bg-green-50 border border-green-200 px-4 py-3 mb-6">
+                                    <div className="flex items-center gap-2 font-sans text-sm">
+                                        <FiTag className="text-green-600" />
+                                        <div>
+                                            <p className="text-green-700 font-bold">{coupon.code}</p>
+                                            <p className="text-xs text-green-600">{coupon.description}</p>
+                                        </div>
+                                    </div>
+                                    <button onClick={removeCoupon} className="text-charcoal-muted hover:text-red-500" title="Remove coupon">
+                                        <FiX size={16} />
+                                    </button>
+                                </div>
+                            ) : (
+                                <form onSubmit={handleApplyCoupon} className="flex gap-2 mb-6">
+                                    <input
+                                        value={couponInput}
+                                        onChange={e => setCouponInput(e.target.value.toUpperCase())}
+                                        placeholder="Coupon code"
+                                        className="input-field flex-1 uppercase"
+                                    />
+                                    <button type="submit" disabled={applyingCoupon || !couponInput.trim()} className="btn-secondary px-4 disabled:opacity-50">
+                                        {applyingCoupon ? '...' : 'Apply'}
+                                    </button>
+                                </form>
+                            )}
+
                             <motion.button 
                                 onClick={() => setShowAddressModal(true)} 
                                 disabled={loading}
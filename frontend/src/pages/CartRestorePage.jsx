@@ -0,0 +1,40 @@
+import { useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { FiShoppingBag } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { useCart } from '../context/CartContext';
+
+// Landing page for the abandoned-cart SMS link
+export default function CartRestorePage() {
+    const { token } = useParams();
+    const { restoreCart, syncing } = useCart();
+    const navigate = useNavigate();
+    const [error, setError] = useState('');
+    const started = useRef(false);
+
+    useEffect(() => {
+        // Wait for the login cart sync so it doesn't overwrite the restored cart
+        if (syncing || started.current) return;
+        started.current = true;
+        restoreCart(token)
+            .then((cart) => {
+                toast.success(cart.coupon ? `Welcome back! Coupon ${cart.coupon.code} applied` : 'Welcome back! Your cart is ready');
+                navigate('/cart', { replace: true });
+            })
+            .catch(err => setError(err.response?.data?.message || 'Could not restore your cart'));
+    }, [syncing, token]);
+
+    return (
+        <div className="min-h-screen pt-24 bg-cream-100 flex items-center justify-center px-4">
+            {error ? (
+                <div className="card p-10 text-center max-w-md">
+                    <FiShoppingBag className="w-12 h-12 text-charcoal-muted mx-auto mb-4" />
+                    <p className="font-sans text-charcoal mb-6">{error}</p>
+                    <Link to="/cart" className="btn-primary">Go to Cart</Link>
+                </div>
+            ) : (
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-gold"></div>
+            )}
+        </div>
+    );
+}
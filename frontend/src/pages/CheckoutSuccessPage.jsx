@@ -15,6 +15,8 @@ export default function CheckoutSuccessPage() {
 
     // Determine if this is a COD order
     const isCOD = order?.paymentMethod === 'COD' || order?.paymentMethod === 'Cash on Delivery';
+    // Manual UPI payment reported by the customer - paid only once an admin checks the UTR
+    const awaitingVerification = order?.upiVerification?.status === 'pending';
 
     useEffect(() => {
         if (!orderId) { navigate('/'); return; }
@@ -130,7 +132,9 @@ export default function CheckoutSuccessPage() {
                     >
                         {isCOD 
                             ? 'Your order is confirmed! Pay when you receive it 💳' 
-                            : "We're preparing your order for delivery 📦"}
+                            : awaitingVerification
+                                ? "We're verifying your UPI payment - your order ships once it's confirmed ⏳"
+                                : "We're preparing your order for delivery 📦"}
                     </motion.p>
                 </div>
 
@@ -162,7 +166,7 @@ export default function CheckoutSuccessPage() {
                             </p>
                             <p className="font-sans text-gold text-3xl font-bold">₹{order?.totalAmount?.toLocaleString()}</p>
                             <p className="font-sans text-cream-300 text-xs mt-1">
-                                {isCOD ? '💵 Pay on Delivery' : '✅ Payment Confirmed'}
+                                {isCOD ? '💵 Pay on Delivery' : awaitingVerification ? '⏳ Awaiting Verification' : '✅ Payment Confirmed'}
                             </p>
                         </div>
                     </div>
@@ -185,6 +189,23 @@ export default function CheckoutSuccessPage() {
                             </motion.div>
                         )}
 
+                        {/* Manual UPI verification banner */}
+                        {awaitingVerification && (
+                            <motion.div 
+                                initial={{ opacity: 0, x: -20 }}
+                                animate={{ opacity: 1, x: 0 }}
+                                transition={{ delay: 0.5 }}
+                                className="bg-amber-50 border-l-4 border-amber-500 rounded-xl p-4"
+                            >
+                                <p className="font-sans font-bold text-amber-900 text-sm mb-2">⏳ UPI Payment Under Verification</p>
+                                <ul className="space-y-1 text-xs text-amber-800 font-sans">
+                                    <li>• UTR submitted: {order?.upiTransactionId}</li>
+                                    <li>• We'll match it with our bank statement, usually within a few hours</li>
+                                    <li>• You'll get an SMS once your payment is confirmed</li>
+                                </ul>
+                            </motion.div>
+                        )}
+
                         {/* Order Technical Details */}
                         <div className="grid grid-cols-2 gap-4">
                             <div className="bg-cream-100 rounded-xl p-4">
@@ -269,15 +290,27 @@ export default function CheckoutSuccessPage() {
                             <div className="flex justify-between text-sm font-sans">
                                 <span className="text-charcoal-muted">Subtotal</span>
                                 <span className="text-charcoal font-medium">
-                                    ₹{((order?.totalAmount || 0) - (order?.shippingCharge || 0)).toLocaleString()}
+                                    ₹{((order?.totalAmount || 0) - (order?.shippingCharge || 0) - (order?.codCharge || 0) + (order?.discountTotal || 0)).toLocaleString()}
                                 </span>
                             </div>
+                            {order?.discounts?.filter(d => d.amount > 0).map(d => (
+                                <div key={d.code} className="flex justify-between text-sm font-sans">
+                                    <span className="text-green-600">Discount ({d.code})</span>
+                                    <span className="text-green-600 font-bold">-₹{d.amount.toLocaleString()}</span>
+                                </div>
+                            ))}
                             <div className="flex justify-between text-sm font-sans">
                                 <span className="text-charcoal-muted">Shipping</span>
                                 <span className={order?.shippingCharge === 0 ? 'text-green-600 font-bold' : 'text-charcoal font-medium'}>
                                     {order?.shippingCharge === 0 ? 'FREE 🎁' : `₹${order?.shippingCharge}`}
                                 </span>
                             </div>
+                            {order?.codCharge > 0 && (
+                                <div className="flex justify-between text-sm font-sans">
+                                    <span className="text-charcoal-muted">COD Charge</span>
+                                    <span className="text-charcoal font-medium">₹{order.codCharge}</span>
+                                </div>
+                            )}
                             <div className="flex justify-between border-t border-cream-200 pt-2 mt-2">
                                 <span className="font-sans font-bold text-charcoal">Total</span>
                                 <span className="font-sans font-bold text-gold text-lg">₹{order?.totalAmount?.toLocaleString()}</span>
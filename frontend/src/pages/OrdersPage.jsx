@@ -1,27 +1,66 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { FiDownload, FiPackage, FiCheck } from 'react-icons/fi';
-import api from '../utils/api';
+import { FiDownload, FiPackage, FiCheck, FiRefreshCw } from 'react-icons/fi';
+import api, { getMediaUrl } from '../utils/api';
 import toast from 'react-hot-toast';
+import ReturnRequestModal from '../components/ReturnRequestModal';
+import ShipmentTracking from '../components/ShipmentTracking';
+
+// Order state machine: CREATED → PENDING → PAID | PLACED → SHIPPED → DELIVERED
+const STATUS_LABELS = {
+    CREATED: 'Awaiting payment', PENDING: 'Verifying payment', PAID: 'Confirmed', PLACED: 'Confirmed',
+    SHIPPED: 'Shipped', DELIVERED: 'Delivered', CANCELLED: 'Cancelled'
+};
 
 const statusClass = {
-    Pending: 'status-pending', Confirmed: 'status-confirmed',
-    Processing: 'status-processing', Shipped: 'status-shipped',
-    Delivered: 'status-delivered', Cancelled: 'status-cancelled'
+    CREATED: 'status-pending', PENDING: 'status-pending',
+    PAID: 'status-confirmed', PLACED: 'status-confirmed',
+    SHIPPED: 'status-shipped', DELIVERED: 'status-delivered', CANCELLED: 'status-cancelled'
+};
+
+const STATUS_STEPS = ['Ordered', 'Confirmed', 'Shipped', 'Delivered'];
+const STEP_INDEX = { CREATED: 0, PENDING: 0, PAID: 1, PLACED: 1, SHIPPED: 2, DELIVERED: 3 };
+
+const RETURN_STATUS_LABELS = {
+    REQUESTED: 'Requested', APPROVED: 'Approved', REJECTED: 'Rejected', CANCELLED: 'Withdrawn',
+    PICKUP_SCHEDULED: 'Pickup scheduled', PICKED_UP: 'Picked up', RECEIVED: 'Received',
+    REFUNDED: 'Refunded', EXCHANGED: 'Exchanged'
 };
+const RETURN_WINDOW_DAYS = 7;
 
-const STATUS_STEPS = ['Pending', 'Confirmed', 'Processing', 'Shipped', 'Delivered'];
+// Delivered within the return window (the server re-checks on submit)
+const canRequestReturn = (order) => {
+    if (String(order.status).toUpperCase() !== 'DELIVERED') return false;
+    const delivered = [...(order.statusHistory || [])].reverse().find(h => String(h.status).toUpperCase() === 'DELIVERED');
+    const deliveredAt = new Date(delivered?.timestamp || order.updatedAt);
+    return Date.now() - deliveredAt.getTime() <= RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+};
 
 export default function OrdersPage() {
     const [orders, setOrders] = useState([]);
     const [loading, setLoading] = useState(true);
     const [expanded, setExpanded] = useState(null);
+    const [returns, setReturns] = useState([]);
+    const [returnOrder, setReturnOrder] = useState(null);
+
+    const fetchReturns = () => api.get('/returns/my').then(({ data }) => setReturns(data)).catch(() => {});
 
     useEffect(() => {
-        api.get('/orders/my').then(({ data }) => { setOrders(data); setLoading(false); })
+        api.get('/orders/my').then(({ data }) => { setOrders(data.orders || []); setLoading(false); })
             .catch(() => setLoading(false));
+        fetchReturns();
     }, []);
 
+    const cancelReturn = async (id) => {
+        try {
+            await api.put(`/returns/${id}/cancel`);
+            toast.success('Request withdrawn');
+            fetchReturns();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Could not withdraw request');
+        }
+    };
+
     const downloadReceipt = async (orderId, orderNumber) => {
         try {
             const res = await api.get(`/orders/${orderId}/receipt`, { responseType: 'blob' });
@@ -59,7 +98,8 @@ export default function OrdersPage() {
                 <h1 className="font-serif text-4xl text-charcoal mb-8">My Orders</h1>
                 <div className="space-y-4">
                     {orders.map((order, i) => {
-                        const stepIdx = STATUS_STEPS.indexOf(order.status);
+                        const stepIdx = STEP_INDEX[order.status] ?? 0;
+                        const orderReturns = returns.filter(r => (r.order?._id || r.order) === order._id);
                         return (
                             <motion.div key={order._id} initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: i * 0.08 }}
                                 className="card overflow-hidden">
@@ -69,15 +109,24 @@ export default function OrdersPage() {
                                     <div>
                                         <div className="flex items-center gap-3 mb-1">
                                             <h3 className="font-serif text-lg text-charcoal">#{order.orderNumber}</h3>
-                                            <span className={statusClass[order.status] || 'status-pending'}>{order.status}</span>
+                                            <span className={statusClass[order.status] || 'status-pending'}>{STATUS_LABELS[order.status] || order.status}</span>
                                         </div>
                                         <p className="font-sans text-sm text-charcoal-muted">
                                             {new Date(order.createdAt).toLocaleDateString('en-IN', { day: '2-digit', month: 'long', year: 'numeric' })}
                                             {' • '}{order.items?.length} item(s)
                                             {' • '}₹{order.totalAmount?.toLocaleString()}
+                                            {order.refundedAmount > 0 && ` (₹${order.refundedAmount.toLocaleString()} refunded)`}
                                         </p>
                                     </div>
                                     <div className="flex items-center gap-3">
+                                        {canRequestReturn(order) && (
+                                            <button
+                                                onClick={e => { e.stopPropagation(); setReturnOrder(order); }}
+                                                className="flex items-center gap-2 px-4 py-2 rounded-full border border-cream-400 text-sm font-sans text-charcoal hover:bg-cream-200 transition-colors"
+                                            >
+                                                <FiRefreshCw className="w-4 h-4" /> Return / Exchange
+                                            </button>
+                                        )}
                                         <button
                                             onClick={e => { e.stopPropagation(); downloadReceipt(order._id, order.orderNumber); }}
                                             className="flex items-center gap-2 px-4 py-2 rounded-full border border-cream-400 text-sm font-sans text-charcoal hover:bg-cream-200 transition-colors"
@@ -92,7 +141,7 @@ export default function OrdersPage() {
                                 {expanded === order._id && (
                                     <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="border-t border-cream-200 p-5">
                                         {/* Progress tracker */}
-                                        {order.status !== 'Cancelled' && (
+                                        {order.status !== 'CANCELLED' && (
                                             <div className="mb-6">
                                                 <div className="flex items-center">
                                                     {STATUS_STEPS.map((s, idx) => (
@@ -114,23 +163,91 @@ export default function OrdersPage() {
                                             </div>
                                         )}
 
+                                        {/* Courier tracking */}
+                                        {order.shipment?.awbNumber && <ShipmentTracking orderId={order._id} />}
+
                                         {/* Items */}
                                         <div className="space-y-3">
                                             {order.items?.map((item, j) => (
                                                 <div key={j} className="flex items-center gap-3 bg-cream-100 rounded-2xl p-3">
                                                     <div className="w-14 h-16 rounded-xl overflow-hidden bg-cream-300 flex-shrink-0">
-                                                        <img src={item.image ? `http://localhost:5000${item.image}` : `https://placehold.co/56x64/F5F0E8/4A3728?text=${encodeURIComponent(item.name || 'Item')}`}
+                                                        <img src={item.image ? getMediaUrl(item.image) : `https://placehold.co/56x64/F5F0E8/4A3728?text=${encodeURIComponent(item.name || 'Item')}`}
                                                             alt={item.name} className="w-full h-full object-cover" />
                                                     </div>
                                                     <div className="flex-1">
                                                         <p className="font-serif text-charcoal">{item.name}</p>
-                                                        <p className="font-sans text-xs text-charcoal-muted">Size: {item.size} | Qty: {item.quantity}</p>
+                                                        <p className="font-sans text-xs text-charcoal-muted">Size: {item.size}{item.color ? ` | ${item.color}` : ''} | Qty: {item.quantity}</p>
                                                     </div>
                                                     <p className="font-sans font-semibold text-charcoal">₹{(item.price * item.quantity).toLocaleString()}</p>
                                                 </div>
                                             ))}
                                         </div>
 
+                                        {/* Manual UPI payment review */}
+                                        {order.upiVerification?.status === 'pending' && order.status === 'PENDING' && (
+                                            <div className="mt-4 p-4 rounded-2xl font-sans text-sm bg-amber-50 text-amber-800">
+                                                We're verifying your UPI payment (UTR {order.upiTransactionId}). Your order is confirmed once it's matched.
+                                            </div>
+                                        )}
+                                        {order.upiVerification?.status === 'rejected' && (
+                                            <div className="mt-4 p-4 rounded-2xl font-sans text-sm bg-red-50 text-red-700">
+                                                We couldn't verify your UPI payment (UTR {order.upiTransactionId}): {order.upiVerification.rejectionReason}. If money left your account, contact us with the UTR.
+                                            </div>
+                                        )}
+
+                                        {/* Refund */}
+                                        {order.refundStatus && order.refundStatus !== 'None' && (
+                                            <div className={`mt-4 p-4 rounded-2xl font-sans text-sm ${order.refundStatus === 'Failed' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+                                                {order.refundStatus === 'Pending' && 'Your refund has been initiated and will reach your account in 5–7 working days.'}
+                                                {order.refundStatus === 'Partial' && `₹${order.refundedAmount.toLocaleString()} has been refunded to your original payment method.`}
+                                                {order.refundStatus === 'Refunded' && `₹${order.refundedAmount.toLocaleString()} has been refunded in full to your original payment method.`}
+                                                {order.refundStatus === 'Failed' && 'Your refund could not be processed. Our team will contact you shortly.'}
+                                            </div>
+                                        )}
+
+                                        {/* Returns & exchanges */}
+                                        {orderReturns.length > 0 && (
+                                            <div className="mt-4 space-y-3">
+                                                {orderReturns.map(r => (
+                                                    <div key={r._id} className="p-4 bg-cream-100 rounded-2xl">
+                                                        <div className="flex items-center justify-between gap-3 mb-2">
+                                                            <p className="font-sans text-sm text-charcoal">
+                                                                <span className="font-semibold">{r.rmaNumber}</span>
+                                                                {' • '}{r.type === 'exchange' ? 'Exchange' : 'Return'}
+                                                                {' • '}{RETURN_STATUS_LABELS[r.status] || r.status}
+                                                            </p>
+                                                            {r.status === 'REQUESTED' && (
+                                                                <button onClick={() => cancelReturn(r._id)} className="text-xs font-sans text-red-500 hover:underline">Withdraw</button>
+                                                            )}
+                                                        </div>
+                                                        <ul className="font-sans text-xs text-charcoal-muted space-y-0.5">
+                                                            {r.items.map(i => (
+                                                                <li key={i._id}>
+                                                                    {i.name} ({i.size}{i.color ? ` / ${i.color}` : ''}) × {i.quantity}
+                                                                    {r.type === 'exchange' && ` → ${i.exchangeSize}${i.exchangeColor ? ` / ${i.exchangeColor}` : ''}`}
+                                                                </li>
+                                                            ))}
+                                                        </ul>
+                                                        {r.adminNote && <p className="font-sans text-xs text-charcoal mt-2">Note: {r.adminNote}</p>}
+                                                        {r.pickup?.trackingNumber && (
+                                                            <p className="font-sans text-xs text-charcoal mt-1">Pickup: {r.pickup.courier} ({r.pickup.trackingNumber})</p>
+                                                        )}
+                                                        {r.type === 'return' && r.refundAmount > 0 && (
+                                                            <p className="font-sans text-xs text-charcoal mt-1">Refund: ₹{r.refundAmount.toLocaleString()}{r.refundedAt ? ' (processed)' : ''}</p>
+                                                        )}
+                                                        {r.exchangeOrder && (
+                                                            <p className="font-sans text-xs text-charcoal mt-1">Exchange order #{r.exchangeOrder.orderNumber}</p>
+                                                        )}
+                                                        {r.photos?.length > 0 && (
+                                                            <div className="flex gap-2 mt-2">
+                                                                {r.photos.map(p => <img key={p} src={getMediaUrl(p)} alt="" className="w-10 h-10 rounded-lg object-cover" />)}
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        )}
+
                                         {/* Shipping address */}
                                         {order.shippingAddress && (
                                             <div className="mt-4 p-4 bg-cream-100 rounded-2xl">
@@ -147,6 +264,13 @@ export default function OrdersPage() {
                     })}
                 </div>
             </div>
+
+            <ReturnRequestModal
+                isOpen={!!returnOrder}
+                order={returnOrder}
+                onClose={() => setReturnOrder(null)}
+                onCreated={() => { fetchReturns(); setExpanded(returnOrder?._id); }}
+            />
         </div>
     );
 }
@@ -33,6 +33,10 @@ export default function PaymentCallbackPage() {
             if (errorCode) {
                 setStatus('failed');
                 setMessage(errorDescription || 'Payment failed');
+                // Give the held stock back straight away (checkout orders only - the cart flow holds none)
+                if (/^[a-f\d]{24}$/i.test(orderId || '')) {
+                    api.post('/payment/release', { orderId, reason: errorCode === 'PAYMENT_CANCELLED' ? 'cancelled' : 'failed' }).catch(() => { });
+                }
                 setTimeout(() => {
                     navigate(`/payment-failed/${orderId}?error_code=${errorCode}&error_description=${encodeURIComponent(errorDescription || '')}`);
                 }, 1500);
@@ -1,12 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { FiShoppingBag, FiHeart, FiChevronLeft, FiChevronRight, FiZap } from 'react-icons/fi';
+import { FiShoppingBag, FiHeart, FiChevronLeft, FiChevronRight, FiZap, FiBell } from 'react-icons/fi';
 import api from '../utils/api';
 import { useCart } from '../context/CartContext';
 import { useAuth } from '../context/AuthContext';
+import { useWishlist } from '../context/WishlistContext';
 import AddressModal from '../components/AddressModal';
 import PaymentModal from '../components/PaymentModal';
+import ProductReviews, { Stars } from '../components/ProductReviews';
 
 const API_URL = 'http://localhost:5000';
 const gradeClass = { Premium: 'badge-premium', Standard: 'badge-standard', Economy: 'badge-economy' };
@@ -14,11 +16,13 @@ const gradeClass = { Premium: 'badge-premium', Standard: 'badge-standard', Econo
 export default function ProductPage() {
     const { id } = useParams();
     const navigate = useNavigate();
-    const { addToCart } = useCart();
+    const { addToCart, estimateShipping, freeShippingAbove } = useCart();
+    const { isWishlisted, toggleWishlist, addToWishlist } = useWishlist();
     const { user } = useAuth();
     const [product, setProduct] = useState(null);
     const [selectedImg, setSelectedImg] = useState(0);
     const [selectedSize, setSelectedSize] = useState('');
+    const [selectedColor, setSelectedColor] = useState('');
     const [qty, setQty] = useState(1);
     const [loading, setLoading] = useState(true);
 
@@ -58,9 +62,29 @@ export default function ProductPage() {
         ? product.images.map(img => `${API_URL}${img}`)
         : [`https://placehold.co/600x800/F5F0E8/2C1810?text=${encodeURIComponent(product.name)}`];
 
+    // ─── Variant (size × color) stock ─────────────────
+    const hasVariants = product.variants?.length > 0;
+    const findVariant = (size, color) => product.variants?.find(v =>
+        v.size === size && (v.color || '').toLowerCase() === (color || '').toLowerCase()
+    ) || (!color ? product.variants?.find(v => v.size === size) : null);
+    const variantStock = (size, color) => {
+        const v = findVariant(size, color);
+        return v && v.isActive !== false ? v.stock : 0;
+    };
+    const sizeStock = (size) => hasVariants
+        ? product.variants.filter(v => v.size === size && v.isActive !== false && (!selectedColor || (v.color || '').toLowerCase() === selectedColor.toLowerCase()))
+            .reduce((s, v) => s + v.stock, 0)
+        : product.stock;
+
+    const activeSize = selectedSize || product.sizes?.[0] || 'Free Size';
+    const activeColor = selectedColor || (product.colors?.length ? product.colors[0] : '');
+    const selectedVariant = hasVariants ? findVariant(activeSize, activeColor) : null;
+    const availableStock = hasVariants ? variantStock(activeSize, activeColor) : product.stock;
+    const unitPrice = selectedVariant?.price ?? product.price;
+
     const handleAddToCart = () => {
         if (!user) { navigate('/auth'); return; }
-        addToCart(product, selectedSize || product.sizes?.[0] || 'Free Size');
+        addToCart({ ...product, price: unitPrice }, activeSize, activeColor, qty);
     };
 
     const handleBuyNow = () => {
@@ -74,14 +98,12 @@ export default function ProductPage() {
         setOrderLoading(true);
 
         try {
-            const size = selectedSize || product.sizes?.[0] || 'Free Size';
+            // Priced by the server from the catalogue
             const items = [{
                 product: product._id,
-                name: product.name,
-                price: product.price,
-                image: product.images?.[0] || '',
                 quantity: qty,
-                size
+                size: activeSize,
+                color: activeColor
             }];
 
             // Create order with address and location data (payment pending)
@@ -131,7 +153,9 @@ export default function ProductPage() {
         navigate(`/order-success/${orderId}`);
     };
 
-    const grandTotal = (product.price * qty) + ((product.price * qty) > 999 ? 0 : 49);
+    // Estimate from the default zone - the real fee is priced by the server on order creation
+    const buyNowShipping = estimateShipping(unitPrice * qty);
+    const grandTotal = (unitPrice * qty) + buyNowShipping;
 
     return (
         <div className="min-h-screen pt-20 bg-cream-100">
@@ -179,35 +203,60 @@ export default function ProductPage() {
                     <div className="pt-4">
                         <p className="font-sans text-gold text-sm font-medium tracking-widest uppercase mb-3">{product.category}</p>
                         <h1 className="font-serif text-4xl md:text-5xl text-charcoal mb-4">{product.name}</h1>
+                        {product.ratings?.count > 0 && (
+                            <a href="#reviews" className="flex items-center gap-2 mb-4 font-sans text-sm text-charcoal-muted hover:text-charcoal">
+                                <Stars rating={product.ratings.average} />
+                                {product.ratings.average.toFixed(1)} ({product.ratings.count} review{product.ratings.count === 1 ? '' : 's'})
+                            </a>
+                        )}
 
                         <div className="flex items-center gap-4 mb-6">
-                            <span className="font-sans text-3xl font-semibold text-charcoal">₹{product.price.toLocaleString()}</span>
+                            <span className="font-sans text-3xl font-semibold text-charcoal">₹{unitPrice.toLocaleString()}</span>
                             {product.originalPrice && (
                                 <>
                                     <span className="font-sans text-lg text-charcoal-muted line-through">₹{product.originalPrice.toLocaleString()}</span>
-                                    <span className="badge-premium">{Math.round(((product.originalPrice - product.price) / product.originalPrice) * 100)}% off</span>
+                                    <span className="badge-premium">{Math.round(((product.originalPrice - unitPrice) / product.originalPrice) * 100)}% off</span>
                                 </>
                             )}
                         </div>
 
                         <div className="flex items-center gap-3 mb-8">
                             {product.qualityGrade && <span className={gradeClass[product.qualityGrade] || 'badge-standard'}>{product.qualityGrade} Grade</span>}
-                            <span className={`font-sans text-sm ${product.stock > 0 ? 'text-green-600' : 'text-red-500'}`}>
-                                {product.stock > 0 ? `✓ In Stock (${product.stock} left)` : '✗ Out of Stock'}
+                            <span className={`font-sans text-sm ${availableStock > 0 ? 'text-green-600' : 'text-red-500'}`}>
+                                {availableStock > 0 ? `✓ In Stock (${availableStock} left)` : '✗ Out of Stock'}
                             </span>
                         </div>
 
+                        {/* Color Selector */}
+                        {product.colors?.length > 0 && (
+                            <div className="mb-6">
+                                <p className="font-sans font-medium text-charcoal mb-3">Color: <span className="text-charcoal-muted">{activeColor}</span></p>
+                                <div className="flex gap-2 flex-wrap">
+                                    {product.colors.map(color => (
+                                        <button key={color} onClick={() => { setSelectedColor(color); setQty(1); }}
+                                            className={`px-4 h-10 rounded-xl font-sans text-sm font-medium border-2 transition-all duration-200 ${activeColor === color ? 'bg-charcoal text-cream-100 border-charcoal' : 'border-cream-400 text-charcoal hover:border-charcoal'}`}>
+                                            {color}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
                         {/* Size Selector */}
                         {product.sizes?.length > 0 && (
                             <div className="mb-6">
                                 <p className="font-sans font-medium text-charcoal mb-3">Select Size</p>
                                 <div className="flex gap-2 flex-wrap">
-                                    {product.sizes.map(size => (
-                                        <button key={size} onClick={() => setSelectedSize(size)}
-                                            className={`w-12 h-12 rounded-xl font-sans text-sm font-medium border-2 transition-all duration-200 ${selectedSize === size ? 'bg-charcoal text-cream-100 border-charcoal' : 'border-cream-400 text-charcoal hover:border-charcoal'}`}>
-                                            {size}
-                                        </button>
-                                    ))}
+                                    {product.sizes.map(size => {
+                                        const soldOut = sizeStock(size) === 0;
+                                        return (
+                                            <button key={size} onClick={() => { setSelectedSize(size); setQty(1); }}
+                                                title={soldOut ? 'Sold out — select to get notified' : undefined}
+                                                className={`w-12 h-12 rounded-xl font-sans text-sm font-medium border-2 transition-all duration-200 ${soldOut ? 'opacity-40 line-through' : ''} ${selectedSize === size ? 'bg-charcoal text-cream-100 border-charcoal' : 'border-cream-400 text-charcoal hover:border-charcoal'}`}>
+                                                {size}
+                                            </button>
+                                        );
+                                    })}
                                 </div>
                             </div>
                         )}
@@ -218,36 +267,49 @@ export default function ProductPage() {
                             <div className="flex items-center gap-3 bg-cream-200 rounded-full px-2 py-1">
                                 <button onClick={() => setQty(q => Math.max(1, q - 1))} className="w-8 h-8 rounded-full bg-white flex items-center justify-center hover:bg-cream-300 transition-colors font-bold">-</button>
                                 <span className="font-sans font-medium text-charcoal w-8 text-center">{qty}</span>
-                                <button onClick={() => setQty(q => Math.min(product.stock, q + 1))} className="w-8 h-8 rounded-full bg-white flex items-center justify-center hover:bg-cream-300 transition-colors font-bold">+</button>
+                                <button onClick={() => setQty(q => Math.min(availableStock, q + 1))} className="w-8 h-8 rounded-full bg-white flex items-center justify-center hover:bg-cream-300 transition-colors font-bold">+</button>
                             </div>
                         </div>
 
                         {/* CTA Buttons */}
                         <div className="flex gap-3 mb-8">
                             <motion.button whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}
-                                onClick={handleAddToCart} disabled={product.stock === 0}
+                                onClick={handleAddToCart} disabled={availableStock === 0}
                                 className="btn-secondary flex-1 flex items-center justify-center gap-2 text-base disabled:opacity-50">
                                 <FiShoppingBag />
                                 Add to Cart
                             </motion.button>
                             <motion.button whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}
-                                onClick={handleBuyNow} disabled={product.stock === 0 || orderLoading}
+                                onClick={handleBuyNow} disabled={availableStock === 0 || orderLoading}
                                 className="btn-primary flex-1 flex items-center justify-center gap-2 text-base disabled:opacity-50 relative">
                                 {orderLoading
                                     ? <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-white" />
                                     : <FiZap />}
                                 {orderLoading ? 'Processing...' : 'Buy Now'}
                             </motion.button>
-                            <button className="btn-secondary px-5">
-                                <FiHeart />
+                            <button onClick={() => toggleWishlist(product, selectedSize, selectedSize ? activeColor : '')}
+                                title={isWishlisted(product._id) ? 'Remove from wishlist' : 'Save to wishlist'}
+                                className="btn-secondary px-5">
+                                <FiHeart className={isWishlisted(product._id) ? 'fill-red-400 text-red-400' : ''} />
                             </button>
                         </div>
 
+                        {/* Sold out → watch this size for a restock */}
+                        {availableStock === 0 && (
+                            <button onClick={() => addToWishlist(product, hasVariants ? activeSize : '', hasVariants ? activeColor : '')}
+                                className="w-full -mt-5 mb-8 flex items-center justify-center gap-2 py-3 rounded-full border border-gold/40 bg-gold/10 font-sans text-sm text-charcoal hover:bg-gold/20 transition-colors">
+                                <FiBell className="w-4 h-4" />
+                                {hasVariants ? `${activeSize}${activeColor ? ` / ${activeColor}` : ''} is sold out — notify me when it's back` : 'Sold out — notify me when it\'s back'}
+                            </button>
+                        )}
+
                         {/* Shipping hint */}
                         <div className="bg-gold/10 border border-gold/20 rounded-2xl px-4 py-3 mb-6">
                             <p className="font-sans text-sm text-charcoal">
-                                🚚 <strong>{grandTotal > 999 ? 'FREE' : '₹49'} Shipping</strong>
-                                {grandTotal <= 999 ? ' — Add more to get free shipping!' : ' — Enjoy free shipping on this order!'}
+                                🚚 <strong>{buyNowShipping === 0 ? 'FREE' : `₹${buyNowShipping}`} Shipping</strong>
+                                {buyNowShipping > 0
+                                    ? (freeShippingAbove != null ? ` — Free shipping above ₹${freeShippingAbove.toLocaleString()}!` : '')
+                                    : ' — Enjoy free shipping on this order!'}
                             </p>
                         </div>
 
@@ -259,7 +321,7 @@ export default function ProductPage() {
 
                         {/* Features */}
                         <div className="grid grid-cols-3 gap-4 mt-8 pt-6 border-t border-cream-300">
-                            {[['🚚', 'Free Shipping', '>₹999'], ['↩', 'Easy Returns', '7 days'], ['🛡️', 'Secure', 'Payment']].map(([icon, label, sub]) => (
+                            {[['🚚', 'Free Shipping', freeShippingAbove != null ? `>₹${freeShippingAbove.toLocaleString()}` : 'On offers'], ['↩', 'Easy Returns', '7 days'], ['🛡️', 'Secure', 'Payment']].map(([icon, label, sub]) => (
                                 <div key={label} className="text-center">
                                     <p className="text-2xl mb-1">{icon}</p>
                                     <p className="font-sans text-xs font-medium text-charcoal">{label}</p>
@@ -269,6 +331,9 @@ export default function ProductPage() {
                         </div>
                     </div>
                 </div>
+
+                {/* Demo products have no reviews */}
+                {!product._id.startsWith('demo-') && <ProductReviews productId={product._id} />}
             </div>
 
             {/* Address Modal */}
@@ -0,0 +1,194 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiFilter, FiX, FiSearch } from 'react-icons/fi';
+import api from '../utils/api';
+import ProductCard from '../components/ProductCard';
+
+const FACETS = [
+    { field: 'category', label: 'Category' },
+    { field: 'gender', label: 'Gender' },
+    { field: 'size', label: 'Size' },
+    { field: 'color', label: 'Color' },
+    { field: 'price', label: 'Price' },
+    { field: 'qualityGrade', label: 'Quality' }
+];
+
+const SORTS = [
+    { value: 'relevance', label: 'Most relevant' },
+    { value: 'newest', label: 'Newest' },
+    { value: 'price_asc', label: 'Price: Low to High' },
+    { value: 'price_desc', label: 'Price: High to Low' },
+    { value: 'rating', label: 'Top rated' }
+];
+
+// The URL is the state: ?q=&category=Tops,Dresses&size=M&price=500-1000&sort=&page=
+const readList = (params, field) => (params.get(field) || '').split(',').filter(Boolean);
+
+export default function SearchPage() {
+    const [params, setParams] = useSearchParams();
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [showFilters, setShowFilters] = useState(false);
+
+    const q = params.get('q') || '';
+    const page = Number(params.get('page')) || 1;
+
+    useEffect(() => {
+        setLoading(true);
+        api.get('/products/search', { params: Object.fromEntries(params) })
+            .then(({ data }) => setData(data))
+            .catch(() => setData({ products: [], total: 0, pages: 0, facets: {} }))
+            .finally(() => setLoading(false));
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }, [params]);
+
+    const update = (changes) => {
+        const next = new URLSearchParams(params);
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === '' || value == null || (Array.isArray(value) && !value.length)) next.delete(key);
+            else next.set(key, Array.isArray(value) ? value.join(',') : value);
+        });
+        if (!('page' in changes)) next.delete('page');
+        setParams(next);
+    };
+
+    const toggleValue = (field, value) => {
+        const current = readList(params, field);
+        update({ [field]: current.includes(value) ? current.filter(v => v !== value) : [...current, value] });
+    };
+
+    const activeFilters = FACETS.flatMap(({ field }) => readList(params, field).map(value => ({ field, value })));
+    const priceLabel = (value) => data?.facets?.price?.find(b => b.value === value)?.label || value;
+
+    const facetOptions = (field) => {
+        const options = field === 'price'
+            ? (data?.facets?.price || []).filter(b => b.count > 0 || readList(params, 'price').includes(b.value))
+            : data?.facets?.[field] || [];
+        // Keep selected values visible even when nothing matches them any more
+        const selected = readList(params, field).filter(v => !options.some(o => o.value === v));
+        return [...options, ...selected.map(value => ({ value, count: 0 }))];
+    };
+
+    const filterPanel = (
+        <div className="space-y-8">
+            <label className="flex items-center gap-3 font-sans text-sm text-charcoal cursor-pointer">
+                <input type="checkbox" checked={params.get('inStock') === 'true'} onChange={e => update({ inStock: e.target.checked ? 'true' : '' })}
+                    className="w-4 h-4 accent-charcoal" />
+                In stock only
+            </label>
+            {FACETS.map(({ field, label }) => {
+                const options = facetOptions(field);
+                if (!options.length) return null;
+                const selected = readList(params, field);
+                return (
+                    <div key={field}>
+                        <p className="font-sans text-xs font-bold uppercase tracking-widest text-charcoal-muted mb-3">{label}</p>
+                        <div className="space-y-2">
+                            {options.map(option => (
+                                <label key={option.value} className="flex items-center justify-between gap-3 font-sans text-sm text-charcoal cursor-pointer">
+                                    <span className="flex items-center gap-3">
+                                        <input type="checkbox" checked={selected.includes(option.value)} onChange={() => toggleValue(field, option.value)}
+                                            className="w-4 h-4 accent-charcoal" />
+                                        {option.label || option.value}
+                                    </span>
+                                    <span className="text-xs text-charcoal-muted">{option.count}</span>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+
+    return (
+        <div className="min-h-screen pt-24 bg-cream-100">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                <header className="mb-8">
+                    <h1 className="font-serif text-4xl text-charcoal mb-2">{q ? <>Results for “{q}”</> : 'All Products'}</h1>
+                    {data?.correctedQuery && (
+                        <p className="font-sans text-sm text-charcoal-muted">
+                            Including results for <button onClick={() => update({ q: data.correctedQuery })} className="text-gold underline">{data.correctedQuery}</button>
+                        </p>
+                    )}
+                    {data && <p className="font-sans text-sm text-charcoal-muted mt-1">{data.total} product{data.total === 1 ? '' : 's'}</p>}
+                </header>
+
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                    <div className="flex flex-wrap items-center gap-2">
+                        <button onClick={() => setShowFilters(true)} className="lg:hidden flex items-center gap-2 px-4 py-2 rounded-full border border-cream-300 font-sans text-sm text-charcoal">
+                            <FiFilter className="w-4 h-4" /> Filters{activeFilters.length > 0 && ` (${activeFilters.length})`}
+                        </button>
+                        {activeFilters.map(({ field, value }) => (
+                            <button key={`${field}-${value}`} onClick={() => toggleValue(field, value)}
+                                className="flex items-center gap-1.5 px-3 py-1.5 rounded-full bg-charcoal text-cream-100 font-sans text-xs">
+                                {field === 'price' ? priceLabel(value) : value}
+                                <FiX className="w-3 h-3" />
+                            </button>
+                        ))}
+                        {activeFilters.length > 0 && (
+                            <button onClick={() => update(Object.fromEntries(FACETS.map(f => [f.field, ''])))} className="font-sans text-xs text-charcoal-muted underline">
+                                Clear all
+                            </button>
+                        )}
+                    </div>
+                    <select value={data?.sort || params.get('sort') || (q ? 'relevance' : 'newest')} onChange={e => update({ sort: e.target.value })}
+                        className="input-field w-auto py-2 text-sm">
+                        {SORTS.filter(s => q || s.value !== 'relevance').map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                    </select>
+                </div>
+
+                <div className="grid lg:grid-cols-4 gap-10">
+                    <aside className="hidden lg:block">{filterPanel}</aside>
+
+                    <div className="lg:col-span-3">
+                        {loading && !data ? (
+                            <div className="flex items-center justify-center py-24">
+                                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-gold"></div>
+                            </div>
+                        ) : data?.products.length === 0 ? (
+                            <div className="card p-12 text-center">
+                                <FiSearch className="w-10 h-10 text-charcoal-muted mx-auto mb-3" />
+                                <p className="font-serif text-2xl text-charcoal mb-2">No products found</p>
+                                <p className="font-sans text-sm text-charcoal-muted">Try another word or remove a filter.</p>
+                            </div>
+                        ) : (
+                            <>
+                                <div className={`grid grid-cols-2 md:grid-cols-3 gap-x-6 gap-y-12 transition-opacity ${loading ? 'opacity-50' : ''}`}>
+                                    {data.products.map((product, i) => (
+                                        <ProductCard key={product._id} product={product} index={i} />
+                                    ))}
+                                </div>
+                                {data.pages > 1 && (
+                                    <div className="flex items-center justify-center gap-4 mt-12">
+                                        <button onClick={() => update({ page: page - 1 })} disabled={page <= 1} className="btn-secondary text-sm py-2 disabled:opacity-40">Previous</button>
+                                        <span className="font-sans text-sm text-charcoal-muted">Page {page} of {data.pages}</span>
+                                        <button onClick={() => update({ page: page + 1 })} disabled={page >= data.pages} className="btn-secondary text-sm py-2 disabled:opacity-40">Next</button>
+                                    </div>
+                                )}
+                            </>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {/* Mobile filter drawer */}
+            <AnimatePresence>
+                {showFilters && (
+                    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+                        className="fixed inset-0 bg-black/50 z-50 flex justify-end lg:hidden" onClick={() => setShowFilters(false)}>
+                        <motion.div initial={{ x: '100%' }} animate={{ x: 0 }} exit={{ x: '100%' }} transition={{ type: 'tween' }}
+                            className="bg-white w-80 max-w-full h-full overflow-y-auto" onClick={e => e.stopPropagation()}>
+                            <div className="flex items-center justify-between p-6 border-b border-cream-300">
+                                <h2 className="font-serif text-2xl text-charcoal">Filters</h2>
+                                <button onClick={() => setShowFilters(false)} className="p-2 rounded-full hover:bg-cream-200"><FiX /></button>
+                            </div>
+                            <div className="p-6">{filterPanel}</div>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
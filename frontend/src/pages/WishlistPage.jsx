@@ -0,0 +1,103 @@
+import { useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiTrash2, FiShoppingBag, FiBell, FiBellOff } from 'react-icons/fi';
+import { useWishlist } from '../context/WishlistContext';
+import { useCart } from '../context/CartContext';
+import { getMediaUrl } from '../utils/api';
+
+export default function WishlistPage() {
+    const { items, loading, removeFromWishlist, setAlerts, refreshWishlist } = useWishlist();
+    const { addToCart } = useCart();
+    const navigate = useNavigate();
+
+    // Fresh prices / stock every time the page opens
+    useEffect(() => { refreshWishlist(); }, []);
+
+    const moveToCart = async (item) => {
+        const size = item.size || item.product.sizes?.[0] || 'Free Size';
+        const color = item.color || item.product.colors?.[0] || '';
+        await addToCart({ ...item.product, price: item.price }, size, color, 1);
+        await removeFromWishlist(item._id);
+    };
+
+    if (loading && items.length === 0) return (
+        <div className="min-h-screen flex items-center justify-center pt-20">
+            <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-gold"></div>
+        </div>
+    );
+
+    if (items.length === 0) return (
+        <div className="min-h-screen flex flex-col items-center justify-center pt-20 bg-cream-100">
+            <motion.div initial={{ opacity: 0, scale: 0.9 }} animate={{ opacity: 1, scale: 1 }} className="text-center">
+                <div className="w-32 h-32 bg-cream-200 rounded-full flex items-center justify-center mx-auto mb-8">
+                    <span className="text-5xl">💛</span>
+                </div>
+                <h2 className="font-serif text-4xl text-charcoal mb-4">Your Wishlist is Empty</h2>
+                <p className="font-sans text-charcoal-muted mb-8">Tap the heart on anything you love — we'll text you when it's back in stock or cheaper.</p>
+                <button onClick={() => navigate('/')} className="btn-primary">Shop Now</button>
+            </motion.div>
+        </div>
+    );
+
+    return (
+        <div className="min-h-screen pt-20 bg-cream-100">
+            <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                <header className="mb-12">
+                    <h1 className="font-serif text-4xl text-charcoal mb-2">Your Wishlist</h1>
+                    <p className="font-sans text-sm text-charcoal-muted">We'll send an SMS when a saved item comes back in stock or its price drops.</p>
+                </header>
+
+                <div className="space-y-6">
+                    {items.map(item => {
+                        const soldOut = item.available <= 0;
+                        return (
+                            <motion.div key={item._id} layout initial={{ opacity: 0 }} animate={{ opacity: 1 }}
+                                className="flex gap-6 pb-6 border-b border-cream-300 last:border-0">
+                                <Link to={`/product/${item.product._id}`} className="w-24 h-32 rounded-2xl overflow-hidden flex-shrink-0 bg-cream-200 shadow-sm">
+                                    <img src={item.product.images?.[0] ? getMediaUrl(item.product.images[0]) : `https://placehold.co/120x160/F5F0E8/4A3728?text=${encodeURIComponent(item.product.name)}`}
+                                        alt={item.product.name} className={`w-full h-full object-cover ${soldOut ? 'opacity-60' : ''}`} />
+                                </Link>
+                                <div className="flex-1 min-w-0 flex flex-col justify-between">
+                                    <div>
+                                        <div className="flex justify-between items-start mb-1">
+                                            <Link to={`/product/${item.product._id}`} className="font-serif text-charcoal text-xl leading-tight hover:text-gold">{item.product.name}</Link>
+                                            <button onClick={() => removeFromWishlist(item._id)} className="text-charcoal-muted hover:text-red-500 transition-colors p-1" title="Remove">
+                                                <FiTrash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                        <p className="font-sans text-charcoal-muted text-xs uppercase tracking-widest mb-3">
+                                            {item.size ? `Size: ${item.size}${item.color ? ` · Color: ${item.color}` : ''}` : 'Any size'}
+                                            {soldOut
+                                                ? <span className="text-red-500 normal-case tracking-normal"> — sold out</span>
+                                                : item.available <= 5 && <span className="text-amber-600 normal-case tracking-normal"> — only {item.available} left</span>}
+                                        </p>
+                                        <div className="flex items-center gap-3 mb-4">
+                                            <p className="font-sans font-bold text-charcoal text-lg">₹{item.price.toLocaleString()}</p>
+                                            {item.priceDropped && (
+                                                <span className="text-xs px-2 py-1 rounded-full font-sans bg-green-100 text-green-700">
+                                                    Price dropped from ₹{item.alertPrice.toLocaleString()}
+                                                </span>
+                                            )}
+                                        </div>
+                                    </div>
+                                    <div className="flex flex-wrap items-center gap-3">
+                                        <button onClick={() => moveToCart(item)} disabled={soldOut}
+                                            className="btn-primary text-sm py-2 flex items-center gap-2 disabled:opacity-50">
+                                            <FiShoppingBag className="w-4 h-4" /> Move to Cart
+                                        </button>
+                                        <button onClick={() => setAlerts(item._id, !item.notify)}
+                                            className="flex items-center gap-2 font-sans text-xs text-charcoal-muted hover:text-charcoal transition-colors">
+                                            {item.notify ? <FiBell className="w-4 h-4 text-gold" /> : <FiBellOff className="w-4 h-4" />}
+                                            {item.notify ? 'SMS alerts on' : 'SMS alerts off'}
+                                        </button>
+                                    </div>
+                                </div>
+                            </motion.div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+}
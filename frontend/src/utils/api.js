@@ -60,14 +60,60 @@ api.interceptors.request.use(config => {
     return Promise.reject(error);
 });
 
+// ══════════════════════════════════════════════════════════════════════════════
+// TOKEN REFRESH - access tokens are short-lived; on a 401 swap the refresh
+// token for a new pair once and replay the request
+// ══════════════════════════════════════════════════════════════════════════════
+const clearSession = () => {
+    localStorage.removeItem('tcs_token');
+    localStorage.removeItem('tcs_refresh');
+    localStorage.removeItem('tcs_user');
+};
+
+// One refresh at a time - concurrent 401s wait for the same call
+let refreshing = null;
+
+const refreshTokens = () => {
+    if (!refreshing) {
+        const sent = localStorage.getItem('tcs_refresh');
+        refreshing = axios.post(`${API_URL}/auth/refresh`, { refreshToken: sent }, { timeout: 15000 })
+            .then(({ data }) => {
+                localStorage.setItem('tcs_token', data.token);
+                localStorage.setItem('tcs_refresh', data.refreshToken);
+                return data.token;
+            })
+            .catch(error => {
+                // Another tab rotated the token first - use what it stored
+                if (localStorage.getItem('tcs_refresh') !== sent) return localStorage.getItem('tcs_token');
+                throw error;
+            })
+            .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+};
+
 // Handle responses and errors
 api.interceptors.response.use(
     response => response,
-    error => {
+    async error => {
+        const original = error.config;
+
         // Handle 401 Unauthorized
         if (error.response?.status === 401) {
-            localStorage.removeItem('tcs_token');
-            localStorage.removeItem('tcs_user');
+            const canRefresh = original && !original._retry && localStorage.getItem('tcs_refresh')
+                && !original.url?.startsWith('/auth/refresh');
+            if (canRefresh) {
+                original._retry = true;
+                try {
+                    const token = await refreshTokens();
+                    original.headers.Authorization = `Bearer ${token}`;
+                    return api(original);
+                } catch {
+                    // Refresh token expired / revoked - fall through to sign out
+                }
+            }
+
+            clearSession();
             // Only redirect if not already on auth page
             if (!window.location.pathname.includes('/auth')) {
                 window.location.href = '/auth';